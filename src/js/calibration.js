@@ -0,0 +1,145 @@
+// Printer scale calibration
+// Home printers often print a little smaller or larger than 100% in one axis.
+// The user prints a test page, measures the squares and enters the measured sizes;
+// the resulting per-axis factors are applied when the pages are drawn into the PDF.
+
+// Reference squares on the test page (size in mm)
+export const CALIBRATION_SQUARES = {
+    metric: { size: 100, nominal: 100, unit: 'mm', label: '10 cm' },
+    imperial: { size: 101.6, nominal: 4, unit: 'in', label: '4 in' }
+};
+
+// Size of the verification square on every pattern page (mm)
+export const VERIFICATION_SQUARE_SIZE = 20;
+
+// Measurements further off than this are treated as typos (ratio)
+const MAX_CORRECTION = 0.2;
+
+// Calculate the correction factor for one axis
+export function calculateScaleCorrection(nominal, measured) {
+    const value = parseFloat(measured);
+    if (!(value > 0) || !(nominal > 0)) {
+        return 1;
+    }
+    
+    const factor = nominal / value;
+    return Math.abs(factor - 1) <= MAX_CORRECTION ? factor : 1;
+}
+
+// Get the per-axis correction factors from the calibration settings
+export function getScaleCorrection(calibration) {
+    if (!calibration) {
+        return { x: 1, y: 1 };
+    }
+    
+    const square = CALIBRATION_SQUARES[calibration.reference] || CALIBRATION_SQUARES.metric;
+    return {
+        x: calculateScaleCorrection(square.nominal, calibration.measuredX),
+        y: calculateScaleCorrection(square.nominal, calibration.measuredY)
+    };
+}
+
+// Create the calibration test page for the printable area of the given grid strategy
+export function createCalibrationSVG(gridStrategy) {
+    const width = gridStrategy.printableWidth;
+    const height = gridStrategy.printableHeight;
+    
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('width', `${width}mm`);
+    svg.setAttribute('height', `${height}mm`);
+    
+    const title = createText(5, 8, 'Print scale calibration', 6);
+    svg.appendChild(title);
+    svg.appendChild(createText(5, 14, 'Print at 100% (actual size, no "fit to page"), then measure the squares.', 3.5));
+    
+    // Stack the squares vertically when the page is too narrow to put them side by side
+    const metric = CALIBRATION_SQUARES.metric;
+    const imperial = CALIBRATION_SQUARES.imperial;
+    const sideBySide = metric.size + imperial.size + 15 <= width;
+    
+    svg.appendChild(createCalibrationSquare(5, 25, metric));
+    if (sideBySide) {
+        svg.appendChild(createCalibrationSquare(metric.size + 10, 25, imperial));
+    } else {
+        svg.appendChild(createCalibrationSquare(5, metric.size + 40, imperial));
+    }
+    
+    return svg;
+}
+
+// Create a labelled square with measuring ticks along its top and left edges
+function createCalibrationSquare(x, y, square) {
+    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    group.setAttribute('class', 'calibration-square');
+    group.setAttribute('data-size', square.size);
+    
+    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    rect.setAttribute('x', x);
+    rect.setAttribute('y', y);
+    rect.setAttribute('width', square.size);
+    rect.setAttribute('height', square.size);
+    rect.setAttribute('fill', 'none');
+    rect.setAttribute('stroke', 'black');
+    rect.setAttribute('stroke-width', '0.3');
+    group.appendChild(rect);
+    
+    // One tick per cm or per quarter inch
+    const step = square.unit === 'mm' ? 10 : 6.35;
+    for (let offset = step; offset < square.size - 0.01; offset += step) {
+        group.appendChild(createLine(x + offset, y, x + offset, y + 3));
+        group.appendChild(createLine(x, y + offset, x + 3, y + offset));
+    }
+    
+    group.appendChild(createText(x + square.size / 2, y + square.size / 2, square.label, 6, 'middle'));
+    group.appendChild(createText(x + square.size / 2, y + square.size / 2 + 6,
+        `X: ${square.nominal}${square.unit} / Y: ${square.nominal}${square.unit}`, 3, 'middle'));
+    
+    return group;
+}
+
+// Create the small verification square shown on every pattern page
+export function createVerificationSquare(x, y) {
+    const size = VERIFICATION_SQUARE_SIZE;
+    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    group.setAttribute('class', 'verification-square');
+    
+    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    rect.setAttribute('x', x);
+    rect.setAttribute('y', y);
+    rect.setAttribute('width', size);
+    rect.setAttribute('height', size);
+    rect.setAttribute('fill', 'none');
+    rect.setAttribute('stroke', 'black');
+    rect.setAttribute('stroke-width', '0.3');
+    group.appendChild(rect);
+    
+    group.appendChild(createText(x + size / 2, y + size / 2 + 1, `${size}mm`, 3, 'middle'));
+    
+    return group;
+}
+
+// Create a thin black line
+function createLine(x1, y1, x2, y2) {
+    const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+    line.setAttribute('x1', x1);
+    line.setAttribute('y1', y1);
+    line.setAttribute('x2', x2);
+    line.setAttribute('y2', y2);
+    line.setAttribute('stroke', 'black');
+    line.setAttribute('stroke-width', '0.3');
+    return line;
+}
+
+// Create a black text element
+function createText(x, y, content, fontSize, anchor = 'start') {
+    const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+    text.setAttribute('x', x);
+    text.setAttribute('y', y);
+    text.setAttribute('font-size', fontSize);
+    text.setAttribute('text-anchor', anchor);
+    text.setAttribute('fill', 'black');
+    text.textContent = content;
+    return text;
+}
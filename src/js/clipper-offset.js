@@ -4,135 +4,56 @@
  */
 
 import ClipperLib from 'clipper-lib';
+import { flattenPath, DEFAULT_CURVE_TOLERANCE } from './svg-path.js';
+import {
+    parseEdgeAllowances,
+    getPieceSeamAllowance,
+    getPieceCornerStyle,
+    EDGE_ALLOWANCES_ATTRIBUTE,
+    PIECE_ALLOWANCE_ATTRIBUTE,
+    PIECE_CORNER_STYLE_ATTRIBUTE
+} from './edge-allowance.js';
+import { getFoldLine, isFoldMirrored, reflectPoints, FOLD_EDGE_ATTRIBUTE, FOLD_MIRROR_ATTRIBUTE } from './fold-line.js';
+
+/**
+ * Corner styles of the seam allowance
+ * miter: sharp corners, cut off square beyond the miter limit
+ * round: arcs around the seam corner
+ * square: corners cut off square to the corner bisector
+ * mirrored: the allowance end follows the neighbouring cut line mirrored at the seam,
+ * so it lies flat when the allowance is folded along the seam
+ */
+export const CORNER_STYLES = ['miter', 'round', 'square', 'mirrored'];
+export const DEFAULT_CORNER_STYLE = 'miter';
+export const DEFAULT_MITER_LIMIT = 2;
+
+// Narrower allowance of curved stretches (armholes, necklines) in mm: the curve radius below
+// which it applies, the length of the change from the normal width and the clip mark spacing
+export const DEFAULT_CURVED_ALLOWANCE = 6;
+export const DEFAULT_CURVE_RADIUS = 100;
+export const DEFAULT_CURVE_TRANSITION = 20;
+export const DEFAULT_CLIP_SPACING = 10;
+
+/**
+ * Get the Clipper join type of a corner style
+ * @param {string} cornerStyle - One of CORNER_STYLES (mirrored corners are not supported by Clipper)
+ * @returns {number} ClipperLib.JoinType value
+ */
+function getJoinType(cornerStyle) {
+    if (cornerStyle === 'round') return ClipperLib.JoinType.jtRound;
+    if (cornerStyle === 'square') return ClipperLib.JoinType.jtSquare;
+    return ClipperLib.JoinType.jtMiter;
+}
 
 /**
  * Parse SVG path data into an array of points
+ * Curves and arcs are flattened so that the polyline stays within the tolerance
  * @param {string} pathData - SVG path data string
+ * @param {number} tolerance - Maximum deviation of the polyline from curves (in path units)
  * @returns {Array} Array of {X, Y} coordinates (note: Clipper uses uppercase X,Y)
  */
-function parseSVGPath(pathData) {
-    const points = [];
-    const commands = pathData.match(/[MmLlHhVvCcSsQqTtAaZz]|[\-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][\-+]?\d+)?/g);
-    
-    if (!commands) return points;
-    
-    let currentX = 0;
-    let currentY = 0;
-    let startX = 0;
-    let startY = 0;
-    let i = 0;
-    let lastCommand = '';
-    
-    while (i < commands.length) {
-        const cmd = commands[i];
-        const isCommand = /[MmLlHhVvCcSsQqTtAaZz]/.test(cmd);
-        
-        if (isCommand) {
-            lastCommand = cmd;
-            i++;
-        }
-        
-        switch (lastCommand.toUpperCase()) {
-            case 'M':
-                currentX = parseFloat(commands[i]);
-                currentY = parseFloat(commands[i + 1]);
-                startX = currentX;
-                startY = currentY;
-                points.push({ X: currentX, Y: currentY });
-                i += 2;
-                lastCommand = 'L'; // Implicit line commands after M
-                break;
-                
-            case 'L':
-                if (!isCommand && i < commands.length - 1) {
-                    currentX = parseFloat(commands[i]);
-                    currentY = parseFloat(commands[i + 1]);
-                    points.push({ X: currentX, Y: currentY });
-                    i += 2;
-                }
-                break;
-                
-            case 'H':
-                if (i < commands.length) {
-                    currentX = parseFloat(commands[i]);
-                    points.push({ X: currentX, Y: currentY });
-                    i++;
-                }
-                break;
-                
-            case 'V':
-                if (i < commands.length) {
-                    currentY = parseFloat(commands[i]);
-                    points.push({ X: currentX, Y: currentY });
-                    i++;
-                }
-                break;
-                
-            case 'Z':
-                // Path is closed, Clipper handles this automatically
-                break;
-                
-            // For curves, add end point only (simplified)
-            case 'C':
-                i += 4;
-                if (i < commands.length - 1) {
-                    currentX = parseFloat(commands[i]);
-                    currentY = parseFloat(commands[i + 1]);
-                    points.push({ X: currentX, Y: currentY });
-                    i += 2;
-                }
-                break;
-                
-            case 'S':
-            case 'Q':
-                i += 2;
-                if (i < commands.length - 1) {
-                    currentX = parseFloat(commands[i]);
-                    currentY = parseFloat(commands[i + 1]);
-                    points.push({ X: currentX, Y: currentY });
-                    i += 2;
-                }
-                break;
-                
-            case 'T':
-                if (i < commands.length - 1) {
-                    currentX = parseFloat(commands[i]);
-                    currentY = parseFloat(commands[i + 1]);
-                    points.push({ X: currentX, Y: currentY });
-                    i += 2;
-                }
-                break;
-                
-            case 'A':
-                i += 5;
-                if (i < commands.length - 1) {
-                    currentX = parseFloat(commands[i]);
-                    currentY = parseFloat(commands[i + 1]);
-                    points.push({ X: currentX, Y: currentY });
-                    i += 2;
-                }
-                break;
-                
-            default:
-                if (!isCommand && i < commands.length - 1) {
-                    const x = parseFloat(commands[i]);
-                    const y = parseFloat(commands[i + 1]);
-                    if (!isNaN(x) && !isNaN(y)) {
-                        currentX = x;
-                        currentY = y;
-                        points.push({ X: currentX, Y: currentY });
-                        i += 2;
-                    } else {
-                        i++;
-                    }
-                } else {
-                    i++;
-                }
-                break;
-        }
-    }
-    
-    return points;
+export function parseSVGPath(pathData, tolerance = DEFAULT_CURVE_TOLERANCE) {
+    return flattenPath(pathData, tolerance).flatMap(subpath => subpath.points);
 }
 
 /**
@@ -153,52 +74,602 @@ function pointsToSVGPath(points) {
 }
 
 /**
- * Expand a path by the given offset using clipper-lib
+ * Parse SVG path data into one closed contour per subpath
+ * @param {string} pathData - SVG path data string
+ * @param {number} tolerance - Maximum deviation of the polyline from curves (in path units)
+ * @returns {Array} Array of contours, each an array of {X, Y} with at least 3 points
+ */
+export function parseSVGContours(pathData, tolerance = DEFAULT_CURVE_TOLERANCE) {
+    return flattenPath(pathData, tolerance)
+        .map(subpath => subpath.points)
+        .filter(points => points.length >= 3);
+}
+
+/**
+ * Check whether a point lies inside a polygon (ray casting)
+ * @param {{X: number, Y: number}} point - Point to test
+ * @param {Array} polygon - Array of {X, Y}
+ * @returns {boolean} True if the point is inside
+ */
+function isPointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.Y > point.Y) !== (b.Y > point.Y) &&
+            point.X < (b.X - a.X) * (point.Y - a.Y) / (b.Y - a.Y) + a.X) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Determine for each contour whether it is a hole (even-odd rule)
+ * @param {Array} contours - Array of contours
+ * @returns {Array} Booleans, true for contours inside an odd number of other contours
+ */
+function findHoles(contours) {
+    return contours.map((contour, index) => contours.filter((other, otherIndex) =>
+        otherIndex !== index && isPointInPolygon(contour[0], other)
+    ).length % 2 === 1);
+}
+
+/**
+ * Split contours into outlines and holes by their nesting depth (even-odd rule)
+ * @param {Array} contours - Array of contours
+ * @returns {{outlines: Array, holes: Array}} Contours at even depth are outlines, at odd depth holes
+ */
+export function classifyContours(contours) {
+    const isHole = findHoles(contours);
+    return {
+        outlines: contours.filter((contour, index) => !isHole[index]),
+        holes: contours.filter((contour, index) => isHole[index])
+    };
+}
+
+/**
+ * Offset all contours of a path: outlines grow and holes shrink by the offset
  * @param {string} pathData - SVG path data
  * @param {number} offsetDistance - Offset amount in SVG units
- * @returns {string} - Expanded path data
+ * @param {Object} options - {curveTolerance: maximum curve flattening error in SVG units,
+ * cornerStyle: one of CORNER_STYLES (default miter), miterLimit: multiple of the offset (default 2),
+ * and the curved stretch options of offsetPathEdges}
+ * @returns {{pathData: string, outlines: number, holes: number, sourceOutlines: number, sourceHoles: number}}
+ * Offset path data with one subpath per resulting contour, and the contour counts before and after
  */
-export function expandPathWithClipper(pathData, offsetDistance) {
-    if (!pathData || typeof pathData !== 'string' || offsetDistance <= 0) {
-        return pathData;
+export function offsetPathContours(pathData, offsetDistance, options = {}) {
+    // Mirrored corners and curved stretches depend on the neighbouring edges, which Clipper
+    // does not provide, and Clipper raises miter limits below 2 to 2
+    if (options.cornerStyle === 'mirrored' || options.miterLimit < DEFAULT_MITER_LIMIT ||
+        Number.isFinite(options.curvedOffset)) {
+        return offsetPathEdges(pathData, offsetDistance, new Map(), options);
     }
     
-    try {
-        // Parse SVG path to points
-        const points = parseSVGPath(pathData);
+    // Parse SVG path to one contour per subpath
+    const contours = parseSVGContours(pathData, options.curveTolerance);
+    
+    if (contours.length === 0) {
+        const points = parseSVGPath(pathData, options.curveTolerance);
+        throw new Error(`Path has too few points for offset: ${points.length}`);
+    }
+    
+    const isHole = findHoles(contours);
+    const sourceHoles = isHole.filter(Boolean).length;
+    
+    // Scale up for integer precision (Clipper uses integers)
+    const scale = 1000;
+    const scaledContours = contours.map(points => points.map(p => ({
+        X: Math.round(p.X * scale),
+        Y: Math.round(p.Y * scale)
+    })));
+    
+    // Orient outlines and holes oppositely so that holes shrink while outlines grow
+    const normalized = scaledContours.map((path, index) =>
+        ClipperLib.Clipper.Orientation(path) === isHole[index] ? path.reverse() : path
+    );
+    
+    // Create ClipperOffset (round corners use the curve tolerance for their arcs)
+    const tolerance = options.curveTolerance || DEFAULT_CURVE_TOLERANCE;
+    const co = new ClipperLib.ClipperOffset(options.miterLimit || DEFAULT_MITER_LIMIT, tolerance * scale);
+    
+    // Add paths
+    co.AddPaths(normalized, getJoinType(options.cornerStyle), ClipperLib.EndType.etClosedPolygon);
+    
+    // Execute offset
+    const solution = new ClipperLib.Paths();
+    co.Execute(solution, offsetDistance * scale);
+    
+    return summarizeOffset(solution, scale, contours.length, sourceHoles);
+}
+
+/**
+ * Convert an offset solution to path data and count its contours
+ * @param {Array} solution - Clipper paths
+ * @param {number} scale - Clipper scale factor
+ * @param {number} sourceContours - Number of contours of the seam
+ * @param {number} sourceHoles - Number of holes of the seam
+ * @returns {Object} Result in the format of offsetPathContours
+ */
+function summarizeOffset(solution, scale, sourceContours, sourceHoles) {
+    if (solution.length === 0) {
+        throw new Error('Offset algorithm returned no polygons');
+    }
+    
+    // Scale back down and emit every resulting contour
+    const outlines = solution.filter(path => ClipperLib.Clipper.Orientation(path)).length;
+    const offsetPathData = solution
+        .map(path => pointsToSVGPath(path.map(p => ({ X: p.X / scale, Y: p.Y / scale }))))
+        .join(' ');
+    
+    return {
+        pathData: offsetPathData,
+        outlines,
+        holes: solution.length - outlines,
+        sourceOutlines: sourceContours - sourceHoles,
+        sourceHoles
+    };
+}
+
+/**
+ * Intersect two lines given by a point and a direction
+ * @returns {{X: number, Y: number}|null} Intersection, or null for parallel lines
+ */
+function intersectLines(p, u, q, v) {
+    const denominator = u.X * v.Y - u.Y * v.X;
+    if (Math.abs(denominator) < 1e-12) return null;
+    
+    const t = ((q.X - p.X) * v.Y - (q.Y - p.Y) * v.X) / denominator;
+    return { X: p.X + u.X * t, Y: p.Y + u.Y * t };
+}
+
+/**
+ * Create the polygon filling a convex corner between two allowance strips
+ * @param {Object} segment - Segment ending at the corner {b, d, n, width}
+ * @param {Object} next - Segment starting at the corner
+ * @param {Object} corner - {style, miterLimit, tolerance}
+ * @returns {Array} Polygon (array of {X, Y})
+ */
+function createCornerFill(segment, next, corner) {
+    const b = segment.b;
+    const offset = (p, n, width) => ({ X: p.X + n.X * width, Y: p.Y + n.Y * width });
+    // Width of the next segment at the corner (segments can taper, see createEdgeStrips)
+    const nextWidth = next.startWidth;
+    const p1 = offset(b, segment.n, segment.width);
+    const p2 = offset(b, next.n, nextWidth);
+    const maxWidth = Math.max(segment.width, nextWidth);
+    
+    // Turning angle at the corner (0 = straight on)
+    const angle = Math.acos(Math.max(-1, Math.min(1, segment.d.X * next.d.X + segment.d.Y * next.d.Y)));
+    
+    // Cut the corner off perpendicular to the bisector
+    const k = Math.tan(angle / 4);
+    const square = [
+        b,
+        p1,
+        offset(p1, segment.d, segment.width * k),
+        offset(p2, next.d, -nextWidth * k),
+        p2
+    ];
+    
+    if (corner.style === 'round') {
+        // Arc around the corner, the radius changes gradually between different widths
+        const start = Math.atan2(segment.n.Y, segment.n.X);
+        let sweep = Math.atan2(next.n.Y, next.n.X) - start;
+        if (sweep > Math.PI) sweep -= 2 * Math.PI;
+        if (sweep < -Math.PI) sweep += 2 * Math.PI;
         
-        if (points.length < 3) {
-            throw new Error(`Path has too few points for offset: ${points.length}`);
+        const step = 2 * Math.acos(Math.max(0, 1 - corner.tolerance / maxWidth)) || Math.PI / 8;
+        const count = Math.max(2, Math.ceil(Math.abs(sweep) / step));
+        const arc = [b];
+        for (let i = 0; i <= count; i++) {
+            const t = i / count;
+            const radius = segment.width + (nextWidth - segment.width) * t;
+            const a = start + sweep * t;
+            arc.push({ X: b.X + Math.cos(a) * radius, Y: b.Y + Math.sin(a) * radius });
+        }
+        return arc;
+    }
+    
+    if (corner.style === 'square') {
+        return square;
+    }
+    
+    if (corner.style === 'mirrored') {
+        // The wider allowance (e.g. a hem) is folded along its seam; its end must follow the
+        // neighbouring cut line mirrored at that seam
+        const foldIncoming = segment.width >= nextWidth;
+        const fold = foldIncoming ? segment : next;
+        const other = foldIncoming ? next : segment;
+        const otherPoint = foldIncoming ? p2 : p1;
+        const foldPoint = foldIncoming ? p1 : p2;
+        
+        // Where the neighbouring cut line crosses the fold line, and its mirror image
+        const crossing = intersectLines(b, fold.d, otherPoint, other.d);
+        if (crossing) {
+            const along = (crossing.X - b.X) * fold.d.X + (crossing.Y - b.Y) * fold.d.Y;
+            const dot = other.d.X * fold.d.X + other.d.Y * fold.d.Y;
+            const mirrored = { X: 2 * dot * fold.d.X - other.d.X, Y: 2 * dot * fold.d.Y - other.d.Y };
+            const end = intersectLines(foldPoint, fold.d, crossing, mirrored);
+            
+            // The crossing lies beyond the corner in the direction away from the folded edge
+            const outward = foldIncoming ? along > 0 : along < 0;
+            if (end && outward && Math.hypot(crossing.X - b.X, crossing.Y - b.Y) <= corner.miterLimit * maxWidth * 2) {
+                return foldIncoming ?
+                    [b, p1, end, crossing, p2] :
+                    [b, p1, crossing, end, p2];
+            }
+        }
+        return square;
+    }
+    
+    // Miter: extend both cut lines up to their intersection, like Clipper square beyond the limit
+    const miter = intersectLines(p1, segment.d, p2, next.d);
+    if (miter) {
+        const t = (miter.X - p1.X) * segment.d.X + (miter.Y - p1.Y) * segment.d.Y;
+        const s = (miter.X - p2.X) * next.d.X + (miter.Y - p2.Y) * next.d.Y;
+        const miterLength = Math.hypot(miter.X - b.X, miter.Y - b.Y);
+        if (t >= 0 && s <= 0 && miterLength <= corner.miterLimit * maxWidth) {
+            return [b, p1, miter, p2];
+        }
+    }
+    return square;
+}
+
+/**
+ * Get the side of a contour the allowance grows to
+ * @param {Array} points - Contour points
+ * @param {boolean} isHole - True if the allowance grows into the contour
+ * @returns {number} 1 or -1; the allowance normal of a direction d is (side * d.Y, -side * d.X)
+ */
+function getAllowanceSide(points, isHole) {
+    let area = 0;
+    points.forEach((a, i) => {
+        const b = points[(i + 1) % points.length];
+        area += a.X * b.Y - b.X * a.Y;
+    });
+    return (area > 0 ? 1 : -1) * (isHole ? -1 : 1);
+}
+
+/**
+ * Create the polygons covering the allowance of each edge of a contour
+ * Every segment gets a strip of its own width; convex corners are filled in the corner style
+ * @param {Array} points - Contour points
+ * @param {Array} widths - widths[k] is the allowance of the segment ending at points[k]
+ * (widths[0] belongs to the closing segment)
+ * @param {boolean} isHole - True if the allowance grows into the contour
+ * @param {Object} corner - {style: one of CORNER_STYLES, miterLimit, tolerance: arc flattening error}
+ * @param {Array} startWidths - Allowance at the start of each segment, for strips that taper
+ * (defaults to widths)
+ * @returns {Array} Polygons (arrays of {X, Y})
+ */
+function createEdgeStrips(points, widths, isHole, corner, startWidths = widths) {
+    const side = getAllowanceSide(points, isHole);
+    
+    // Segments with their direction and the normal pointing to the allowance side
+    const segments = [];
+    points.forEach((a, i) => {
+        const next = (i + 1) % points.length;
+        const b = points[next];
+        const length = Math.hypot(b.X - a.X, b.Y - a.Y);
+        if (length === 0) return;
+        const d = { X: (b.X - a.X) / length, Y: (b.Y - a.Y) / length };
+        segments.push({
+            a,
+            b,
+            d,
+            n: { X: side * d.Y, Y: -side * d.X },
+            startWidth: startWidths[next],
+            width: widths[next]
+        });
+    });
+    
+    const polygons = [];
+    
+    segments.forEach((segment, i) => {
+        const { a, b, n, startWidth, width } = segment;
+        if (Math.max(startWidth, width) > 0) {
+            polygons.push([
+                a,
+                b,
+                { X: b.X + n.X * width, Y: b.Y + n.Y * width },
+                { X: a.X + n.X * startWidth, Y: a.Y + n.Y * startWidth }
+            ]);
         }
         
-        // Scale up for integer precision (Clipper uses integers)
-        const scale = 1000;
-        const scaledPoints = points.map(p => ({
-            X: Math.round(p.X * scale),
-            Y: Math.round(p.Y * scale)
-        }));
+        // Fill the corner to the next segment when it turns away from the allowance
+        const next = segments[(i + 1) % segments.length];
+        if (Math.max(width, next.startWidth) <= 0 || next.d.X * n.X + next.d.Y * n.Y >= 0) return;
         
-        // Create ClipperOffset
-        const co = new ClipperLib.ClipperOffset(2, 0.25);
+        polygons.push(createCornerFill(segment, next, corner));
+    });
+    
+    return polygons;
+}
+
+/**
+ * Find the curved stretches of a contour
+ * The contour is curved at a vertex when it turns gradually there (less than 30°) on a
+ * radius below the limit; sharp corners and long straight edges are not curves.
+ * @param {Array} points - Contour points
+ * @param {number} side - Allowance side from getAllowanceSide
+ * @param {number} radius - Largest radius that counts as curved
+ * @returns {Array} Per vertex: 0 (not curved), 1 (convex curve) or -1 (concave curve,
+ * the allowance is compressed and needs clipping)
+ */
+function findCurvedVertices(points, side, radius) {
+    const count = points.length;
+    return points.map((p, i) => {
+        const previous = points[(i - 1 + count) % count];
+        const next = points[(i + 1) % count];
+        const lengthIn = Math.hypot(p.X - previous.X, p.Y - previous.Y);
+        const lengthOut = Math.hypot(next.X - p.X, next.Y - p.Y);
+        if (lengthIn === 0 || lengthOut === 0) return 0;
         
-        // Add path
-        co.AddPath(scaledPoints, ClipperLib.JoinType.jtMiter, ClipperLib.EndType.etClosedPolygon);
+        const cross = ((p.X - previous.X) * (next.Y - p.Y) - (p.Y - previous.Y) * (next.X - p.X)) / (lengthIn * lengthOut);
+        const dot = ((p.X - previous.X) * (next.X - p.X) + (p.Y - previous.Y) * (next.Y - p.Y)) / (lengthIn * lengthOut);
+        const angle = Math.abs(Math.atan2(cross, dot));
+        if (angle < 1e-3 || angle >= Math.PI / 6 || (lengthIn + lengthOut) / 2 / angle > radius) return 0;
         
-        // Execute offset
-        const solution = new ClipperLib.Paths();
-        co.Execute(solution, offsetDistance * scale);
+        // Turning towards the allowance side compresses the allowance
+        return -side * cross > 0 ? -1 : 1;
+    });
+}
+
+/**
+ * Split long segments so that widths can change within them
+ * @param {Array} points - Contour points
+ * @param {Array} segments - Segment index of each point (see flattenPath)
+ * @param {Array} curved - Result of findCurvedVertices for the points
+ * @param {number} maxLength - Longest segment after splitting
+ * @returns {{points: Array, segments: Array, curved: Array}} The same edges with more vertices;
+ * new vertices within a curved stretch are curved too
+ */
+function subdivideContour(points, segments, curved, maxLength) {
+    const result = { points: [], segments: [], curved: [] };
+    const count = points.length;
+    
+    points.forEach((p, k) => {
+        result.points.push(p);
+        result.segments.push(segments[k]);
+        result.curved.push(curved[k]);
         
-        if (solution.length > 0) {
-            // Take the first solution and scale back down
-            const offsetPoints = solution[0].map(p => ({
-                X: p.X / scale,
-                Y: p.Y / scale
-            }));
-            
-            return pointsToSVGPath(offsetPoints);
+        // Points between this vertex and the next one belong to the next segment
+        const next = (k + 1) % count;
+        const parts = Math.ceil(Math.hypot(points[next].X - p.X, points[next].Y - p.Y) / maxLength);
+        for (let i = 1; i < parts; i++) {
+            result.points.push({
+                X: p.X + (points[next].X - p.X) * i / parts,
+                Y: p.Y + (points[next].Y - p.Y) * i / parts
+            });
+            result.segments.push(segments[next]);
+            result.curved.push(curved[k] === curved[next] ? curved[k] : 0);
+        }
+    });
+    
+    return result;
+}
+
+/**
+ * Blend the curved stretches into their surroundings
+ * @param {Array} points - Contour points
+ * @param {Array} curved - Result of findCurvedVertices
+ * @param {number} transition - Length over which the blend fades out along the contour
+ * @returns {Array} Per vertex: 1 on curves, easing to 0 within the transition length
+ */
+function getCurveBlend(points, curved, transition) {
+    const count = points.length;
+    const distances = new Array(count).fill(Infinity);
+    if (!curved.some(Boolean)) return distances.map(() => 0);
+    
+    // Distance along the contour to the nearest curved vertex, in both directions
+    // (two rounds so that stretches wrap around the start of the contour)
+    const segmentLength = i => {
+        const previous = points[(i - 1 + count) % count];
+        return Math.hypot(points[i].X - previous.X, points[i].Y - previous.Y);
+    };
+    let distance = Infinity;
+    for (let step = 0; step < 2 * count; step++) {
+        const i = step % count;
+        distance = curved[i] ? 0 : distance + segmentLength(i);
+        distances[i] = Math.min(distances[i], distance);
+    }
+    distance = Infinity;
+    for (let step = 2 * count - 1; step >= 0; step--) {
+        const i = step % count;
+        distance = curved[i] ? 0 : distance + segmentLength((i + 1) % count);
+        distances[i] = Math.min(distances[i], distance);
+    }
+    
+    // Smoothstep from the curve to the end of the transition
+    return distances.map(d => {
+        if (transition <= 0) return d === 0 ? 1 : 0;
+        const t = Math.max(0, 1 - d / transition);
+        return t * t * (3 - 2 * t);
+    });
+}
+
+/**
+ * Create clip marks on the concave curved stretches of a contour
+ * The marks run perpendicular to the seam from the cut line to a third of the allowance.
+ * @param {Array} points - Contour points
+ * @param {Array} curved - Result of findCurvedVertices
+ * @param {Array} vertexWidths - Allowance at each vertex
+ * @param {number} side - Allowance side from getAllowanceSide
+ * @param {number} spacing - Distance between the marks along the seam
+ * @returns {Array} Marks [from, to]
+ */
+function createClipMarks(points, curved, vertexWidths, side, spacing) {
+    const count = points.length;
+    const marks = [];
+    
+    // Start outside a stretch so that no stretch is split at the start of the contour
+    const first = Math.max(0, curved.findIndex(value => value !== -1));
+    let travelled = null;
+    for (let step = 0; step < count; step++) {
+        const i = (first + step) % count;
+        if (curved[i] !== -1) {
+            travelled = null;
+            continue;
+        }
+        
+        const previous = points[(i - 1 + count) % count];
+        const next = points[(i + 1) % count];
+        // Start half a spacing into each stretch
+        travelled = travelled === null ? spacing / 2 :
+            travelled + Math.hypot(points[i].X - previous.X, points[i].Y - previous.Y);
+        if (travelled < spacing || vertexWidths[i] <= 0) continue;
+        travelled = 0;
+        
+        // Perpendicular to the chord through the neighbours
+        const dx = next.X - previous.X;
+        const dy = next.Y - previous.Y;
+        const length = Math.hypot(dx, dy);
+        if (length === 0) continue;
+        const n = { X: side * dy / length, Y: -side * dx / length };
+        const width = vertexWidths[i];
+        marks.push([
+            { X: points[i].X + n.X * width, Y: points[i].Y + n.Y * width },
+            { X: points[i].X + n.X * width / 3, Y: points[i].Y + n.Y * width / 3 }
+        ]);
+    }
+    
+    return marks;
+}
+
+/**
+ * Offset a path with an individual allowance per edge
+ * Edges are the segments of the path data (see flattenPath); an edge without its own
+ * width gets the default offset. A width of 0 leaves the edge without allowance.
+ * @param {string} pathData - SVG path data
+ * @param {number} defaultOffset - Offset of edges without their own width (SVG units)
+ * @param {Map} edgeOffsets - Segment index -> offset in SVG units
+ * @param {Object} options - {curveTolerance: maximum curve flattening error,
+ * cornerStyle: one of CORNER_STYLES (default miter), miterLimit: multiple of the allowance (default 2),
+ * mirrorLine: {start, end} to add the allowance mirrored across this line (cut-on-fold pieces),
+ * curvedOffset: narrower offset of curved stretches (edges without their own width), with
+ * curveRadius: largest radius that counts as curved, curveTransition: length of the change
+ * between the two offsets and clipSpacing: distance between clip marks on concave curves}
+ * @returns {Object} Result in the format of offsetPathContours, plus clipMarks: path data of the
+ * clip marks ('' without curvedOffset)
+ */
+export function offsetPathEdges(pathData, defaultOffset, edgeOffsets, options = {}) {
+    const subpaths = flattenPath(pathData, options.curveTolerance)
+        .filter(subpath => subpath.points.length >= 3);
+    
+    if (subpaths.length === 0) {
+        const points = parseSVGPath(pathData, options.curveTolerance);
+        throw new Error(`Path has too few points for offset: ${points.length}`);
+    }
+    
+    const contours = subpaths.map(subpath => subpath.points);
+    const isHole = findHoles(contours);
+    const corner = {
+        style: options.cornerStyle || DEFAULT_CORNER_STYLE,
+        miterLimit: options.miterLimit || DEFAULT_MITER_LIMIT,
+        tolerance: options.curveTolerance || DEFAULT_CURVE_TOLERANCE
+    };
+    
+    // Scale up for integer precision (Clipper uses integers)
+    const scale = 1000;
+    const toClipperPath = points => points.map(p => ({
+        X: Math.round(p.X * scale),
+        Y: Math.round(p.Y * scale)
+    }));
+    
+    // The piece itself: outlines minus holes
+    const clipper = new ClipperLib.Clipper();
+    clipper.AddPaths(contours.map(toClipperPath), ClipperLib.PolyType.ptSubject, true);
+    const material = new ClipperLib.Paths();
+    clipper.Execute(ClipperLib.ClipType.ctUnion, material,
+        ClipperLib.PolyFillType.pftEvenOdd, ClipperLib.PolyFillType.pftEvenOdd);
+    
+    // Allowance strips and corner fills, all oriented positively so that they add up
+    const parts = [];
+    const clipMarks = [];
+    const curvedStretches = Number.isFinite(options.curvedOffset);
+    const transition = options.curveTransition ?? DEFAULT_CURVE_TRANSITION;
+    subpaths.forEach((subpath, index) => {
+        let { points, segments } = subpath;
+        let widths = segments.map(segment =>
+            edgeOffsets.has(segment) ? edgeOffsets.get(segment) : defaultOffset
+        );
+        let startWidths = widths;
+        
+        // Curved stretches taper to the narrower offset; edges with their own width keep it
+        if (curvedStretches) {
+            const side = getAllowanceSide(points, isHole[index]);
+            let curved = findCurvedVertices(points, side, options.curveRadius ?? DEFAULT_CURVE_RADIUS);
+            // More vertices so that the width also changes gradually along long straight edges
+            if (transition > 0) {
+                ({ points, segments, curved } = subdivideContour(points, segments, curved, transition / 4));
+            }
+            const blend = getCurveBlend(points, curved, transition);
+            const vertexWidth = i => defaultOffset + (options.curvedOffset - defaultOffset) * blend[i];
+            const count = points.length;
+            startWidths = segments.map((segment, k) =>
+                edgeOffsets.has(segment) ? edgeOffsets.get(segment) : vertexWidth((k - 1 + count) % count)
+            );
+            widths = segments.map((segment, k) =>
+                edgeOffsets.has(segment) ? edgeOffsets.get(segment) : vertexWidth(k)
+            );
+            clipMarks.push(...createClipMarks(points, curved, widths, side, options.clipSpacing ?? DEFAULT_CLIP_SPACING));
         }
         
+        createEdgeStrips(points, widths, isHole[index], corner, startWidths).forEach(polygon => {
+            const path = toClipperPath(polygon);
+            const area = ClipperLib.Clipper.Area(path);
+            if (area !== 0) {
+                parts.push(area > 0 ? path : path.reverse());
+            }
+        });
+    });
+    
+    // The mirrored half of a piece cut on the fold
+    if (options.mirrorLine) {
+        const line = {
+            start: { X: options.mirrorLine.start.X * scale, Y: options.mirrorLine.start.Y * scale },
+            end: { X: options.mirrorLine.end.X * scale, Y: options.mirrorLine.end.Y * scale }
+        };
+        // Reflection reverses the orientation, reversing the points restores it
+        const mirrored = [...material, ...parts].map(path => reflectPoints(path, line)
+            .map(p => ({ X: Math.round(p.X), Y: Math.round(p.Y) }))
+            .reverse());
+        parts.push(...mirrored);
+    }
+    
+    const marks = options.mirrorLine ?
+        [...clipMarks, ...clipMarks.map(mark => reflectPoints(mark, options.mirrorLine))] : clipMarks;
+    
+    const union = new ClipperLib.Clipper();
+    union.AddPaths(material, ClipperLib.PolyType.ptSubject, true);
+    union.AddPaths(parts, ClipperLib.PolyType.ptSubject, true);
+    const solution = new ClipperLib.Paths();
+    union.Execute(ClipperLib.ClipType.ctUnion, solution,
+        ClipperLib.PolyFillType.pftNonZero, ClipperLib.PolyFillType.pftNonZero);
+    
+    return {
+        ...summarizeOffset(solution, scale, contours.length, isHole.filter(Boolean).length),
+        clipMarks: marks
+            .map(([from, to]) => `M ${from.X.toFixed(3)} ${from.Y.toFixed(3)} L ${to.X.toFixed(3)} ${to.Y.toFixed(3)}`)
+            .join(' ')
+    };
+}
+
+/**
+ * Expand a path by the given offset using clipper-lib
+ * @param {string} pathData - SVG path data
+ * @param {number} offsetDistance - Offset amount in SVG units
+ * @param {Object} options - {curveTolerance: maximum curve flattening error in SVG units}
+ * @returns {string} - Expanded path data
+ */
+export function expandPathWithClipper(pathData, offsetDistance, options = {}) {
+    if (!pathData || typeof pathData !== 'string' || offsetDistance <= 0) {
         return pathData;
+    }
+    
+    try {
+        return offsetPathContours(pathData, offsetDistance, options).pathData;
     } catch (error) {
         console.error('Clipper offset error:', error);
         throw error;
@@ -209,13 +680,24 @@ export function expandPathWithClipper(pathData, offsetDistance) {
  * Apply seam allowance to SVG using clipper-lib
  * @param {SVGElement} svgElement - The SVG element to process
  * @param {number} seamAllowance - The seam allowance in mm
- * @returns {Object} - Object with svg and errors array
+ * @param {Object} options - Options passed to offsetPathContours and offsetPathEdges, plus
+ * unitsPerMm: SVG units per mm, used to convert the per-piece and per-edge widths
+ * (data-seam-allowance and data-edge-allowances, in mm). Pieces can replace
+ * options.cornerStyle with their own (data-corner-style). Fold edges (data-fold-edge) get
+ * no allowance, or the allowance covers the mirrored half too (data-fold-mirror).
+ * options.curvedAllowance (mm) narrows curved stretches below options.curveRadius (mm) and
+ * adds clip marks to concave curves.
+ * @returns {Object} - Object with svg, errors array and warnings array
+ * (warnings: {pieceId, outlines, holes, sourceOutlines, sourceHoles} for allowances that split or lose holes)
  */
-export function applySeamAllowanceWithClipper(svgElement, seamAllowance) {
+export function applySeamAllowanceWithClipper(svgElement, seamAllowance, options = {}) {
     const errors = [];
+    const warnings = [];
     
-    if (!svgElement || seamAllowance <= 0) {
-        return { svg: svgElement, errors };
+    const hasOverrides = svgElement && svgElement.querySelector(
+        `path.seam[${EDGE_ALLOWANCES_ATTRIBUTE}], path.seam[${FOLD_EDGE_ATTRIBUTE}], [${PIECE_ALLOWANCE_ATTRIBUTE}]`);
+    if (!svgElement || (seamAllowance <= 0 && !hasOverrides)) {
+        return { svg: svgElement, errors, warnings };
     }
     
     // Clone the SVG to avoid modifying the original
@@ -229,14 +711,62 @@ export function applySeamAllowanceWithClipper(svgElement, seamAllowance) {
             const pathData = path.getAttribute('d');
             if (!pathData) return;
             
-            // Expand the path
-            const expandedPath = expandPathWithClipper(pathData, seamAllowance);
+            // Pieces and edges with their own width (in mm)
+            const unitsPerMm = options.unitsPerMm || 1;
+            const pieceAllowance = getPieceSeamAllowance(path.closest(`[${PIECE_ALLOWANCE_ATTRIBUTE}]`));
+            const pieceCornerStyle = getPieceCornerStyle(path.closest(`[${PIECE_CORNER_STYLE_ATTRIBUTE}]`));
+            let pathOptions = CORNER_STYLES.includes(pieceCornerStyle) ?
+                { ...options, cornerStyle: pieceCornerStyle } : options;
+            const allowance = pieceAllowance === null ? seamAllowance : pieceAllowance * unitsPerMm;
+            const edgeOffsets = new Map();
+            parseEdgeAllowances(path.getAttribute(EDGE_ALLOWANCES_ATTRIBUTE)).forEach((width, index) => {
+                edgeOffsets.set(index, width * unitsPerMm);
+            });
+            
+            // Fold edges get no allowance; mirrored pieces get the allowance of both halves
+            const fold = getFoldLine(path, options.curveTolerance);
+            const mirrorLine = fold && isFoldMirrored(path.closest(`[${FOLD_MIRROR_ATTRIBUTE}]`)) ? fold : null;
+            if (edgeOffsets.size === 0 && allowance <= 0 && !mirrorLine) return;
+            if (fold) {
+                edgeOffsets.set(fold.index, 0);
+            }
+            if (mirrorLine) {
+                pathOptions = { ...pathOptions, mirrorLine };
+            }
+            if (Number.isFinite(options.curvedAllowance)) {
+                pathOptions = {
+                    ...pathOptions,
+                    curvedOffset: options.curvedAllowance * unitsPerMm,
+                    curveRadius: (Number.isFinite(options.curveRadius) ? options.curveRadius : DEFAULT_CURVE_RADIUS) * unitsPerMm,
+                    curveTransition: DEFAULT_CURVE_TRANSITION * unitsPerMm,
+                    clipSpacing: DEFAULT_CLIP_SPACING * unitsPerMm
+                };
+            }
+            
+            // Expand the outlines and shrink the holes
+            const result = edgeOffsets.size > 0 ?
+                offsetPathEdges(pathData, Math.max(allowance, 0), edgeOffsets, pathOptions) :
+                offsetPathContours(pathData, allowance, pathOptions);
+            
+            // The allowance split into several parts or a cut-out closed up
+            if (result.outlines !== result.sourceOutlines || result.holes !== result.sourceHoles) {
+                const piece = path.closest('g');
+                warnings.push({
+                    pieceId: piece?.getAttribute('id') || path.getAttribute('id') || `path-${index + 1}`,
+                    outlines: result.outlines,
+                    holes: result.holes,
+                    sourceOutlines: result.sourceOutlines,
+                    sourceHoles: result.sourceHoles
+                });
+            }
             
             // Create seam allowance path
             const allowancePath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-            allowancePath.setAttribute('d', expandedPath);
+            allowancePath.setAttribute('d', result.pathData);
             allowancePath.setAttribute('class', 'seam-allowance');
             allowancePath.setAttribute('fill', 'none');
+            // Cut-outs stay empty when the outline is filled or used for clipping
+            allowancePath.setAttribute('fill-rule', 'evenodd');
             allowancePath.setAttribute('stroke', '#000');
             allowancePath.setAttribute('stroke-width', '2');
             
@@ -249,6 +779,17 @@ export function applySeamAllowanceWithClipper(svgElement, seamAllowance) {
             // Insert the allowance path after the original
             path.parentNode.insertBefore(allowancePath, path.nextSibling);
             
+            // Clip marks on concave curves
+            if (result.clipMarks) {
+                const clipPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+                clipPath.setAttribute('d', result.clipMarks);
+                clipPath.setAttribute('class', 'clip-marks');
+                clipPath.setAttribute('fill', 'none');
+                clipPath.setAttribute('stroke', '#000');
+                clipPath.setAttribute('stroke-width', (0.3 * unitsPerMm).toString());
+                path.parentNode.insertBefore(clipPath, allowancePath.nextSibling);
+            }
+            
             // Update original path style with finer dotted line
             path.setAttribute('stroke-dasharray', '2,2');
         } catch (error) {
@@ -261,5 +802,5 @@ export function applySeamAllowanceWithClipper(svgElement, seamAllowance) {
         }
     });
     
-    return { svg: clonedSvg, errors };
+    return { svg: clonedSvg, errors, warnings };
 }
\ No newline at end of file
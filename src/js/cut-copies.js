@@ -0,0 +1,80 @@
+/**
+ * Cut quantities
+ * A piece cut more than once is stored once with data-cut-count="<n>" on the piece.
+ * With data-cut-mirror="true", every second copy is cut mirrored (e.g. a left and a right
+ * sleeve). Paper layouts print each piece once and label it; fabric layouts place every copy.
+ */
+
+export const CUT_COUNT_ATTRIBUTE = 'data-cut-count';
+export const CUT_MIRROR_ATTRIBUTE = 'data-cut-mirror';
+// Set on placed copies that are mirrored
+export const MIRRORED_COPY_ATTRIBUTE = 'data-cut-mirrored';
+// Set on placed copies after the first: ID of the loaded piece they are a copy of
+export const COPY_OF_ATTRIBUTE = 'data-copy-of';
+
+/**
+ * Get how many times a piece is cut
+ * @param {Element} piece - Pattern piece group
+ * @returns {number} Cut count, at least 1
+ */
+export function getCutCount(piece) {
+    return Math.max(1, parseInt(piece.getAttribute(CUT_COUNT_ATTRIBUTE), 10) || 1);
+}
+
+/**
+ * Check whether every second copy of a piece is cut mirrored
+ * @param {Element} piece - Pattern piece group
+ * @returns {boolean} True for pieces cut in mirrored pairs
+ */
+export function isCutMirrored(piece) {
+    return piece.getAttribute(CUT_MIRROR_ATTRIBUTE) === 'true';
+}
+
+/**
+ * Check whether a copy of a piece is mirrored
+ * @param {Element} piece - Pattern piece group
+ * @param {number} copyIndex - Index of the copy, starting at 0
+ * @returns {boolean} True for the second, fourth, ... copy of a piece cut in mirrored pairs
+ */
+export function isMirroredCopy(piece, copyIndex) {
+    return isCutMirrored(piece) && copyIndex % 2 === 1;
+}
+
+/**
+ * Give a placed copy of a piece IDs of its own, so that the IDs of a fabric marker stay unique
+ * @param {Element} copy - Cloned piece group, changed in place
+ * @param {number} copyIndex - Index of the copy, starting at 0 (the first copy keeps the IDs)
+ */
+export function renameCopyIds(copy, copyIndex) {
+    if (copyIndex === 0) return;
+    
+    const suffix = `-copy${copyIndex + 1}`;
+    if (copy.hasAttribute('id')) {
+        copy.setAttribute(COPY_OF_ATTRIBUTE, copy.getAttribute('id'));
+    }
+    [copy, ...copy.querySelectorAll('[id]')]
+        .filter(element => element.hasAttribute('id'))
+        .forEach(element => element.setAttribute('id', element.getAttribute('id') + suffix));
+}
+
+/**
+ * Get the ID of the loaded piece a placed piece shows
+ * @param {Element} piece - Placed piece group
+ * @returns {string|null} ID of the loaded piece
+ */
+export function getSourcePieceId(piece) {
+    return piece.getAttribute(COPY_OF_ATTRIBUTE) || piece.getAttribute('id');
+}
+
+/**
+ * Get the cut instruction printed on a piece
+ * (ASCII so that the PDF fonts can render it)
+ * @param {Element} piece - Pattern piece group
+ * @returns {string|null} E.g. "Cut 2 (mirror)", or null for pieces cut once
+ */
+export function getCutLabel(piece) {
+    const count = getCutCount(piece);
+    const mirrored = isCutMirrored(piece);
+    if (count === 1 && !mirrored) return null;
+    return `Cut ${count}${mirrored ? ' (mirror)' : ''}`;
+}
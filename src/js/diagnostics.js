@@ -0,0 +1,249 @@
+/**
+ * Input diagnostics for loaded patterns
+ * Checks the pattern pieces, seams and sewingguides of a loaded SVG for problems that
+ * would otherwise only show up as wrong output: missing or broken seams, guides that
+ * cannot be paired and duplicate IDs.
+ */
+
+import { flattenPath } from './svg-path.js';
+
+// Severities in the order the findings are listed
+export const SEVERITIES = ['error', 'warning'];
+
+// Curve flattening tolerance for the checks, in SVG units
+const DIAGNOSTICS_TOLERANCE = 0.5;
+// Areas below this fraction of the squared piece size count as zero
+const ZERO_AREA_RATIO = 1e-6;
+
+/**
+ * Create a finding
+ * @param {string} severity - See SEVERITIES
+ * @param {string} code - Kind of problem, e.g. 'open-seam'
+ * @param {Element|null} piece - Affected pattern piece
+ * @param {Object} params - Values for the message
+ * @returns {Object} Finding {severity, code, pieceId, params}
+ */
+function createFinding(severity, code, piece, params = {}) {
+    return {
+        severity,
+        code,
+        pieceId: piece ? piece.getAttribute('id') : null,
+        params: {
+            piece: piece ? piece.getAttribute('data-pattern-symbol') || piece.getAttribute('id') || '?' : '',
+            ...params
+        }
+    };
+}
+
+/**
+ * Get the pattern piece (group with a seam) that contains an element
+ * @param {Element} element - Element inside the SVG
+ * @returns {Element|null} Pattern piece group
+ */
+function findPiece(element) {
+    let current = element.parentElement;
+    while (current && current.tagName.toLowerCase() !== 'svg') {
+        if (current.tagName.toLowerCase() === 'g' && current.querySelector('path.seam')) {
+            return current;
+        }
+        current = current.parentElement;
+    }
+    return null;
+}
+
+/**
+ * Signed area of a polygon
+ * @param {Array} points - Polygon points {X, Y}
+ * @returns {number} Area, positive for clockwise polygons in SVG coordinates
+ */
+function getPolygonArea(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        area += a.X * b.Y - b.X * a.Y;
+    }
+    return area / 2;
+}
+
+/**
+ * Check if two segments cross each other
+ * Segments that only touch at an end point do not count
+ * @returns {boolean} True if the segments properly intersect
+ */
+function segmentsCross(a, b, c, d) {
+    const cross = (p, q, r) => (q.X - p.X) * (r.Y - p.Y) - (q.Y - p.Y) * (r.X - p.X);
+    const d1 = cross(c, d, a);
+    const d2 = cross(c, d, b);
+    const d3 = cross(a, b, c);
+    const d4 = cross(a, b, d);
+    return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+/**
+ * Check if a closed outline crosses itself
+ * @param {Array} points - Outline points {X, Y}
+ * @returns {boolean} True if two non-adjacent edges intersect
+ */
+export function isSelfIntersecting(points) {
+    // Drop repeated points so that zero-length edges do not hide neighbours
+    const outline = points.filter((p, i) => {
+        const previous = points[(i - 1 + points.length) % points.length];
+        return i === 0 || p.X !== previous.X || p.Y !== previous.Y;
+    });
+    if (outline.length > 1) {
+        const first = outline[0];
+        const last = outline[outline.length - 1];
+        if (first.X === last.X && first.Y === last.Y) outline.pop();
+    }
+    
+    const count = outline.length;
+    if (count < 4) return false;
+    
+    const edges = outline.map((a, i) => {
+        const b = outline[(i + 1) % count];
+        return {
+            a,
+            b,
+            minX: Math.min(a.X, b.X),
+            maxX: Math.max(a.X, b.X),
+            minY: Math.min(a.Y, b.Y),
+            maxY: Math.max(a.Y, b.Y)
+        };
+    });
+    
+    for (let i = 0; i < count; i++) {
+        const e1 = edges[i];
+        // Skip the edge itself and its two neighbours
+        for (let j = i + 2; j < count; j++) {
+            if (i === 0 && j === count - 1) continue;
+            const e2 = edges[j];
+            if (e1.maxX < e2.minX || e2.maxX < e1.minX || e1.maxY < e2.minY || e2.maxY < e1.minY) continue;
+            if (segmentsCross(e1.a, e1.b, e2.a, e2.b)) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+/**
+ * Check the seams of one pattern piece
+ * @param {Element} piece - Pattern piece group
+ * @returns {Array} Findings
+ */
+function diagnoseSeams(piece) {
+    const findings = [];
+    let totalArea = 0;
+    let anyCrossing = false;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    
+    piece.querySelectorAll('path.seam').forEach(seam => {
+        const subpaths = flattenPath(seam.getAttribute('d') || '', DIAGNOSTICS_TOLERANCE)
+            .filter(subpath => subpath.points.length > 1);
+        let open = false;
+        let crossing = false;
+        
+        subpaths.forEach(({ points, closed }) => {
+            const first = points[0];
+            const last = points[points.length - 1];
+            if (!closed && Math.hypot(first.X - last.X, first.Y - last.Y) > DIAGNOSTICS_TOLERANCE) {
+                open = true;
+            }
+            if (isSelfIntersecting(points)) {
+                crossing = true;
+            }
+            totalArea += Math.abs(getPolygonArea(points));
+            points.forEach(p => {
+                minX = Math.min(minX, p.X);
+                minY = Math.min(minY, p.Y);
+                maxX = Math.max(maxX, p.X);
+                maxY = Math.max(maxY, p.Y);
+            });
+        });
+        
+        if (open) {
+            findings.push(createFinding('warning', 'open-seam', piece));
+        }
+        if (crossing) {
+            findings.push(createFinding('error', 'self-intersecting-seam', piece));
+            anyCrossing = true;
+        }
+    });
+    
+    // The signed areas of a crossing outline cancel out, so only check the others
+    const size = Math.max(maxX - minX, maxY - minY);
+    if (!anyCrossing && (!(size > 0) || totalArea <= ZERO_AREA_RATIO * size * size)) {
+        findings.push(createFinding('error', 'zero-area-piece', piece));
+    }
+    return findings;
+}
+
+/**
+ * Check a loaded pattern for problems
+ * Run after the pattern pieces got their IDs and symbols
+ * @param {SVGElement} svgElement - Loaded SVG
+ * @returns {Array} Findings {severity, code, pieceId, params} sorted by severity
+ */
+export function diagnosePattern(svgElement) {
+    const findings = [];
+    
+    // Pieces are the top-level groups; groups without a seam are left out of the layout
+    const groups = Array.from(svgElement.querySelectorAll('g')).filter(group => group.parentElement === svgElement);
+    const pieces = groups.filter(group => group.querySelector('path.seam'));
+    if (pieces.length === 0) {
+        findings.push(createFinding('error', 'no-pieces', null));
+    }
+    groups.filter(group => !group.querySelector('path.seam')).forEach(group => {
+        findings.push(createFinding('warning', 'missing-seam', group));
+    });
+    pieces.forEach(piece => findings.push(...diagnoseSeams(piece)));
+    
+    // Sewingguides are paired by their stroke colour
+    const colors = new Map();
+    svgElement.querySelectorAll('.sewinguide').forEach(guide => {
+        const piece = findPiece(guide);
+        if (guide.tagName.toLowerCase() !== 'path') {
+            findings.push(createFinding('warning', 'guide-not-path', piece, { element: guide.tagName.toLowerCase() }));
+        }
+        if (!piece) {
+            findings.push(createFinding('warning', 'guide-outside-piece', null, { color: guide.getAttribute('stroke') || '' }));
+        }
+        const color = guide.getAttribute('stroke');
+        if (color) {
+            if (!colors.has(color)) colors.set(color, []);
+            colors.get(color).push(piece);
+        }
+    });
+    colors.forEach((guidePieces, color) => {
+        if (guidePieces.length > 2) {
+            findings.push(createFinding('warning', 'guide-color-count', guidePieces.find(piece => piece) || null,
+                { color, count: guidePieces.length }));
+        }
+    });
+    
+    // Duplicate IDs break references such as clip paths and piece lookups
+    const ids = new Map();
+    svgElement.querySelectorAll('[id]').forEach(element => {
+        const id = element.getAttribute('id');
+        ids.set(id, (ids.get(id) || 0) + 1);
+    });
+    ids.forEach((count, id) => {
+        if (count > 1) {
+            const piece = pieces.find(p => p.getAttribute('id') === id) || null;
+            findings.push(createFinding('error', 'duplicate-id', piece, { id, count }));
+        }
+    });
+    
+    return findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+/**
+ * Report base pieces whose seam settings (folds, per-edge allowances) cannot be copied to a size
+ * @param {Array} pieces - Base pieces from findUnmatchedSeams()
+ * @param {string} size - Name of the size
+ * @returns {Array} Findings {severity, code, pieceId, params}
+ */
+export function diagnoseSizeSettings(pieces, size) {
+    return pieces.map(piece => createFinding('warning', 'unmatched-size-seam', piece, { size }));
+}
@@ -0,0 +1,208 @@
+/**
+ * Per-piece and per-edge seam allowance widths
+ * A piece (top-level group) can replace the global seam allowance with its own width,
+ * stored as data-seam-allowance="<width in mm>" on the group, and the global corner style
+ * with data-corner-style.
+ *
+ * An edge is one segment of a seam's path data (a line, curve or arc between two vertices),
+ * addressed by the index of its path command. The closing edge of a subpath is addressed by
+ * the index of the subpath's moveto. Widths that differ from the global seam allowance are
+ * stored on the seam path as data-edge-allowances="<segment index>:<width in mm> ...",
+ * so they survive re-rendering, scaling and export.
+ */
+
+import { flattenPath, DEFAULT_CURVE_TOLERANCE } from './svg-path.js';
+
+export const EDGE_ALLOWANCES_ATTRIBUTE = 'data-edge-allowances';
+export const PIECE_ALLOWANCE_ATTRIBUTE = 'data-seam-allowance';
+export const PIECE_CORNER_STYLE_ATTRIBUTE = 'data-corner-style';
+// Segment index of the edge cut on the fold (see fold-line.js)
+export const FOLD_EDGE_ATTRIBUTE = 'data-fold-edge';
+
+/**
+ * Get the seam allowance override of a piece
+ * @param {Element|null} piece - Pattern piece group
+ * @returns {number|null} Width in mm, or null if the piece uses the global seam allowance
+ */
+export function getPieceSeamAllowance(piece) {
+    const value = piece?.getAttribute(PIECE_ALLOWANCE_ATTRIBUTE);
+    if (value === null || value === undefined || value.trim() === '') return null;
+    
+    const width = Number(value);
+    return width >= 0 ? width : null;
+}
+
+/**
+ * Get the corner style override of a piece
+ * @param {Element|null} piece - Pattern piece group
+ * @returns {string|null} Corner style (see CORNER_STYLES in clipper-offset.js), or null if the
+ * piece uses the global corner style
+ */
+export function getPieceCornerStyle(piece) {
+    return piece?.getAttribute(PIECE_CORNER_STYLE_ATTRIBUTE) || null;
+}
+
+/**
+ * Parse the per-edge widths of a seam path
+ * @param {string|null} value - Attribute value, e.g. "2:30 5:0"
+ * @returns {Map} Segment index -> width in mm
+ */
+export function parseEdgeAllowances(value) {
+    const allowances = new Map();
+    if (!value) return allowances;
+    
+    value.trim().split(/\s+/).forEach(entry => {
+        const [index, width] = entry.split(':').map(Number);
+        if (Number.isInteger(index) && index >= 0 && width >= 0) {
+            allowances.set(index, width);
+        }
+    });
+    return allowances;
+}
+
+/**
+ * Format per-edge widths for the data attribute
+ * @param {Map} allowances - Segment index -> width in mm
+ * @returns {string} Attribute value sorted by segment index
+ */
+export function formatEdgeAllowances(allowances) {
+    return Array.from(allowances.entries())
+        .sort((a, b) => a[0] - b[0])
+        .map(([index, width]) => `${index}:${width}`)
+        .join(' ');
+}
+
+/**
+ * Split a seam into its edges
+ * @param {string} pathData - SVG path data of the seam
+ * @param {number} tolerance - Curve flattening tolerance
+ * @returns {Array} Edges {index: segment index, contour: subpath index, points: polyline of the edge}
+ */
+export function getSeamEdges(pathData, tolerance = DEFAULT_CURVE_TOLERANCE) {
+    const edges = [];
+    
+    flattenPath(pathData || '', tolerance).forEach((subpath, contour) => {
+        const { points, segments } = subpath;
+        if (points.length < 2) return;
+        
+        let edge = null;
+        const addPoint = (from, to, index) => {
+            if (from.X === to.X && from.Y === to.Y) return;
+            if (!edge || edge.index !== index) {
+                edge = { index, contour, points: [from] };
+                edges.push(edge);
+            }
+            edge.points.push(to);
+        };
+        
+        for (let k = 1; k < points.length; k++) {
+            addPoint(points[k - 1], points[k], segments[k]);
+        }
+        // Seams are closed outlines, with or without an explicit closepath
+        if (points.length >= 3) {
+            addPoint(points[points.length - 1], points[0], segments[0]);
+        }
+    });
+    
+    return edges;
+}
+
+/**
+ * Distance from a point to a polyline
+ * @param {{X: number, Y: number}} p - Point
+ * @param {Array} polyline - Array of {X, Y}
+ * @returns {number} Shortest distance
+ */
+function distanceToPolyline(p, polyline) {
+    let best = Infinity;
+    for (let i = 1; i < polyline.length; i++) {
+        const a = polyline[i - 1];
+        const b = polyline[i];
+        const dx = b.X - a.X;
+        const dy = b.Y - a.Y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0 ?
+            Math.max(0, Math.min(1, ((p.X - a.X) * dx + (p.Y - a.Y) * dy) / lengthSquared)) : 0;
+        best = Math.min(best, Math.hypot(p.X - (a.X + t * dx), p.Y - (a.Y + t * dy)));
+    }
+    return best;
+}
+
+/**
+ * Find the edges that lie on a sewing guide
+ * @param {Array} edges - Edges from getSeamEdges
+ * @param {string} guidePathData - Path data of the sewing guide
+ * @param {number} maxDistance - Allowed distance of the edge points from the guide
+ * (defaults to 2% of the guide length)
+ * @returns {Array} Segment indices of the edges along the guide
+ */
+export function findEdgesAlongGuide(edges, guidePathData, maxDistance = null) {
+    const guide = flattenPath(guidePathData || '').flatMap(subpath => subpath.points);
+    if (guide.length < 2) return [];
+    
+    let length = 0;
+    for (let i = 1; i < guide.length; i++) {
+        length += Math.hypot(guide[i].X - guide[i - 1].X, guide[i].Y - guide[i - 1].Y);
+    }
+    const limit = maxDistance ?? length * 0.02;
+    
+    return edges
+        .filter(edge => edge.points.every(p => distanceToPolyline(p, guide) <= limit))
+        .map(edge => edge.index);
+}
+
+/**
+ * Draw clickable edge handles on a pattern piece of the preview
+ * @param {Element} piece - Pattern piece group in the preview
+ * @param {Set} selectedEdges - Keys "<seam index>:<segment index>" of the selected edges
+ */
+export function drawEdgeHandles(piece, selectedEdges) {
+    removeEdgeHandles(piece);
+    
+    // The outlines of nested graded sizes are for reference only
+    const seams = Array.from(piece.querySelectorAll('path.seam')).filter(seam => !seam.closest('.graded-size'));
+    seams.forEach((seam, seamIndex) => {
+        const allowances = parseEdgeAllowances(seam.getAttribute(EDGE_ALLOWANCES_ATTRIBUTE));
+        const foldValue = seam.getAttribute(FOLD_EDGE_ATTRIBUTE);
+        const foldIndex = foldValue ? Number(foldValue) : null;
+        
+        // Handles share the seam's parent so any transform of nested groups applies to both
+        const handles = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        handles.setAttribute('class', 'edge-handles');
+        
+        getSeamEdges(seam.getAttribute('d')).forEach(edge => {
+            const key = `${seamIndex}:${edge.index}`;
+            const handle = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+            handle.setAttribute('points', edge.points.map(p => `${p.X},${p.Y}`).join(' '));
+            handle.setAttribute('class', 'edge-handle' +
+                (selectedEdges.has(key) ? ' selected' : '') +
+                (allowances.has(edge.index) ? ' custom' : '') +
+                (edge.index === foldIndex ? ' fold' : ''));
+            handle.setAttribute('data-seam-index', seamIndex);
+            handle.setAttribute('data-edge-index', edge.index);
+            handles.appendChild(handle);
+            
+            // Show custom widths next to the middle of the edge
+            if (allowances.has(edge.index)) {
+                const middle = edge.points[Math.floor(edge.points.length / 2)];
+                const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+                label.setAttribute('x', middle.X);
+                label.setAttribute('y', middle.Y);
+                label.setAttribute('class', 'edge-allowance-label');
+                label.setAttribute('text-anchor', 'middle');
+                label.textContent = `${allowances.get(edge.index)}mm`;
+                handles.appendChild(label);
+            }
+        });
+        
+        seam.parentNode.appendChild(handles);
+    });
+}
+
+/**
+ * Remove the edge handles from an element and its descendants
+ * @param {Element} element - Preview SVG or pattern piece
+ */
+export function removeEdgeHandles(element) {
+    element.querySelectorAll('.edge-handles').forEach(handles => handles.remove());
+}
@@ -0,0 +1,228 @@
+/**
+ * Cut-on-fold edges
+ * Half pieces are cut on the fold of the fabric. The fold edge of a seam is stored as
+ * data-fold-edge="<segment index>" on the seam path (segment indices as in edge-allowance.js).
+ * The fold edge gets no seam allowance and is marked with a dashed line and a "place on fold"
+ * bracket. With data-fold-mirror="true" on the piece, the piece is mirrored across the fold
+ * and printed as a full piece instead.
+ */
+
+import { getSeamEdges, FOLD_EDGE_ATTRIBUTE } from './edge-allowance.js';
+import { flattenPath, DEFAULT_CURVE_TOLERANCE } from './svg-path.js';
+
+export { FOLD_EDGE_ATTRIBUTE };
+export const FOLD_MIRROR_ATTRIBUTE = 'data-fold-mirror';
+
+/**
+ * Get the fold line of a seam
+ * A curved fold edge is replaced by the straight line between its end points.
+ * @param {Element} seam - Seam path
+ * @param {number} tolerance - Curve flattening tolerance
+ * @returns {{index: number, start: {X, Y}, end: {X, Y}}|null} Fold line, or null if the seam has none
+ */
+export function getFoldLine(seam, tolerance = DEFAULT_CURVE_TOLERANCE) {
+    const value = seam?.getAttribute(FOLD_EDGE_ATTRIBUTE);
+    if (value === null || value === undefined || value.trim() === '') return null;
+    
+    const index = Number(value);
+    const edge = getSeamEdges(seam.getAttribute('d'), tolerance).find(edge => edge.index === index);
+    if (!edge) return null;
+    
+    return { index, start: edge.points[0], end: edge.points[edge.points.length - 1] };
+}
+
+/**
+ * Check whether a piece is printed mirrored across its fold line
+ * @param {Element|null} piece - Pattern piece group
+ * @returns {boolean} True if the piece should be mirrored
+ */
+export function isFoldMirrored(piece) {
+    return piece?.getAttribute(FOLD_MIRROR_ATTRIBUTE) === 'true';
+}
+
+/**
+ * Get the reflection across a fold line as an SVG matrix
+ * @param {{start: {X, Y}, end: {X, Y}}} line - Fold line
+ * @returns {Array} Matrix values [a, b, c, d, e, f]
+ */
+export function getReflectionMatrix(line) {
+    const dx = line.end.X - line.start.X;
+    const dy = line.end.Y - line.start.Y;
+    const lengthSquared = dx * dx + dy * dy;
+    const cos = (dx * dx - dy * dy) / lengthSquared;
+    const sin = 2 * dx * dy / lengthSquared;
+    
+    // Reflect around the origin, then move the start point back onto itself
+    const { X: x, Y: y } = line.start;
+    return [cos, sin, sin, -cos, x - cos * x - sin * y, y - sin * x + cos * y];
+}
+
+/**
+ * Reflect points across a fold line
+ * @param {Array} points - Array of {X, Y}
+ * @param {{start: {X, Y}, end: {X, Y}}} line - Fold line
+ * @returns {Array} Reflected points
+ */
+export function reflectPoints(points, line) {
+    const [a, b, c, d, e, f] = getReflectionMatrix(line);
+    return points.map(p => ({ X: a * p.X + c * p.Y + e, Y: b * p.X + d * p.Y + f }));
+}
+
+/**
+ * Find the side of the fold line the piece lies on
+ * @param {Element} seam - Seam path
+ * @param {{start: {X, Y}, end: {X, Y}}} line - Fold line
+ * @returns {{X: number, Y: number}} Unit normal of the fold line pointing into the piece
+ */
+function getInwardNormal(seam, line) {
+    const dx = line.end.X - line.start.X;
+    const dy = line.end.Y - line.start.Y;
+    const length = Math.hypot(dx, dy);
+    const normal = { X: -dy / length, Y: dx / length };
+    
+    // The point of the seam farthest from the fold line decides the side
+    const points = flattenPath(seam.getAttribute('d') || '').flatMap(subpath => subpath.points);
+    const side = points.reduce((best, p) => {
+        const distance = (p.X - line.start.X) * normal.X + (p.Y - line.start.Y) * normal.Y;
+        return Math.abs(distance) > Math.abs(best) ? distance : best;
+    }, 0);
+    
+    return side < 0 ? { X: -normal.X, Y: -normal.Y } : normal;
+}
+
+/**
+ * Create an SVG element with attributes
+ * @param {string} tagName - Element name
+ * @param {Object} attributes - Attribute values
+ * @returns {Element} New element
+ */
+function createElement(tagName, attributes) {
+    const element = document.createElementNS('http://www.w3.org/2000/svg', tagName);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+/**
+ * Draw the fold marks of a piece: a dashed line on every fold edge and, unless the piece
+ * is mirrored, a "place on fold" bracket with arrows pointing to the fold
+ * @param {Element} piece - Pattern piece group
+ */
+export function addFoldMarks(piece) {
+    removeFoldMarks(piece);
+    
+    const mirrored = isFoldMirrored(piece);
+    piece.querySelectorAll('path.seam').forEach(seam => {
+        const line = getFoldLine(seam);
+        if (!line) return;
+        
+        const { start, end } = line;
+        const length = Math.hypot(end.X - start.X, end.Y - start.Y);
+        if (length === 0) return;
+        
+        const marks = createElement('g', { class: 'fold-marks', fill: 'none', stroke: '#000' });
+        const strokeWidth = Math.max(length * 0.004, 0.3);
+        marks.appendChild(createElement('line', {
+            class: 'fold-line',
+            x1: start.X,
+            y1: start.Y,
+            x2: end.X,
+            y2: end.Y,
+            'stroke-width': strokeWidth,
+            'stroke-dasharray': `${strokeWidth * 8} ${strokeWidth * 4}`
+        }));
+        
+        if (!mirrored) {
+            // Bracket over the middle 60% of the fold, set off into the piece
+            const normal = getInwardNormal(seam, line);
+            const along = { X: (end.X - start.X) / length, Y: (end.Y - start.Y) / length };
+            const depth = length * 0.08;
+            const arrow = depth * 0.3;
+            const at = (t, offset) => ({
+                X: start.X + (end.X - start.X) * t + normal.X * offset,
+                Y: start.Y + (end.Y - start.Y) * t + normal.Y * offset
+            });
+            const a = at(0.2, 0);
+            const b = at(0.2, depth);
+            const c = at(0.8, depth);
+            const d = at(0.8, 0);
+            marks.appendChild(createElement('polyline', {
+                class: 'fold-bracket',
+                points: [a, b, c, d].map(p => `${p.X},${p.Y}`).join(' '),
+                'stroke-width': strokeWidth
+            }));
+            
+            // Arrowheads where the bracket meets the fold
+            [a, d].forEach(tip => {
+                const left = { X: tip.X + normal.X * arrow + along.X * arrow / 2, Y: tip.Y + normal.Y * arrow + along.Y * arrow / 2 };
+                const right = { X: tip.X + normal.X * arrow - along.X * arrow / 2, Y: tip.Y + normal.Y * arrow - along.Y * arrow / 2 };
+                marks.appendChild(createElement('polygon', {
+                    class: 'fold-arrow',
+                    points: [tip, left, right].map(p => `${p.X},${p.Y}`).join(' '),
+                    fill: '#000',
+                    stroke: 'none'
+                }));
+            });
+            
+            // Label inside the bracket (ASCII so that the PDF fonts can render it)
+            const label = at(0.5, depth + arrow * 1.5);
+            const angle = Math.atan2(along.Y, along.X) * 180 / Math.PI;
+            const text = createElement('text', {
+                class: 'fold-label',
+                x: label.X,
+                y: label.Y,
+                'text-anchor': 'middle',
+                'dominant-baseline': 'middle',
+                'font-size': depth * 0.6,
+                'font-family': 'Arial, sans-serif',
+                fill: '#000',
+                stroke: 'none',
+                // Keep the text readable from below
+                transform: `rotate(${Math.abs(angle) > 90 ? angle + 180 : angle} ${label.X} ${label.Y})`
+            });
+            text.textContent = 'PLACE ON FOLD';
+            marks.appendChild(text);
+        }
+        
+        seam.parentNode.appendChild(marks);
+    });
+}
+
+/**
+ * Remove the fold marks from an element and its descendants
+ * @param {Element} element - SVG or pattern piece
+ */
+export function removeFoldMarks(element) {
+    element.querySelectorAll('.fold-marks').forEach(marks => marks.remove());
+}
+
+/**
+ * Add the mirrored half of a piece that is printed as a full piece
+ * The seams are mirrored across their fold line; the seam allowance of the piece already
+ * covers both halves (see applySeamAllowanceWithClipper).
+ * @param {Element} piece - Pattern piece group
+ */
+export function addFoldMirror(piece) {
+    piece.querySelectorAll('.fold-mirror').forEach(mirror => mirror.remove());
+    if (!isFoldMirrored(piece)) return;
+    
+    piece.querySelectorAll('path.seam').forEach(seam => {
+        const line = getFoldLine(seam);
+        if (!line) return;
+        
+        const mirror = createElement('g', {
+            class: 'fold-mirror',
+            transform: `matrix(${getReflectionMatrix(line).join(' ')})`
+        });
+        
+        // Copy of the seam line that is not picked up as a seam of its own
+        mirror.appendChild(createElement('path', {
+            class: 'seam-mirror',
+            d: seam.getAttribute('d'),
+            fill: 'none',
+            stroke: seam.getAttribute('stroke') || '#000',
+            'stroke-width': seam.getAttribute('stroke-width') || '1'
+        }));
+        
+        seam.parentNode.insertBefore(mirror, seam.nextSibling);
+    });
+}
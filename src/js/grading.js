@@ -0,0 +1,398 @@
+/**
+ * Pattern grading
+ * Generates the sizes of a size range from one base pattern. A size's step is its
+ * distance from the base size in the range (e.g. -1 for S and +2 for XL with base M).
+ *
+ * Pieces grow per step by a grade rule stored as data-grade-rule="uniform <%>" or
+ * "axis <x %> <y %>" on the piece, scaled around the center of its seams. Single seam
+ * vertices can move further per step, stored on the seam path as
+ * data-grade-deltas="<vertex index>:<dx>,<dy> ..." in mm. A vertex is the end point of a
+ * path segment, addressed by its segment index as in edge-allowance.js; every point of the
+ * piece on a moved vertex (e.g. the ends of sewing guides) moves with it.
+ *
+ * Graded sizes go through the seam allowance pipeline one by one, so that each size
+ * gets its own allowance, and can then be nested into one pattern for printing.
+ */
+
+import { flattenPath, toAbsoluteSegments, formatSegments } from './svg-path.js';
+import {
+    getCumulativeTransform,
+    invertMatrix,
+    multiplyMatrices,
+    parseTransform,
+    transformPoint,
+    IDENTITY_MATRIX
+} from './svg-transform.js';
+import { t } from './i18n.js';
+
+export const GRADE_RULE_ATTRIBUTE = 'data-grade-rule';
+export const GRADE_DELTAS_ATTRIBUTE = 'data-grade-deltas';
+export const GRADE_SIZE_ATTRIBUTE = 'data-grade-size';
+
+// The base size keeps the colors of the pattern; this is its entry in size legends
+const BASE_SIZE_STYLE = { color: '#000000', dash: '' };
+
+// Line colors and dash patterns of the nested sizes other than the base size
+export const SIZE_STYLES = [
+    { color: '#e53e3e', dash: '6,2' },
+    { color: '#3182ce', dash: '2,2' },
+    { color: '#38a169', dash: '6,2,2,2' },
+    { color: '#d69e2e', dash: '10,3' },
+    { color: '#805ad5', dash: '4,4' },
+    { color: '#dd6b20', dash: '8,2,2,2,2,2' }
+];
+
+// Distance in piece units within which points count as the same vertex
+const VERTEX_TOLERANCE = 1e-6;
+
+/**
+ * Parse a size range
+ * @param {string} value - Size names separated by commas or spaces, e.g. "S, M, L, XL"
+ * @returns {Array} Size names without duplicates
+ */
+export function parseSizes(value) {
+    const sizes = (value || '').split(/[\s,]+/).filter(size => size !== '');
+    return sizes.filter((size, i) => sizes.indexOf(size) === i);
+}
+
+/**
+ * Get the index of the base size
+ * @param {Array} sizes - Size names
+ * @param {string} baseSize - Name of the base size
+ * @returns {number} Index of the base size, or of the middle size if it is not in the range
+ */
+export function getBaseSizeIndex(sizes, baseSize) {
+    const index = sizes.indexOf((baseSize || '').trim());
+    return index >= 0 ? index : Math.floor((sizes.length - 1) / 2);
+}
+
+/**
+ * Parse a grade rule
+ * @param {string|null} value - Attribute value, e.g. "uniform 4" or "axis 5 2"
+ * @returns {{type: string, x: number, y: number}|null} Growth per step in % along each axis
+ */
+export function parseGradeRule(value) {
+    const [type, ...numbers] = (value || '').trim().split(/\s+/);
+    const values = numbers.map(Number);
+    if (type === 'uniform' && values.length === 1 && Number.isFinite(values[0])) {
+        return { type, x: values[0], y: values[0] };
+    }
+    if (type === 'axis' && values.length === 2 && values.every(Number.isFinite)) {
+        return { type, x: values[0], y: values[1] };
+    }
+    return null;
+}
+
+/**
+ * Format a grade rule for the data attribute
+ * @param {{type: string, x: number, y: number}} rule - Grade rule
+ * @returns {string} Attribute value
+ */
+export function formatGradeRule(rule) {
+    return rule.type === 'uniform' ? `uniform ${rule.x}` : `axis ${rule.x} ${rule.y}`;
+}
+
+/**
+ * Parse per-vertex grade deltas
+ * @param {string|null} value - Attribute value, e.g. "3:2,0 5:-1,2.5"
+ * @returns {Map} Vertex index -> {dx, dy} in mm per step
+ */
+export function parseGradeDeltas(value) {
+    const deltas = new Map();
+    if (!value) return deltas;
+    
+    value.trim().split(/\s+/).forEach(entry => {
+        const [index, offsets] = entry.split(':');
+        const [dx, dy] = (offsets || '').split(',').map(Number);
+        const vertex = Number(index);
+        if (Number.isInteger(vertex) && vertex >= 0 && Number.isFinite(dx) && Number.isFinite(dy)) {
+            deltas.set(vertex, { dx, dy });
+        }
+    });
+    return deltas;
+}
+
+/**
+ * Format per-vertex grade deltas for the data attribute
+ * @param {Map} deltas - Vertex index -> {dx, dy} in mm per step
+ * @returns {string} Attribute value sorted by vertex index
+ */
+export function formatGradeDeltas(deltas) {
+    return Array.from(deltas.entries())
+        .sort((a, b) => a[0] - b[0])
+        .map(([index, { dx, dy }]) => `${index}:${dx},${dy}`)
+        .join(' ');
+}
+
+/**
+ * Get the end points of the segments of path data
+ * @param {string} pathData - SVG path data string
+ * @returns {Array} Vertices {index, X, Y}; closepaths have none
+ */
+export function getPathVertices(pathData) {
+    const vertices = [];
+    toAbsoluteSegments(pathData).forEach(({ command, args }, index) => {
+        if (command === 'Z') return;
+        vertices.push({ index, X: args[args.length - 2], Y: args[args.length - 1] });
+    });
+    return vertices;
+}
+
+/**
+ * Get the center of the seams of a piece
+ * @param {Element} piece - Pattern piece group
+ * @returns {{X: number, Y: number}|null} Bounding box center in the coordinates of the piece
+ */
+function getSeamCenter(piece) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    piece.querySelectorAll('path.seam').forEach(seam => {
+        const matrix = getCumulativeTransform(seam, piece);
+        flattenPath(seam.getAttribute('d') || '').forEach(({ points }) => {
+            points.forEach(p => {
+                const { x, y } = transformPoint(matrix, p.X, p.Y);
+                minX = Math.min(minX, x);
+                minY = Math.min(minY, y);
+                maxX = Math.max(maxX, x);
+                maxY = Math.max(maxY, y);
+            });
+        });
+    });
+    return minX <= maxX ? { X: (minX + maxX) / 2, Y: (minY + maxY) / 2 } : null;
+}
+
+/**
+ * Rewrite path data for a graded size
+ * Control points move with the vertex they belong to, so curves keep their tangents
+ * @param {string} pathData - SVG path data string
+ * @param {Array} matrix - Scaling in the coordinates of the path
+ * @param {Function} getMove - Returns the extra offset {X, Y} of a point in path coordinates
+ * @returns {string} Graded path data
+ */
+function gradePathData(pathData, matrix, getMove) {
+    const move = (x, y, offset) => {
+        const p = transformPoint(matrix, x, y);
+        return [p.x + offset.X, p.y + offset.Y];
+    };
+    const none = { X: 0, Y: 0 };
+    let startMove = none;
+    let subpathStartMove = none;
+    
+    return formatSegments(toAbsoluteSegments(pathData).map(({ command, args }) => {
+        if (command === 'Z') {
+            startMove = subpathStartMove;
+            return { command, args };
+        }
+        
+        const endMove = getMove(args[args.length - 2], args[args.length - 1]);
+        let graded;
+        switch (command) {
+            case 'C':
+                graded = [
+                    ...move(args[0], args[1], startMove),
+                    ...move(args[2], args[3], endMove),
+                    ...move(args[4], args[5], endMove)
+                ];
+                break;
+            case 'Q':
+                // The control point is shared by both ends
+                graded = [
+                    ...move(args[0], args[1], { X: (startMove.X + endMove.X) / 2, Y: (startMove.Y + endMove.Y) / 2 }),
+                    ...move(args[2], args[3], endMove)
+                ];
+                break;
+            case 'A':
+                graded = [
+                    args[0] * Math.hypot(matrix[0], matrix[1]),
+                    args[1] * Math.hypot(matrix[2], matrix[3]),
+                    args[2],
+                    args[3],
+                    args[4],
+                    ...move(args[5], args[6], endMove)
+                ];
+                break;
+            default:
+                graded = move(args[0], args[1], endMove);
+        }
+        
+        if (command === 'M') subpathStartMove = endMove;
+        startMove = endMove;
+        return { command, args: graded };
+    }));
+}
+
+/**
+ * Grade one pattern piece in place
+ * @param {Element} piece - Pattern piece group
+ * @param {number} step - Distance of the size from the base size
+ * @param {number} unitsPerMm - SVG units per mm, for the vertex deltas
+ * @returns {boolean} True if the piece has grade rules
+ */
+export function gradePiece(piece, step, unitsPerMm = 1) {
+    const rule = parseGradeRule(piece.getAttribute(GRADE_RULE_ATTRIBUTE));
+    const seams = Array.from(piece.querySelectorAll('path.seam'));
+    const graded = rule !== null || seams.some(seam => seam.hasAttribute(GRADE_DELTAS_ATTRIBUTE));
+    if (!graded || step === 0) return graded;
+    
+    // Scale around the center of the seams
+    let scale = IDENTITY_MATRIX.slice();
+    const center = getSeamCenter(piece);
+    if (rule && center) {
+        const sx = 1 + step * rule.x / 100;
+        const sy = 1 + step * rule.y / 100;
+        if (!(sx > 0 && sy > 0)) {
+            throw new Error(t('gradeRuleTooSmall')
+                .replace('{piece}', piece.getAttribute('id') || piece.getAttribute('data-pattern-symbol') || '')
+                .replace('{step}', step));
+        }
+        scale = [sx, 0, 0, sy, center.X * (1 - sx), center.Y * (1 - sy)];
+    }
+    
+    // Extra offsets of single vertices, in the coordinates of the piece
+    const moves = [];
+    seams.forEach(seam => {
+        const deltas = parseGradeDeltas(seam.getAttribute(GRADE_DELTAS_ATTRIBUTE));
+        if (deltas.size === 0) return;
+        
+        const matrix = getCumulativeTransform(seam, piece);
+        getPathVertices(seam.getAttribute('d')).forEach(vertex => {
+            const delta = deltas.get(vertex.index);
+            if (!delta) return;
+            const { x, y } = transformPoint(matrix, vertex.X, vertex.Y);
+            moves.push({ X: x, Y: y, dx: delta.dx * step * unitsPerMm, dy: delta.dy * step * unitsPerMm });
+        });
+    });
+    
+    piece.querySelectorAll('path, line').forEach(element => {
+        const toPiece = getCumulativeTransform(element, piece);
+        const fromPiece = invertMatrix(toPiece);
+        // Scaling in the element's own coordinates
+        const matrix = multiplyMatrices(fromPiece, multiplyMatrices(scale, toPiece));
+        const getMove = (x, y) => {
+            const p = transformPoint(toPiece, x, y);
+            const found = moves.find(m => Math.abs(m.X - p.x) <= VERTEX_TOLERANCE && Math.abs(m.Y - p.y) <= VERTEX_TOLERANCE);
+            if (!found) return { X: 0, Y: 0 };
+            // Offsets are vectors, so only the linear part of the transform applies
+            return {
+                X: fromPiece[0] * found.dx + fromPiece[2] * found.dy,
+                Y: fromPiece[1] * found.dx + fromPiece[3] * found.dy
+            };
+        };
+        
+        if (element.tagName.toLowerCase() === 'line') {
+            ['1', '2'].forEach(n => {
+                const x = parseFloat(element.getAttribute(`x${n}`)) || 0;
+                const y = parseFloat(element.getAttribute(`y${n}`)) || 0;
+                const offset = getMove(x, y);
+                const p = transformPoint(matrix, x, y);
+                element.setAttribute(`x${n}`, p.x + offset.X);
+                element.setAttribute(`y${n}`, p.y + offset.Y);
+            });
+        } else if (element.hasAttribute('d')) {
+            element.setAttribute('d', gradePathData(element.getAttribute('d'), matrix, getMove));
+        }
+    });
+    return true;
+}
+
+/**
+ * Create a graded size of a pattern
+ * @param {SVGElement} svgElement - Base pattern
+ * @param {number} step - Distance of the size from the base size
+ * @param {Object} options - {unitsPerMm: SVG units per mm}
+ * @returns {SVGElement} Graded copy; pieces without grade rules stay as they are
+ */
+export function gradeSVG(svgElement, step, options = {}) {
+    const graded = svgElement.cloneNode(true);
+    Array.from(graded.querySelectorAll('g'))
+        .filter(group => group.parentElement === graded)
+        .forEach(piece => gradePiece(piece, step, options.unitsPerMm || 1));
+    return graded;
+}
+
+/**
+ * Get the line style of each nested size
+ * @param {number} count - Number of sizes
+ * @param {number} baseIndex - Index of the base size, drawn in solid black
+ * @returns {Array} {color, dash} per size; dash is empty for solid lines
+ */
+export function getSizeStyles(count, baseIndex) {
+    let styleIndex = 0;
+    return Array.from({ length: count }, (_, i) => {
+        if (i === baseIndex) return BASE_SIZE_STYLE;
+        return SIZE_STYLES[styleIndex++ % SIZE_STYLES.length];
+    });
+}
+
+/**
+ * Nest graded sizes into the pieces of the base size
+ * The outlines of every other size are added to the matching base piece as a group with
+ * its own line color and dash pattern. Sewing guides, grainlines, textures and IDs are
+ * only kept on the base size, so labels, seam lengths and selection refer to it.
+ * @param {Array} sizeSVGs - Processed SVG of each size, in the order of the size range
+ * @param {Array} sizes - Size names
+ * @param {number} baseIndex - Index of the base size
+ * @param {Object} options - {gradedOnly: skip pieces without grade rules (default true);
+ *   false for sizes loaded from separate files, where every piece can differ}
+ * @returns {SVGElement} SVG of the base size with all sizes nested
+ */
+export function nestGradedSizes(sizeSVGs, sizes, baseIndex, options = {}) {
+    const nested = sizeSVGs[baseIndex];
+    const gradedOnly = options.gradedOnly !== false;
+    const styles = getSizeStyles(sizeSVGs.length, baseIndex);
+    
+    const basePieces = Array.from(nested.querySelectorAll('g'))
+        .filter(group => group.parentElement === nested && group.getAttribute('id'));
+    
+    basePieces.forEach(basePiece => {
+        const baseMatrix = parseTransform(basePiece.getAttribute('transform'));
+        
+        sizeSVGs.forEach((sizeSVG, sizeIndex) => {
+            if (sizeIndex === baseIndex) return;
+            const style = styles[sizeIndex];
+            
+            // Pieces without grade rules are the same in every size
+            const sizePiece = sizeSVG.querySelector(`#${basePiece.getAttribute('id')}`);
+            if (!sizePiece) return;
+            if (gradedOnly && !basePiece.hasAttribute(GRADE_RULE_ATTRIBUTE) && !sizePiece.querySelector(`[${GRADE_DELTAS_ATTRIBUTE}]`)) return;
+            
+            const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            group.setAttribute('class', 'graded-size');
+            group.setAttribute(GRADE_SIZE_ATTRIBUTE, sizes[sizeIndex]);
+            
+            // Pieces can be turned differently per size (grain alignment), so undo the base transform
+            const matrix = multiplyMatrices(invertMatrix(baseMatrix), parseTransform(sizePiece.getAttribute('transform')));
+            if (matrix.some((value, i) => Math.abs(value - IDENTITY_MATRIX[i]) > 1e-9)) {
+                group.setAttribute('transform', `matrix(${matrix.join(' ')})`);
+            }
+            
+            Array.from(sizePiece.childNodes).forEach(child => group.appendChild(child));
+            group.querySelectorAll('.sewinguide, .grainline, .texture-image, .pattern-symbol').forEach(element => element.remove());
+            group.querySelectorAll('[id]').forEach(element => element.removeAttribute('id'));
+            group.querySelectorAll('.seam, .seam-allowance, .notch, .clip-marks').forEach(path => {
+                path.setAttribute('stroke', style.color);
+            });
+            group.querySelectorAll('.seam-allowance').forEach(path => {
+                path.setAttribute('stroke-dasharray', style.dash);
+            });
+            
+            // Size name at the start of the outermost outline
+            const outline = group.querySelector('.seam-allowance') || group.querySelector('.seam');
+            const start = outline ? toAbsoluteSegments(outline.getAttribute('d'))[0] : null;
+            if (start) {
+                const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+                label.setAttribute('class', 'grade-size-label');
+                label.setAttribute('x', start.args[0]);
+                label.setAttribute('y', start.args[1]);
+                label.setAttribute('font-size', '4');
+                label.setAttribute('font-family', 'Arial, sans-serif');
+                label.setAttribute('fill', style.color);
+                label.textContent = sizes[sizeIndex];
+                outline.parentNode.appendChild(label);
+            }
+            
+            basePiece.appendChild(group);
+        });
+    });
+    
+    return nested;
+}
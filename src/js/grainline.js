@@ -0,0 +1,220 @@
+/**
+ * Grainlines
+ * The grainline of a piece shows how it is laid on the fabric: parallel to the selvage.
+ * It comes from the SVG as a path or line with the class "grainline" inside the piece, or
+ * is drawn per piece in the preview. It is printed as a double-headed arrow, and pieces
+ * can be rotated so that their grainline is vertical before they are placed.
+ */
+
+import { flattenPath } from './svg-path.js';
+import { getCumulativeTransform, getElementTransform, transformPoint } from './svg-transform.js';
+
+export const GRAINLINE_CLASS = 'grainline';
+// Rotation applied to a piece to make its grainline vertical, in degrees
+export const GRAIN_ROTATION_ATTRIBUTE = 'data-grain-rotation';
+// Length of a new grainline relative to the height of the piece
+const DEFAULT_GRAINLINE_LENGTH = 0.6;
+
+/**
+ * Create an SVG element with attributes
+ * @param {string} tagName - Element name
+ * @param {Object} attributes - Attribute values
+ * @returns {Element} New element
+ */
+function createElement(tagName, attributes) {
+    const element = document.createElementNS('http://www.w3.org/2000/svg', tagName);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+/**
+ * Get the grainline of a piece
+ * @param {Element} piece - Pattern piece group
+ * @returns {{start: {X, Y}, end: {X, Y}}|null} End points in the coordinates of the piece,
+ * or null if the piece has no grainline
+ */
+export function getGrainline(piece) {
+    const element = Array.from(piece.querySelectorAll(`.${GRAINLINE_CLASS}`))
+        .find(candidate => !candidate.closest('.grainline-marks'));
+    if (!element) return null;
+    
+    let points;
+    if (element.tagName.toLowerCase() === 'line') {
+        points = [
+            { X: parseFloat(element.getAttribute('x1')) || 0, Y: parseFloat(element.getAttribute('y1')) || 0 },
+            { X: parseFloat(element.getAttribute('x2')) || 0, Y: parseFloat(element.getAttribute('y2')) || 0 }
+        ];
+    } else {
+        points = flattenPath(element.getAttribute('d') || '').flatMap(subpath => subpath.points);
+    }
+    if (points.length < 2) return null;
+    
+    // Transforms between the piece and the grainline
+    const matrix = getCumulativeTransform(element, piece);
+    const [start, end] = [points[0], points[points.length - 1]].map(p => {
+        const { x, y } = transformPoint(matrix, p.X, p.Y);
+        return { X: x, Y: y };
+    });
+    if (start.X === end.X && start.Y === end.Y) return null;
+    
+    return { start, end };
+}
+
+/**
+ * Get the angle of a grainline from the vertical
+ * @param {{start: {X, Y}, end: {X, Y}}} line - Grainline
+ * @returns {number} Clockwise angle in degrees, in (-90, 90]
+ */
+export function getGrainlineAngle(line) {
+    const angle = Math.atan2(line.end.Y - line.start.Y, line.end.X - line.start.X) * 180 / Math.PI - 90;
+    // The direction along the grainline does not matter
+    let normalized = ((angle % 180) + 180) % 180;
+    if (normalized > 90) normalized -= 180;
+    return normalized;
+}
+
+/**
+ * Set the grainline of a piece, replacing any existing one
+ * @param {Element} piece - Pattern piece group
+ * @param {{X, Y}} start - Start point in the coordinates of the piece
+ * @param {{X, Y}} end - End point in the coordinates of the piece
+ */
+export function setGrainline(piece, start, end) {
+    removeGrainline(piece);
+    piece.appendChild(createElement('path', {
+        class: GRAINLINE_CLASS,
+        d: `M ${start.X} ${start.Y} L ${end.X} ${end.Y}`,
+        fill: 'none',
+        stroke: 'none'
+    }));
+}
+
+/**
+ * Remove the grainline of a piece
+ * @param {Element} piece - Pattern piece group
+ */
+export function removeGrainline(piece) {
+    piece.querySelectorAll(`.${GRAINLINE_CLASS}`).forEach(element => element.remove());
+}
+
+/**
+ * Turn the grainline of a piece to an angle from the vertical
+ * The grainline keeps its center and length; a piece without one gets a grainline
+ * through the middle of its seams.
+ * @param {Element} piece - Pattern piece group
+ * @param {number} angle - Clockwise angle from the vertical in degrees
+ */
+export function rotateGrainline(piece, angle) {
+    let line = getGrainline(piece);
+    let center;
+    let length;
+    if (line) {
+        center = { X: (line.start.X + line.end.X) / 2, Y: (line.start.Y + line.end.Y) / 2 };
+        length = Math.hypot(line.end.X - line.start.X, line.end.Y - line.start.Y);
+    } else {
+        const points = Array.from(piece.querySelectorAll('path.seam'))
+            .flatMap(seam => flattenPath(seam.getAttribute('d') || '').flatMap(subpath => subpath.points));
+        if (points.length === 0) return;
+        
+        const xs = points.map(p => p.X);
+        const ys = points.map(p => p.Y);
+        const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+        center = { X: (minX + maxX) / 2, Y: (minY + maxY) / 2 };
+        length = (maxY - minY) * DEFAULT_GRAINLINE_LENGTH;
+        if (!(length > 0)) return;
+    }
+    
+    // Vertical is straight down; positive angles turn clockwise
+    const radians = angle * Math.PI / 180;
+    const half = { X: -Math.sin(radians) * length / 2, Y: Math.cos(radians) * length / 2 };
+    line = {
+        start: { X: center.X - half.X, Y: center.Y - half.Y },
+        end: { X: center.X + half.X, Y: center.Y + half.Y }
+    };
+    setGrainline(piece, line.start, line.end);
+}
+
+/**
+ * Draw the grainline of a piece as a double-headed arrow
+ * @param {Element} piece - Pattern piece group
+ */
+export function addGrainlineArrow(piece) {
+    removeGrainlineArrows(piece);
+    
+    const line = getGrainline(piece);
+    if (!line) return;
+    
+    const { start, end } = line;
+    const length = Math.hypot(end.X - start.X, end.Y - start.Y);
+    const strokeWidth = Math.max(length * 0.004, 0.3);
+    const head = Math.max(length * 0.04, strokeWidth * 6);
+    const along = { X: (end.X - start.X) / length, Y: (end.Y - start.Y) / length };
+    const across = { X: -along.Y, Y: along.X };
+    
+    const marks = createElement('g', { class: 'grainline-marks', fill: 'none', stroke: '#000' });
+    marks.appendChild(createElement('line', {
+        class: 'grainline-arrow',
+        x1: start.X,
+        y1: start.Y,
+        x2: end.X,
+        y2: end.Y,
+        'stroke-width': strokeWidth
+    }));
+    
+    // Arrowheads pointing outwards at both ends
+    [[start, -1], [end, 1]].forEach(([tip, direction]) => {
+        const base = { X: tip.X - along.X * head * direction, Y: tip.Y - along.Y * head * direction };
+        const left = { X: base.X + across.X * head / 3, Y: base.Y + across.Y * head / 3 };
+        const right = { X: base.X - across.X * head / 3, Y: base.Y - across.Y * head / 3 };
+        marks.appendChild(createElement('polygon', {
+            class: 'grainline-head',
+            points: [tip, left, right].map(p => `${p.X},${p.Y}`).join(' '),
+            fill: '#000',
+            stroke: 'none'
+        }));
+    });
+    
+    piece.appendChild(marks);
+}
+
+/**
+ * Remove the grainline arrows from an element and its descendants
+ * @param {Element} element - SVG or pattern piece
+ */
+export function removeGrainlineArrows(element) {
+    element.querySelectorAll('.grainline-marks').forEach(marks => marks.remove());
+}
+
+/**
+ * Rotate every piece with a grainline so that the grainline is vertical
+ * The rotation turns the piece around the center of its grainline and is stored in
+ * data-grain-rotation, so that placement keeps the grain direction.
+ * @param {SVGElement} svgElement - SVG with the pattern pieces
+ * @returns {number} Number of aligned pieces
+ */
+export function alignPiecesToGrain(svgElement) {
+    let aligned = 0;
+    Array.from(svgElement.querySelectorAll('g'))
+        .filter(group => group.parentElement === svgElement)
+        .forEach(piece => {
+            const line = getGrainline(piece);
+            if (!line) return;
+            
+            // Measure in the parent coordinates, so that the piece's own transform counts
+            const matrix = getElementTransform(piece);
+            const [start, end] = [line.start, line.end].map(p => {
+                const { x, y } = transformPoint(matrix, p.X, p.Y);
+                return { X: x, Y: y };
+            });
+            const rotation = -getGrainlineAngle({ start, end });
+            if (rotation !== 0) {
+                const cx = (start.X + end.X) / 2;
+                const cy = (start.Y + end.Y) / 2;
+                const transform = piece.getAttribute('transform') || '';
+                piece.setAttribute('transform', `rotate(${rotation} ${cx} ${cy}) ${transform}`.trim());
+            }
+            piece.setAttribute(GRAIN_ROTATION_ATTRIBUTE, rotation);
+            aligned++;
+        });
+    return aligned;
+}
@@ -6,7 +6,7 @@ const translations = {
         subtitle: 'Convert SVG files from Blender Seams to Sewing Pattern plugin to printable PDFs',
         
         // Upload section
-        uploadText: 'Drag & drop SVG file<br>or',
+        uploadText: 'Drag & drop SVG file (or one file per size)<br>or',
         selectFileButton: 'Select File',
         loadedFile: 'Loaded file:',
         
@@ -14,9 +14,49 @@ const translations = {
         settingsTitle: 'Settings',
         scaleCorrection: 'Scale Correction',
         scaleFactor: 'Scaling:',
+        scaleSuggestion: 'Suggested scaling: {scale}%',
+        scaleConfidence: 'confidence:',
+        scaleConfidences: {
+            high: 'high',
+            medium: 'medium',
+            low: 'low'
+        },
+        scaleSuggestionSources: {
+            units: 'Based on the units of the SVG document.',
+            blender: 'Blender export: based on typical pattern piece sizes.',
+            size: 'Based on typical pattern piece sizes.'
+        },
+        scaleSuggestionPiece: 'Largest piece at this scaling: {width} × {height} mm',
+        applyScaleSuggestion: 'Apply',
         seamAllowanceSettings: 'Seam Allowance',
         seamAllowance: 'Seam allowance width:',
         seamAllowanceUnit: 'mm',
+        curveTolerance: 'Curve precision:',
+        cornerStyle: 'Corners:',
+        miterLimit: 'Miter limit:',
+        miterLimitUnit: '× allowance width',
+        cornerStyles: {
+            miter: 'Pointed (miter)',
+            round: 'Rounded',
+            square: 'Cut off square',
+            mirrored: 'Mirrored at the seam (lies flat when folded)'
+        },
+        curvedAllowance: 'Narrower allowance on curves (with clip marks)',
+        curvedAllowanceWidth: 'Allowance on curves:',
+        curveRadius: 'Curves below radius:',
+        notchShape: 'Notches:',
+        notchShapes: {
+            none: 'None',
+            t: 'T-notch',
+            v: 'V-notch'
+        },
+        notchCount: 'Notch count:',
+        notchCounts: {
+            auto: 'Different for each pair',
+            1: 'Single',
+            2: 'Double',
+            3: 'Triple'
+        },
         paperSettings: 'Paper Settings',
         paperSize: 'Paper size:',
         orientation: 'Orientation:',
@@ -29,10 +69,40 @@ const translations = {
         
         // Paper sizes
         paperSizes: {
-            a4: 'A4 (210×297mm)',
+            a0: 'A0 (841×1189mm)',
+            a1: 'A1 (594×841mm)',
+            a2: 'A2 (420×594mm)',
             a3: 'A3 (297×420mm)',
+            a4: 'A4 (210×297mm)',
+            a5: 'A5 (148×210mm)',
+            a6: 'A6 (105×148mm)',
+            b0: 'B0 (1030×1456mm)',
+            b1: 'B1 (728×1030mm)',
+            b2: 'B2 (515×728mm)',
+            b3: 'B3 (364×515mm)',
             b4: 'B4 (257×364mm)',
-            b5: 'B5 (182×257mm)'
+            b5: 'B5 (182×257mm)',
+            b6: 'B6 (128×182mm)',
+            'iso-b0': 'B0 ISO (1000×1414mm)',
+            'iso-b1': 'B1 ISO (707×1000mm)',
+            'iso-b2': 'B2 ISO (500×707mm)',
+            'iso-b3': 'B3 ISO (353×500mm)',
+            'iso-b4': 'B4 ISO (250×353mm)',
+            'iso-b5': 'B5 ISO (176×250mm)',
+            'iso-b6': 'B6 ISO (125×176mm)',
+            letter: 'Letter (8.5×11in)',
+            legal: 'Legal (8.5×14in)',
+            tabloid: 'Tabloid (11×17in)',
+            roll36: 'Roll 36in (914mm wide)',
+            roll44: 'Roll 44in (1118mm wide)',
+            custom: 'Custom size'
+        },
+        paperGroups: {
+            isoA: 'ISO A',
+            jisB: 'JIS B',
+            isoB: 'ISO B',
+            us: 'US',
+            other: 'Other'
         },
         
         // Preview
@@ -40,9 +110,14 @@ const translations = {
         sizeLabel: 'Size:',
         pagesLabel: 'Pages:',
         pagesUnit: 'pages',
+        unitsLabel: 'Pattern pieces:',
+        fabricWidthLabel: 'Fabric width:',
+        markerLengthLabel: 'Fabric length needed:',
+        utilizationLabel: 'Material utilization:',
         
         // Action
         generateButton: 'Generate PDF',
+        exportSvgButton: 'Export SVG',
         
         // Messages
         selectSvgFile: 'Please select an SVG file',
@@ -51,6 +126,8 @@ const translations = {
         generatingPdf: 'Generating PDF...',
         pdfGenerated: 'PDF generated successfully!',
         failedToGenerate: 'Failed to generate PDF:',
+        failedToExport: 'Failed to export SVG:',
+        marginsTooLarge: 'The margins leave no printable area on the {width} × {height} mm paper. Enter smaller margins.',
         
         // Unit constraint warnings
         unitConstraintWarning: 'Pattern Unit Size Warning',
@@ -60,12 +137,121 @@ const translations = {
         unitExceedsBoth: 'Width and height exceed page limits',
         unitSizeFormat: 'Unit size: {width}mm × {height}mm',
         pageSizeFormat: 'Max page size: {width}mm × {height}mm',
-        unitSuggestion: 'Try using a larger paper size (A3 instead of A4) or reduce the scaling to make the units smaller.',
+        unitSuggestion: 'Try using a larger paper size (A3 instead of A4), reduce the scaling to make the units smaller, or enable tiling of oversized pieces.',
+        tileOversized: 'Tile oversized pieces across pages',
+        tiledUnitsLabel: 'Tiled pieces:',
+        placementMode: 'Placement:',
+        allowRotation: 'Rotate pieces by 90° to fit',
+        alignGrain: 'Rotate pieces so that the grainline is vertical',
+        pieceSettingsTitle: 'Piece Settings',
+        lockOrientation: 'Lock orientation (never rotate)',
+        pieceCutCount: 'Cut count:',
+        pieceCutCountUnit: 'pcs',
+        pieceCutMirror: 'Mirror every second copy',
+        pieceSeamAllowance: 'Seam allowance of this piece:',
+        pieceSeamAllowanceDefault: 'Default',
+        pieceCornerStyle: 'Corners of this piece:',
+        edgeAllowanceTitle: 'Seam allowance per edge',
+        edgeAllowanceHelp: 'Click edges or sewing guides in the preview to select them (Shift adds to the selection)',
+        edgeAllowance: 'Allowance width:',
+        applyEdgeAllowance: 'Apply to selected edges',
+        resetEdgeAllowance: 'Reset to default width',
+        selectedEdges: 'Selected edges: {count}',
+        invalidEdgeAllowance: 'Enter a seam allowance width of 0 mm or more',
+        markFoldEdge: 'Cut selected edge on the fold',
+        clearFoldEdge: 'Remove fold',
+        foldMirror: 'Unfold and print the full piece',
+        selectOneFoldEdge: 'Select exactly one edge as the fold line',
+        grainlineTitle: 'Grainline',
+        grainlineHelp: 'Click "Draw grainline", then click its start and end point on the piece in the preview',
+        grainlineAngle: 'Grainline angle:',
+        grainlineAngleNone: 'None',
+        drawGrainline: 'Draw grainline',
+        removeGrainline: 'Remove grainline',
+        gradingSettings: 'Grading',
+        gradeSizes: 'Sizes:',
+        gradeBaseSize: 'Base size:',
+        gradeOutput: 'Size output:',
+        gradeOutputs: {
+            nested: 'All sizes nested in one PDF',
+            separate: 'One PDF per size'
+        },
+        printSizes: 'Print sizes:',
+        printSizesAll: 'All',
+        pieceListTitle: 'Pieces in the output: {included} / {count}',
+        pieceListAll: 'Include all',
+        pieceListNone: 'Exclude all',
+        unmatchedSizePieces: 'Some pieces could not be matched to a piece of the base size and are left out of the nested output:',
+        gradingTitle: 'Grading',
+        pieceGradeRule: 'Scaling:',
+        pieceGradeRuleNone: 'None',
+        pieceGradeRules: {
+            uniform: 'Same in both directions',
+            axis: 'Separate width and height'
+        },
+        pieceGradeX: 'Width (per size):',
+        pieceGradeY: 'Height (per size):',
+        gradingHelp: 'Vertex moves are applied to the end point of the edges selected in the preview',
+        gradeDeltaX: 'Move vertex X (per size):',
+        gradeDeltaY: 'Move vertex Y (per size):',
+        applyGradeDelta: 'Apply to end of selected edges',
+        clearGradeDelta: 'Remove moves',
+        selectGradeVertex: 'Select the edges whose end points should move',
+        gradeRuleTooSmall: 'The grade rule of {piece} leaves nothing of the piece {step} sizes from the base size',
+        layoutMode: 'Output:',
+        layoutPaper: 'Print on paper',
+        layoutMarker: 'Fabric marker',
+        fabricWidth: 'Fabric width:',
+        placementBoundingBox: 'Rectangles',
+        placementNesting: 'Nest by shape',
+        customWidth: 'Paper width (mm):',
+        customHeight: 'Paper height (mm):',
+        rollLength: 'Sheet length (mm):',
+        marginTop: 'Top margin (mm):',
+        marginRight: 'Right margin (mm):',
+        marginBottom: 'Bottom margin (mm):',
+        marginLeft: 'Left margin (mm):',
+        calibrationSettings: 'Print Scale Calibration',
+        printCalibration: 'Create test page',
+        calibrationReference: 'Measured square:',
+        measuredWidth: 'Measured width:',
+        measuredHeight: 'Measured height:',
+        seamLengthSettings: 'Seam Lengths',
+        seamLengthTolerance: 'Allowed difference:',
+        seamLengthReport: 'Add the length table to the PDF',
+        seamLengthTitle: 'Seam lengths of sewing guide pairs',
+        seamLengthPair: 'Pair',
+        seamLengthEdge: 'Edge {number}',
+        seamLengthDifference: 'Difference',
+        seamLengthEase: 'Ease',
+        seamLengthFlagged: '{count} pair(s) differ by more than {tolerance}mm',
+        seamLengthMatched: 'All pairs match within {tolerance}mm',
+        diagnosticsTitle: 'Pattern check: {count} problem(s)',
+        diagnosticsLocate: 'Locate',
+        diagnosticsSeverities: {
+            error: 'Error',
+            warning: 'Warning'
+        },
+        diagnosticsMessages: {
+            'no-pieces': 'No pattern pieces with a seam (path with the class "seam") were found.',
+            'missing-seam': 'Group {piece} has no seam and is left out of the layout.',
+            'open-seam': 'The seam of piece {piece} is not closed.',
+            'self-intersecting-seam': 'The seam of piece {piece} crosses itself.',
+            'zero-area-piece': 'Piece {piece} has no area.',
+            'duplicate-id': 'The ID "{id}" is used {count} times.',
+            'guide-outside-piece': 'A sewing guide ({color}) is not inside a pattern piece.',
+            'guide-color-count': 'The sewing guide color {color} is used {count} times; pairs need exactly 2.',
+            'guide-not-path': 'A sewing guide of piece {piece} is a {element} element instead of a path.',
+            'unmatched-size-seam': 'The seams of piece {piece} differ in size {size}; its folds and edge allowances are not used for that size.'
+        },
         
         // Seam allowance errors
         seamAllowanceError: 'Seam allowance error ({pathId}): {error}',
         pathHasTooFewPoints: 'Path has too few points for offset: {points}',
         offsetAlgorithmFailed: 'Offset algorithm returned no polygons',
+        seamAllowanceWarning: 'Seam Allowance Warning',
+        seamAllowanceSplit: 'The seam allowance of these pieces splits into several parts or closes a cut-out. Check the cut lines before cutting.',
+        seamAllowanceContours: 'Seam: {sourceOutlines} outline(s), {sourceHoles} cut-out(s) → cut line: {outlines} outline(s), {holes} cut-out(s)',
         
         // Footer
         copyright: '© 2024 Sewing SVG to PDF Converter'
@@ -76,7 +262,7 @@ const translations = {
         subtitle: 'Blender Seams to Sewing Pattern プラグインのSVGファイルを印刷可能なPDFに変換します',
         
         // Upload section
-        uploadText: 'SVGファイルをドラッグ&ドロップ<br>または',
+        uploadText: 'SVGファイルをドラッグ&ドロップ (サイズごとの複数ファイルも可)<br>または',
         selectFileButton: 'ファイルを選択',
         loadedFile: '読み込みファイル:',
         
@@ -84,9 +270,49 @@ const translations = {
         settingsTitle: '設定',
         scaleCorrection: 'スケール補正',
         scaleFactor: '拡大率:',
+        scaleSuggestion: '推奨拡大率: {scale}%',
+        scaleConfidence: '信頼度:',
+        scaleConfidences: {
+            high: '高',
+            medium: '中',
+            low: '低'
+        },
+        scaleSuggestionSources: {
+            units: 'SVGドキュメントの単位から判定しました。',
+            blender: 'Blenderからの書き出し: 一般的なパーツの大きさから判定しました。',
+            size: '一般的なパーツの大きさから判定しました。'
+        },
+        scaleSuggestionPiece: 'この拡大率での最大パーツ: {width} × {height} mm',
+        applyScaleSuggestion: '適用',
         seamAllowanceSettings: '縫いしろ設定',
         seamAllowance: '縫いしろ幅:',
         seamAllowanceUnit: 'mm',
+        curveTolerance: '曲線の精度:',
+        cornerStyle: '角の形:',
+        miterLimit: 'とがりの上限:',
+        miterLimitUnit: '× 縫いしろ幅',
+        cornerStyles: {
+            miter: 'とがらせる',
+            round: '丸める',
+            square: '切り落とす',
+            mirrored: '縫い線で折り返す'
+        },
+        curvedAllowance: 'カーブ部分の縫いしろを細くする (切り込み線付き)',
+        curvedAllowanceWidth: 'カーブ部分の縫いしろ幅:',
+        curveRadius: 'カーブとみなす半径:',
+        notchShape: '合印:',
+        notchShapes: {
+            none: 'なし',
+            t: 'Tノッチ',
+            v: 'Vノッチ'
+        },
+        notchCount: '合印の数:',
+        notchCounts: {
+            auto: 'ペアごとに変える',
+            1: '1つ',
+            2: '2つ',
+            3: '3つ'
+        },
         paperSettings: '用紙設定',
         paperSize: '用紙サイズ:',
         orientation: '向き:',
@@ -99,10 +325,40 @@ const translations = {
         
         // Paper sizes
         paperSizes: {
-            a4: 'A4 (210×297mm)',
+            a0: 'A0 (841×1189mm)',
+            a1: 'A1 (594×841mm)',
+            a2: 'A2 (420×594mm)',
             a3: 'A3 (297×420mm)',
+            a4: 'A4 (210×297mm)',
+            a5: 'A5 (148×210mm)',
+            a6: 'A6 (105×148mm)',
+            b0: 'B0 (1030×1456mm)',
+            b1: 'B1 (728×1030mm)',
+            b2: 'B2 (515×728mm)',
+            b3: 'B3 (364×515mm)',
             b4: 'B4 (257×364mm)',
-            b5: 'B5 (182×257mm)'
+            b5: 'B5 (182×257mm)',
+            b6: 'B6 (128×182mm)',
+            'iso-b0': 'B0 ISO (1000×1414mm)',
+            'iso-b1': 'B1 ISO (707×1000mm)',
+            'iso-b2': 'B2 ISO (500×707mm)',
+            'iso-b3': 'B3 ISO (353×500mm)',
+            'iso-b4': 'B4 ISO (250×353mm)',
+            'iso-b5': 'B5 ISO (176×250mm)',
+            'iso-b6': 'B6 ISO (125×176mm)',
+            letter: 'レター (8.5×11in)',
+            legal: 'リーガル (8.5×14in)',
+            tabloid: 'タブロイド (11×17in)',
+            roll36: 'ロール紙 36インチ (914mm幅)',
+            roll44: 'ロール紙 44インチ (1118mm幅)',
+            custom: 'カスタムサイズ'
+        },
+        paperGroups: {
+            isoA: 'A判',
+            jisB: 'B判 (JIS)',
+            isoB: 'B判 (ISO)',
+            us: '米国サイズ',
+            other: 'その他'
         },
         
         // Preview
@@ -110,9 +366,14 @@ const translations = {
         sizeLabel: 'サイズ:',
         pagesLabel: 'ページ数:',
         pagesUnit: 'ページ',
+        unitsLabel: '型紙の数:',
+        fabricWidthLabel: '生地幅:',
+        markerLengthLabel: '必要な生地の長さ:',
+        utilizationLabel: '生地の使用率:',
         
         // Action
         generateButton: 'PDFを生成',
+        exportSvgButton: 'SVGを書き出し',
         
         // Messages
         selectSvgFile: 'SVGファイルを選択してください',
@@ -121,6 +382,8 @@ const translations = {
         generatingPdf: 'PDFを生成中...',
         pdfGenerated: 'PDFが生成されました！',
         failedToGenerate: 'PDF生成に失敗しました:',
+        failedToExport: 'SVGの書き出しに失敗しました:',
+        marginsTooLarge: '余白が大きすぎて {width} × {height} mm の用紙に印刷範囲が残りません。余白を小さくしてください',
         
         // Unit constraint warnings
         unitConstraintWarning: '型紙ユニットサイズ警告',
@@ -130,12 +393,121 @@ const translations = {
         unitExceedsBoth: '幅と高さがページ制限を超過',
         unitSizeFormat: 'ユニットサイズ: {width}mm × {height}mm',
         pageSizeFormat: '最大ページサイズ: {width}mm × {height}mm',
-        unitSuggestion: 'より大きな用紙サイズ（A4からA3など）を使用するか、拡大率を小さくしてユニットを縮小してください。',
+        unitSuggestion: 'より大きな用紙サイズ（A4からA3など）を使用するか、拡大率を小さくしてユニットを縮小するか、大きな型紙の分割を有効にしてください。',
+        tileOversized: '大きな型紙を複数ページに分割',
+        tiledUnitsLabel: '分割された型紙:',
+        placementMode: '配置方法:',
+        allowRotation: '型紙を90°回転して配置',
+        alignGrain: '地の目線が縦になるよう型紙を回転',
+        pieceSettingsTitle: '型紙の設定',
+        lockOrientation: '向きを固定 (回転しない)',
+        pieceCutCount: '裁断枚数:',
+        pieceCutCountUnit: '枚',
+        pieceCutMirror: '1枚おきに左右反転して裁断',
+        pieceSeamAllowance: 'このパーツの縫いしろ:',
+        pieceSeamAllowanceDefault: '標準',
+        pieceCornerStyle: 'このパーツの角の形:',
+        edgeAllowanceTitle: '辺ごとの縫いしろ',
+        edgeAllowanceHelp: 'プレビューで辺または合印線をクリックして選択します (Shiftキーで追加選択)',
+        edgeAllowance: '縫いしろ幅:',
+        applyEdgeAllowance: '選択した辺に適用',
+        resetEdgeAllowance: '標準の幅に戻す',
+        selectedEdges: '選択中の辺: {count}',
+        invalidEdgeAllowance: '縫いしろ幅には0mm以上の値を入力してください',
+        markFoldEdge: '選択した辺を折り山にする',
+        clearFoldEdge: '折り山を解除',
+        foldMirror: '折り山で展開して全体を印刷',
+        selectOneFoldEdge: '折り山にする辺を1つだけ選択してください',
+        grainlineTitle: '地の目線',
+        grainlineHelp: '「地の目線を描く」を押してから、プレビューの型紙上で始点と終点をクリックします',
+        grainlineAngle: '地の目線の角度:',
+        grainlineAngleNone: 'なし',
+        drawGrainline: '地の目線を描く',
+        removeGrainline: '地の目線を削除',
+        gradingSettings: 'グレーディング',
+        gradeSizes: 'サイズ:',
+        gradeBaseSize: '基準サイズ:',
+        gradeOutput: 'サイズの出力:',
+        gradeOutputs: {
+            nested: '全サイズを重ねて出力',
+            separate: 'サイズごとに別のPDF'
+        },
+        printSizes: '印刷するサイズ:',
+        printSizesAll: 'すべて',
+        pieceListTitle: '出力するパーツ: {included} / {count}',
+        pieceListAll: 'すべて出力',
+        pieceListNone: 'すべて除外',
+        unmatchedSizePieces: '基準サイズのパーツと対応付けられなかったパーツがあり、重ねた出力から除かれます:',
+        gradingTitle: 'グレーディング',
+        pieceGradeRule: '拡大縮小:',
+        pieceGradeRuleNone: 'なし',
+        pieceGradeRules: {
+            uniform: '縦横同じ比率',
+            axis: '縦横別の比率'
+        },
+        pieceGradeX: '横方向 (1サイズあたり):',
+        pieceGradeY: '縦方向 (1サイズあたり):',
+        gradingHelp: '頂点ごとの移動量は、プレビューで選択した辺の終点に適用されます',
+        gradeDeltaX: '頂点の移動 X (1サイズあたり):',
+        gradeDeltaY: '頂点の移動 Y (1サイズあたり):',
+        applyGradeDelta: '選択した辺の終点に適用',
+        clearGradeDelta: '移動を解除',
+        selectGradeVertex: '終点を移動する辺を選択してください',
+        gradeRuleTooSmall: '{piece}のグレード規則では、基準サイズから{step}サイズ離れると型紙がなくなります',
+        layoutMode: '出力形式:',
+        layoutPaper: '用紙に印刷',
+        layoutMarker: '生地マーカー',
+        fabricWidth: '生地幅:',
+        placementBoundingBox: '矩形で配置',
+        placementNesting: '形状に沿って詰める',
+        customWidth: '用紙の幅 (mm):',
+        customHeight: '用紙の高さ (mm):',
+        rollLength: '用紙の長さ (mm):',
+        marginTop: '上余白 (mm):',
+        marginRight: '右余白 (mm):',
+        marginBottom: '下余白 (mm):',
+        marginLeft: '左余白 (mm):',
+        calibrationSettings: '印刷スケール補正',
+        printCalibration: 'テストページを作成',
+        calibrationReference: '測定した正方形:',
+        measuredWidth: '横の実測値:',
+        measuredHeight: '縦の実測値:',
+        seamLengthSettings: '縫い合わせ長さ',
+        seamLengthTolerance: '許容差:',
+        seamLengthReport: '長さの表をPDFに追加',
+        seamLengthTitle: '合印ペアの縫い合わせ長さ',
+        seamLengthPair: 'ペア',
+        seamLengthEdge: '辺{number}',
+        seamLengthDifference: '差',
+        seamLengthEase: 'いせ',
+        seamLengthFlagged: '{count}組の長さが{tolerance}mmを超えて違います',
+        seamLengthMatched: 'すべてのペアが{tolerance}mm以内で一致しています',
+        diagnosticsTitle: 'パターンの確認: {count}件の問題',
+        diagnosticsLocate: '表示',
+        diagnosticsSeverities: {
+            error: 'エラー',
+            warning: '警告'
+        },
+        diagnosticsMessages: {
+            'no-pieces': '縫い線(class="seam"のパス)のあるパーツが見つかりません。',
+            'missing-seam': 'グループ{piece}には縫い線がないため、配置されません。',
+            'open-seam': 'パーツ{piece}の縫い線が閉じていません。',
+            'self-intersecting-seam': 'パーツ{piece}の縫い線が交差しています。',
+            'zero-area-piece': 'パーツ{piece}の面積がありません。',
+            'duplicate-id': 'ID「{id}」が{count}回使われています。',
+            'guide-outside-piece': '合印({color})がパーツの中にありません。',
+            'guide-color-count': '合印の色{color}が{count}回使われています。ペアには2本だけ必要です。',
+            'guide-not-path': 'パーツ{piece}の合印がパスではなく{element}要素です。',
+            'unmatched-size-seam': 'サイズ{size}ではパーツ{piece}の縫い線が異なるため、わと辺ごとの縫いしろが使われません。'
+        },
         
         // Seam allowance errors
         seamAllowanceError: '縫いしろ作成エラー ({pathId}): {error}',
         pathHasTooFewPoints: 'パスのポイント数が少なすぎます: {points}',
         offsetAlgorithmFailed: 'オフセットアルゴリズムがポリゴンを返しませんでした',
+        seamAllowanceWarning: '縫いしろの警告',
+        seamAllowanceSplit: '以下の型紙の縫いしろが複数に分かれたか、くり抜き部分が閉じました。裁断前に裁ち線を確認してください。',
+        seamAllowanceContours: '縫い線: 外形 {sourceOutlines}、くり抜き {sourceHoles} → 裁ち線: 外形 {outlines}、くり抜き {holes}',
         
         // Footer
         copyright: '© 2024 Sewing SVG to PDF Converter'
@@ -219,14 +591,79 @@ export function updatePageTexts() {
     
     // Update all labels and options
     updateLabel('scaleFactor', t('scaleFactor'));
+    updateLabel('curveTolerance', t('curveTolerance'));
+    updateLabel('cornerStyle', t('cornerStyle'));
+    updateLabel('miterLimit', t('miterLimit'));
+    updateLabel('curvedAllowance', t('curvedAllowance'));
+    updateLabel('curvedAllowanceWidth', t('curvedAllowanceWidth'));
+    updateLabel('curveRadius', t('curveRadius'));
+    updateLabel('notchShape', t('notchShape'));
+    updateLabel('notchCount', t('notchCount'));
+    updateLabel('layoutMode', t('layoutMode'));
+    updateLabel('fabricWidth', t('fabricWidth'));
     updateLabel('paperSize', t('paperSize'));
+    updateLabel('customWidth', t('customWidth'));
+    updateLabel('customHeight', t('customHeight'));
+    updateLabel('rollLength', t('rollLength'));
     updateLabel('orientation', t('orientation'));
+    updateLabel('marginTop', t('marginTop'));
+    updateLabel('marginRight', t('marginRight'));
+    updateLabel('marginBottom', t('marginBottom'));
+    updateLabel('marginLeft', t('marginLeft'));
+    updateLabel('tileOversized', t('tileOversized'));
+    updateLabel('tileOverlap', t('overlapMargin'));
+    updateLabel('placementMode', t('placementMode'));
+    updateLabel('allowRotation', t('allowRotation'));
+    updateLabel('alignGrain', t('alignGrain'));
+    updateLabel('lockOrientation', t('lockOrientation'));
+    updateLabel('pieceCutCount', t('pieceCutCount'));
+    updateLabel('pieceCutMirror', t('pieceCutMirror'));
+    updateLabel('pieceSeamAllowance', t('pieceSeamAllowance'));
+    updateLabel('pieceCornerStyle', t('pieceCornerStyle'));
+    updateLabel('edgeAllowance', t('edgeAllowance'));
+    updateLabel('foldMirror', t('foldMirror'));
+    updateLabel('grainlineAngle', t('grainlineAngle'));
+    
+    const pieceSeamAllowanceInput = document.getElementById('pieceSeamAllowance');
+    if (pieceSeamAllowanceInput) pieceSeamAllowanceInput.placeholder = t('pieceSeamAllowanceDefault');
+    
+    const grainlineAngleInput = document.getElementById('grainlineAngle');
+    if (grainlineAngleInput) grainlineAngleInput.placeholder = t('grainlineAngleNone');
+    updateLabel('calibrationReference', t('calibrationReference'));
+    updateLabel('measuredWidth', t('measuredWidth'));
+    updateLabel('measuredHeight', t('measuredHeight'));
+    updateLabel('seamLengthTolerance', t('seamLengthTolerance'));
+    updateLabel('seamLengthReport', t('seamLengthReport'));
+    updateLabel('gradeSizes', t('gradeSizes'));
+    updateLabel('gradeBaseSize', t('gradeBaseSize'));
+    updateLabel('gradeOutput', t('gradeOutput'));
+    updateLabel('printSizes', t('printSizes'));
+    
+    const printSizesInput = document.getElementById('printSizes');
+    if (printSizesInput) printSizesInput.placeholder = t('printSizesAll');
+    updateLabel('pieceGradeRule', t('pieceGradeRule'));
+    updateLabel('pieceGradeX', t('pieceGradeX'));
+    updateLabel('pieceGradeY', t('pieceGradeY'));
+    updateLabel('gradeDeltaX', t('gradeDeltaX'));
+    updateLabel('gradeDeltaY', t('gradeDeltaY'));
     
     // Update setting group headings
     const settingGroups = document.querySelectorAll('.setting-group h3');
     if (settingGroups[0]) settingGroups[0].textContent = t('scaleCorrection');
     if (settingGroups[1]) settingGroups[1].textContent = t('paperSettings');
     
+    const calibrationTitle = document.querySelector('#calibrationSettings h3');
+    if (calibrationTitle) calibrationTitle.textContent = t('calibrationSettings');
+    
+    const seamLengthTitle = document.querySelector('#seamLengthSettings h3');
+    if (seamLengthTitle) seamLengthTitle.textContent = t('seamLengthSettings');
+    
+    const gradingSettingsTitle = document.querySelector('#gradingSettings h3');
+    if (gradingSettingsTitle) gradingSettingsTitle.textContent = t('gradingSettings');
+    
+    const printCalibrationButton = document.getElementById('printCalibration');
+    if (printCalibrationButton) printCalibrationButton.textContent = t('printCalibration');
+    
     // Note: help text removed per user request
     
     // Update paper size options
@@ -237,6 +674,9 @@ export function updatePageTexts() {
             const paperKey = option.value;
             option.textContent = t(`paperSizes.${paperKey}`);
         });
+        paperSizeSelect.querySelectorAll('optgroup').forEach(group => {
+            group.label = t(`paperGroups.${group.dataset.group}`);
+        });
     }
     
     // Update orientation options
@@ -247,14 +687,111 @@ export function updatePageTexts() {
         options[1].textContent = t('landscape');
     }
     
+    // Update layout mode options
+    const layoutModeSelect = document.getElementById('layoutMode');
+    if (layoutModeSelect) {
+        const options = layoutModeSelect.querySelectorAll('option');
+        options[0].textContent = t('layoutPaper');
+        options[1].textContent = t('layoutMarker');
+    }
+    
+    const pieceCutCountUnit = document.querySelector('#pieceCutCountGroup .unit-label');
+    if (pieceCutCountUnit) pieceCutCountUnit.textContent = t('pieceCutCountUnit');
+    
+    // Update corner style options (the piece select starts with the "default" option)
+    const miterLimitUnit = document.querySelector('#miterLimitGroup .unit-label');
+    if (miterLimitUnit) miterLimitUnit.textContent = t('miterLimitUnit');
+    
+    ['cornerStyle', 'pieceCornerStyle'].forEach(id => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        select.querySelectorAll('option').forEach(option => {
+            option.textContent = option.value ? t(`cornerStyles.${option.value}`) : t('pieceSeamAllowanceDefault');
+        });
+    });
+    
+    // Update grading options (the piece select starts with the "none" option)
+    ['gradeOutput', 'pieceGradeRule'].forEach(id => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        select.querySelectorAll('option').forEach(option => {
+            option.textContent = option.value ? t(`${id}s.${option.value}`) : t('pieceGradeRuleNone');
+        });
+    });
+    
+    // Update notch options
+    ['notchShape', 'notchCount'].forEach(id => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        select.querySelectorAll('option').forEach(option => {
+            option.textContent = t(`${id}s.${option.value}`);
+        });
+    });
+    
+    // Update placement mode options
+    const placementModeSelect = document.getElementById('placementMode');
+    if (placementModeSelect) {
+        const options = placementModeSelect.querySelectorAll('option');
+        options[0].textContent = t('placementBoundingBox');
+        options[1].textContent = t('placementNesting');
+    }
+    
     // Preview section
     const previewTitle = document.querySelector('.preview-section h2');
     if (previewTitle) previewTitle.textContent = t('previewTitle');
     
+    const pieceSettingsTitle = document.querySelector('.piece-settings h3');
+    if (pieceSettingsTitle) pieceSettingsTitle.textContent = t('pieceSettingsTitle');
+    
+    const edgeAllowanceTitle = document.querySelector('.edge-allowance-editor h4');
+    if (edgeAllowanceTitle) edgeAllowanceTitle.textContent = t('edgeAllowanceTitle');
+    
+    const edgeAllowanceHelp = document.querySelector('.edge-allowance-help');
+    if (edgeAllowanceHelp) edgeAllowanceHelp.textContent = t('edgeAllowanceHelp');
+    
+    const applyEdgeAllowanceButton = document.getElementById('applyEdgeAllowance');
+    if (applyEdgeAllowanceButton) applyEdgeAllowanceButton.textContent = t('applyEdgeAllowance');
+    
+    const resetEdgeAllowanceButton = document.getElementById('resetEdgeAllowance');
+    if (resetEdgeAllowanceButton) resetEdgeAllowanceButton.textContent = t('resetEdgeAllowance');
+    
+    const markFoldEdgeButton = document.getElementById('markFoldEdge');
+    if (markFoldEdgeButton) markFoldEdgeButton.textContent = t('markFoldEdge');
+    
+    const clearFoldEdgeButton = document.getElementById('clearFoldEdge');
+    if (clearFoldEdgeButton) clearFoldEdgeButton.textContent = t('clearFoldEdge');
+    
+    const grainlineTitle = document.querySelector('.grainline-editor h4');
+    if (grainlineTitle) grainlineTitle.textContent = t('grainlineTitle');
+    
+    const grainlineHelp = document.querySelector('.grainline-help');
+    if (grainlineHelp) grainlineHelp.textContent = t('grainlineHelp');
+    
+    const drawGrainlineButton = document.getElementById('drawGrainline');
+    if (drawGrainlineButton) drawGrainlineButton.textContent = t('drawGrainline');
+    
+    const removeGrainlineButton = document.getElementById('removeGrainline');
+    if (removeGrainlineButton) removeGrainlineButton.textContent = t('removeGrainline');
+    
+    const gradingTitle = document.querySelector('.grading-editor h4');
+    if (gradingTitle) gradingTitle.textContent = t('gradingTitle');
+    
+    const gradingHelp = document.querySelector('.grading-help');
+    if (gradingHelp) gradingHelp.textContent = t('gradingHelp');
+    
+    const applyGradeDeltaButton = document.getElementById('applyGradeDelta');
+    if (applyGradeDeltaButton) applyGradeDeltaButton.textContent = t('applyGradeDelta');
+    
+    const clearGradeDeltaButton = document.getElementById('clearGradeDelta');
+    if (clearGradeDeltaButton) clearGradeDeltaButton.textContent = t('clearGradeDelta');
+    
     // Generate button
     const generateButton = document.getElementById('generatePdf');
     if (generateButton) generateButton.textContent = t('generateButton');
     
+    const exportSvgButton = document.getElementById('exportSvg');
+    if (exportSvgButton) exportSvgButton.textContent = t('exportSvgButton');
+    
     // Footer
     const footer = document.querySelector('footer p');
     if (footer) footer.textContent = t('copyright');
@@ -1,19 +1,37 @@
 import { loadSVGFile, setupFileHandlers, scaleSVG, checkUnitsPageConstraints, analyzeSVGUnits } from './svg-processor.js';
-import { generatePDF, calculatePageInfo, getGridStrategy } from './pdf-generator.js';
+import { generatePDF, generateCalibrationPDF, exportMarkerSVG, calculatePageInfo, getGridStrategy } from './pdf-generator.js';
+import { CALIBRATION_SQUARES, getScaleCorrection } from './calibration.js';
 import { calculateUnitPlacement, createPlacedUnitsSVG } from './unit-placement.js';
-import { updateUI, showError, showProgress, showUnitWarning, hideUnitWarning } from './ui-controller.js';
+import { updateUI, showError, showProgress, showUnitWarning, hideUnitWarning, showSeamAllowanceWarning, showSeamLengthReport, showScaleSuggestion, showDiagnostics, showPieceList } from './ui-controller.js';
 import { initializeI18n, t } from './i18n.js';
 import { applySeamAllowance } from './seam-allowance.js';
+import { addNotches } from './notches.js';
+import { measureSewingguidePairs, DEFAULT_LENGTH_TOLERANCE } from './seam-length.js';
+import { detectScale } from './scale-detection.js';
+import { diagnosePattern, diagnoseSizeSettings } from './diagnostics.js';
 import { TextureMapper } from './texture-mapping.js';
 import { assignPatternPieceSymbols, updateAllSymbols, removeAllSymbols } from './pattern-symbols.js';
 import { assignSewingguideLabels, updateAllSewingguideLabels } from './sewingguide-labels.js';
+import { FOLD_EDGE_ATTRIBUTE, FOLD_MIRROR_ATTRIBUTE, isFoldMirrored, addFoldMirror } from './fold-line.js';
+import { CUT_COUNT_ATTRIBUTE, CUT_MIRROR_ATTRIBUTE, getCutCount, isCutMirrored, getSourcePieceId } from './cut-copies.js';
+import { getGrainline, getGrainlineAngle, setGrainline, removeGrainline, rotateGrainline, alignPiecesToGrain } from './grainline.js';
+import { GRADE_RULE_ATTRIBUTE, GRADE_DELTAS_ATTRIBUTE, parseSizes, getBaseSizeIndex, parseGradeRule, formatGradeRule, parseGradeDeltas, formatGradeDeltas, gradeSVG, nestGradedSizes, getSizeStyles } from './grading.js';
+import { getSizeNameFromFileName, compareSizeNames, linkSizePattern, copyPieceSettings, findUnmatchedSeams } from './size-files.js';
+import { setPieceExcluded, removeExcludedPieces } from './piece-visibility.js';
+import { EDGE_ALLOWANCES_ATTRIBUTE, PIECE_ALLOWANCE_ATTRIBUTE, PIECE_CORNER_STYLE_ATTRIBUTE, getPieceSeamAllowance, getPieceCornerStyle, parseEdgeAllowances, formatEdgeAllowances, getSeamEdges, findEdgesAlongGuide, drawEdgeHandles, removeEdgeHandles } from './edge-allowance.js';
 
 // Global state
 let currentSVG = null;
 let scaledSVG = null;
 let currentPageIndex = 0;
 let currentPlacement = null;
+let scaleSuggestion = null;
 let textureMapper = null;
+let selectedPieceId = null;
+let selectedEdges = new Set(); // "<seam index>:<segment index>" of the selected piece
+let grainlineDraft = null; // Drawing a grainline: {start: first clicked point or null}
+let sizeFiles = []; // Sizes loaded from separate SVG files: {name, svg}, from small to large
+let patternFindings = []; // Diagnostics of the loaded file
 
 // DOM element references
 const elements = {
@@ -26,14 +44,85 @@ const elements = {
     svgPreview: document.getElementById('svgPreview'),
     pageInfo: document.getElementById('pageInfo'),
     unitWarning: document.getElementById('unitWarning'),
+    seamWarning: document.getElementById('seamWarning'),
+    seamLengthPanel: document.getElementById('seamLengthPanel'),
+    diagnosticsPanel: document.getElementById('diagnosticsPanel'),
+    pieceListPanel: document.getElementById('pieceListPanel'),
+    seamLengthTolerance: document.getElementById('seamLengthTolerance'),
+    seamLengthReport: document.getElementById('seamLengthReport'),
+    gradeSizes: document.getElementById('gradeSizes'),
+    gradeBaseSize: document.getElementById('gradeBaseSize'),
+    gradeOutput: document.getElementById('gradeOutput'),
+    printSizes: document.getElementById('printSizes'),
     generateButton: document.getElementById('generatePdf'),
+    exportSvgButton: document.getElementById('exportSvg'),
     progressInfo: document.getElementById('progressInfo'),
     
     // Settings elements
     scaleFactor: document.getElementById('scaleFactor'),
+    scaleSuggestion: document.getElementById('scaleSuggestion'),
     seamAllowance: document.getElementById('seamAllowance'),
+    curveTolerance: document.getElementById('curveTolerance'),
+    cornerStyle: document.getElementById('cornerStyle'),
+    miterLimit: document.getElementById('miterLimit'),
+    miterLimitGroup: document.getElementById('miterLimitGroup'),
+    curvedAllowance: document.getElementById('curvedAllowance'),
+    curvedAllowanceGroup: document.getElementById('curvedAllowanceGroup'),
+    curvedAllowanceWidth: document.getElementById('curvedAllowanceWidth'),
+    curveRadius: document.getElementById('curveRadius'),
+    notchShape: document.getElementById('notchShape'),
+    notchCount: document.getElementById('notchCount'),
+    layoutMode: document.getElementById('layoutMode'),
+    fabricWidth: document.getElementById('fabricWidth'),
+    fabricWidthGroup: document.getElementById('fabricWidthGroup'),
     paperSize: document.getElementById('paperSize'),
+    customPaperGroup: document.getElementById('customPaperGroup'),
+    customWidth: document.getElementById('customWidth'),
+    customHeight: document.getElementById('customHeight'),
+    rollLengthGroup: document.getElementById('rollLengthGroup'),
+    rollLength: document.getElementById('rollLength'),
     orientation: document.getElementById('orientation'),
+    marginTop: document.getElementById('marginTop'),
+    marginRight: document.getElementById('marginRight'),
+    marginBottom: document.getElementById('marginBottom'),
+    marginLeft: document.getElementById('marginLeft'),
+    tileOversized: document.getElementById('tileOversized'),
+    tileOverlap: document.getElementById('tileOverlap'),
+    placementMode: document.getElementById('placementMode'),
+    allowRotation: document.getElementById('allowRotation'),
+    alignGrain: document.getElementById('alignGrain'),
+    
+    // Printer calibration elements
+    printCalibration: document.getElementById('printCalibration'),
+    calibrationReference: document.getElementById('calibrationReference'),
+    measuredWidth: document.getElementById('measuredWidth'),
+    measuredHeight: document.getElementById('measuredHeight'),
+    calibrationFactors: document.getElementById('calibrationFactors'),
+    
+    // Per-piece settings elements
+    pieceSettings: document.getElementById('pieceSettings'),
+    lockOrientation: document.getElementById('lockOrientation'),
+    pieceCutCount: document.getElementById('pieceCutCount'),
+    pieceCutMirror: document.getElementById('pieceCutMirror'),
+    pieceSeamAllowance: document.getElementById('pieceSeamAllowance'),
+    pieceCornerStyle: document.getElementById('pieceCornerStyle'),
+    edgeAllowance: document.getElementById('edgeAllowance'),
+    applyEdgeAllowance: document.getElementById('applyEdgeAllowance'),
+    resetEdgeAllowance: document.getElementById('resetEdgeAllowance'),
+    selectedEdgesInfo: document.getElementById('selectedEdgesInfo'),
+    markFoldEdge: document.getElementById('markFoldEdge'),
+    clearFoldEdge: document.getElementById('clearFoldEdge'),
+    foldMirror: document.getElementById('foldMirror'),
+    grainlineAngle: document.getElementById('grainlineAngle'),
+    drawGrainline: document.getElementById('drawGrainline'),
+    removeGrainline: document.getElementById('removeGrainline'),
+    pieceGradeRule: document.getElementById('pieceGradeRule'),
+    pieceGradeX: document.getElementById('pieceGradeX'),
+    pieceGradeY: document.getElementById('pieceGradeY'),
+    gradeDeltaX: document.getElementById('gradeDeltaX'),
+    gradeDeltaY: document.getElementById('gradeDeltaY'),
+    applyGradeDelta: document.getElementById('applyGradeDelta'),
+    clearGradeDelta: document.getElementById('clearGradeDelta'),
     
     // Page navigation elements
     pageNavigation: document.getElementById('pageNavigation'),
@@ -60,10 +149,81 @@ document.addEventListener('DOMContentLoaded', () => {
 // Setup event listeners
 function setupEventListeners() {
     elements.generateButton.addEventListener('click', handleGeneratePDF);
-    elements.scaleFactor.addEventListener('change', updatePreview);
+    elements.exportSvgButton.addEventListener('click', handleExportSVG);
+    elements.scaleFactor.addEventListener('change', handleScaleFactorChange);
+    elements.scaleSuggestion.addEventListener('click', (e) => {
+        if (e.target.closest('.apply-scale-suggestion')) applyScaleSuggestion();
+    });
+    elements.diagnosticsPanel.addEventListener('click', (e) => {
+        const button = e.target.closest('.locate-piece');
+        if (button) locatePiece(button.dataset.pieceId);
+    });
+    elements.pieceListPanel.addEventListener('change', handlePieceListChange);
+    elements.pieceListPanel.addEventListener('click', (e) => {
+        if (e.target.closest('.piece-list-all')) setAllPiecesExcluded(false);
+        if (e.target.closest('.piece-list-none')) setAllPiecesExcluded(true);
+    });
     elements.seamAllowance.addEventListener('change', updatePreview);
-    elements.paperSize.addEventListener('change', updatePreview);
-    elements.orientation.addEventListener('change', updatePreview);
+    elements.curveTolerance.addEventListener('change', updatePreview);
+    elements.cornerStyle.addEventListener('change', handleCornerStyleChange);
+    elements.miterLimit.addEventListener('change', updatePreview);
+    elements.curvedAllowance.addEventListener('change', handleCurvedAllowanceChange);
+    elements.curvedAllowanceWidth.addEventListener('change', updatePreview);
+    elements.curveRadius.addEventListener('change', updatePreview);
+    elements.notchShape.addEventListener('change', updatePreview);
+    elements.notchCount.addEventListener('change', updatePreview);
+    elements.seamLengthTolerance.addEventListener('change', updateSeamLengthReport);
+    elements.gradeSizes.addEventListener('change', updatePreview);
+    elements.gradeBaseSize.addEventListener('change', handleBaseSizeChange);
+    elements.gradeOutput.addEventListener('change', updatePreview);
+    elements.printSizes.addEventListener('change', updatePreview);
+    elements.layoutMode.addEventListener('change', handleLayoutModeChange);
+    elements.fabricWidth.addEventListener('change', updatePreview);
+    elements.paperSize.addEventListener('change', handlePaperSizeChange);
+    elements.customWidth.addEventListener('change', handlePageSettingChange);
+    elements.customHeight.addEventListener('change', handlePageSettingChange);
+    elements.rollLength.addEventListener('change', handlePageSettingChange);
+    elements.orientation.addEventListener('change', handlePageSettingChange);
+    elements.marginTop.addEventListener('change', handlePageSettingChange);
+    elements.marginRight.addEventListener('change', handlePageSettingChange);
+    elements.marginBottom.addEventListener('change', handlePageSettingChange);
+    elements.marginLeft.addEventListener('change', handlePageSettingChange);
+    // Remember the page settings, so that a setting that leaves no printable area can be put back
+    [elements.paperSize, elements.customWidth, elements.customHeight, elements.rollLength, elements.orientation,
+        elements.marginTop, elements.marginRight, elements.marginBottom, elements.marginLeft]
+        .forEach(input => { input.dataset.acceptedValue = input.value; });
+    elements.tileOversized.addEventListener('change', updatePreview);
+    elements.tileOverlap.addEventListener('change', updatePreview);
+    elements.placementMode.addEventListener('change', updatePreview);
+    elements.allowRotation.addEventListener('change', updatePreview);
+    elements.alignGrain.addEventListener('change', updatePreview);
+    
+    // Printer calibration listeners
+    elements.printCalibration.addEventListener('click', handlePrintCalibration);
+    elements.calibrationReference.addEventListener('change', handleCalibrationReferenceChange);
+    elements.measuredWidth.addEventListener('input', updateCalibrationFactors);
+    elements.measuredHeight.addEventListener('input', updateCalibrationFactors);
+    
+    // Per-piece settings listeners
+    elements.lockOrientation.addEventListener('change', handlePieceSettingChange);
+    elements.pieceCutCount.addEventListener('change', handlePieceSettingChange);
+    elements.pieceCutMirror.addEventListener('change', handlePieceSettingChange);
+    elements.pieceSeamAllowance.addEventListener('change', handlePieceSettingChange);
+    elements.pieceCornerStyle.addEventListener('change', handlePieceSettingChange);
+    elements.applyEdgeAllowance.addEventListener('click', handleApplyEdgeAllowance);
+    elements.resetEdgeAllowance.addEventListener('click', handleResetEdgeAllowance);
+    elements.markFoldEdge.addEventListener('click', handleMarkFoldEdge);
+    elements.clearFoldEdge.addEventListener('click', handleClearFoldEdge);
+    elements.foldMirror.addEventListener('change', handlePieceSettingChange);
+    elements.grainlineAngle.addEventListener('change', handleGrainlineAngleChange);
+    elements.drawGrainline.addEventListener('click', handleDrawGrainline);
+    elements.removeGrainline.addEventListener('click', handleRemoveGrainline);
+    elements.pieceGradeRule.addEventListener('change', handlePieceSettingChange);
+    elements.pieceGradeX.addEventListener('change', handlePieceSettingChange);
+    elements.pieceGradeY.addEventListener('change', handlePieceSettingChange);
+    elements.applyGradeDelta.addEventListener('click', handleApplyGradeDelta);
+    elements.clearGradeDelta.addEventListener('click', handleClearGradeDelta);
+    elements.svgPreview.addEventListener('click', handlePreviewEdgeClick);
     
     // Page navigation listeners
     elements.prevPageBtn.addEventListener('click', () => navigatePage(-1));
@@ -78,28 +238,200 @@ function setupEventListeners() {
     elements.textureOffsetY.addEventListener('input', handleTextureTransformUpdate);
 }
 
-// Handle file selection
-async function handleFileSelect(file) {
-    if (!file || !file.name.endsWith('.svg')) {
+// Collect layout settings from the settings form
+function getSettings() {
+    const tileOversized = elements.tileOversized.checked;
+    
+    return {
+        layoutMode: elements.layoutMode.value,
+        fabricWidth: parseFloat(elements.fabricWidth.value),
+        paperSize: elements.paperSize.value,
+        customWidth: parseFloat(elements.customWidth.value),
+        customHeight: parseFloat(elements.customHeight.value),
+        rollLength: parseFloat(elements.rollLength.value),
+        orientation: elements.orientation.value,
+        margins: {
+            top: parseFloat(elements.marginTop.value),
+            right: parseFloat(elements.marginRight.value),
+            bottom: parseFloat(elements.marginBottom.value),
+            left: parseFloat(elements.marginLeft.value)
+        },
+        // Overlap (glue margin) is only used between tiles of oversized units
+        overlap: tileOversized ? (parseFloat(elements.tileOverlap.value) || 0) : 0,
+        addMarks: true,    // Fixed to true
+        scaleFactor: parseFloat(elements.scaleFactor.value) / 100,
+        seamAllowance: parseFloat(elements.seamAllowance.value),
+        tileOversized,
+        placementMode: elements.placementMode.value,
+        allowRotation: elements.allowRotation.checked,
+        calibration: getCalibrationSettings(),
+        seamLengthReport: elements.seamLengthReport.checked,
+        seamLengthTolerance: getSeamLengthTolerance(),
+        // The preview keeps the legend area free as well, so that it shows the printed placement
+        sizeLegend: getSizeLegend()
+    };
+}
+
+// Get the line styles of nested sizes for the legend; null unless several sizes are nested
+function getSizeLegend() {
+    const grading = getGradingSettings();
+    if (!grading || grading.output === 'separate' || grading.printed.length < 2) return null;
+    
+    const styles = getSizeStyles(grading.printed.length, grading.printedBaseIndex);
+    return grading.printed.map((sizeIndex, i) => ({ name: grading.sizes[sizeIndex], ...styles[i] }));
+}
+
+// Allowed length difference of sewing guide pairs in mm
+function getSeamLengthTolerance() {
+    const tolerance = parseFloat(elements.seamLengthTolerance.value);
+    return tolerance >= 0 ? tolerance : DEFAULT_LENGTH_TOLERANCE;
+}
+
+// Collect the measured sizes of the calibration square
+function getCalibrationSettings() {
+    return {
+        reference: elements.calibrationReference.value,
+        measuredX: parseFloat(elements.measuredWidth.value),
+        measuredY: parseFloat(elements.measuredHeight.value)
+    };
+}
+
+// Show the correction factors resulting from the measured sizes
+function updateCalibrationFactors() {
+    const correction = getScaleCorrection(getCalibrationSettings());
+    elements.calibrationFactors.textContent =
+        `X: ${(correction.x * 100).toFixed(1)}% / Y: ${(correction.y * 100).toFixed(1)}%`;
+}
+
+// Reset the measured sizes when switching between the 10cm and the 4in square
+function handleCalibrationReferenceChange() {
+    const square = CALIBRATION_SQUARES[elements.calibrationReference.value];
+    elements.measuredWidth.value = square.nominal;
+    elements.measuredHeight.value = square.nominal;
+    elements.measuredWidth.step = square.unit === 'mm' ? '0.1' : '0.01';
+    elements.measuredHeight.step = elements.measuredWidth.step;
+    document.querySelectorAll('.calibration-unit').forEach(label => {
+        label.textContent = square.unit;
+    });
+    updateCalibrationFactors();
+}
+
+// Download the calibration test page for the selected paper
+async function handlePrintCalibration() {
+    try {
+        await generateCalibrationPDF(getSettings());
+    } catch (error) {
+        showError(t('failedToGenerate') + ' ' + error.message);
+        console.error(error);
+    }
+}
+
+// Switch between printing on paper and laying out a fabric marker
+function handleLayoutModeChange() {
+    const isMarker = elements.layoutMode.value === 'marker';
+    elements.fabricWidthGroup.style.display = isMarker ? '' : 'none';
+    elements.exportSvgButton.style.display = isMarker ? '' : 'none';
+    updatePreview();
+}
+
+// Hide the scale suggestion once the scaling matches it
+function handleScaleFactorChange() {
+    showScaleSuggestion(elements, scaleSuggestion, parseFloat(elements.scaleFactor.value), t);
+    updatePreview();
+}
+
+// Apply the suggested scaling with one click
+function applyScaleSuggestion() {
+    if (!scaleSuggestion) return;
+    
+    elements.scaleFactor.value = scaleSuggestion.scale;
+    handleScaleFactorChange();
+}
+
+// Show the miter limit only for pointed corners
+function handleCornerStyleChange() {
+    elements.miterLimitGroup.style.display = elements.cornerStyle.value === 'miter' ? '' : 'none';
+    updatePreview();
+}
+
+// Show the curved allowance settings only when they are used
+function handleCurvedAllowanceChange() {
+    elements.curvedAllowanceGroup.style.display = elements.curvedAllowance.checked ? '' : 'none';
+    updatePreview();
+}
+
+// Accept a paper or margin setting only if the margins leave a printable area on the paper,
+// otherwise put the setting back to its last accepted value
+function acceptPageSetting(input) {
+    const gridStrategy = getGridStrategy({ ...getSettings(), layoutMode: 'paper' });
+    if (gridStrategy.printableWidth > 0 && gridStrategy.printableHeight > 0) {
+        input.dataset.acceptedValue = input.value;
+        return true;
+    }
+    
+    showError(t('marginsTooLarge')
+        .replace('{width}', gridStrategy.pageWidth)
+        .replace('{height}', gridStrategy.pageHeight));
+    input.value = input.dataset.acceptedValue;
+    return false;
+}
+
+// Update the preview after a paper or margin setting has changed
+function handlePageSettingChange(event) {
+    if (acceptPageSetting(event.target)) {
+        updatePreview();
+    }
+}
+
+// Show the inputs that belong to the selected paper size
+function handlePaperSizeChange() {
+    if (!acceptPageSetting(elements.paperSize)) return;
+    
+    const paperSize = elements.paperSize.value;
+    elements.customPaperGroup.style.display = paperSize === 'custom' ? '' : 'none';
+    elements.rollLengthGroup.style.display = paperSize.startsWith('roll') ? '' : 'none';
+    updatePreview();
+}
+
+// Handle file selection; several files are loaded as the sizes of one pattern
+async function handleFileSelect(files) {
+    if (files.length === 0 || files.some(file => !file.name.endsWith('.svg'))) {
         showError(t('selectSvgFile'));
         return;
     }
     
     try {
-        // Load SVG file
-        currentSVG = await loadSVGFile(file);
+        // Load SVG files
+        const svgs = await Promise.all(files.map(file => loadSVGFile(file)));
+        svgs.forEach(svg => {
+            // Assign IDs to all pattern pieces (g elements) if they don't have one
+            assignPatternPieceIds(svg);
+            
+            // Assign symbols to pattern pieces
+            assignPatternPieceSymbols(svg);
+            
+            // Assign labels to sewingguide pairs
+            assignSewingguideLabels(svg);
+        });
         
-        // Assign IDs to all pattern pieces (g elements) if they don't have one
-        assignPatternPieceIds(currentSVG);
+        // Several files are sizes; the pieces of the base size are the ones edited and labelled
+        if (svgs.length > 1) {
+            currentSVG = loadSizeFiles(files, svgs);
+        } else {
+            clearSizeFiles();
+            currentSVG = svgs[0];
+        }
         
-        // Assign symbols to pattern pieces
-        assignPatternPieceSymbols(currentSVG);
+        // List problems of the input file
+        patternFindings = diagnosePattern(currentSVG);
+        showDiagnostics(elements, patternFindings, t);
         
-        // Assign labels to sewingguide pairs
-        assignSewingguideLabels(currentSVG);
+        // Suggest the scaling from the units and piece sizes of the file
+        scaleSuggestion = detectScale(currentSVG);
+        showScaleSuggestion(elements, scaleSuggestion, parseFloat(elements.scaleFactor.value), t);
         
         // Update UI
-        updateUI.fileLoaded(elements, file.name);
+        updateUI.fileLoaded(elements, files.map(file => file.name).join(', '));
         
         // Update preview
         updatePreview();
@@ -110,42 +442,197 @@ async function handleFileSelect(file) {
     }
 }
 
-// Update preview
-function updatePreview() {
-    if (!currentSVG) return;
+// Take loaded files as the sizes of one pattern and match their pieces to the base size
+function loadSizeFiles(files, svgs) {
+    let names = files.map(file => getSizeNameFromFileName(file.name));
+    if (new Set(names).size !== names.length) {
+        // The last words do not tell the sizes apart; use the whole file names
+        names = files.map(file => file.name.replace(/\.svg$/i, ''));
+    }
+    
+    sizeFiles = names.map((name, i) => ({ name, svg: svgs[i] }))
+        .sort((a, b) => compareSizeNames(a.name, b.name));
+    
+    const sizes = sizeFiles.map(size => size.name);
+    const baseSVG = sizeFiles[getBaseSizeIndex(sizes, elements.gradeBaseSize.value)].svg;
+    
+    const unmatched = [];
+    sizeFiles.forEach(size => {
+        if (size.svg === baseSVG) return;
+        const pieces = linkSizePattern(baseSVG, size.svg);
+        if (pieces.length > 0) unmatched.push(`${size.name}: ${pieces.length}`);
+    });
+    if (unmatched.length > 0) {
+        showError(t('unmatchedSizePieces') + ' ' + unmatched.join(', '));
+    }
     
+    // The size range comes from the files
+    elements.gradeSizes.value = sizes.join(', ');
+    elements.gradeSizes.disabled = true;
+    elements.gradeBaseSize.value = sizes[getBaseSizeIndex(sizes, elements.gradeBaseSize.value)];
+    
+    return baseSVG;
+}
+
+// Forget the sizes of previously loaded size files
+function clearSizeFiles() {
+    if (sizeFiles.length === 0) return;
+    
+    sizeFiles = [];
+    elements.gradeSizes.value = '';
+    elements.gradeSizes.disabled = false;
+}
+
+// Switch the base size; for size files the new base takes over the piece settings
+function handleBaseSizeChange() {
+    if (sizeFiles.length > 0 && currentSVG) {
+        const sizes = sizeFiles.map(size => size.name);
+        const baseSVG = sizeFiles[getBaseSizeIndex(sizes, elements.gradeBaseSize.value)].svg;
+        if (baseSVG !== currentSVG) {
+            copyPieceSettings(currentSVG, baseSVG);
+            currentSVG = baseSVG;
+            showPieceSettings(null);
+        }
+    }
+    updatePreview();
+}
+
+// Apply seam allowance, notches, scale correction and grain alignment to a copy of a pattern
+function processPattern(sourceSVG) {
     const scalePercentage = parseFloat(elements.scaleFactor.value);
     const scaleFactor = scalePercentage / 100; // Convert percentage to scale factor
     const seamAllowance = parseFloat(elements.seamAllowance.value);
     
     // Clone SVG and apply transformations
-    let processedSVG = currentSVG.cloneNode(true);
-    
-    // Apply seam allowance first if specified
-    // Adjust seam allowance by scale factor so it becomes the correct size after scaling
-    if (seamAllowance > 0) {
-        const adjustedSeamAllowance = seamAllowance / scaleFactor;
-        const result = applySeamAllowance(processedSVG, adjustedSeamAllowance);
-        processedSVG = result.svg;
-        
-        // Show errors if any
-        if (result.errors.length > 0) {
-            const errorMessage = result.errors.join('\n');
-            showError(errorMessage);
-        }
-    }
+    let processedSVG = sourceSVG.cloneNode(true);
+    
+    // Apply seam allowance first (pieces may have per-edge widths even when the global width is 0)
+    // Adjust seam allowance and curve tolerance by scale factor so they become the correct size after scaling
+    const adjustedSeamAllowance = seamAllowance / scaleFactor;
+    const curveTolerance = parseFloat(elements.curveTolerance.value) / scaleFactor;
+    const result = applySeamAllowance(processedSVG, adjustedSeamAllowance, {
+        curveTolerance,
+        unitsPerMm: 1 / scaleFactor,
+        cornerStyle: elements.cornerStyle.value,
+        miterLimit: parseFloat(elements.miterLimit.value),
+        curvedAllowance: elements.curvedAllowance.checked ? parseFloat(elements.curvedAllowanceWidth.value) : null,
+        curveRadius: parseFloat(elements.curveRadius.value)
+    });
+    processedSVG = result.svg;
+    
+    // Mark where the sewing guides meet the cut line
+    addNotches(processedSVG, {
+        shape: elements.notchShape.value,
+        count: elements.notchCount.value,
+        unitsPerMm: 1 / scaleFactor
+    });
     
     // Then apply scale correction
     scaleSVG(processedSVG, scaleFactor);
-    scaledSVG = processedSVG;
+    
+    // Turn pieces so that their grainline runs along the fabric before they are placed
+    // (always on a fabric marker, where the grain is given by the roll)
+    if (elements.alignGrain.checked || elements.layoutMode.value === 'marker') {
+        alignPiecesToGrain(processedSVG);
+    }
     
     // Adjust stroke-width for seam-allowance paths to be scale-independent
-    const seamAllowancePaths = scaledSVG.querySelectorAll('path.seam-allowance');
+    const seamAllowancePaths = processedSVG.querySelectorAll('path.seam-allowance');
     seamAllowancePaths.forEach(path => {
         // Set stroke-width to a fixed value that looks good regardless of scale
         path.setAttribute('stroke-width', '2');
     });
     
+    return { svg: processedSVG, errors: result.errors, warnings: result.warnings };
+}
+
+// Check whether a size of the size range is the loaded (or base file) pattern itself
+function isBaseSize(grading, index) {
+    return sizeFiles.length > 0 ? sizeFiles[index].svg === currentSVG : index === grading.baseIndex;
+}
+
+// Process one size of the size range: a loaded size file, or a size graded from the loaded pattern
+function processSize(grading, index) {
+    if (isBaseSize(grading, index)) return processPattern(currentSVG);
+    
+    if (sizeFiles.length > 0) {
+        const sizeSVG = sizeFiles[index].svg.cloneNode(true);
+        copyPieceSettings(currentSVG, sizeSVG);
+        return processPattern(sizeSVG);
+    }
+    
+    const unitsPerMm = 100 / parseFloat(elements.scaleFactor.value);
+    return processPattern(gradeSVG(currentSVG, index - grading.baseIndex, { unitsPerMm }));
+}
+
+// Collect the grading settings; null when there is no size range
+function getGradingSettings() {
+    const sizes = sizeFiles.length > 0 ? sizeFiles.map(size => size.name) : parseSizes(elements.gradeSizes.value);
+    if (sizes.length < 2) return null;
+    const baseIndex = getBaseSizeIndex(sizes, elements.gradeBaseSize.value);
+    
+    // Sizes to print, all of them when the filter is empty or names none of them
+    const filter = parseSizes(elements.printSizes.value);
+    let printed = sizes.map((size, i) => i).filter(i => filter.includes(sizes[i]));
+    if (printed.length === 0) printed = sizes.map((size, i) => i);
+    
+    return {
+        sizes,
+        baseIndex,
+        printed,
+        // Nested output is drawn on the base size, or on the first printed size without it
+        printedBaseIndex: Math.max(0, printed.indexOf(baseIndex)),
+        output: elements.gradeOutput.value
+    };
+}
+
+// Update preview
+function updatePreview() {
+    if (!currentSVG) return;
+    
+    // Every graded size gets its own seam allowance; nested output shows all sizes at once
+    let results;
+    const grading = getGradingSettings();
+    try {
+        if (grading && grading.output === 'nested') {
+            results = grading.printed.map(i => processSize(grading, i));
+            scaledSVG = nestGradedSizes(
+                results.map(result => result.svg),
+                grading.printed.map(i => grading.sizes[i]),
+                grading.printedBaseIndex,
+                { gradedOnly: sizeFiles.length === 0 }
+            );
+        } else {
+            results = [processPattern(currentSVG)];
+            scaledSVG = results[0].svg;
+        }
+    } catch (error) {
+        showError(error.message);
+        return;
+    }
+    
+    // Show errors if any
+    const errors = results.flatMap(result => result.errors);
+    if (errors.length > 0) {
+        const errorMessage = errors.join('\n');
+        showError(errorMessage);
+    }
+    showSeamAllowanceWarning(elements, results.flatMap(result => result.warnings), t);
+    
+    // Settings of base seams that other size files cannot take over
+    if (sizeFiles.length > 0) {
+        const sizeFindings = sizeFiles
+            .filter(size => size.svg !== currentSVG)
+            .flatMap(size => diagnoseSizeSettings(findUnmatchedSeams(currentSVG, size.svg), size.name));
+        showDiagnostics(elements, [...patternFindings, ...sizeFindings], t);
+    }
+    
+    // Compare the lengths of the edges sewn together (in mm after scaling)
+    updateSeamLengthReport();
+    
+    // List every unit, including the ones left out of the output
+    showPieceList(elements, analyzeSVGUnits(scaledSVG, { includeExcluded: true }), t);
+    
     // Display in preview with placement
     displayPreviewWithPlacement();
     
@@ -159,6 +646,10 @@ function updatePreview() {
         textureMapper.syncCallback = (previewPiece) => {
             syncTextureToScaledSVG(previewPiece);
         };
+        // Show the per-piece settings of the selected piece
+        textureMapper.selectionCallback = (previewPiece) => {
+            showPieceSettings(previewPiece);
+        };
     }
     
     // Initialize texture mapping for the current preview
@@ -178,14 +669,7 @@ function updatePreview() {
 function displayPreviewWithPlacement() {
     if (!scaledSVG) return;
     
-    const settings = {
-        paperSize: elements.paperSize.value,
-        orientation: elements.orientation.value,
-        overlap: 0,
-        addMarks: true,
-        scaleFactor: parseFloat(elements.scaleFactor.value) / 100,
-        seamAllowance: parseFloat(elements.seamAllowance.value),
-    };
+    const settings = getSettings();
     
     const gridStrategy = getGridStrategy(settings);
     currentPlacement = calculateUnitPlacement(scaledSVG, gridStrategy);
@@ -197,11 +681,17 @@ function displayPreviewWithPlacement() {
     if (currentPlacement.pages.length > 1) {
         elements.pageNavigation.style.display = 'flex';
         updatePageDisplay();
+    } else if (gridStrategy.layoutMode === 'marker' && currentPlacement.pages.length === 1) {
+        // Show the pieces laid out on the fabric
+        elements.pageNavigation.style.display = 'none';
+        updatePageDisplay();
     } else {
         elements.pageNavigation.style.display = 'none';
         elements.svgPreview.innerHTML = '';
         // For single page or no pages, just show the original scaled SVG
         const previewSvg = scaledSVG.cloneNode(true);
+        removeExcludedPieces(previewSvg);
+        previewSvg.querySelectorAll(`[${FOLD_MIRROR_ATTRIBUTE}]`).forEach(piece => addFoldMirror(piece));
         elements.svgPreview.appendChild(previewSvg);
         
         // Re-initialize texture mapper for the new SVG
@@ -232,14 +722,7 @@ function navigatePage(direction) {
 function updatePageDisplay() {
     if (!currentPlacement || !scaledSVG) return;
     
-    const settings = {
-        paperSize: elements.paperSize.value,
-        orientation: elements.orientation.value,
-        overlap: 0,
-        addMarks: true,
-        scaleFactor: parseFloat(elements.scaleFactor.value) / 100,
-        seamAllowance: parseFloat(elements.seamAllowance.value),
-    };
+    const settings = getSettings();
     
     const gridStrategy = getGridStrategy(settings);
     const currentPage = currentPlacement.pages[currentPageIndex];
@@ -267,23 +750,52 @@ function updatePageDisplay() {
     updateAllSewingguideLabels(previewSVG);
     
     // Update navigation controls
-    elements.pageIndicator.textContent = `ページ ${currentPageIndex + 1} / ${currentPlacement.pages.length}`;
+    let pageLabel = `ページ ${currentPageIndex + 1} / ${currentPlacement.pages.length}`;
+    if (currentPage.tile) {
+        pageLabel += ` (${currentPage.tile.label})`;
+    }
+    elements.pageIndicator.textContent = pageLabel;
     elements.prevPageBtn.disabled = currentPageIndex === 0;
     elements.nextPageBtn.disabled = currentPageIndex === currentPlacement.pages.length - 1;
 }
 
+// Show a pattern piece from the diagnostics in the preview
+function locatePiece(pieceId) {
+    if (!pieceId || !currentPlacement) return;
+    
+    // Go to the page the piece is placed on
+    const pageIndex = currentPlacement.pages.findIndex(page => page.tile ?
+        page.tile.unit.element.getAttribute('id') === pieceId :
+        page.units.some(unit => unit.element.getAttribute('id') === pieceId));
+    if (pageIndex >= 0 && pageIndex !== currentPageIndex && currentPlacement.pages.length > 1) {
+        currentPageIndex = pageIndex;
+        updatePageDisplay();
+    }
+    
+    elements.svgPreview.querySelectorAll('.diagnostic-highlight').forEach(piece => {
+        piece.classList.remove('diagnostic-highlight');
+    });
+    const previewPieces = Array.from(elements.svgPreview.querySelectorAll('g[id]'))
+        .filter(piece => piece.getAttribute('id') === pieceId);
+    previewPieces.forEach(piece => piece.classList.add('diagnostic-highlight'));
+    if (previewPieces.length > 0) {
+        previewPieces[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+}
+
+// Show the seam lengths of the sewing guide pairs
+function updateSeamLengthReport() {
+    if (!scaledSVG) return;
+    
+    const tolerance = getSeamLengthTolerance();
+    showSeamLengthReport(elements, measureSewingguidePairs(scaledSVG, tolerance), tolerance, t);
+}
+
 // Update page information
 function updatePageInfo() {
     if (!scaledSVG) return;
     
-    const settings = {
-        paperSize: elements.paperSize.value,
-        orientation: elements.orientation.value,
-        overlap: 0,        // Fixed to 0 (no margin)
-        addMarks: true,    // Fixed to true
-        scaleFactor: parseFloat(elements.scaleFactor.value) / 100,
-        seamAllowance: parseFloat(elements.seamAllowance.value),
-    };
+    const settings = getSettings();
     
     // Calculate page info - use scaledSVG which has seam allowance applied
     const pageInfo = calculatePageInfo(scaledSVG, settings);
@@ -293,11 +805,21 @@ function updatePageInfo() {
             ${t('pagesLabel')} ${pageInfo.pageCount} ${t('pagesUnit')}
         `;
         
+        // Fabric length and utilization of the marker
+        if (pageInfo.marker) {
+            infoHtml = `
+                ${t('fabricWidthLabel')} ${pageInfo.marker.fabricWidth / 10}cm<br>
+                ${t('markerLengthLabel')} ${(pageInfo.marker.length / 10).toFixed(1)}cm<br>
+                ${t('utilizationLabel')} ${pageInfo.marker.utilization.toFixed(1)}%<br>
+                ${t('unitsLabel')} ${pageInfo.marker.pieceCount}
+            `;
+        }
+        
         // Add unit placement info if multiple pages
         if (pageInfo.pageCount > 1) {
             const units = analyzeSVGUnits(scaledSVG);
             if (units.length > 0) {
-                infoHtml += `<br>${t('unitsLabel') || 'Pattern pieces:'} ${units.length}`;
+                infoHtml += `<br>${t('unitsLabel')} ${units.length}`;
             }
         }
         
@@ -306,6 +828,9 @@ function updatePageInfo() {
     
     // Check unit constraints using the already scaled SVG
     const constraintCheck = checkUnitsPageConstraints(scaledSVG, settings);
+    if (constraintCheck.tiledUnits.length > 0) {
+        elements.pageInfo.innerHTML += `<br>${t('tiledUnitsLabel')} ${constraintCheck.tiledUnits.length}`;
+    }
     if (constraintCheck.isValid) {
         hideUnitWarning(elements);
         elements.generateButton.disabled = false;
@@ -327,17 +852,20 @@ async function handleGeneratePDF() {
         elements.generateButton.disabled = true;
         showProgress(elements.progressInfo, t('generatingPdf'));
         
-        const settings = {
-            paperSize: elements.paperSize.value,
-            orientation: elements.orientation.value,
-            overlap: 0,        // Fixed to 0 (no margin)
-            addMarks: true,    // Fixed to true
-            scaleFactor: parseFloat(elements.scaleFactor.value) / 100,
-            seamAllowance: parseFloat(elements.seamAllowance.value),
-            };
+        const settings = getSettings();
         
-        // Generate PDF - use scaledSVG which already has seam allowance applied
-        await generatePDF(scaledSVG, settings);
+        // One PDF per size; the base size is the preview with its textures
+        const grading = getGradingSettings();
+        if (grading && grading.output === 'separate') {
+            for (const i of grading.printed) {
+                const sizeSVG = isBaseSize(grading, i) ? scaledSVG : processSize(grading, i).svg;
+                await generatePDF(sizeSVG, { ...settings, sizeName: grading.sizes[i] });
+            }
+        } else {
+            // Generate PDF - use scaledSVG which already has seam allowance applied
+            // (nested sizes get a legend of their line styles on every page)
+            await generatePDF(scaledSVG, settings);
+        }
         
         showProgress(elements.progressInfo, t('pdfGenerated'), 'success');
         
@@ -352,6 +880,423 @@ async function handleGeneratePDF() {
     }
 }
 
+// Handle SVG export of the fabric marker
+async function handleExportSVG() {
+    if (!scaledSVG) {
+        showError(t('noSvgLoaded'));
+        return;
+    }
+    
+    try {
+        const settings = getSettings();
+        
+        // One marker per size, like the PDFs
+        const grading = getGradingSettings();
+        if (grading && grading.output === 'separate') {
+            for (const i of grading.printed) {
+                const sizeSVG = isBaseSize(grading, i) ? scaledSVG : processSize(grading, i).svg;
+                await exportMarkerSVG(sizeSVG, { ...settings, sizeName: grading.sizes[i] });
+            }
+        } else {
+            await exportMarkerSVG(scaledSVG, settings);
+        }
+    } catch (error) {
+        showError(t('failedToExport') + ' ' + error.message);
+        console.error(error);
+    }
+}
+
+// Show the settings of the selected pattern piece
+function showPieceSettings(previewPiece) {
+    const sourcePiece = previewPiece && currentSVG ?
+        currentSVG.querySelector(`#${getSourcePieceId(previewPiece)}`) : null;
+    
+    if (!sourcePiece) {
+        selectedPieceId = null;
+        selectedEdges.clear();
+        setGrainlineDraft(null);
+        removeEdgeHandles(elements.svgPreview);
+        elements.pieceSettings.style.display = 'none';
+        return;
+    }
+    
+    // The edge selection belongs to one piece
+    if (sourcePiece.getAttribute('id') !== selectedPieceId) {
+        selectedEdges.clear();
+        setGrainlineDraft(null);
+    }
+    
+    selectedPieceId = sourcePiece.getAttribute('id');
+    elements.lockOrientation.checked = sourcePiece.getAttribute('data-lock-orientation') === 'true';
+    elements.pieceCutCount.value = getCutCount(sourcePiece);
+    elements.pieceCutMirror.checked = isCutMirrored(sourcePiece);
+    const pieceAllowance = getPieceSeamAllowance(sourcePiece);
+    elements.pieceSeamAllowance.value = pieceAllowance === null ? '' : pieceAllowance;
+    elements.pieceCornerStyle.value = getPieceCornerStyle(sourcePiece) || '';
+    elements.foldMirror.checked = isFoldMirrored(sourcePiece);
+    const grainline = getGrainline(sourcePiece);
+    elements.grainlineAngle.value = grainline ? Math.round(getGrainlineAngle(grainline) * 10) / 10 : '';
+    const gradeRule = parseGradeRule(sourcePiece.getAttribute(GRADE_RULE_ATTRIBUTE));
+    elements.pieceGradeRule.value = gradeRule ? gradeRule.type : '';
+    if (gradeRule) {
+        elements.pieceGradeX.value = gradeRule.x;
+        elements.pieceGradeY.value = gradeRule.y;
+    }
+    elements.pieceGradeY.disabled = !gradeRule || gradeRule.type === 'uniform';
+    elements.pieceSettings.style.display = 'block';
+    updateEdgeSelection(previewPiece);
+}
+
+// Redraw the edge handles of the selected piece and the selection summary
+function updateEdgeSelection(previewPiece) {
+    removeEdgeHandles(elements.svgPreview);
+    drawEdgeHandles(previewPiece, selectedEdges);
+    elements.selectedEdgesInfo.textContent = t('selectedEdges').replace('{count}', selectedEdges.size);
+}
+
+// Get the preview element of the selected piece
+function getSelectedPreviewPiece() {
+    return selectedPieceId ? elements.svgPreview.querySelector(`#${selectedPieceId}`) : null;
+}
+
+// Select edges by clicking an edge handle or a sewing guide of the selected piece
+// Shift+click adds to or removes from the selection
+function handlePreviewEdgeClick(event) {
+    const previewPiece = getSelectedPreviewPiece();
+    if (!previewPiece || !previewPiece.contains(event.target)) return;
+    
+    if (grainlineDraft) {
+        handleGrainlineClick(event, previewPiece);
+        return;
+    }
+    
+    let keys = [];
+    const handle = event.target.closest('.edge-handle');
+    if (handle) {
+        keys = [`${handle.getAttribute('data-seam-index')}:${handle.getAttribute('data-edge-index')}`];
+    } else if (event.target.classList.contains('sewinguide')) {
+        // Select every seam edge the sewing guide runs along
+        const guideData = event.target.getAttribute('d');
+        previewPiece.querySelectorAll('path.seam').forEach((seam, seamIndex) => {
+            const edges = getSeamEdges(seam.getAttribute('d'));
+            findEdgesAlongGuide(edges, guideData).forEach(index => keys.push(`${seamIndex}:${index}`));
+        });
+    } else {
+        return;
+    }
+    
+    if (event.shiftKey) {
+        keys.forEach(key => {
+            if (selectedEdges.has(key)) {
+                selectedEdges.delete(key);
+            } else {
+                selectedEdges.add(key);
+            }
+        });
+    } else {
+        selectedEdges = new Set(keys);
+    }
+    
+    updateEdgeSelection(previewPiece);
+}
+
+// Store a width for the selected edges (null resets them to the global width)
+function setSelectedEdgeAllowances(width) {
+    if (!currentSVG || !selectedPieceId || selectedEdges.size === 0) return;
+    
+    const seams = getSourceSeams();
+    selectedEdges.forEach(key => {
+        const [seamIndex, edgeIndex] = key.split(':').map(Number);
+        const seam = seams[seamIndex];
+        if (!seam) return;
+        
+        const allowances = parseEdgeAllowances(seam.getAttribute(EDGE_ALLOWANCES_ATTRIBUTE));
+        if (width === null) {
+            allowances.delete(edgeIndex);
+        } else {
+            allowances.set(edgeIndex, width);
+        }
+        
+        if (allowances.size > 0) {
+            seam.setAttribute(EDGE_ALLOWANCES_ATTRIBUTE, formatEdgeAllowances(allowances));
+        } else {
+            seam.removeAttribute(EDGE_ALLOWANCES_ATTRIBUTE);
+        }
+    });
+    
+    refreshPreviewKeepingSelection();
+}
+
+// Apply the entered width to the selected edges
+function handleApplyEdgeAllowance() {
+    const width = parseFloat(elements.edgeAllowance.value);
+    if (!(width >= 0)) {
+        showError(t('invalidEdgeAllowance'));
+        return;
+    }
+    setSelectedEdgeAllowances(width);
+}
+
+// Reset the selected edges to the global seam allowance
+function handleResetEdgeAllowance() {
+    setSelectedEdgeAllowances(null);
+}
+
+// Mark the selected edge as the fold line of its seam
+function handleMarkFoldEdge() {
+    if (!currentSVG || !selectedPieceId) return;
+    if (selectedEdges.size !== 1) {
+        showError(t('selectOneFoldEdge'));
+        return;
+    }
+    
+    const [seamIndex, edgeIndex] = Array.from(selectedEdges)[0].split(':').map(Number);
+    const seam = getSourceSeams()[seamIndex];
+    if (!seam) return;
+    
+    seam.setAttribute(FOLD_EDGE_ATTRIBUTE, edgeIndex);
+    refreshPreviewKeepingSelection();
+}
+
+// Remove the fold lines of the selected piece
+function handleClearFoldEdge() {
+    if (!currentSVG || !selectedPieceId) return;
+    
+    getSourceSeams().forEach(seam => seam.removeAttribute(FOLD_EDGE_ATTRIBUTE));
+    refreshPreviewKeepingSelection();
+}
+
+// Turn the grainline of the selected piece to the entered angle, or remove it when empty
+function handleGrainlineAngleChange() {
+    if (!currentSVG || !selectedPieceId) return;
+    
+    const sourcePiece = getSourcePiece();
+    const angle = parseFloat(elements.grainlineAngle.value);
+    if (Number.isFinite(angle)) {
+        rotateGrainline(sourcePiece, angle);
+    } else {
+        removeGrainline(sourcePiece);
+    }
+    refreshPreviewKeepingSelection();
+}
+
+// Start or cancel drawing a grainline on the selected piece
+function handleDrawGrainline() {
+    if (!currentSVG || !selectedPieceId) return;
+    setGrainlineDraft(grainlineDraft ? null : { start: null });
+}
+
+// Remove the grainline of the selected piece
+function handleRemoveGrainline() {
+    if (!currentSVG || !selectedPieceId) return;
+    
+    setGrainlineDraft(null);
+    removeGrainline(getSourcePiece());
+    refreshPreviewKeepingSelection();
+}
+
+// Store a vertex move per size for the end points of the selected edges (null removes them)
+function setSelectedGradeDeltas(delta) {
+    if (!currentSVG || !selectedPieceId) return;
+    
+    const seams = getSourceSeams();
+    if (delta === null && selectedEdges.size === 0) {
+        // Without a selection, clear the moves of the whole piece
+        seams.forEach(seam => seam.removeAttribute(GRADE_DELTAS_ATTRIBUTE));
+        refreshPreviewKeepingSelection();
+        return;
+    }
+    if (selectedEdges.size === 0) {
+        showError(t('selectGradeVertex'));
+        return;
+    }
+    
+    selectedEdges.forEach(key => {
+        const [seamIndex, vertex] = key.split(':').map(Number);
+        const seam = seams[seamIndex];
+        if (!seam) return;
+        
+        // Edges are keyed by the segment they end with, the closing edge by its moveto,
+        // so the key is also the index of the vertex at the end of the edge
+        const deltas = parseGradeDeltas(seam.getAttribute(GRADE_DELTAS_ATTRIBUTE));
+        if (delta === null) {
+            deltas.delete(vertex);
+        } else {
+            deltas.set(vertex, delta);
+        }
+        
+        if (deltas.size > 0) {
+            seam.setAttribute(GRADE_DELTAS_ATTRIBUTE, formatGradeDeltas(deltas));
+        } else {
+            seam.removeAttribute(GRADE_DELTAS_ATTRIBUTE);
+        }
+    });
+    
+    refreshPreviewKeepingSelection();
+}
+
+// Apply the entered vertex move to the end points of the selected edges
+function handleApplyGradeDelta() {
+    const dx = parseFloat(elements.gradeDeltaX.value) || 0;
+    const dy = parseFloat(elements.gradeDeltaY.value) || 0;
+    setSelectedGradeDeltas({ dx, dy });
+}
+
+// Remove the vertex moves of the selected edges, or of the whole piece when nothing is selected
+function handleClearGradeDelta() {
+    setSelectedGradeDeltas(null);
+}
+
+// Set the grainline drawing state and show it on the draw button
+function setGrainlineDraft(draft) {
+    grainlineDraft = draft;
+    elements.drawGrainline.classList.toggle('active', draft !== null);
+}
+
+// Take a clicked point as the start or end of the grainline being drawn
+function handleGrainlineClick(event, previewPiece) {
+    const screenMatrix = previewPiece.getScreenCTM();
+    if (!screenMatrix) return;
+    
+    // Client coordinates to the piece, then back to the unscaled units of the loaded SVG
+    const scaleFactor = parseFloat(elements.scaleFactor.value) / 100;
+    const point = new DOMPoint(event.clientX, event.clientY).matrixTransform(screenMatrix.inverse());
+    const sourcePoint = { X: point.x / scaleFactor, Y: point.y / scaleFactor };
+    
+    if (!grainlineDraft.start) {
+        grainlineDraft.start = sourcePoint;
+        return;
+    }
+    
+    const start = grainlineDraft.start;
+    setGrainlineDraft(null);
+    if (start.X === sourcePoint.X && start.Y === sourcePoint.Y) return;
+    
+    setGrainline(getSourcePiece(), start, sourcePoint);
+    refreshPreviewKeepingSelection();
+}
+
+// Get the selected piece in the loaded SVG
+function getSourcePiece() {
+    const sourcePiece = currentSVG.querySelector(`#${selectedPieceId}`);
+    if (!sourcePiece) {
+        throw new Error(`Source piece with ID ${selectedPieceId} not found`);
+    }
+    return sourcePiece;
+}
+
+// Get the seam paths of the selected piece in the loaded SVG
+function getSourceSeams() {
+    const sourcePiece = currentSVG.querySelector(`#${selectedPieceId}`);
+    if (!sourcePiece) {
+        throw new Error(`Source piece with ID ${selectedPieceId} not found`);
+    }
+    return sourcePiece.querySelectorAll('path.seam');
+}
+
+// Store per-piece settings on the loaded SVG and refresh the preview
+function handlePieceSettingChange() {
+    if (!currentSVG || !selectedPieceId) return;
+    
+    const sourcePiece = currentSVG.querySelector(`#${selectedPieceId}`);
+    if (!sourcePiece) {
+        throw new Error(`Source piece with ID ${selectedPieceId} not found`);
+    }
+    
+    if (elements.lockOrientation.checked) {
+        sourcePiece.setAttribute('data-lock-orientation', 'true');
+    } else {
+        sourcePiece.removeAttribute('data-lock-orientation');
+    }
+    
+    // Pieces cut once need no cut count
+    const cutCount = parseInt(elements.pieceCutCount.value, 10);
+    if (cutCount > 1) {
+        sourcePiece.setAttribute(CUT_COUNT_ATTRIBUTE, cutCount);
+    } else {
+        sourcePiece.removeAttribute(CUT_COUNT_ATTRIBUTE);
+    }
+    
+    if (elements.pieceCutMirror.checked) {
+        sourcePiece.setAttribute(CUT_MIRROR_ATTRIBUTE, 'true');
+    } else {
+        sourcePiece.removeAttribute(CUT_MIRROR_ATTRIBUTE);
+    }
+    
+    // An empty field falls back to the global seam allowance
+    const pieceAllowance = parseFloat(elements.pieceSeamAllowance.value);
+    if (pieceAllowance >= 0) {
+        sourcePiece.setAttribute(PIECE_ALLOWANCE_ATTRIBUTE, pieceAllowance);
+    } else {
+        sourcePiece.removeAttribute(PIECE_ALLOWANCE_ATTRIBUTE);
+    }
+    
+    if (elements.pieceCornerStyle.value) {
+        sourcePiece.setAttribute(PIECE_CORNER_STYLE_ATTRIBUTE, elements.pieceCornerStyle.value);
+    } else {
+        sourcePiece.removeAttribute(PIECE_CORNER_STYLE_ATTRIBUTE);
+    }
+    
+    if (elements.foldMirror.checked) {
+        sourcePiece.setAttribute(FOLD_MIRROR_ATTRIBUTE, 'true');
+    } else {
+        sourcePiece.removeAttribute(FOLD_MIRROR_ATTRIBUTE);
+    }
+    
+    // Uniform grading uses the width percentage for both directions
+    const gradeType = elements.pieceGradeRule.value;
+    const gradeX = parseFloat(elements.pieceGradeX.value);
+    const gradeY = gradeType === 'uniform' ? gradeX : parseFloat(elements.pieceGradeY.value);
+    elements.pieceGradeY.disabled = gradeType !== 'axis';
+    if (gradeType && Number.isFinite(gradeX) && Number.isFinite(gradeY)) {
+        sourcePiece.setAttribute(GRADE_RULE_ATTRIBUTE, formatGradeRule({ type: gradeType, x: gradeX, y: gradeY }));
+    } else {
+        sourcePiece.removeAttribute(GRADE_RULE_ATTRIBUTE);
+    }
+    
+    refreshPreviewKeepingSelection();
+}
+
+// Include or exclude the piece of a checkbox in the piece list
+function handlePieceListChange(event) {
+    const pieceId = event.target.dataset.pieceId;
+    if (!currentSVG || !pieceId) return;
+    
+    const sourcePiece = currentSVG.querySelector(`#${pieceId}`);
+    if (!sourcePiece) {
+        throw new Error(`Source piece with ID ${pieceId} not found`);
+    }
+    
+    setPieceExcluded(sourcePiece, !event.target.checked);
+    refreshPreviewKeepingSelection();
+}
+
+// Include or exclude every piece of the piece list
+function setAllPiecesExcluded(excluded) {
+    if (!currentSVG) return;
+    
+    elements.pieceListPanel.querySelectorAll('input[data-piece-id]').forEach(checkbox => {
+        const sourcePiece = checkbox.dataset.pieceId ? currentSVG.querySelector(`#${checkbox.dataset.pieceId}`) : null;
+        if (sourcePiece) setPieceExcluded(sourcePiece, excluded);
+    });
+    refreshPreviewKeepingSelection();
+}
+
+// Rebuild the preview and keep the selected piece selected
+function refreshPreviewKeepingSelection() {
+    const pieceId = selectedPieceId;
+    const edges = selectedEdges;
+    updatePreview();
+    
+    const previewPiece = pieceId ? elements.svgPreview.querySelector(`#${pieceId}`) : null;
+    if (previewPiece && textureMapper) {
+        textureMapper.selectPiece(previewPiece);
+        // Re-selecting the rebuilt piece clears the edge selection; restore it
+        selectedEdges = edges;
+        updateEdgeSelection(previewPiece);
+    }
+}
+
 // Handle texture image upload
 async function handleTextureImageUpload(event) {
     const file = event.target.files[0];
@@ -397,7 +1342,8 @@ function syncTextureToScaledSVG(previewPiece) {
         throw new Error('Scaled SVG is not available');
     }
     
-    const pieceId = previewPiece.getAttribute('id');
+    // Copies of pieces cut more than once are textured like the piece
+    const pieceId = getSourcePieceId(previewPiece);
     if (!pieceId) {
         throw new Error('Preview piece must have an ID');
     }
@@ -0,0 +1,114 @@
+// Fabric marker layout
+// Lays the pattern pieces out on one long page as wide as the fabric roll
+// and reports the fabric length needed
+
+import { createPlacedUnitsSVG, getUnitPolygons } from './unit-placement.js';
+
+// Common fabric roll widths in mm
+export const FABRIC_WIDTHS = [1100, 1400, 1500];
+
+// Distance between the length ticks along the selvedge (mm)
+const TICK_INTERVAL = 100;
+
+// Calculate the area of a polygon (shoelace formula)
+function polygonArea(polygon) {
+    let area = 0;
+    for (let i = 0; i < polygon.length; i++) {
+        const a = polygon[i];
+        const b = polygon[(i + 1) % polygon.length];
+        area += a.X * b.Y - b.X * a.Y;
+    }
+    return Math.abs(area) / 2;
+}
+
+// Calculate the fabric area covered by a unit's outline
+function getUnitArea(unit) {
+    return getUnitPolygons(unit).reduce((sum, polygon) => sum + polygonArea(polygon), 0);
+}
+
+// Summarize a marker placement: fabric length and material utilization
+export function calculateMarkerSummary(placement, gridStrategy) {
+    const page = placement.pages[0];
+    const usedLength = page ? page.height : 0;
+    const units = page ? page.units : [];
+    
+    // The fabric length includes the margins at both cut ends
+    const length = usedLength + gridStrategy.margins.top + gridStrategy.margins.bottom;
+    const pieceArea = units.reduce((sum, unit) => sum + getUnitArea(unit), 0);
+    const fabricArea = gridStrategy.fabricWidth * length;
+    
+    return {
+        fabricWidth: gridStrategy.fabricWidth,
+        length,
+        pieceCount: units.length,
+        pieceArea,
+        utilization: fabricArea > 0 && units.length > 0 ? pieceArea / fabricArea * 100 : 0
+    };
+}
+
+// Create the SVG of the whole marker including the selvedge margins
+export function createMarkerSVG(svgElement, placement, gridStrategy) {
+    const page = placement.pages[0];
+    const markerSVG = createPlacedUnitsSVG(svgElement, page, gridStrategy);
+    const summary = calculateMarkerSummary(placement, gridStrategy);
+    const { left, top } = gridStrategy.margins;
+    
+    // Widen the view to the full fabric width and length
+    markerSVG.setAttribute('viewBox', `${-left} ${-top} ${summary.fabricWidth} ${summary.length}`);
+    markerSVG.setAttribute('width', `${summary.fabricWidth}mm`);
+    markerSVG.setAttribute('height', `${summary.length}mm`);
+    
+    addMarkerMarks(markerSVG, summary, gridStrategy);
+    
+    return markerSVG;
+}
+
+// Add the fabric outline, length ticks and marker information
+function addMarkerMarks(svgElement, summary, gridStrategy) {
+    const { left, top } = gridStrategy.margins;
+    const marks = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    marks.setAttribute('class', 'marker-marks');
+    
+    // Fabric outline (selvedges and cut ends)
+    const outline = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    outline.setAttribute('x', -left);
+    outline.setAttribute('y', -top);
+    outline.setAttribute('width', summary.fabricWidth);
+    outline.setAttribute('height', summary.length);
+    outline.setAttribute('fill', 'none');
+    outline.setAttribute('stroke', 'black');
+    outline.setAttribute('stroke-width', '0.5');
+    marks.appendChild(outline);
+    
+    // Length ticks every 10cm along the left selvedge
+    for (let y = TICK_INTERVAL; y < summary.length; y += TICK_INTERVAL) {
+        const tick = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        tick.setAttribute('x1', -left);
+        tick.setAttribute('y1', y - top);
+        tick.setAttribute('x2', -left / 2);
+        tick.setAttribute('y2', y - top);
+        tick.setAttribute('stroke', 'black');
+        tick.setAttribute('stroke-width', '0.5');
+        marks.appendChild(tick);
+        
+        const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        label.setAttribute('x', -left / 2 + 1);
+        label.setAttribute('y', y - top + 1);
+        label.setAttribute('font-size', '3');
+        label.setAttribute('fill', 'black');
+        label.textContent = `${y / 10}cm`;
+        marks.appendChild(label);
+    }
+    
+    // Marker information in the top margin (not translated: the standard PDF fonts have no CJK glyphs)
+    const info = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+    info.setAttribute('x', 0);
+    info.setAttribute('y', -top / 2 + 1.5);
+    info.setAttribute('font-size', '4');
+    info.setAttribute('fill', 'black');
+    info.textContent = `Fabric ${summary.fabricWidth / 10}cm × ${(summary.length / 10).toFixed(1)}cm / ` +
+        `Utilization ${summary.utilization.toFixed(1)}%`;
+    marks.appendChild(info);
+    
+    svgElement.appendChild(marks);
+}
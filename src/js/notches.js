@@ -0,0 +1,188 @@
+/**
+ * Notches on the cut line
+ * Each sewingguide endpoint is projected onto the seam allowance outline of its piece and
+ * marked with a notch, so matching points can be found after cutting. Paired guides
+ * (data-sewingguide-label, see sewingguide-labels.js) get the same number of notches.
+ */
+
+import { flattenPath } from './svg-path.js';
+
+export const NOTCH_SHAPES = ['none', 't', 'v'];
+export const DEFAULT_NOTCH_SHAPE = 'v';
+// 'auto' cycles single, double and triple notches through the numbers of the guide pairs
+export const NOTCH_COUNTS = ['auto', '1', '2', '3'];
+export const DEFAULT_NOTCH_COUNT = 'auto';
+// Notch depth in mm
+export const DEFAULT_NOTCH_SIZE = 3;
+
+/**
+ * Get the number of notches for a sewingguide
+ * @param {Element} guide - Sewingguide element
+ * @param {string|number} count - 'auto' or a fixed number of notches
+ * @returns {number} Number of notches (1-3)
+ */
+export function getNotchCount(guide, count = DEFAULT_NOTCH_COUNT) {
+    if (count !== 'auto') {
+        return Math.min(Math.max(parseInt(count) || 1, 1), 3);
+    }
+    
+    // Pair number of labels like "A:B:2"
+    const match = (guide.getAttribute('data-sewingguide-label') || '').match(/:(\d+)$/);
+    return match ? (parseInt(match[1]) - 1) % 3 + 1 : 1;
+}
+
+/**
+ * Find the closest point on a set of closed outlines
+ * @param {{X: number, Y: number}} p - Point
+ * @param {Array} outlines - Arrays of {X, Y}
+ * @returns {{point: {X, Y}, tangent: {X, Y}, distance: number}|null} Closest point and the unit
+ * direction of the outline there, or null if there are no outlines
+ */
+export function projectOntoOutline(p, outlines) {
+    let best = null;
+    
+    outlines.forEach(points => {
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            const dx = b.X - a.X;
+            const dy = b.Y - a.Y;
+            const lengthSquared = dx * dx + dy * dy;
+            if (lengthSquared === 0) continue;
+            
+            const t = Math.max(0, Math.min(1, ((p.X - a.X) * dx + (p.Y - a.Y) * dy) / lengthSquared));
+            const point = { X: a.X + t * dx, Y: a.Y + t * dy };
+            const distance = Math.hypot(p.X - point.X, p.Y - point.Y);
+            if (!best || distance < best.distance) {
+                const length = Math.sqrt(lengthSquared);
+                best = { point, tangent: { X: dx / length, Y: dy / length }, distance };
+            }
+        }
+    });
+    
+    return best;
+}
+
+/**
+ * Get the top-level group (pattern piece) of an element
+ * @param {Element} element - Element inside a piece
+ * @returns {Element|null} Pattern piece group
+ */
+function findPiece(element) {
+    let current = element.parentElement;
+    while (current && current.parentElement && current.parentElement.tagName.toLowerCase() !== 'svg') {
+        current = current.parentElement;
+    }
+    return current && current.tagName.toLowerCase() === 'g' ? current : null;
+}
+
+/**
+ * Build the path data of one group of notches
+ * @param {{X, Y}} point - Notch position on the cut line
+ * @param {{X, Y}} tangent - Direction of the cut line
+ * @param {{X, Y}} normal - Direction into the allowance
+ * @param {Object} notch - {shape: 't' or 'v', count, depth}
+ * @returns {string} Path data
+ */
+function createNotchPathData(point, tangent, normal, { shape, count, depth }) {
+    const width = depth * 0.6;
+    const spacing = depth * 0.8;
+    const at = (along, across) => {
+        const x = point.X + tangent.X * along + normal.X * across;
+        const y = point.Y + tangent.Y * along + normal.Y * across;
+        return `${x.toFixed(3)} ${y.toFixed(3)}`;
+    };
+    
+    const commands = [];
+    for (let i = 0; i < count; i++) {
+        const center = (i - (count - 1) / 2) * spacing;
+        if (shape === 't') {
+            // Slit into the allowance with a crossbar at its end
+            commands.push(`M ${at(center, 0)} L ${at(center, depth)}`);
+            commands.push(`M ${at(center - width / 2, depth)} L ${at(center + width / 2, depth)}`);
+        } else {
+            commands.push(`M ${at(center - width / 2, 0)} L ${at(center, depth)} L ${at(center + width / 2, 0)}`);
+        }
+    }
+    return commands.join(' ');
+}
+
+/**
+ * Add notches where the sewingguides meet the cut line
+ * Call after applySeamAllowance; pieces without an allowance are notched on the seam.
+ * @param {SVGElement} svgElement - SVG with the seam allowance applied
+ * @param {Object} options - {shape: see NOTCH_SHAPES, count: see NOTCH_COUNTS,
+ * size: notch depth in mm, unitsPerMm: SVG units per mm}
+ * @returns {number} Number of notched sewingguides
+ */
+export function addNotches(svgElement, options = {}) {
+    removeNotches(svgElement);
+    
+    const shape = options.shape || DEFAULT_NOTCH_SHAPE;
+    if (!NOTCH_SHAPES.includes(shape) || shape === 'none') return 0;
+    
+    const unitsPerMm = options.unitsPerMm || 1;
+    const size = (options.size || DEFAULT_NOTCH_SIZE) * unitsPerMm;
+    let added = 0;
+    
+    svgElement.querySelectorAll('path.sewinguide').forEach(guide => {
+        const piece = findPiece(guide);
+        if (!piece) return;
+        
+        // Cut line of the piece: the allowance if there is one, the seam otherwise
+        let cutLines = piece.querySelectorAll('path.seam-allowance');
+        if (cutLines.length === 0) {
+            cutLines = piece.querySelectorAll('path.seam');
+        }
+        const outlines = Array.from(cutLines)
+            .flatMap(path => flattenPath(path.getAttribute('d') || ''))
+            .map(subpath => subpath.points)
+            .filter(points => points.length >= 2);
+        const guidePoints = flattenPath(guide.getAttribute('d') || '').flatMap(subpath => subpath.points);
+        if (outlines.length === 0 || guidePoints.length === 0) return;
+        
+        const center = outlines.flat().reduce((sum, p) => ({ X: sum.X + p.X, Y: sum.Y + p.Y }), { X: 0, Y: 0 });
+        const pointCount = outlines.flat().length;
+        const notch = { shape, count: getNotchCount(guide, options.count), depth: size };
+        const endpoints = [guidePoints[0], guidePoints[guidePoints.length - 1]];
+        const pathData = endpoints
+            .filter((p, i) => i === 0 || p.X !== endpoints[0].X || p.Y !== endpoints[0].Y)
+            .map(endpoint => {
+                const projection = projectOntoOutline(endpoint, outlines);
+                const { point, tangent, distance } = projection;
+                
+                // Point into the allowance, towards the seam line (or the piece centre on the seam)
+                let normal = { X: -tangent.Y, Y: tangent.X };
+                const target = distance > 1e-6 ? endpoint :
+                    { X: center.X / pointCount, Y: center.Y / pointCount };
+                if ((target.X - point.X) * normal.X + (target.Y - point.Y) * normal.Y < 0) {
+                    normal = { X: -normal.X, Y: -normal.Y };
+                }
+                
+                // Never cut past the seam line
+                const depth = distance > 1e-6 ? Math.min(notch.depth, distance * 0.8) : notch.depth;
+                return createNotchPathData(point, tangent, normal, { ...notch, depth });
+            })
+            .join(' ');
+        
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('class', 'notch');
+        path.setAttribute('d', pathData);
+        path.setAttribute('fill', 'none');
+        path.setAttribute('stroke', '#000');
+        path.setAttribute('stroke-width', (0.3 * unitsPerMm).toString());
+        path.setAttribute('data-notch-count', notch.count);
+        guide.parentNode.appendChild(path);
+        added++;
+    });
+    
+    return added;
+}
+
+/**
+ * Remove the notches from an element and its descendants
+ * @param {Element} element - SVG or pattern piece
+ */
+export function removeNotches(element) {
+    element.querySelectorAll('path.notch').forEach(notch => notch.remove());
+}
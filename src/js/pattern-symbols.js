@@ -3,6 +3,10 @@
  * Handles assigning and rendering A-Z, AA-AZ... symbols to pattern pieces
  */
 
+import { addFoldMarks, removeFoldMarks } from './fold-line.js';
+import { addGrainlineArrow, removeGrainlineArrows, GRAIN_ROTATION_ATTRIBUTE } from './grainline.js';
+import { getCutLabel, MIRRORED_COPY_ATTRIBUTE } from './cut-copies.js';
+
 /**
  * Convert zero-based index to Excel-like column name (A, B, C...Z, AA, AB...)
  * @param {number} index - Zero-based index
@@ -56,7 +60,7 @@ export function assignPatternPieceSymbols(svgElement) {
 }
 
 /**
- * Add symbol text to a pattern piece
+ * Add symbol text, cut instruction, fold marks and the grainline arrow to a pattern piece
  * @param {SVGElement} pieceElement - The pattern piece element
  */
 export function addSymbolToPattern(pieceElement) {
@@ -74,6 +78,9 @@ export function addSymbolToPattern(pieceElement) {
     if (existingSymbol) {
         existingSymbol.remove();
     }
+    pieceElement.querySelectorAll('.pattern-cut-label').forEach(label => label.remove());
+    removeFoldMarks(pieceElement);
+    removeGrainlineArrows(pieceElement);
     
     // Get bounding box
     const bbox = pieceElement.getBBox();
@@ -103,8 +110,65 @@ export function addSymbolToPattern(pieceElement) {
     text.setAttribute('opacity', '0.5');
     text.textContent = symbol;
     
+    const uprightTransform = getUprightTextTransform(pieceElement, bbox.x + bbox.width / 2, bbox.y + bbox.height / 2);
+    if (uprightTransform) {
+        text.setAttribute('transform', uprightTransform);
+    }
+    
     // Insert at the beginning of the group to place behind other elements
     pieceElement.insertBefore(text, pieceElement.firstChild);
+    
+    // Cut instruction below the symbol, e.g. "Cut 2 (mirror)"
+    const cutLabel = getCutLabel(pieceElement);
+    if (cutLabel) {
+        const labelX = bbox.x + bbox.width / 2;
+        const labelY = bbox.y + bbox.height / 2 + finalFontSize * 0.8;
+        const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        label.setAttribute('class', 'pattern-cut-label');
+        label.setAttribute('x', labelX);
+        label.setAttribute('y', labelY);
+        label.setAttribute('text-anchor', 'middle');
+        label.setAttribute('dominant-baseline', 'middle');
+        label.setAttribute('font-size', finalFontSize * 0.35);
+        label.setAttribute('font-family', 'Arial, sans-serif');
+        label.setAttribute('fill', '#4a5568');
+        label.textContent = cutLabel;
+        
+        // Rotate around the symbol so that both stay together
+        const labelTransform = getUprightTextTransform(pieceElement, bbox.x + bbox.width / 2, bbox.y + bbox.height / 2);
+        if (labelTransform) {
+            label.setAttribute('transform', labelTransform);
+        }
+        pieceElement.insertBefore(label, text.nextSibling);
+    }
+    
+    // Fold line and "place on fold" bracket of pieces cut on the fold
+    addFoldMarks(pieceElement);
+    addGrainlineArrow(pieceElement);
+}
+
+/**
+ * Get the transform that keeps text upright and readable on a piece rotated during page
+ * placement or grain alignment, or mirrored as a copy of a piece cut in mirrored pairs
+ * @param {SVGElement} pieceElement - The pattern piece element
+ * @param {number} x - X coordinate of the text anchor
+ * @param {number} y - Y coordinate of the text anchor
+ * @returns {string|null} - Counter-transform around the anchor, or null if the piece is not rotated or mirrored
+ */
+export function getUprightTextTransform(pieceElement, x, y) {
+    const placementRotation = parseFloat(pieceElement.getAttribute('data-placement-rotation')) || 0;
+    const grainRotation = parseFloat(pieceElement.getAttribute(GRAIN_ROTATION_ATTRIBUTE)) || 0;
+    
+    // The mirror lies between the placement and the grain rotation and turns the latter around
+    if (pieceElement.getAttribute(MIRRORED_COPY_ATTRIBUTE) === 'true') {
+        return `translate(${x} ${y}) scale(-1 1) rotate(${grainRotation - placementRotation}) translate(${-x} ${-y})`;
+    }
+    
+    const rotation = placementRotation + grainRotation;
+    if (!rotation) {
+        return null;
+    }
+    return `rotate(${-rotation} ${x} ${y})`;
 }
 
 /**
@@ -118,6 +182,9 @@ export function removeAllSymbols(svgElement) {
     
     const symbols = svgElement.querySelectorAll('.pattern-symbol');
     symbols.forEach(symbol => symbol.remove());
+    svgElement.querySelectorAll('.pattern-cut-label').forEach(label => label.remove());
+    removeFoldMarks(svgElement);
+    removeGrainlineArrows(svgElement);
 }
 
 /**
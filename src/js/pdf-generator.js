@@ -5,6 +5,10 @@ import { updateAllSymbols } from './pattern-symbols.js';
 import { updateAllSewingguideLabels } from './sewingguide-labels.js';
 import { jsPDF } from 'jspdf';
 import { svg2pdf } from 'svg2pdf.js';
+import { FABRIC_WIDTHS, calculateMarkerSummary, createMarkerSVG } from './marker-layout.js';
+import { getScaleCorrection, createCalibrationSVG, createVerificationSquare, VERIFICATION_SQUARE_SIZE } from './calibration.js';
+import { parseTransform } from './svg-transform.js';
+import { measureSewingguidePairs, createSeamLengthReportPages, DEFAULT_LENGTH_TOLERANCE } from './seam-length.js';
 
 // Prepare SVG for PDF export by reorganizing elements for texture display
 async function prepareSVGForPDF(svgElement) {
@@ -168,13 +172,7 @@ async function clipTextureToShape(textureImage, clipPath, group) {
                 
                 // If clip path has transform, apply it before creating the path
                 if (clipTransform) {
-                    const rotateMatch = clipTransform.match(/rotate\(([^)]+)\)/);
-                    if (rotateMatch) {
-                        const [angle, cx, cy] = rotateMatch[1].split(/\s+/).map(Number);
-                        ctx.translate(cx, cy);
-                        ctx.rotate(angle * Math.PI / 180);
-                        ctx.translate(-cx, -cy);
-                    }
+                    ctx.transform(...parseTransform(clipTransform));
                 }
                 
                 const path2D = new Path2D(pathData);
@@ -189,15 +187,8 @@ async function clipTextureToShape(textureImage, clipPath, group) {
                 // Apply image transform if present
                 const imgTransform = textureImage.getAttribute('transform');
                 if (imgTransform) {
-                    // Parse rotation from transform (e.g., "rotate(45 150 150)")
-                    const rotateMatch = imgTransform.match(/rotate\(([^)]+)\)/);
-                    if (rotateMatch) {
-                        const [angle, cx, cy] = rotateMatch[1].split(/\s+/).map(Number);
-                        // Apply rotation around the specified center
-                        ctx.translate(cx, cy);
-                        ctx.rotate(angle * Math.PI / 180);
-                        ctx.translate(-cx, -cy);
-                    }
+                    // Any transform list, e.g. "rotate(45 150 150)" from texture mapping
+                    ctx.transform(...parseTransform(imgTransform));
                 }
                 
                 // Draw the image at its position
@@ -280,11 +271,22 @@ export async function generatePDF(svgElement, settings) {
     
     
     
+    // Fabric markers are a single long page
+    if (settings.layoutMode === 'marker') {
+        return await generateMarkerPDF(scaledSVG, settings);
+    }
+    
     // Always use multi-page generation (even for single page)
     return await generateMultiPagePDF(scaledSVG, settings);
 }
 
 
+// File name part for the graded size of a PDF ("" when only one size is printed)
+function getSizeSuffix(settings) {
+    if (!settings.sizeName) return '';
+    return `-${settings.sizeName.replace(/[^A-Za-z0-9_-]+/g, '_')}`;
+}
+
 // Generate multi-page PDF
 async function generateMultiPagePDF(svgElement, settings) {
     const gridStrategy = getGridStrategy(settings);
@@ -315,11 +317,14 @@ async function generateMultiPagePDF(svgElement, settings) {
     
     // PDF文書を作成
     const doc = new jsPDF({
-        orientation: settings.orientation,
+        orientation: gridStrategy.pageWidth > gridStrategy.pageHeight ? 'landscape' : 'portrait',
         unit: 'mm',
-        format: settings.paperSize
+        format: [gridStrategy.pageWidth, gridStrategy.pageHeight]
     });
     
+    // Per-axis printer scale correction from the calibration page
+    const correction = getScaleCorrection(settings.calibration);
+    
     try {
         // Generate each page with placed units
         for (let i = 0; i < placement.pages.length; i++) {
@@ -332,13 +337,20 @@ async function generateMultiPagePDF(svgElement, settings) {
             
             // Create SVG for this page with placed units
             const pagedSVG = createPlacedUnitsSVG(svgElement, page, gridStrategy);
+            // Allow different X and Y scale factors
+            pagedSVG.setAttribute('preserveAspectRatio', 'none');
             
             // Prepare this page's SVG for PDF
             await prepareSVGForPDF(pagedSVG);
             
             // Add alignment marks if requested
             if (settings.addMarks) {
-                addPageMarks(pagedSVG, i, placement.pages.length, gridStrategy);
+                addPageMarks(pagedSVG, i, placement.pages.length, gridStrategy, page.reservedAreas);
+            }
+            
+            // Line styles of nested sizes
+            if (settings.sizeLegend) {
+                addSizeLegend(pagedSVG, settings.sizeLegend, gridStrategy.printableWidth, page.reservedAreas);
             }
             
             // Temporarily add SVG to DOM to ensure CSS styles are applied
@@ -359,10 +371,10 @@ async function generateMultiPagePDF(svgElement, settings) {
                 
                 // Draw SVG to PDF
                 await svg2pdf(pagedSVG, doc, {
-                    x: gridStrategy.margin,
-                    y: gridStrategy.margin,
-                    width: gridStrategy.printableWidth,
-                    height: gridStrategy.printableHeight
+                    x: gridStrategy.margins.left,
+                    y: gridStrategy.margins.top,
+                    width: gridStrategy.printableWidth * correction.x,
+                    height: gridStrategy.printableHeight * correction.y
                 });
             } finally {
                 // Remove temporary SVG from DOM
@@ -372,8 +384,12 @@ async function generateMultiPagePDF(svgElement, settings) {
             }
         }
         
+        if (settings.seamLengthReport) {
+            await addSeamLengthReportPages(doc, svgElement, settings);
+        }
+        
         // Download PDF
-        const fileName = `sewing-pattern-${placement.pages.length}pages.pdf`;
+        const fileName = `sewing-pattern${getSizeSuffix(settings)}-${placement.pages.length}pages.pdf`;
         doc.save(fileName);
         
     } catch (error) {
@@ -382,10 +398,183 @@ async function generateMultiPagePDF(svgElement, settings) {
     }
 }
 
+// Generate the printer calibration test page (always printed without correction)
+export async function generateCalibrationPDF(settings) {
+    const gridStrategy = getGridStrategy({ ...settings, layoutMode: 'paper' });
+    
+    const doc = new jsPDF({
+        orientation: gridStrategy.pageWidth > gridStrategy.pageHeight ? 'landscape' : 'portrait',
+        unit: 'mm',
+        format: [gridStrategy.pageWidth, gridStrategy.pageHeight]
+    });
+    
+    const calibrationSVG = createCalibrationSVG(gridStrategy);
+    calibrationSVG.style.position = 'absolute';
+    calibrationSVG.style.top = '-9999px';
+    calibrationSVG.style.left = '-9999px';
+    document.body.appendChild(calibrationSVG);
+    
+    try {
+        await svg2pdf(calibrationSVG, doc, {
+            x: gridStrategy.margins.left,
+            y: gridStrategy.margins.top,
+            width: gridStrategy.printableWidth,
+            height: gridStrategy.printableHeight
+        });
+    } finally {
+        if (calibrationSVG.parentNode) {
+            calibrationSVG.parentNode.removeChild(calibrationSVG);
+        }
+    }
+    
+    doc.save('sewing-pattern-calibration.pdf');
+}
+
+// Stop when the marker would be missing pieces: none were found, or some are wider than the fabric
+function checkMarkerPlacement(placement, gridStrategy) {
+    if (placement.pages.length === 0) {
+        throw new Error('パターンピースが検出されませんでした');
+    }
+    
+    if (placement.unplacedUnits.length > 0) {
+        const unplacedDetails = placement.unplacedUnits.map(unit => {
+            const id = unit.id || `パターンピース ${unit.index + 1}`;
+            return `- ${id}: ${unit.width.toFixed(1)}mm`;
+        }).join('\n');
+        
+        throw new Error(
+            `PDF生成エラー: 型紙が生地幅に収まりません\n\n` +
+            `問題の型紙:\n${unplacedDetails}\n` +
+            `生地幅: ${gridStrategy.fabricWidth}mm`
+        );
+    }
+}
+
+// Generate a single-page PDF of the fabric marker
+async function generateMarkerPDF(svgElement, settings) {
+    const gridStrategy = getGridStrategy(settings);
+    const placement = calculateUnitPlacement(svgElement, gridStrategy);
+    checkMarkerPlacement(placement, gridStrategy);
+    
+    const summary = calculateMarkerSummary(placement, gridStrategy);
+    
+    const doc = new jsPDF({
+        orientation: summary.fabricWidth > summary.length ? 'landscape' : 'portrait',
+        unit: 'mm',
+        format: [summary.fabricWidth, summary.length]
+    });
+    
+    const markerSVG = createMarkerSVG(svgElement, placement, gridStrategy);
+    await prepareSVGForPDF(markerSVG);
+    if (settings.sizeLegend) {
+        addSizeLegend(markerSVG, settings.sizeLegend, gridStrategy.printableWidth, placement.pages[0].reservedAreas);
+    }
+    
+    await renderMarkerSVG(markerSVG, async () => {
+        await svg2pdf(markerSVG, doc, {
+            x: 0,
+            y: 0,
+            width: summary.fabricWidth,
+            height: summary.length
+        });
+    });
+    
+    if (settings.seamLengthReport) {
+        await addSeamLengthReportPages(doc, svgElement, settings);
+    }
+    
+    doc.save(`sewing-marker${getSizeSuffix(settings)}-${summary.fabricWidth / 10}cm-${Math.ceil(summary.length / 10)}cm.pdf`);
+}
+
+// Append the seam length report, printed on the selected paper size without scale correction
+async function addSeamLengthReportPages(doc, svgElement, settings) {
+    const gridStrategy = getGridStrategy({ ...settings, layoutMode: 'paper' });
+    const tolerance = settings.seamLengthTolerance ?? DEFAULT_LENGTH_TOLERANCE;
+    const pairs = measureSewingguidePairs(svgElement, tolerance);
+    const orientation = gridStrategy.pageWidth > gridStrategy.pageHeight ? 'landscape' : 'portrait';
+    
+    for (const reportSVG of createSeamLengthReportPages(pairs, gridStrategy, tolerance)) {
+        doc.addPage([gridStrategy.pageWidth, gridStrategy.pageHeight], orientation);
+        
+        reportSVG.style.position = 'absolute';
+        reportSVG.style.top = '-9999px';
+        reportSVG.style.left = '-9999px';
+        document.body.appendChild(reportSVG);
+        
+        try {
+            await svg2pdf(reportSVG, doc, {
+                x: gridStrategy.margins.left,
+                y: gridStrategy.margins.top,
+                width: gridStrategy.printableWidth,
+                height: gridStrategy.printableHeight
+            });
+        } finally {
+            if (reportSVG.parentNode) {
+                reportSVG.parentNode.removeChild(reportSVG);
+            }
+        }
+    }
+}
+
+// Download the fabric marker as an SVG file
+export async function exportMarkerSVG(svgElement, settings) {
+    const gridStrategy = getGridStrategy({ ...settings, layoutMode: 'marker' });
+    const placement = calculateUnitPlacement(svgElement, gridStrategy);
+    checkMarkerPlacement(placement, gridStrategy);
+    
+    const summary = calculateMarkerSummary(placement, gridStrategy);
+    const markerSVG = createMarkerSVG(svgElement, placement, gridStrategy);
+    if (settings.sizeLegend) {
+        addSizeLegend(markerSVG, settings.sizeLegend, gridStrategy.printableWidth, placement.pages[0].reservedAreas);
+    }
+    
+    let svgText = '';
+    await renderMarkerSVG(markerSVG, () => {
+        markerSVG.removeAttribute('style');
+        svgText = new XMLSerializer().serializeToString(markerSVG);
+    });
+    
+    const blob = new Blob([svgText], { type: 'image/svg+xml' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `sewing-marker${getSizeSuffix(settings)}-${summary.fabricWidth / 10}cm-${Math.ceil(summary.length / 10)}cm.svg`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+// Temporarily insert the marker SVG into the DOM, add symbols and labels, then run the callback
+async function renderMarkerSVG(markerSVG, callback) {
+    markerSVG.style.position = 'absolute';
+    markerSVG.style.top = '-9999px';
+    markerSVG.style.left = '-9999px';
+    document.body.appendChild(markerSVG);
+    
+    try {
+        updateAllSymbols(markerSVG);
+        updateAllSewingguideLabels(markerSVG);
+        
+        // Force style computation
+        window.getComputedStyle(markerSVG).display;
+        
+        await callback();
+    } finally {
+        if (markerSVG.parentNode) {
+            markerSVG.parentNode.removeChild(markerSVG);
+        }
+    }
+}
+
 // Add page marks (page number and alignment marks)
-function addPageMarks(svgElement, pageIndex, totalPages, gridStrategy) {
+// The verification square is only drawn when the page keeps its area free (see page.reservedAreas)
+export function addPageMarks(svgElement, pageIndex, totalPages, gridStrategy, reservedAreas = []) {
     const marks = document.createElementNS('http://www.w3.org/2000/svg', 'g');
     marks.setAttribute('class', 'page-marks');
+    // Tile pages show the unit in its own coordinates, so the printable area does not start at 0,0
+    const origin = getPageOrigin(svgElement);
+    marks.setAttribute('transform', `translate(${origin.x} ${origin.y})`);
     
     // Add page number
     const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
@@ -428,36 +617,227 @@ function addPageMarks(svgElement, pageIndex, totalPages, gridStrategy) {
         marks.appendChild(vLine);
     });
     
+    // Add the verification square in the bottom-left corner to check the print scale
+    const squareArea = getVerificationSquareArea(gridStrategy.printableHeight);
+    if (isAreaReserved(reservedAreas, squareArea)) {
+        marks.appendChild(createVerificationSquare(
+            squareArea.x + VERIFICATION_SQUARE_OFFSET,
+            squareArea.y + VERIFICATION_SQUARE_OFFSET
+        ));
+    }
+    
     svgElement.appendChild(marks);
 }
 
+// Get the top-left corner of the printable area in the coordinates of a paper page SVG
+function getPageOrigin(svgElement) {
+    const [x, y] = (svgElement.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+    return { x: x || 0, y: y || 0 };
+}
+
+// Check whether a page keeps an area free of pieces
+// (pages for units that do not fit next to the reserved areas are created without them)
+function isAreaReserved(reservedAreas, area) {
+    return reservedAreas.some(reserved => reserved.x === area.x && reserved.y === area.y &&
+        reserved.width === area.width && reserved.height === area.height);
+}
+
+// Get the area of the verification square in the bottom-left corner of the printable area,
+// including the distance to the corner marks and to the pieces
+function getVerificationSquareArea(printableHeight) {
+    const size = VERIFICATION_SQUARE_SIZE + VERIFICATION_SQUARE_OFFSET * 2;
+    return { x: 0, y: printableHeight - size, width: size, height: size };
+}
+
+// Get the area of the size legend in the top-right corner of the printable area,
+// including the distance to the page edge and to the pieces
+function getSizeLegendArea(legend, printableWidth) {
+    // Size names are short; estimate their width from the number of characters
+    const nameWidth = Math.max(...legend.map(size => String(size.name).length)) * SIZE_LEGEND_FONT_SIZE * 0.6;
+    const width = SIZE_LEGEND_OFFSET * 2 + SIZE_LEGEND_LINE_LENGTH + 2 + nameWidth;
+    const height = SIZE_LEGEND_OFFSET * 2 + legend.length * SIZE_LEGEND_ROW_HEIGHT;
+    return { x: printableWidth - width, y: 0, width, height };
+}
+
+// Add the legend of nested sizes in the top-right corner: a line in the style of each size
+// with its name in front of it, only when the page keeps its area free (see page.reservedAreas)
+export function addSizeLegend(svgElement, legend, printableWidth, reservedAreas = []) {
+    if (!isAreaReserved(reservedAreas, getSizeLegendArea(legend, printableWidth))) return;
+    
+    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    group.setAttribute('class', 'size-legend');
+    
+    const right = printableWidth - SIZE_LEGEND_OFFSET;
+    legend.forEach((size, i) => {
+        const y = SIZE_LEGEND_OFFSET + 2 + i * SIZE_LEGEND_ROW_HEIGHT;
+        
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        line.setAttribute('x1', right - SIZE_LEGEND_LINE_LENGTH);
+        line.setAttribute('y1', y);
+        line.setAttribute('x2', right);
+        line.setAttribute('y2', y);
+        line.setAttribute('stroke', size.color);
+        line.setAttribute('stroke-width', '0.5');
+        if (size.dash) line.setAttribute('stroke-dasharray', size.dash);
+        group.appendChild(line);
+        
+        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        text.setAttribute('x', right - SIZE_LEGEND_LINE_LENGTH - 2);
+        text.setAttribute('y', y + 1.5);
+        text.setAttribute('text-anchor', 'end');
+        text.setAttribute('font-size', SIZE_LEGEND_FONT_SIZE);
+        text.setAttribute('fill', size.color);
+        text.textContent = size.name;
+        group.appendChild(text);
+    });
+    
+    svgElement.appendChild(group);
+}
+
+// 用紙サイズ一覧 (mm, 縦向き)
+// b0-b6 are JIS B sizes (common in Japan), iso-b0-iso-b6 the ISO B series
+// Roll plotters have a fixed width and a user defined length
+export const PAPER_SIZES = {
+    a0: { width: 841, height: 1189 },
+    a1: { width: 594, height: 841 },
+    a2: { width: 420, height: 594 },
+    a3: { width: 297, height: 420 },
+    a4: { width: 210, height: 297 },
+    a5: { width: 148, height: 210 },
+    a6: { width: 105, height: 148 },
+    b0: { width: 1030, height: 1456 },
+    b1: { width: 728, height: 1030 },
+    b2: { width: 515, height: 728 },
+    b3: { width: 364, height: 515 },
+    b4: { width: 257, height: 364 },
+    b5: { width: 182, height: 257 },
+    b6: { width: 128, height: 182 },
+    'iso-b0': { width: 1000, height: 1414 },
+    'iso-b1': { width: 707, height: 1000 },
+    'iso-b2': { width: 500, height: 707 },
+    'iso-b3': { width: 353, height: 500 },
+    'iso-b4': { width: 250, height: 353 },
+    'iso-b5': { width: 176, height: 250 },
+    'iso-b6': { width: 125, height: 176 },
+    letter: { width: 215.9, height: 279.4 },
+    legal: { width: 215.9, height: 355.6 },
+    tabloid: { width: 279.4, height: 431.8 },
+    roll36: { width: 914.4, roll: true },
+    roll44: { width: 1117.6, roll: true }
+};
+
+// Default printer margin on each side (mm)
+const DEFAULT_MARGIN = 10;
+
+// Distance of the verification square from the page corner, clear of the corner marks (mm)
+const VERIFICATION_SQUARE_OFFSET = 8;
+
+// Size legend: distance from the page corner, row height, sample line length and font size (mm)
+const SIZE_LEGEND_OFFSET = 8;
+const SIZE_LEGEND_ROW_HEIGHT = 6;
+const SIZE_LEGEND_LINE_LENGTH = 12;
+const SIZE_LEGEND_FONT_SIZE = 4;
+
+// Default length of a sheet cut from a roll (mm)
+const DEFAULT_ROLL_LENGTH = 1200;
+
+// Get the paper size (portrait) from the settings
+function getPaperSize(settings) {
+    if (settings.paperSize === 'custom') {
+        const width = parseFloat(settings.customWidth);
+        const height = parseFloat(settings.customHeight);
+        if (width > 0 && height > 0) {
+            return { width, height };
+        }
+        return PAPER_SIZES.a4;
+    }
+    
+    const size = PAPER_SIZES[settings.paperSize] || PAPER_SIZES.a4;
+    if (size.roll) {
+        const length = parseFloat(settings.rollLength);
+        return { width: size.width, height: length > 0 ? length : DEFAULT_ROLL_LENGTH };
+    }
+    return size;
+}
+
+// Get the printer margins for each side of the page
+function getMargins(settings) {
+    const margins = settings.margins || {};
+    const side = (value) => {
+        const margin = parseFloat(value);
+        return margin >= 0 ? margin : DEFAULT_MARGIN;
+    };
+    
+    return {
+        top: side(margins.top),
+        right: side(margins.right),
+        bottom: side(margins.bottom),
+        left: side(margins.left)
+    };
+}
+
 // 用紙設定に基づくグリッド戦略の取得
 export function getGridStrategy(settings) {
-    const paperSizes = {
-        a4: { width: 210, height: 297 },
-        a3: { width: 297, height: 420 },
-        b4: { width: 257, height: 364 },
-        b5: { width: 182, height: 257 }
-    };
+    if (settings.layoutMode === 'marker') {
+        return getMarkerStrategy(settings);
+    }
     
-    const size = paperSizes[settings.paperSize] || paperSizes.a4;
+    const size = getPaperSize(settings);
     const isLandscape = settings.orientation === 'landscape';
     
     const pageWidth = isLandscape ? size.height : size.width;
     const pageHeight = isLandscape ? size.width : size.height;
-    const margin = 10;
+    const margins = getMargins(settings);
     const overlap = settings.overlap || 0;
     
+    const printableWidth = pageWidth - margins.left - margins.right;
+    const printableHeight = pageHeight - margins.top - margins.bottom;
+    
     return {
         pageWidth,
         pageHeight,
-        margin,
+        margins,
         overlap,
-        printableWidth: pageWidth - margin * 2,
-        printableHeight: pageHeight - margin * 2,
-        effectiveWidth: pageWidth - margin * 2 - overlap,
-        effectiveHeight: pageHeight - margin * 2 - overlap,
-        seamAllowance: settings.seamAllowance || 0
+        printableWidth,
+        printableHeight,
+        effectiveWidth: printableWidth - overlap,
+        effectiveHeight: printableHeight - overlap,
+        seamAllowance: settings.seamAllowance || 0,
+        tileOversized: !!settings.tileOversized,
+        placementMode: settings.placementMode || 'bbox',
+        allowRotation: !!settings.allowRotation,
+        // Pieces are not placed where the page marks and the size legend are printed
+        reservedAreas: [
+            ...(settings.addMarks ? [getVerificationSquareArea(printableHeight)] : []),
+            ...(settings.sizeLegend ? [getSizeLegendArea(settings.sizeLegend, printableWidth)] : [])
+        ]
+    };
+}
+
+// 生地マーカー用の戦略 (生地幅固定・長さは無制限)
+function getMarkerStrategy(settings) {
+    const fabricWidth = settings.fabricWidth || FABRIC_WIDTHS[0];
+    // Keep pieces away from the selvedges and the cut ends
+    const margin = DEFAULT_MARGIN;
+    
+    return {
+        layoutMode: 'marker',
+        fabricWidth,
+        pageWidth: fabricWidth,
+        pageHeight: Infinity,
+        margins: { top: margin, right: margin, bottom: margin, left: margin },
+        overlap: 0,
+        printableWidth: fabricWidth - margin * 2,
+        printableHeight: Infinity,
+        effectiveWidth: fabricWidth - margin * 2,
+        effectiveHeight: Infinity,
+        seamAllowance: settings.seamAllowance || 0,
+        tileOversized: false,
+        placementMode: settings.placementMode || 'bbox',
+        // Quarter turns would put the pieces across the grain
+        allowRotation: false,
+        // Pieces are not placed where the size legend is printed
+        reservedAreas: settings.sizeLegend ? [getSizeLegendArea(settings.sizeLegend, fabricWidth - margin * 2)] : []
     };
 }
 
@@ -478,6 +858,11 @@ export function calculatePageInfo(svgElement, settings) {
     return {
         width: width.toFixed(1),
         height: height.toFixed(1),
-        pageCount
+        paperWidth: gridStrategy.pageWidth,
+        paperHeight: gridStrategy.pageHeight,
+        printableWidth: gridStrategy.printableWidth,
+        printableHeight: gridStrategy.printableHeight,
+        pageCount,
+        marker: gridStrategy.layoutMode === 'marker' ? calculateMarkerSummary(placement, gridStrategy) : null
     };
 }
\ No newline at end of file
@@ -0,0 +1,70 @@
+/**
+ * Piece visibility
+ * Pieces can be left out of the output (e.g. to reprint only a sleeve) with
+ * data-excluded="true" on the piece. Excluded units are skipped by unit analysis, so they
+ * are not placed, previewed, printed or counted in page checks and page counts.
+ */
+
+export const EXCLUDED_ATTRIBUTE = 'data-excluded';
+
+// Size of the thumbnails in the piece list (px)
+const THUMBNAIL_SIZE = 48;
+
+/**
+ * Check whether a piece is left out of the output
+ * @param {Element} piece - Pattern piece group
+ * @returns {boolean} True for excluded pieces
+ */
+export function isPieceExcluded(piece) {
+    return piece.getAttribute(EXCLUDED_ATTRIBUTE) === 'true';
+}
+
+/**
+ * Include a piece in the output or leave it out
+ * @param {Element} piece - Pattern piece group
+ * @param {boolean} excluded - True to leave the piece out
+ */
+export function setPieceExcluded(piece, excluded) {
+    if (excluded) {
+        piece.setAttribute(EXCLUDED_ATTRIBUTE, 'true');
+    } else {
+        piece.removeAttribute(EXCLUDED_ATTRIBUTE);
+    }
+}
+
+/**
+ * Remove the excluded pieces from an SVG (for views that show the SVG without placement)
+ * @param {SVGElement} svgElement - SVG to change in place
+ * @returns {number} Number of removed pieces
+ */
+export function removeExcludedPieces(svgElement) {
+    const excluded = Array.from(svgElement.querySelectorAll(`[${EXCLUDED_ATTRIBUTE}]`))
+        .filter(piece => isPieceExcluded(piece));
+    excluded.forEach(piece => piece.remove());
+    return excluded.length;
+}
+
+/**
+ * Draw a small picture of a unit for the piece list
+ * @param {Object} unit - Unit from analyzeSVGUnits()
+ * @returns {SVGElement} Thumbnail SVG showing the unit's bounding box
+ */
+export function createPieceThumbnail(unit) {
+    const { x, y, width, height } = unit.boundingBox;
+    const margin = Math.max(width, height) * 0.05;
+    
+    const thumbnail = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    thumbnail.setAttribute('class', 'piece-thumbnail');
+    thumbnail.setAttribute('width', THUMBNAIL_SIZE);
+    thumbnail.setAttribute('height', THUMBNAIL_SIZE);
+    thumbnail.setAttribute('viewBox', `${x - margin} ${y - margin} ${width + 2 * margin} ${height + 2 * margin}`);
+    
+    // The copy must not share IDs with the preview, and textures are too heavy to repeat
+    const piece = unit.element.cloneNode(true);
+    piece.removeAttribute('id');
+    piece.querySelectorAll('[id]').forEach(element => element.removeAttribute('id'));
+    piece.querySelectorAll('.texture-image').forEach(element => element.remove());
+    thumbnail.appendChild(piece);
+    
+    return thumbnail;
+}
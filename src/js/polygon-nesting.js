@@ -0,0 +1,370 @@
+/**
+ * True-shape nesting of pattern pieces
+ * Places polygons on pages using no-fit polygons (Minkowski sums) computed with clipper-lib,
+ * so concave pieces can interlock instead of being packed by their bounding boxes
+ */
+
+import ClipperLib from 'clipper-lib';
+
+// Clipper works on integers; polygons are given in mm
+const CLIPPER_SCALE = 100;
+
+// Numerical tolerance (in mm) for page boundary checks
+const EPSILON = 1e-6;
+
+/**
+ * Calculate the bounding box of a set of polygons
+ * @param {Array} polygons - Array of polygons, each an array of {X, Y}
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}} Bounding box
+ */
+function getPolygonsBounds(polygons) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    polygons.forEach(polygon => {
+        polygon.forEach(p => {
+            minX = Math.min(minX, p.X);
+            minY = Math.min(minY, p.Y);
+            maxX = Math.max(maxX, p.X);
+            maxY = Math.max(maxY, p.Y);
+        });
+    });
+    return { minX, minY, maxX, maxY };
+}
+
+/**
+ * Convert polygons in mm to Clipper integer paths
+ * @param {Array} polygons - Array of polygons in mm
+ * @returns {Array} Clipper paths
+ */
+function toClipperPaths(polygons) {
+    return polygons.map(polygon => polygon.map(p => ({
+        X: Math.round(p.X * CLIPPER_SCALE),
+        Y: Math.round(p.Y * CLIPPER_SCALE)
+    })));
+}
+
+/**
+ * Union a set of Clipper paths
+ * @param {Array} paths - Clipper paths
+ * @returns {Array} United paths
+ */
+function unionPaths(paths) {
+    const clipper = new ClipperLib.Clipper();
+    clipper.AddPaths(paths, ClipperLib.PolyType.ptSubject, true);
+    const solution = new ClipperLib.Paths();
+    clipper.Execute(ClipperLib.ClipType.ctUnion, solution,
+        ClipperLib.PolyFillType.pftNonZero, ClipperLib.PolyFillType.pftNonZero);
+    return solution;
+}
+
+/**
+ * Translate Clipper paths
+ * @param {Array} paths - Clipper paths
+ * @param {number} dx - X offset in Clipper units
+ * @param {number} dy - Y offset in Clipper units
+ * @returns {Array} Translated paths
+ */
+function translatePaths(paths, dx, dy) {
+    return paths.map(path => path.map(p => ({ X: p.X + dx, Y: p.Y + dy })));
+}
+
+/**
+ * Rotate polygons clockwise by a multiple of 90° inside their own bounding box
+ * @param {Array} polygons - Polygons normalized to start at (0, 0)
+ * @param {number} width - Bounding box width
+ * @param {number} height - Bounding box height
+ * @param {number} rotation - 0, 90, 180 or 270
+ * @returns {Array} Rotated polygons (still starting at (0, 0))
+ */
+function rotatePolygons(polygons, width, height, rotation) {
+    const rotatePoint = {
+        90: p => ({ X: height - p.Y, Y: p.X }),
+        180: p => ({ X: width - p.X, Y: height - p.Y }),
+        270: p => ({ X: p.Y, Y: width - p.X })
+    }[rotation];
+    
+    return rotatePoint ? polygons.map(polygon => polygon.map(rotatePoint)) : polygons;
+}
+
+/**
+ * Prepare the shapes of an item for each allowed orientation
+ * @param {Object} item - Item with polygons
+ * @param {Object} options - Nesting options
+ * @returns {Array} Variants with rotation, size and Clipper paths
+ */
+function createVariants(item, options) {
+    const bounds = getPolygonsBounds(item.polygons);
+    const width = bounds.maxX - bounds.minX;
+    const height = bounds.maxY - bounds.minY;
+
+    // Normalize so that the bounding box starts at (0, 0)
+    const normalized = item.polygons.map(polygon => polygon.map(p => ({
+        X: p.X - bounds.minX,
+        Y: p.Y - bounds.minY
+    })));
+
+    const rotations = item.allowRotation === false ? [0] : item.rotations || options.rotations;
+
+    return rotations.map(rotation => {
+        const polygons = rotatePolygons(normalized, width, height, rotation);
+        const quarterTurn = rotation % 180 !== 0;
+        const paths = toClipperPaths(polygons);
+
+        // Grow each shape by half the gap so that touching shapes keep the full gap
+        let spacedPaths = paths;
+        if (options.spacing > 0) {
+            const offset = new ClipperLib.ClipperOffset(2, 0.25);
+            offset.AddPaths(paths, ClipperLib.JoinType.jtMiter, ClipperLib.EndType.etClosedPolygon);
+            spacedPaths = new ClipperLib.Paths();
+            offset.Execute(spacedPaths, options.spacing / 2 * CLIPPER_SCALE);
+        }
+
+        if (options.simplifyTolerance > 0) {
+            spacedPaths = ClipperLib.Clipper.CleanPolygons(spacedPaths, options.simplifyTolerance * CLIPPER_SCALE)
+                .filter(path => path.length >= 3);
+        }
+
+        return {
+            rotation,
+            // Size of the rotated shape
+            width: quarterTurn ? height : width,
+            height: quarterTurn ? width : height,
+            offsetX: bounds.minX,
+            offsetY: bounds.minY,
+            paths: spacedPaths
+        };
+    });
+}
+
+/**
+ * Calculate the no-fit polygon of a moving shape around a placed shape
+ * A reference position inside the result makes the two shapes overlap
+ * @param {Array} placedPaths - Clipper paths of the placed shape (page coordinates)
+ * @param {Array} movingPaths - Clipper paths of the moving shape (local coordinates)
+ * @returns {Array} No-fit polygon paths
+ */
+function calculateNoFitPolygon(placedPaths, movingPaths) {
+    const parts = [];
+    movingPaths.forEach(moving => {
+        const negated = moving.map(p => ({ X: -p.X, Y: -p.Y }));
+
+        // Boundary sweep plus the translated interiors of both shapes
+        parts.push(...ClipperLib.Clipper.MinkowskiSum(negated, placedPaths, true));
+        placedPaths.forEach(placed => {
+            parts.push(ClipperLib.Clipper.TranslatePath(negated, placed[0]));
+        });
+    });
+    return unionPaths(parts);
+}
+
+/**
+ * Check whether a reference point lies strictly inside the forbidden region
+ * @param {{X: number, Y: number}} point - Point in Clipper units
+ * @param {Array} paths - United no-fit polygon paths (may contain holes)
+ * @returns {boolean} True if placing at the point would overlap
+ */
+function isInsideForbiddenRegion(point, paths) {
+    let containing = 0;
+    for (const path of paths) {
+        const result = ClipperLib.Clipper.PointInPolygon(point, path);
+        if (result === -1) {
+            // Touching the boundary is allowed
+            return false;
+        }
+        if (result === 1) {
+            containing++;
+        }
+    }
+    // Holes of the union alternate with outer contours
+    return containing % 2 === 1;
+}
+
+/**
+ * Collect candidate reference positions for a shape
+ * @param {Array} forbidden - United no-fit polygon paths
+ * @param {Object} region - Inner-fit rectangle in Clipper units
+ * @returns {Array} Candidate points in Clipper units
+ */
+function collectCandidates(forbidden, region) {
+    const candidates = [
+        { X: region.minX, Y: region.minY },
+        { X: region.maxX, Y: region.minY },
+        { X: region.minX, Y: region.maxY },
+        { X: region.maxX, Y: region.maxY }
+    ];
+
+    forbidden.forEach(path => {
+        for (let i = 0; i < path.length; i++) {
+            const a = path[i];
+            const b = path[(i + 1) % path.length];
+            candidates.push({ X: a.X, Y: a.Y });
+
+            // Where the no-fit polygon crosses the page limits
+            [region.minX, region.maxX].forEach(x => {
+                if ((a.X - x) * (b.X - x) < 0) {
+                    const t = (x - a.X) / (b.X - a.X);
+                    candidates.push({ X: x, Y: Math.round(a.Y + t * (b.Y - a.Y)) });
+                }
+            });
+            [region.minY, region.maxY].forEach(y => {
+                if ((a.Y - y) * (b.Y - y) < 0) {
+                    const t = (y - a.Y) / (b.Y - a.Y);
+                    candidates.push({ X: Math.round(a.X + t * (b.X - a.X)), Y: y });
+                }
+            });
+        }
+    });
+
+    return candidates;
+}
+
+/**
+ * Find the best position for a shape variant on a page
+ * @param {Object} variant - Shape variant
+ * @param {Object} page - Page with placed shapes
+ * @param {number} pageWidth - Page width in mm
+ * @param {number} pageHeight - Page height in mm
+ * @returns {{X: number, Y: number}|null} Reference position in Clipper units or null
+ */
+function findPosition(variant, page, pageWidth, pageHeight) {
+    // Inner-fit rectangle: positions that keep the shape inside the page
+    const region = {
+        minX: 0,
+        minY: 0,
+        maxX: Math.floor((pageWidth - variant.width + EPSILON) * CLIPPER_SCALE),
+        maxY: Math.floor((pageHeight - variant.height + EPSILON) * CLIPPER_SCALE)
+    };
+    if (region.maxX < 0 || region.maxY < 0) {
+        return null;
+    }
+
+    if (page.placedPaths.length === 0) {
+        return { X: 0, Y: 0 };
+    }
+
+    const forbidden = unionPaths(page.placedPaths.flatMap(placed =>
+        calculateNoFitPolygon(placed, variant.paths)
+    ));
+
+    let best = null;
+    for (const candidate of collectCandidates(forbidden, region)) {
+        if (candidate.X < region.minX || candidate.X > region.maxX ||
+            candidate.Y < region.minY || candidate.Y > region.maxY) {
+            continue;
+        }
+        // Prefer the top-most, then left-most position
+        if (best && (candidate.Y > best.Y || (candidate.Y === best.Y && candidate.X >= best.X))) {
+            continue;
+        }
+        if (!isInsideForbiddenRegion(candidate, forbidden)) {
+            best = candidate;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Place a shape on a page in the orientation that ends up highest on the page
+ * @param {Object} entry - Prepared item with its variants
+ * @param {Object} page - Page with placements and placed paths, changed in place
+ * @param {number} pageWidth - Page width in mm
+ * @param {number} pageHeight - Page height in mm
+ * @returns {boolean} True if the shape was placed
+ */
+function placeOnPage(entry, page, pageWidth, pageHeight) {
+    let bestVariant = null;
+    let bestPosition = null;
+    for (const variant of entry.variants) {
+        const position = findPosition(variant, page, pageWidth, pageHeight);
+        if (position && (!bestPosition || position.Y < bestPosition.Y ||
+            (position.Y === bestPosition.Y && position.X < bestPosition.X))) {
+            bestVariant = variant;
+            bestPosition = position;
+        }
+    }
+    if (!bestPosition) {
+        return false;
+    }
+
+    page.placedPaths.push(translatePaths(bestVariant.paths, bestPosition.X, bestPosition.Y));
+    page.placements.push({
+        item: entry.item,
+        x: bestPosition.X / CLIPPER_SCALE,
+        y: bestPosition.Y / CLIPPER_SCALE,
+        rotation: bestVariant.rotation,
+        width: bestVariant.width,
+        height: bestVariant.height,
+        offsetX: bestVariant.offsetX,
+        offsetY: bestVariant.offsetY
+    });
+    return true;
+}
+
+/**
+ * Nest polygon shapes onto as few pages as possible
+ * @param {Array} items - Items: {polygons: Array of [{X, Y}] in mm, allowRotation?: boolean, rotations?: angles replacing options.rotations, ...}
+ * @param {number} pageWidth - Page width in mm
+ * @param {number} pageHeight - Page height in mm
+ * @param {Object} options - {spacing: gap between shapes in mm, rotations: allowed angles (multiples of 90°), simplifyTolerance: mm,
+ * reservedAreas: rectangles {x, y, width, height} in mm kept free on every page where the shapes fit next to them}
+ * @returns {{pages: Array, unplaced: Array}} Pages {placements, reserved} with placements {item, x, y, rotation, width, height}
+ * and items that did not fit or have no shape (x, y, width and height describe the rotated shape; offsetX and offsetY the unrotated shape's origin;
+ * reserved is false for pages that do not keep the reserved areas free)
+ */
+export function nestPolygons(items, pageWidth, pageHeight, options = {}) {
+    const nestingOptions = {
+        spacing: 0,
+        rotations: [0, 180],
+        simplifyTolerance: 0.5,
+        reservedAreas: [],
+        ...options
+    };
+
+    // Items without a polygon of at least 3 points have no shape to place
+    const hasShape = item => item.polygons && item.polygons.some(polygon => polygon.length >= 3);
+    const prepared = items
+        .filter(hasShape)
+        .map(item => {
+            const variants = createVariants(item, nestingOptions);
+            return { item, variants, area: variants[0].width * variants[0].height };
+        });
+
+    // Larger shapes first, keeping the input order for equal sizes
+    prepared.sort((a, b) => b.area - a.area);
+
+    const pages = [];
+    const unplaced = items.filter(item => !hasShape(item));
+
+    // Areas kept free on new pages, each as a placed rectangle
+    const reservedPaths = nestingOptions.reservedAreas.map(area => toClipperPaths([[
+        { X: area.x, Y: area.y },
+        { X: area.x + area.width, Y: area.y },
+        { X: area.x + area.width, Y: area.y + area.height },
+        { X: area.x, Y: area.y + area.height }
+    ]]));
+    // Shapes that do not fit next to the reserved areas get a page of their own without them
+    const newPageObstacles = reservedPaths.length > 0 ? [reservedPaths, []] : [[]];
+
+    for (const entry of prepared) {
+        let placed = pages.some(page => placeOnPage(entry, page, pageWidth, pageHeight));
+
+        for (const obstacles of newPageObstacles) {
+            if (placed) break;
+
+            const page = { placements: [], placedPaths: [...obstacles], reserved: obstacles.length > 0 };
+            if (placeOnPage(entry, page, pageWidth, pageHeight)) {
+                pages.push(page);
+                placed = true;
+            }
+        }
+
+        if (!placed) {
+            unplaced.push(entry.item);
+        }
+    }
+
+    return {
+        pages: pages.map(page => ({ placements: page.placements, reserved: page.reserved })),
+        unplaced
+    };
+}
@@ -0,0 +1,99 @@
+// Rectangle packing for unit placement (MaxRects)
+// Each bin keeps the list of maximal free rectangles left on a page.
+// Rectangles are placed where their bottom edge ends up highest (then left-most),
+// which also works for bins of unbounded height such as fabric markers.
+
+// Tolerance for floating point comparisons (mm)
+const EPSILON = 1e-6;
+
+// Create an empty bin
+export function createBin(width, height) {
+    return {
+        width,
+        height,
+        freeRects: [{ x: 0, y: 0, width, height }]
+    };
+}
+
+// Find the position for a rectangle of the given size, or null if it does not fit
+// maxX/maxY limit the position, e.g. when the rectangle includes a gap that may extend past the page
+export function findPosition(bin, width, height, maxX = Infinity, maxY = Infinity) {
+    let best = null;
+    
+    for (const free of bin.freeRects) {
+        if (width > free.width + EPSILON || height > free.height + EPSILON) {
+            continue;
+        }
+        if (free.x > maxX + EPSILON || free.y > maxY + EPSILON) {
+            continue;
+        }
+        
+        const bottom = free.y + height;
+        if (!best || bottom < best.bottom - EPSILON ||
+            (Math.abs(bottom - best.bottom) <= EPSILON && free.x < best.x)) {
+            best = { x: free.x, y: free.y, bottom };
+        }
+    }
+    
+    return best ? { x: best.x, y: best.y } : null;
+}
+
+// Mark a rectangle of the bin as used
+export function placeRect(bin, rect) {
+    const freeRects = [];
+    
+    bin.freeRects.forEach(free => {
+        if (!rectsIntersect(free, rect)) {
+            freeRects.push(free);
+            return;
+        }
+        
+        // Split the free rectangle into the (overlapping) maximal parts around the used one
+        const freeRight = free.x + free.width;
+        const freeBottom = free.y + free.height;
+        const rectRight = rect.x + rect.width;
+        const rectBottom = rect.y + rect.height;
+        
+        if (rect.x > free.x) {
+            freeRects.push({ x: free.x, y: free.y, width: rect.x - free.x, height: free.height });
+        }
+        if (rectRight < freeRight) {
+            freeRects.push({ x: rectRight, y: free.y, width: freeRight - rectRight, height: free.height });
+        }
+        if (rect.y > free.y) {
+            freeRects.push({ x: free.x, y: free.y, width: free.width, height: rect.y - free.y });
+        }
+        if (rectBottom < freeBottom) {
+            freeRects.push({ x: free.x, y: rectBottom, width: free.width, height: freeBottom - rectBottom });
+        }
+    });
+    
+    bin.freeRects = removeContainedRects(freeRects);
+}
+
+// Check if two rectangles overlap (touching edges do not count)
+function rectsIntersect(a, b) {
+    return a.x < b.x + b.width - EPSILON &&
+        b.x < a.x + a.width - EPSILON &&
+        a.y < b.y + b.height - EPSILON &&
+        b.y < a.y + a.height - EPSILON;
+}
+
+// Check if rectangle a lies completely inside rectangle b
+function rectContains(b, a) {
+    return a.x >= b.x - EPSILON &&
+        a.y >= b.y - EPSILON &&
+        a.x + a.width <= b.x + b.width + EPSILON &&
+        a.y + a.height <= b.y + b.height + EPSILON;
+}
+
+// Drop free rectangles that are contained in another free rectangle
+function removeContainedRects(rects) {
+    return rects.filter((rect, i) => !rects.some((other, j) => {
+        if (i === j || !rectContains(other, rect)) {
+            return false;
+        }
+        // Of two identical rectangles keep the first one
+        return !rectContains(rect, other) || j < i;
+    }));
+}
@@ -0,0 +1,177 @@
+/**
+ * Automatic scale detection
+ * Suggests the scale correction for a loaded SVG from its document units, the size of its
+ * pattern pieces and the markup of Blender exports. The suggested scale is a percentage
+ * like the scale input, and piece sizes are measured in SVG user units (mm at 100%).
+ */
+
+import { flattenPath } from './svg-path.js';
+import { getCumulativeTransform, transformPoint } from './svg-transform.js';
+
+// Plausible longest side of the largest pattern piece in mm
+export const TYPICAL_PIECE_SIZE = { min: 100, max: 2000, ideal: 500 };
+// Range of the scale input in %
+export const SCALE_RANGE = { min: 1, max: 100 };
+// Decimal scales tried when the document units do not give plausible piece sizes
+const DECIMAL_SCALES = [100, 10, 1];
+
+// Length of one absolute CSS unit in mm
+const UNIT_SIZES = {
+    mm: 1,
+    cm: 10,
+    in: 25.4,
+    pt: 25.4 / 72,
+    pc: 25.4 / 6,
+    px: 25.4 / 96
+};
+
+/**
+ * Get the size of one user unit from the width/height attributes and the viewBox
+ * @param {SVGElement} svgElement - Root SVG element
+ * @returns {number|null} mm per user unit, or null if the document has no absolute size
+ */
+export function getDocumentUnitSize(svgElement) {
+    const viewBox = (svgElement.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+    if (viewBox.length !== 4 || viewBox.some(value => !Number.isFinite(value))) {
+        return null;
+    }
+    
+    const sizes = [['width', viewBox[2]], ['height', viewBox[3]]].map(([attribute, units]) => {
+        const match = (svgElement.getAttribute(attribute) || '').trim()
+            .match(/^([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)(mm|cm|in|pt|pc|px)$/);
+        if (!match || units <= 0) return null;
+        return parseFloat(match[1]) * UNIT_SIZES[match[2]] / units;
+    }).filter(size => size !== null && size > 0);
+    
+    return sizes.length > 0 ? sizes[0] : null;
+}
+
+/**
+ * Check if an SVG was exported from Blender
+ * Looks for Blender in the metadata, comments and generator attributes, and for the
+ * seam and sewinguide markup of the Seams to Sewing Pattern add-on
+ * @param {SVGElement} svgElement - Root SVG element
+ * @returns {boolean} True for Blender exports
+ */
+export function isBlenderExport(svgElement) {
+    const texts = [];
+    svgElement.querySelectorAll('metadata, title, desc').forEach(element => texts.push(element.textContent));
+    const nodes = [...svgElement.childNodes];
+    if (svgElement.ownerDocument && svgElement.parentNode === svgElement.ownerDocument) {
+        nodes.push(...svgElement.ownerDocument.childNodes);
+    }
+    nodes.filter(node => node.nodeType === 8).forEach(comment => texts.push(comment.textContent));
+    Array.from(svgElement.attributes || []).forEach(attribute => texts.push(attribute.value));
+    
+    if (texts.some(text => /blender/i.test(text || ''))) {
+        return true;
+    }
+    return svgElement.querySelector('path.seam') !== null && svgElement.querySelector('.sewinguide') !== null;
+}
+
+/**
+ * Measure the largest pattern piece
+ * Pieces are the top-level groups; their size is taken from the seam paths
+ * @param {SVGElement} svgElement - Root SVG element
+ * @returns {{width: number, height: number, id: string}|null} Size in user units of the
+ * piece with the largest bounding box, or null if there are no seams
+ */
+export function getLargestPieceSize(svgElement) {
+    const pieces = Array.from(svgElement.querySelectorAll('g'))
+        .filter(group => group.parentElement === svgElement);
+    if (pieces.length === 0) {
+        pieces.push(svgElement);
+    }
+    
+    let largest = null;
+    pieces.forEach(piece => {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        piece.querySelectorAll('path.seam').forEach(path => {
+            const matrix = getCumulativeTransform(path);
+            flattenPath(path.getAttribute('d') || '').forEach(subpath => {
+                subpath.points.forEach(p => {
+                    const { x, y } = transformPoint(matrix, p.X, p.Y);
+                    minX = Math.min(minX, x);
+                    minY = Math.min(minY, y);
+                    maxX = Math.max(maxX, x);
+                    maxY = Math.max(maxY, y);
+                });
+            });
+        });
+        
+        const width = maxX - minX;
+        const height = maxY - minY;
+        if (!(width >= 0 && height >= 0)) return;
+        if (!largest || width * height > largest.width * largest.height) {
+            largest = { width, height, id: piece.getAttribute('id') || '' };
+        }
+    });
+    
+    return largest;
+}
+
+/**
+ * Distance of a piece size from the typical range, on a logarithmic scale
+ * @param {number} size - Longest side in mm
+ * @returns {number} 0 inside the range
+ */
+function getRangeDistance(size) {
+    if (size < TYPICAL_PIECE_SIZE.min) return Math.log10(TYPICAL_PIECE_SIZE.min / size);
+    if (size > TYPICAL_PIECE_SIZE.max) return Math.log10(size / TYPICAL_PIECE_SIZE.max);
+    return 0;
+}
+
+/**
+ * Suggest the scale correction for an SVG
+ * @param {SVGElement} svgElement - Loaded, unscaled SVG
+ * @returns {Object|null} {scale: % for the scale input, confidence: 'high', 'medium' or
+ * 'low', source: 'units', 'blender' or 'size', largestPiece: {width, height} in mm at the
+ * suggested scale}, or null if the SVG has no pattern pieces
+ */
+export function detectScale(svgElement) {
+    const piece = getLargestPieceSize(svgElement);
+    if (!piece || Math.max(piece.width, piece.height) <= 0) {
+        return null;
+    }
+    
+    const longestSide = Math.max(piece.width, piece.height);
+    const unitSize = getDocumentUnitSize(svgElement);
+    const blender = isBlenderExport(svgElement);
+    const toPercent = scale => Math.round(scale * 100) / 100;
+    
+    const candidates = [];
+    if (unitSize !== null) {
+        candidates.push({ scale: toPercent(unitSize * 100), source: 'units' });
+    }
+    DECIMAL_SCALES.forEach(scale => candidates.push({ scale, source: blender ? 'blender' : 'size' }));
+    
+    const inRange = candidates
+        .filter(candidate => candidate.scale >= SCALE_RANGE.min && candidate.scale <= SCALE_RANGE.max)
+        .map(candidate => ({ ...candidate, size: longestSide * candidate.scale / 100 }));
+    
+    // Document units win when they give plausible sizes, otherwise the decimal scale
+    // closest to a typical piece size
+    let best = inRange.find(candidate => candidate.source === 'units' && getRangeDistance(candidate.size) === 0);
+    let confidence = 'high';
+    if (!best) {
+        const ideal = candidate => Math.abs(Math.log10(candidate.size / TYPICAL_PIECE_SIZE.ideal));
+        best = inRange
+            .filter(candidate => candidate.source !== 'units')
+            .sort((a, b) => getRangeDistance(a.size) - getRangeDistance(b.size) || ideal(a) - ideal(b))[0];
+        if (getRangeDistance(best.size) > 0) {
+            confidence = 'low';
+        } else if (!blender) {
+            confidence = 'medium';
+        }
+    }
+    
+    return {
+        scale: best.scale,
+        confidence,
+        source: best.source,
+        largestPiece: {
+            width: piece.width * best.scale / 100,
+            height: piece.height * best.scale / 100
+        }
+    };
+}
@@ -8,18 +8,24 @@ import { expandPathWithClipper, applySeamAllowanceWithClipper } from './clipper-
  * Expands a path by the given offset distance
  * @param {string} pathData - SVG path data string
  * @param {number} offset - Offset distance
+ * @param {Object} options - {curveTolerance: maximum curve flattening error,
+ * cornerStyle: miter, round, square or mirrored, miterLimit: multiple of the offset}
  * @returns {string} - Expanded path data
  */
-export function expandPath(pathData, offset) {
-    return expandPathWithClipper(pathData, offset);
+export function expandPath(pathData, offset, options = {}) {
+    return expandPathWithClipper(pathData, offset, options);
 }
 
 /**
  * Apply seam allowance to all seam paths in the SVG
  * @param {SVGElement} svgElement - The SVG element
  * @param {number} seamAllowance - Seam allowance in mm
+ * @param {Object} options - {curveTolerance: maximum curve flattening error,
+ * cornerStyle: miter, round, square or mirrored, miterLimit: multiple of the allowance,
+ * curvedAllowance: narrower allowance on curves in mm (with clip marks on concave curves),
+ * curveRadius: largest radius in mm that counts as curved}
  * @returns {{svg: SVGElement, errors: Array}} - Modified SVG element and any errors
  */
-export function applySeamAllowance(svgElement, seamAllowance) {
-    return applySeamAllowanceWithClipper(svgElement, seamAllowance);
+export function applySeamAllowance(svgElement, seamAllowance, options = {}) {
+    return applySeamAllowanceWithClipper(svgElement, seamAllowance, options);
 }
\ No newline at end of file
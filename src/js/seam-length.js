@@ -0,0 +1,179 @@
+/**
+ * Seam length matching report
+ * Compares the lengths of the paired sewingguides (see sewingguide-labels.js), i.e. the
+ * two edges that are sewn together. Lengths are measured on the scaled SVG, in mm.
+ */
+
+import { flattenPath } from './svg-path.js';
+
+// Allowed length difference of a pair in mm
+export const DEFAULT_LENGTH_TOLERANCE = 2;
+// Curve flattening tolerance for measuring, in mm
+const MEASURE_TOLERANCE = 0.01;
+
+/**
+ * Measure the length of a path
+ * @param {string} pathData - SVG path data
+ * @param {number} tolerance - Curve flattening tolerance
+ * @returns {number} Total length of all subpaths
+ */
+export function getPathLength(pathData, tolerance = MEASURE_TOLERANCE) {
+    return flattenPath(pathData || '', tolerance).reduce((total, subpath) => {
+        const { points } = subpath;
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += Math.hypot(points[i].X - points[i - 1].X, points[i].Y - points[i - 1].Y);
+        }
+        if (subpath.closed && points.length > 2) {
+            const last = points[points.length - 1];
+            length += Math.hypot(points[0].X - last.X, points[0].Y - last.Y);
+        }
+        return total + length;
+    }, 0);
+}
+
+/**
+ * Compare the lengths of all sewingguide pairs
+ * @param {SVGElement} svgElement - Scaled SVG with labelled sewingguides
+ * @param {number} tolerance - Allowed length difference in mm
+ * @returns {Array} Pairs {label, first: {symbol, length}, second: {symbol, length},
+ * difference: second - first in mm, ease: difference in % of the shorter edge, flagged}
+ * sorted by label
+ */
+export function measureSewingguidePairs(svgElement, tolerance = DEFAULT_LENGTH_TOLERANCE) {
+    const groups = new Map();
+    svgElement.querySelectorAll('[data-sewingguide-label]').forEach(element => {
+        const label = element.getAttribute('data-sewingguide-label');
+        if (!groups.has(label)) {
+            groups.set(label, []);
+        }
+        groups.get(label).push(element);
+    });
+    
+    const pairs = [];
+    groups.forEach((elements, label) => {
+        if (elements.length !== 2) return;
+        
+        // Same order as the symbols in the label
+        const [first, second] = elements.map(element => ({
+            symbol: (element.getAttribute('data-original-symbols') || '').split(':')[0],
+            length: getPathLength(element.getAttribute('d'))
+        })).sort((a, b) => a.symbol.localeCompare(b.symbol));
+        
+        const difference = second.length - first.length;
+        const shorter = Math.min(first.length, second.length);
+        pairs.push({
+            label,
+            first,
+            second,
+            difference,
+            ease: shorter > 0 ? Math.abs(difference) / shorter * 100 : 0,
+            flagged: Math.abs(difference) > tolerance
+        });
+    });
+    
+    return pairs.sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true }));
+}
+
+/**
+ * Create a line of text for the report page
+ * @param {number} x - X position in mm
+ * @param {number} y - Baseline position in mm
+ * @param {string} content - Text
+ * @param {Object} options - {size: font size in mm, anchor, bold, fill}
+ * @returns {Element} Text element
+ */
+function createText(x, y, content, { size = 3.5, anchor = 'start', bold = false, fill = '#000' } = {}) {
+    const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+    text.setAttribute('x', x);
+    text.setAttribute('y', y);
+    text.setAttribute('font-size', size);
+    text.setAttribute('font-family', 'Arial, sans-serif');
+    text.setAttribute('text-anchor', anchor);
+    text.setAttribute('fill', fill);
+    if (bold) {
+        text.setAttribute('font-weight', 'bold');
+    }
+    text.textContent = content;
+    return text;
+}
+
+// Layout of the report pages in mm
+const REPORT_HEADER_HEIGHT = 28;
+const REPORT_ROW_HEIGHT = 6;
+
+/**
+ * Create the report as printable pages
+ * The text is ASCII so that the standard PDF fonts can render it.
+ * @param {Array} pairs - Pairs from measureSewingguidePairs
+ * @param {{printableWidth: number, printableHeight: number}} gridStrategy - Page size in mm
+ * @param {number} tolerance - Allowed length difference in mm
+ * @returns {Array} SVG element of each report page
+ */
+export function createSeamLengthReportPages(pairs, gridStrategy, tolerance = DEFAULT_LENGTH_TOLERANCE) {
+    const width = gridStrategy.printableWidth;
+    const height = gridStrategy.printableHeight;
+    const rowsPerPage = Math.max(1, Math.floor((height - REPORT_HEADER_HEIGHT - 5) / REPORT_ROW_HEIGHT));
+    const pageCount = Math.max(1, Math.ceil(pairs.length / rowsPerPage));
+    
+    // Columns spread over the page width
+    const columns = [
+        { title: 'Pair', x: 5, anchor: 'start' },
+        { title: 'Edge 1 (mm)', x: width * 0.42, anchor: 'end' },
+        { title: 'Edge 2 (mm)', x: width * 0.6, anchor: 'end' },
+        { title: 'Difference (mm)', x: width * 0.8, anchor: 'end' },
+        { title: 'Ease (%)', x: width - 5, anchor: 'end' }
+    ];
+    
+    const pages = [];
+    for (let pageIndex = 0; pageIndex < pageCount; pageIndex++) {
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('width', `${width}mm`);
+        svg.setAttribute('height', `${height}mm`);
+        svg.setAttribute('class', 'seam-length-report');
+        
+        const title = pageCount > 1 ? `Seam length report (${pageIndex + 1}/${pageCount})` : 'Seam length report';
+        svg.appendChild(createText(5, 10, title, { size: 6, bold: true }));
+        svg.appendChild(createText(5, 17,
+            `Tolerance: ${tolerance} mm. Pairs marked with ! differ by more than the tolerance.`));
+        
+        let y = REPORT_HEADER_HEIGHT;
+        columns.forEach(column => {
+            svg.appendChild(createText(column.x, y, column.title, { anchor: column.anchor, bold: true }));
+        });
+        
+        pairs.slice(pageIndex * rowsPerPage, (pageIndex + 1) * rowsPerPage).forEach(pair => {
+            y += REPORT_ROW_HEIGHT;
+            const fill = pair.flagged ? '#c00' : '#000';
+            const values = [
+                `${pair.flagged ? '! ' : ''}${pair.label}`,
+                `${pair.first.symbol} ${pair.first.length.toFixed(1)}`,
+                `${pair.second.symbol} ${pair.second.length.toFixed(1)}`,
+                `${pair.difference >= 0 ? '+' : ''}${pair.difference.toFixed(1)}`,
+                pair.ease.toFixed(1)
+            ];
+            columns.forEach((column, i) => {
+                svg.appendChild(createText(column.x, y, values[i], { anchor: column.anchor, fill }));
+            });
+            
+            const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+            line.setAttribute('x1', 5);
+            line.setAttribute('y1', y + 2);
+            line.setAttribute('x2', width - 5);
+            line.setAttribute('y2', y + 2);
+            line.setAttribute('stroke', '#ccc');
+            line.setAttribute('stroke-width', '0.2');
+            svg.appendChild(line);
+        });
+        
+        if (pairs.length === 0) {
+            svg.appendChild(createText(5, y + REPORT_ROW_HEIGHT, 'No sewing guide pairs found.'));
+        }
+        
+        pages.push(svg);
+    }
+    
+    return pages;
+}
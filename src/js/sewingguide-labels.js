@@ -3,6 +3,8 @@
  * Adds labels to sewingguide elements that appear in pairs
  */
 
+import { getUprightTextTransform } from './pattern-symbols.js';
+
 /**
  * Find which pattern piece (with data-pattern-symbol) contains the given element
  * @param {Element} element - The sewingguide element
@@ -267,6 +269,11 @@ function addLabelText(element, labelText) {
     text.setAttribute('class', 'sewingguide-label');
     text.textContent = labelText;
     
+    const uprightTransform = getUprightTextTransform(patternElement, adjustedPoint.x, adjustedPoint.y);
+    if (uprightTransform) {
+        text.setAttribute('transform', uprightTransform);
+    }
+    
     // Append text to the pattern group to ensure it appears on top and follows transforms
     // SVG rendering order is based on DOM order - later elements are drawn on top
     patternElement.appendChild(text);
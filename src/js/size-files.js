@@ -0,0 +1,309 @@
+/**
+ * Multi-size patterns from several SVG files
+ * Each file holds one size of the same pattern (e.g. one Blender export per size). The
+ * pieces of every file are matched to the pieces of the base file, first by pattern
+ * symbol and then by shape, and take over the base piece's ID and symbol so the sizes
+ * can be nested piece by piece with nestGradedSizes(). Matched pieces are moved so that
+ * the centers of their seams line up with the base piece.
+ */
+
+import { flattenPath, tokenizePath } from './svg-path.js';
+import { getCumulativeTransform, getElementTransform, invertMatrix, multiplyMatrices, transformPoint } from './svg-transform.js';
+import { getGrainline, setGrainline, removeGrainline } from './grainline.js';
+
+// Letter sizes from small to large, for sorting files by size name
+const LETTER_SIZES = ['XXXS', 'XXS', 'XS', 'S', 'M', 'L', 'XL', 'XXL', 'XXXL', '4XL', '5XL', '6XL'];
+const LETTER_SIZE_ALIASES = { '2XS': 'XXS', '3XS': 'XXXS', '2XL': 'XXL', '3XL': 'XXXL' };
+
+// Largest shape distance of pieces with the same symbol and of pieces matched by shape only
+const SYMBOL_MATCH_TOLERANCE = 1;
+const SHAPE_MATCH_TOLERANCE = 0.5;
+
+/**
+ * Get the size name from a file name: the last word of the name ("dress_M.svg" -> "M")
+ * @param {string} fileName - Name of the SVG file
+ * @returns {string} Size name
+ */
+export function getSizeNameFromFileName(fileName) {
+    const name = fileName.replace(/\.svg$/i, '');
+    const words = name.split(/[\s_\-.]+/).filter(word => word !== '');
+    return words.length > 0 ? words[words.length - 1] : name;
+}
+
+/**
+ * Compare size names for sorting: numbers by value, letter sizes from XXS to XXL,
+ * anything else alphabetically after them
+ * @param {string} a - Size name
+ * @param {string} b - Size name
+ * @returns {number} Negative if a is the smaller size
+ */
+export function compareSizeNames(a, b) {
+    const numberA = Number(a);
+    const numberB = Number(b);
+    if (a !== '' && b !== '' && Number.isFinite(numberA) && Number.isFinite(numberB)) {
+        return numberA - numberB;
+    }
+    
+    const letterIndex = name => {
+        const upper = name.toUpperCase();
+        return LETTER_SIZES.indexOf(LETTER_SIZE_ALIASES[upper] || upper);
+    };
+    const indexA = letterIndex(a);
+    const indexB = letterIndex(b);
+    if (indexA !== -1 && indexB !== -1) return indexA - indexB;
+    if (indexA !== -1) return -1;
+    if (indexB !== -1) return 1;
+    return a.localeCompare(b);
+}
+
+/**
+ * Get the pattern pieces of a size file (top-level groups with a seam)
+ * @param {SVGElement} svgElement - SVG of one size
+ * @returns {Array} Piece groups
+ */
+function getPieces(svgElement) {
+    return Array.from(svgElement.children)
+        .filter(child => child.tagName.toLowerCase() === 'g' && child.querySelector('path.seam'));
+}
+
+/**
+ * Measure the seams of a piece in the coordinates of its parent
+ * @param {Element} piece - Pattern piece group
+ * @returns {Object|null} {area, perimeter, width, height, center}, or null without seam points
+ */
+export function getPieceShape(piece) {
+    let area = 0;
+    let perimeter = 0;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    
+    piece.querySelectorAll('path.seam').forEach(seam => {
+        const matrix = getCumulativeTransform(seam, piece.parentNode);
+        flattenPath(seam.getAttribute('d') || '').forEach(({ points }) => {
+            const outline = points.map(p => transformPoint(matrix, p.X, p.Y));
+            outline.forEach((p, i) => {
+                const next = outline[(i + 1) % outline.length];
+                area += p.x * next.y - next.x * p.y;
+                perimeter += Math.hypot(next.x - p.x, next.y - p.y);
+                minX = Math.min(minX, p.x);
+                minY = Math.min(minY, p.y);
+                maxX = Math.max(maxX, p.x);
+                maxY = Math.max(maxY, p.y);
+            });
+        });
+    });
+    
+    if (minX > maxX) return null;
+    return {
+        area: Math.abs(area) / 2,
+        perimeter,
+        width: maxX - minX,
+        height: maxY - minY,
+        center: { X: (minX + maxX) / 2, Y: (minY + maxY) / 2 }
+    };
+}
+
+/**
+ * Measure how different two piece shapes are, independent of their position
+ * Grading changes the size of a piece, so size differs least and proportions most
+ * @param {Object} a - Shape from getPieceShape()
+ * @param {Object} b - Shape from getPieceShape()
+ * @returns {number} 0 for the same shape, Infinity for shapes that cannot be compared
+ */
+export function getShapeDistance(a, b) {
+    if (!a || !b || !(a.area > 0) || !(b.area > 0) || !(a.height > 0) || !(b.height > 0)) {
+        return Infinity;
+    }
+    
+    // Area ratio as a change of length, the aspect ratio and the compactness (4πA/P²)
+    const lengthChange = Math.abs(Math.log(a.area / b.area)) / 2;
+    const aspectChange = Math.abs(Math.log((a.width / a.height) / (b.width / b.height)));
+    const compactness = shape => 4 * Math.PI * shape.area / (shape.perimeter * shape.perimeter);
+    return lengthChange / 2 + aspectChange + Math.abs(compactness(a) - compactness(b));
+}
+
+/**
+ * Match the pieces of a size to the pieces of the base size
+ * @param {SVGElement} baseSVG - SVG of the base size
+ * @param {SVGElement} sizeSVG - SVG of another size
+ * @returns {{matches: Map, unmatched: Array}} Base piece -> size piece, and the size pieces without match
+ */
+export function matchSizePieces(baseSVG, sizeSVG) {
+    const basePieces = getPieces(baseSVG).map(piece => ({ piece, shape: getPieceShape(piece) }));
+    const sizePieces = getPieces(sizeSVG).map(piece => ({ piece, shape: getPieceShape(piece) }));
+    const matches = new Map();
+    const matched = new Set();
+    
+    const pairs = [];
+    basePieces.forEach(base => {
+        sizePieces.forEach(size => {
+            const distance = getShapeDistance(base.shape, size.shape);
+            const symbol = base.piece.getAttribute('data-pattern-symbol');
+            const sameSymbol = symbol !== null && symbol === size.piece.getAttribute('data-pattern-symbol');
+            pairs.push({ base: base.piece, size: size.piece, distance, sameSymbol });
+        });
+    });
+    
+    // Pieces with the same symbol match unless their shapes are clearly different,
+    // the rest go to the most similar shape that is left
+    const take = (candidates, tolerance) => {
+        candidates
+            .filter(pair => pair.distance <= tolerance)
+            .sort((a, b) => a.distance - b.distance)
+            .forEach(pair => {
+                if (matches.has(pair.base) || matched.has(pair.size)) return;
+                matches.set(pair.base, pair.size);
+                matched.add(pair.size);
+            });
+    };
+    take(pairs.filter(pair => pair.sameSymbol), SYMBOL_MATCH_TOLERANCE);
+    take(pairs, SHAPE_MATCH_TOLERANCE);
+    
+    return {
+        matches,
+        unmatched: sizePieces.map(size => size.piece).filter(piece => !matched.has(piece))
+    };
+}
+
+/**
+ * Link a size to the base size: matched pieces take the ID and symbol of their base
+ * piece and are moved onto it
+ * @param {SVGElement} baseSVG - SVG of the base size
+ * @param {SVGElement} sizeSVG - SVG of another size, changed in place
+ * @returns {Array} Size pieces without a matching base piece
+ */
+export function linkSizePattern(baseSVG, sizeSVG) {
+    const { matches, unmatched } = matchSizePieces(baseSVG, sizeSVG);
+    
+    // Free the base IDs first, so that swapped pieces do not end up with duplicate IDs
+    matches.forEach(sizePiece => sizePiece.removeAttribute('id'));
+    unmatched.forEach(piece => {
+        const id = piece.getAttribute('id');
+        if (id && baseSVG.querySelector(`#${id}`)) piece.removeAttribute('id');
+    });
+    
+    matches.forEach((sizePiece, basePiece) => {
+        sizePiece.setAttribute('id', basePiece.getAttribute('id'));
+        const symbol = basePiece.getAttribute('data-pattern-symbol');
+        if (symbol !== null) sizePiece.setAttribute('data-pattern-symbol', symbol);
+        
+        const baseCenter = getPieceShape(basePiece).center;
+        const sizeCenter = getPieceShape(sizePiece).center;
+        const dx = baseCenter.X - sizeCenter.X;
+        const dy = baseCenter.Y - sizeCenter.Y;
+        if (dx !== 0 || dy !== 0) {
+            const transform = sizePiece.getAttribute('transform') || '';
+            sizePiece.setAttribute('transform', `translate(${dx} ${dy}) ${transform}`.trim());
+        }
+    });
+    
+    return unmatched;
+}
+
+/**
+ * Replace the data attributes of an element with those of another element
+ * @param {Element} source - Element to copy from
+ * @param {Element} target - Element to change in place
+ */
+function copyDataAttributes(source, target) {
+    Array.from(target.attributes)
+        .filter(attribute => attribute.name.startsWith('data-') && !source.hasAttribute(attribute.name))
+        .forEach(attribute => target.removeAttribute(attribute.name));
+    Array.from(source.attributes)
+        .filter(attribute => attribute.name.startsWith('data-'))
+        .forEach(attribute => target.setAttribute(attribute.name, attribute.value));
+}
+
+/**
+ * Get the piece of a size with the ID of a base piece
+ * @param {SVGElement} sizeSVG - SVG of a size
+ * @param {Element} basePiece - Piece of the base size
+ * @returns {Element|null} Matching piece
+ */
+function findSizePiece(sizeSVG, basePiece) {
+    const id = basePiece.getAttribute('id');
+    const sizePiece = id ? sizeSVG.querySelector(`#${id}`) : null;
+    return sizePiece && sizePiece.parentNode === sizeSVG ? sizePiece : null;
+}
+
+/**
+ * Match the seams of a size piece to the seams of its base piece
+ * Seams match in document order when they have the same number of path segments, so
+ * that the edge indices of fold edges and per-edge allowances point to the same edges.
+ * @param {Element} basePiece - Piece of the base size
+ * @param {Element} sizePiece - Matching piece of another size
+ * @returns {Map} Base seam -> size seam, or null for base seams without a match
+ */
+function matchSeams(basePiece, sizePiece) {
+    const segmentCount = seam => tokenizePath(seam.getAttribute('d') || '').length;
+    const sizeSeams = Array.from(sizePiece.querySelectorAll('path.seam'));
+    return new Map(Array.from(basePiece.querySelectorAll('path.seam')).map((seam, i) => {
+        const sizeSeam = sizeSeams[i];
+        return [seam, sizeSeam && segmentCount(sizeSeam) === segmentCount(seam) ? sizeSeam : null];
+    }));
+}
+
+/**
+ * Check whether a seam has settings (data attributes) to copy
+ * @param {Element} seam - Seam path
+ * @returns {boolean} True if the seam has settings
+ */
+function hasSeamSettings(seam) {
+    return Array.from(seam.attributes).some(attribute => attribute.name.startsWith('data-'));
+}
+
+/**
+ * Copy the grainline of a base piece to the matching piece of another size
+ * @param {Element} basePiece - Piece of the base size
+ * @param {Element} sizePiece - Matching piece, changed in place
+ */
+function copyGrainline(basePiece, sizePiece) {
+    const line = getGrainline(basePiece);
+    if (!line) {
+        removeGrainline(sizePiece);
+        return;
+    }
+    
+    // Both pieces lie on top of each other in the coordinates of their SVG
+    const matrix = multiplyMatrices(invertMatrix(getElementTransform(sizePiece)), getElementTransform(basePiece));
+    const [start, end] = [line.start, line.end].map(p => {
+        const { x, y } = transformPoint(matrix, p.X, p.Y);
+        return { X: x, Y: y };
+    });
+    setGrainline(sizePiece, start, end);
+}
+
+/**
+ * Copy the settings of the base size to the matching pieces of another size, so that cut
+ * counts, allowances, folds and grainlines apply to every size. Pieces take over the data
+ * attributes and the grainline of their base piece, seams the data attributes of their base seam
+(see findUnmatchedSeams() for seams that cannot be matched).
+ * @param {SVGElement} baseSVG - SVG of the base size
+ * @param {SVGElement} sizeSVG - SVG of another size, changed in place
+ */
+export function copyPieceSettings(baseSVG, sizeSVG) {
+    getPieces(baseSVG).forEach(basePiece => {
+        const sizePiece = findSizePiece(sizeSVG, basePiece);
+        if (!sizePiece) return;
+        
+        copyDataAttributes(basePiece, sizePiece);
+        copyGrainline(basePiece, sizePiece);
+        matchSeams(basePiece, sizePiece).forEach((sizeSeam, baseSeam) => {
+            if (sizeSeam) copyDataAttributes(baseSeam, sizeSeam);
+        });
+    });
+}
+
+/**
+ * Find the base pieces whose seam settings cannot be copied to another size
+ * @param {SVGElement} baseSVG - SVG of the base size
+ * @param {SVGElement} sizeSVG - SVG of another size
+ * @returns {Array} Base pieces with seam settings that have no matching seam in the size
+ */
+export function findUnmatchedSeams(baseSVG, sizeSVG) {
+    return getPieces(baseSVG).filter(basePiece => {
+        const sizePiece = findSizePiece(sizeSVG, basePiece);
+        if (!sizePiece) return false;
+        return Array.from(matchSeams(basePiece, sizePiece))
+            .some(([baseSeam, sizeSeam]) => !sizeSeam && hasSeamSettings(baseSeam));
+    });
+}
@@ -0,0 +1,422 @@
+/**
+ * SVG path data tokenizing and curve flattening
+ * Turns path data into polylines: Béziers are subdivided adaptively and elliptical arcs
+ * are split so that no chord deviates from the curve by more than the given tolerance
+ */
+
+// Default maximum distance between a curve and its polyline (in path units, normally mm)
+export const DEFAULT_CURVE_TOLERANCE = 0.1;
+
+// Number of arguments of each path command
+const ARGUMENT_COUNTS = {
+    M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0
+};
+
+// Limit for the recursive Bézier subdivision
+const MAX_SUBDIVISION_DEPTH = 16;
+
+const NUMBER_PATTERN = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/;
+
+/**
+ * Split path data into segments with one command each
+ * Repeated argument groups become separate segments and extra coordinate pairs
+ * after a moveto become lineto segments, as defined by the SVG grammar.
+ * Like browsers, parsing stops at the first error and keeps the segments read so far
+ * @param {string} pathData - SVG path data string
+ * @returns {Array} Segments {command, args}; command keeps its case (lowercase = relative)
+ */
+export function tokenizePath(pathData) {
+    const segments = [];
+    let index = 0;
+    let command = null;
+    
+    const skipSeparators = () => {
+        while (index < pathData.length && /[\s,]/.test(pathData[index])) {
+            index++;
+        }
+    };
+    
+    const readNumber = () => {
+        skipSeparators();
+        const match = pathData.slice(index).match(NUMBER_PATTERN);
+        if (!match) {
+            return null;
+        }
+        index += match[0].length;
+        return parseFloat(match[0]);
+    };
+    
+    // Arc flags are single digits and may be written without separators ("a5 5 0 011 1")
+    const readFlag = () => {
+        skipSeparators();
+        const flag = pathData[index];
+        if (flag !== '0' && flag !== '1') {
+            return null;
+        }
+        index++;
+        return flag === '1' ? 1 : 0;
+    };
+    
+    while (index < pathData.length) {
+        skipSeparators();
+        if (index >= pathData.length) {
+            break;
+        }
+        
+        const char = pathData[index];
+        if (/[MmLlHhVvCcSsQqTtAaZz]/.test(char)) {
+            command = char;
+            index++;
+            if (command === 'Z' || command === 'z') {
+                segments.push({ command, args: [] });
+            }
+            continue;
+        }
+        
+        if (!command || command === 'Z' || command === 'z') {
+            console.warn(`Unexpected path data at position ${index}: "${pathData.slice(index, index + 10)}"`);
+            break;
+        }
+        
+        const upper = command.toUpperCase();
+        const args = [];
+        for (let i = 0; i < ARGUMENT_COUNTS[upper]; i++) {
+            const value = upper === 'A' && (i === 3 || i === 4) ? readFlag() : readNumber();
+            if (value === null) {
+                break;
+            }
+            args.push(value);
+        }
+        if (args.length < ARGUMENT_COUNTS[upper]) {
+            console.warn(`Invalid arguments for path command ${command} at position ${index}`);
+            break;
+        }
+        segments.push({ command, args });
+        
+        // Further coordinate pairs after a moveto are implicit linetos
+        if (upper === 'M') {
+            command = command === 'M' ? 'L' : 'l';
+        }
+    }
+    
+    return segments;
+}
+
+/**
+ * Format a number for path data without floating point noise
+ * @param {number} value - Number
+ * @returns {string} Shortest representation with 12 significant digits
+ */
+export function formatPathNumber(value) {
+    return String(+value.toPrecision(12));
+}
+
+/**
+ * Scale path data by a factor
+ * Coordinates and arc radii are scaled; arc rotations and large-arc/sweep flags are kept
+ * @param {string} pathData - SVG path data string
+ * @param {number} scaleFactor - Factor applied to all lengths
+ * @returns {string} Scaled path data with one command letter per segment
+ */
+export function scalePath(pathData, scaleFactor) {
+    return tokenizePath(pathData || '').map(({ command, args }) => {
+        const isArc = command === 'A' || command === 'a';
+        const scaled = args.map((value, i) =>
+            isArc && i >= 2 && i <= 4 ? value : value * scaleFactor
+        );
+        return [command, ...scaled.map(formatPathNumber)].join(' ');
+    }).join(' ');
+}
+
+/**
+ * Convert path data into absolute segments with explicit coordinates
+ * Relative commands become absolute, H and V become L, and the smooth S and T commands
+ * become C and Q with their reflected control point. Segments keep the tokenizePath order,
+ * so segment indices stay valid.
+ * @param {string} pathData - SVG path data string
+ * @returns {Array} Segments {command: one of M, L, C, Q, A, Z, args}
+ */
+export function toAbsoluteSegments(pathData) {
+    let current = { X: 0, Y: 0 };
+    let subpathStart = { X: 0, Y: 0 };
+    let lastControl = null;
+    let lastCommand = '';
+    
+    return tokenizePath(pathData || '').map(({ command, args }) => {
+        const upper = command.toUpperCase();
+        const relative = command !== upper && upper !== 'Z';
+        const ox = relative ? current.X : 0;
+        const oy = relative ? current.Y : 0;
+        const point = (x, y) => ({ X: ox + x, Y: oy + y });
+        const reflect = (commands) => commands.includes(lastCommand) && lastControl ?
+            { X: 2 * current.X - lastControl.X, Y: 2 * current.Y - lastControl.Y } : current;
+        
+        let segment;
+        let control = null;
+        switch (upper) {
+            case 'M':
+            case 'L': {
+                const end = point(args[0], args[1]);
+                segment = { command: upper, args: [end.X, end.Y] };
+                current = end;
+                if (upper === 'M') subpathStart = end;
+                break;
+            }
+            
+            case 'H':
+            case 'V': {
+                const end = upper === 'H' ? { X: ox + args[0], Y: current.Y } : { X: current.X, Y: oy + args[0] };
+                segment = { command: 'L', args: [end.X, end.Y] };
+                current = end;
+                break;
+            }
+            
+            case 'C':
+            case 'S': {
+                const c1 = upper === 'C' ? point(args[0], args[1]) : reflect(['C', 'S']);
+                const rest = upper === 'C' ? args.slice(2) : args;
+                const c2 = point(rest[0], rest[1]);
+                const end = point(rest[2], rest[3]);
+                segment = { command: 'C', args: [c1.X, c1.Y, c2.X, c2.Y, end.X, end.Y] };
+                control = c2;
+                current = end;
+                break;
+            }
+            
+            case 'Q':
+            case 'T': {
+                const q = upper === 'Q' ? point(args[0], args[1]) : reflect(['Q', 'T']);
+                const end = upper === 'Q' ? point(args[2], args[3]) : point(args[0], args[1]);
+                segment = { command: 'Q', args: [q.X, q.Y, end.X, end.Y] };
+                control = q;
+                current = end;
+                break;
+            }
+            
+            case 'A': {
+                const end = point(args[5], args[6]);
+                segment = { command: 'A', args: [...args.slice(0, 5), end.X, end.Y] };
+                current = end;
+                break;
+            }
+            
+            default:
+                segment = { command: 'Z', args: [] };
+                current = subpathStart;
+        }
+        
+        lastControl = control;
+        lastCommand = upper;
+        return segment;
+    });
+}
+
+/**
+ * Format segments as path data
+ * @param {Array} segments - Segments {command, args}
+ * @returns {string} Path data with one command letter per segment
+ */
+export function formatSegments(segments) {
+    return segments.map(({ command, args }) => [command, ...args.map(formatPathNumber)].join(' ')).join(' ');
+}
+
+/**
+ * Distance of a point from the line through a and b
+ * @param {{X: number, Y: number}} p - Point
+ * @param {{X: number, Y: number}} a - Line start
+ * @param {{X: number, Y: number}} b - Line end
+ * @returns {number} Distance
+ */
+function distanceToLine(p, a, b) {
+    const dx = b.X - a.X;
+    const dy = b.Y - a.Y;
+    const length = Math.hypot(dx, dy);
+    if (length === 0) {
+        return Math.hypot(p.X - a.X, p.Y - a.Y);
+    }
+    return Math.abs((p.X - a.X) * dy - (p.Y - a.Y) * dx) / length;
+}
+
+/**
+ * Flatten a cubic Bézier curve by recursive subdivision
+ * @param {Array} points - Output polyline (the start point is already in it)
+ * @param {Object} p0 - Start point
+ * @param {Object} p1 - First control point
+ * @param {Object} p2 - Second control point
+ * @param {Object} p3 - End point
+ * @param {number} tolerance - Maximum deviation
+ * @param {number} depth - Current recursion depth
+ */
+function flattenCubic(points, p0, p1, p2, p3, tolerance, depth = 0) {
+    const flat = Math.max(distanceToLine(p1, p0, p3), distanceToLine(p2, p0, p3)) <= tolerance;
+    if (flat || depth >= MAX_SUBDIVISION_DEPTH) {
+        points.push({ X: p3.X, Y: p3.Y });
+        return;
+    }
+    
+    // de Casteljau split at t = 0.5
+    const mid = (a, b) => ({ X: (a.X + b.X) / 2, Y: (a.Y + b.Y) / 2 });
+    const p01 = mid(p0, p1);
+    const p12 = mid(p1, p2);
+    const p23 = mid(p2, p3);
+    const p012 = mid(p01, p12);
+    const p123 = mid(p12, p23);
+    const center = mid(p012, p123);
+    
+    flattenCubic(points, p0, p01, p012, center, tolerance, depth + 1);
+    flattenCubic(points, center, p123, p23, p3, tolerance, depth + 1);
+}
+
+/**
+ * Flatten an elliptical arc (SVG endpoint parameterization)
+ * @param {Array} points - Output polyline (the start point is already in it)
+ * @param {Object} start - Start point
+ * @param {Array} args - [rx, ry, xAxisRotation, largeArcFlag, sweepFlag] in absolute form
+ * @param {Object} end - End point
+ * @param {number} tolerance - Maximum deviation
+ */
+function flattenArc(points, start, args, end, tolerance) {
+    let rx = Math.abs(args[0]);
+    let ry = Math.abs(args[1]);
+    const [, , rotation, largeArc, sweep] = args;
+    
+    if (start.X === end.X && start.Y === end.Y) {
+        return;
+    }
+    // Zero radii make the arc a straight line
+    if (rx === 0 || ry === 0) {
+        points.push({ X: end.X, Y: end.Y });
+        return;
+    }
+    
+    // Conversion to center parameterization (SVG spec, appendix B.2.4)
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const dx = (start.X - end.X) / 2;
+    const dy = (start.Y - end.Y) / 2;
+    const x1 = cos * dx + sin * dy;
+    const y1 = -sin * dx + cos * dy;
+    
+    // Scale up radii that are too small to reach the end point
+    const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+    
+    const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+    const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+    let factor = Math.sqrt(Math.max(0, numerator / denominator));
+    if (largeArc === sweep) {
+        factor = -factor;
+    }
+    const cx1 = factor * rx * y1 / ry;
+    const cy1 = -factor * ry * x1 / rx;
+    const cx = cos * cx1 - sin * cy1 + (start.X + end.X) / 2;
+    const cy = sin * cx1 + cos * cy1 + (start.Y + end.Y) / 2;
+    
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const theta1 = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+    let deltaTheta = angle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+    if (!sweep && deltaTheta > 0) {
+        deltaTheta -= 2 * Math.PI;
+    } else if (sweep && deltaTheta < 0) {
+        deltaTheta += 2 * Math.PI;
+    }
+    
+    // Largest angle step whose chord stays within the tolerance on the larger radius
+    const radius = Math.max(rx, ry);
+    const maxStep = tolerance < radius ? 2 * Math.acos(1 - tolerance / radius) : Math.PI / 2;
+    const steps = Math.max(1, Math.ceil(Math.abs(deltaTheta) / maxStep));
+    
+    for (let i = 1; i < steps; i++) {
+        const theta = theta1 + deltaTheta * i / steps;
+        const ex = rx * Math.cos(theta);
+        const ey = ry * Math.sin(theta);
+        points.push({
+            X: cos * ex - sin * ey + cx,
+            Y: sin * ex + cos * ey + cy
+        });
+    }
+    // Use the exact end point to avoid rounding gaps
+    points.push({ X: end.X, Y: end.Y });
+}
+
+/**
+ * Flatten SVG path data into polylines
+ * Each point remembers the path segment that produced it: segments[k] is the index
+ * (in tokenizePath order) of the segment drawn from points[k - 1] to points[k].
+ * segments[0] is the index of the moveto that started the subpath and stands for
+ * the closing edge from the last point back to the first one.
+ * @param {string} pathData - SVG path data string
+ * @param {number} tolerance - Maximum distance between curves and their chords (path units)
+ * @returns {Array} Subpaths {points: Array of {X, Y}, segments: Array of numbers, closed: boolean}
+ */
+export function flattenPath(pathData, tolerance = DEFAULT_CURVE_TOLERANCE) {
+    const subpaths = [];
+    const maxDeviation = tolerance > 0 ? tolerance : DEFAULT_CURVE_TOLERANCE;
+    
+    let current = { X: 0, Y: 0 };
+    let subpathStart = { X: 0, Y: 0 };
+    let subpath = null;
+    // Segment that started the current subpath (moveto or closepath)
+    let startSegment = 0;
+    
+    const startSubpath = (point) => {
+        subpath = { points: [{ X: point.X, Y: point.Y }], segments: [startSegment], closed: false };
+        subpaths.push(subpath);
+    };
+    
+    toAbsoluteSegments(pathData).forEach(({ command, args }, segmentIndex) => {
+        // Drawing after a closepath continues from the start of the closed subpath
+        if (command !== 'M' && command !== 'Z' && (!subpath || subpath.closed)) {
+            startSubpath(current);
+        }
+        
+        const end = command === 'Z' ? subpathStart : { X: args[args.length - 2], Y: args[args.length - 1] };
+        switch (command) {
+            case 'M':
+                subpathStart = end;
+                startSegment = segmentIndex;
+                startSubpath(end);
+                break;
+            
+            case 'L':
+                subpath.points.push(end);
+                break;
+            
+            case 'C':
+                flattenCubic(subpath.points, current, { X: args[0], Y: args[1] }, { X: args[2], Y: args[3] }, end, maxDeviation);
+                break;
+            
+            case 'Q': {
+                // Elevate the quadratic curve to a cubic one
+                const q = { X: args[0], Y: args[1] };
+                const c1 = { X: current.X + 2 / 3 * (q.X - current.X), Y: current.Y + 2 / 3 * (q.Y - current.Y) };
+                const c2 = { X: end.X + 2 / 3 * (q.X - end.X), Y: end.Y + 2 / 3 * (q.Y - end.Y) };
+                flattenCubic(subpath.points, current, c1, c2, end, maxDeviation);
+                break;
+            }
+            
+            case 'A':
+                flattenArc(subpath.points, current, args, end, maxDeviation);
+                break;
+            
+            case 'Z':
+                if (subpath && !subpath.closed) {
+                    subpath.closed = true;
+                }
+                startSegment = segmentIndex;
+                break;
+        }
+        current = end;
+        
+        // Record the segment of every point added by this command
+        while (subpath && subpath.segments.length < subpath.points.length) {
+            subpath.segments.push(segmentIndex);
+        }
+    });
+    
+    return subpaths;
+}
@@ -1,4 +1,8 @@
 import { getGridStrategy } from './pdf-generator.js';
+import { indexToSymbol } from './pattern-symbols.js';
+import { scalePath, formatPathNumber } from './svg-path.js';
+import { isPieceExcluded } from './piece-visibility.js';
+import { getElementTransform, getCumulativeTransform, transformBoundingBox, scaleTransform } from './svg-transform.js';
 
 // Load SVG file
 export async function loadSVGFile(file) {
@@ -35,11 +39,12 @@ export async function loadSVGFile(file) {
 }
 
 // Setup file handlers
+// onFileSelect receives every selected file; several files are the sizes of one pattern
 export function setupFileHandlers(uploadArea, fileInput, onFileSelect) {
     // File input change
     fileInput.addEventListener('change', (e) => {
-        const file = e.target.files[0];
-        if (file) onFileSelect(file);
+        const files = Array.from(e.target.files);
+        if (files.length > 0) onFileSelect(files);
     });
     
     // Drag and drop
@@ -56,8 +61,8 @@ export function setupFileHandlers(uploadArea, fileInput, onFileSelect) {
         e.preventDefault();
         uploadArea.classList.remove('drag-over');
         
-        const file = e.dataTransfer.files[0];
-        if (file) onFileSelect(file);
+        const files = Array.from(e.dataTransfer.files);
+        if (files.length > 0) onFileSelect(files);
     });
     
     // Click to select file
@@ -101,15 +106,36 @@ export function scaleSVG(svgElement, scaleFactor = 0.001) {
     elementsToScale.forEach(element => {
         // Scale stroke-width if present
         const strokeWidth = element.getAttribute('stroke-width');
-        if (strokeWidth && !isNaN(parseFloat(strokeWidth))) {
-            element.setAttribute('stroke-width', parseFloat(strokeWidth) * scaleFactor);
+        const scaledStrokeWidth = strokeWidth && scaleLength(strokeWidth, scaleFactor);
+        if (scaledStrokeWidth) {
+            element.setAttribute('stroke-width', scaledStrokeWidth);
+        }
+        
+        // Scale stroke widths in inline styles and <style> blocks
+        const style = element.getAttribute('style');
+        if (style) {
+            element.setAttribute('style', scaleStyleStrokeWidths(style, scaleFactor));
+        }
+        if (element.tagName === 'style' && element.textContent) {
+            element.textContent = scaleStyleStrokeWidths(element.textContent, scaleFactor);
+        }
+        
+        // Scale the lengths in transforms so transformed elements stay in place
+        const transform = element.getAttribute('transform');
+        if (transform) {
+            const scaledTransform = scaleTransform(transform, scaleFactor);
+            if (scaledTransform) {
+                element.setAttribute('transform', scaledTransform);
+            } else {
+                element.removeAttribute('transform');
+            }
         }
         
         // Scale path d attributes
         if (element.tagName === 'path') {
             const dAttr = element.getAttribute('d');
             if (dAttr) {
-                const scaledPath = scalePathData(dAttr, scaleFactor);
+                const scaledPath = scalePath(dAttr, scaleFactor);
                 element.setAttribute('d', scaledPath);
             }
         }
@@ -176,28 +202,44 @@ export function scaleSVG(svgElement, scaleFactor = 0.001) {
     
 }
 
-// Helper function to scale path data
-function scalePathData(pathData, scaleFactor) {
-    return pathData.replace(/(-?\d+(?:\.\d+)?)/g, (match) => {
-        return (parseFloat(match) * scaleFactor).toString();
+// Lengths with absolute units scale with the coordinates; percentages and font-relative units do not
+const LENGTH_PATTERN = /^\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)(px|mm|cm|in|pt|pc)?\s*$/;
+const NUMBER_PATTERN = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g;
+
+// Helper function to scale a length, keeping its unit (null if it cannot be scaled)
+function scaleLength(value, scaleFactor) {
+    const match = value.match(LENGTH_PATTERN);
+    if (!match) {
+        return null;
+    }
+    return formatPathNumber(parseFloat(match[1]) * scaleFactor) + (match[2] || '');
+}
+
+// Helper function to scale the stroke-width declarations of CSS text
+function scaleStyleStrokeWidths(cssText, scaleFactor) {
+    return cssText.replace(/(stroke-width\s*:\s*)([^;}!\s]+)/g, (declaration, property, value) => {
+        const scaled = scaleLength(value, scaleFactor);
+        return scaled ? property + scaled : declaration;
     });
 }
 
 // Helper function to scale points data
 function scalePointsData(pointsData, scaleFactor) {
-    return pointsData.replace(/(-?\d+(?:\.\d+)?)/g, (match) => {
-        return (parseFloat(match) * scaleFactor).toString();
+    return pointsData.replace(NUMBER_PATTERN, (match) => {
+        return formatPathNumber(parseFloat(match) * scaleFactor);
     });
 }
 
 // Analyze SVG units (g elements that represent individual pattern pieces)
-export function analyzeSVGUnits(svgElement) {
+// Pieces excluded from the output are skipped unless options.includeExcluded is set
+export function analyzeSVGUnits(svgElement, options = {}) {
     const units = [];
     const groups = svgElement.querySelectorAll('g');
     
     groups.forEach((group, index) => {
         // Skip groups that are children of other groups (to avoid nested groups)
         if (group.parentElement.tagName === 'g') return;
+        if (!options.includeExcluded && isPieceExcluded(group)) return;
         
         const bbox = getElementBoundingBox(group);
         if (bbox && bbox.width > 0 && bbox.height > 0) {
@@ -218,6 +260,12 @@ export function analyzeSVGUnits(svgElement) {
 }
 
 
+// Get the translation of an element's transform attribute
+export function getTranslateOffset(element) {
+    const matrix = getElementTransform(element);
+    return { x: matrix[4], y: matrix[5] };
+}
+
 // Calculate bounding box for an SVG element (g, path, etc.)
 export function getElementBoundingBox(element) {
     try {
@@ -243,30 +291,8 @@ export function getElementBoundingBox(element) {
         // Get bounding box in local coordinates
         const bbox = element.getBBox();
         
-        // Check if element has a transform
-        const transform = element.getAttribute('transform');
-        let offsetX = 0, offsetY = 0;
-        
-        if (transform) {
-            // Parse translate transform
-            const translateMatch = transform.match(/translate\s*\(\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*\)/);
-            if (translateMatch) {
-                offsetX = parseFloat(translateMatch[1]);
-                offsetY = parseFloat(translateMatch[2]);
-            }
-        }
-        
-        // Apply transform offset to bounding box
-        const result = {
-            x: bbox.x + offsetX,
-            y: bbox.y + offsetY,
-            width: bbox.width,
-            height: bbox.height,
-            minX: bbox.x + offsetX,
-            minY: bbox.y + offsetY,
-            maxX: bbox.x + bbox.width + offsetX,
-            maxY: bbox.y + bbox.height + offsetY
-        };
+        // Apply the element's transform and those of its parent groups
+        const result = transformBoundingBox(bbox, getCumulativeTransform(element));
         
         // Cleanup if needed
         if (needsCleanup && tempContainer) {
@@ -292,14 +318,34 @@ export function checkUnitsPageConstraints(svgElement, settings) {
     
     
     const violations = [];
+    const tiledUnits = [];
     
     units.forEach(unit => {
         const unitWidth = unit.width;
         const unitHeight = unit.height;
         
         
+        // Units that fit when turned by 90° are placed rotated
+        const fitsRotated = gridStrategy.allowRotation &&
+            unit.element.getAttribute('data-lock-orientation') !== 'true' &&
+            unitHeight <= gridStrategy.printableWidth && unitWidth <= gridStrategy.printableHeight;
+        
         // Check if unit exceeds page printable area
-        if (unitWidth > gridStrategy.printableWidth || unitHeight > gridStrategy.printableHeight) {
+        if ((unitWidth > gridStrategy.printableWidth || unitHeight > gridStrategy.printableHeight) && !fitsRotated) {
+            // Oversized units are split across several pages when tiling is enabled
+            if (gridStrategy.tileOversized && gridStrategy.effectiveWidth > 0 && gridStrategy.effectiveHeight > 0) {
+                tiledUnits.push({
+                    unitIndex: unit.index,
+                    unitClass: unit.className,
+                    unitId: unit.id,
+                    unitSize: {
+                        width: unitWidth,
+                        height: unitHeight
+                    }
+                });
+                return;
+            }
+            
             const violation = {
                 unitIndex: unit.index,
                 unitClass: unit.className,
@@ -322,6 +368,7 @@ export function checkUnitsPageConstraints(svgElement, settings) {
     const result = {
         isValid: violations.length === 0,
         violations: violations,
+        tiledUnits: tiledUnits,
         totalUnits: units.length,
         pageConstraints: {
             printableWidth: gridStrategy.printableWidth,
@@ -336,27 +383,33 @@ export function checkUnitsPageConstraints(svgElement, settings) {
 
 
 // Calculate page layout
-export function calculatePageLayout(svgElement, gridStrategy) {
-    // Use the scaled physical size (both viewBox and size attributes are now scaled)
-    const widthAttr = svgElement.getAttribute('width');
-    const heightAttr = svgElement.getAttribute('height');
-    
+// When bounds ({width, height}) are given, the grid covers that region instead of the whole SVG
+export function calculatePageLayout(svgElement, gridStrategy, bounds = null) {
     let svgWidth, svgHeight;
     
-    if (widthAttr && widthAttr.endsWith('mm')) {
-        svgWidth = parseFloat(widthAttr);
-    } else {
-        // Fallback to viewBox if no mm units (now also scaled)
-        const viewBox = svgElement.viewBox.baseVal;
-        svgWidth = viewBox.width;
-    }
-    
-    if (heightAttr && heightAttr.endsWith('mm')) {
-        svgHeight = parseFloat(heightAttr);
+    if (bounds) {
+        svgWidth = bounds.width;
+        svgHeight = bounds.height;
     } else {
-        // Fallback to viewBox if no mm units (now also scaled)
-        const viewBox = svgElement.viewBox.baseVal;
-        svgHeight = viewBox.height;
+        // Use the scaled physical size (both viewBox and size attributes are now scaled)
+        const widthAttr = svgElement.getAttribute('width');
+        const heightAttr = svgElement.getAttribute('height');
+        
+        if (widthAttr && widthAttr.endsWith('mm')) {
+            svgWidth = parseFloat(widthAttr);
+        } else {
+            // Fallback to viewBox if no mm units (now also scaled)
+            const viewBox = svgElement.viewBox.baseVal;
+            svgWidth = viewBox.width;
+        }
+        
+        if (heightAttr && heightAttr.endsWith('mm')) {
+            svgHeight = parseFloat(heightAttr);
+        } else {
+            // Fallback to viewBox if no mm units (now also scaled)
+            const viewBox = svgElement.viewBox.baseVal;
+            svgHeight = viewBox.height;
+        }
     }
     
     const pagesX = Math.ceil(svgWidth / gridStrategy.effectiveWidth);
@@ -372,8 +425,14 @@ export function calculatePageLayout(svgElement, gridStrategy) {
     };
 }
 
+// Get the label of a tile in a page grid (rows are letters, columns are numbers: A1, A2, B1...)
+export function getTileLabel(pageX, pageY) {
+    return `${indexToSymbol(pageY)}${pageX + 1}`;
+}
+
 // Create paged SVG
-export function createPagedSVG(originalSVG, pageX, pageY, gridStrategy) {
+// origin shifts the grid so that it starts at a given point (e.g. the corner of a single unit)
+export function createPagedSVG(originalSVG, pageX, pageY, gridStrategy, origin = { x: 0, y: 0 }) {
     const { printableWidth, printableHeight, effectiveWidth, effectiveHeight, overlap } = gridStrategy;
     
     // Clone SVG
@@ -382,13 +441,17 @@ export function createPagedSVG(originalSVG, pageX, pageY, gridStrategy) {
     // Clipping path ID
     const clipId = `page-${pageX}-${pageY}`;
     
+    // Page area in SVG coordinates
+    const pageLeft = origin.x + pageX * effectiveWidth - overlap;
+    const pageTop = origin.y + pageY * effectiveHeight - overlap;
+    
     // Define clipping area
     const clipPath = document.createElementNS('http://www.w3.org/2000/svg', 'clipPath');
     clipPath.setAttribute('id', clipId);
     
     const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-    rect.setAttribute('x', pageX * effectiveWidth - overlap);
-    rect.setAttribute('y', pageY * effectiveHeight - overlap);
+    rect.setAttribute('x', pageLeft);
+    rect.setAttribute('y', pageTop);
     rect.setAttribute('width', printableWidth);
     rect.setAttribute('height', printableHeight);
     
@@ -404,7 +467,7 @@ export function createPagedSVG(originalSVG, pageX, pageY, gridStrategy) {
     
     // Adjust viewBox
     pagedSVG.setAttribute('viewBox', 
-        `${pageX * effectiveWidth - overlap} ${pageY * effectiveHeight - overlap} ${printableWidth} ${printableHeight}`
+        `${pageLeft} ${pageTop} ${printableWidth} ${printableHeight}`
     );
     
     // Set size
@@ -421,22 +484,26 @@ export function createPagedSVG(originalSVG, pageX, pageY, gridStrategy) {
 }
 
 // Add alignment marks
-export function addAlignmentMarks(svgElement, pageX, pageY, gridStrategy) {
+// options: origin of the grid, grid size (pagesX, pagesY) and an optional title for the page label
+export function addAlignmentMarks(svgElement, pageX, pageY, gridStrategy, options = {}) {
     const marks = document.createElementNS('http://www.w3.org/2000/svg', 'g');
     marks.setAttribute('class', 'alignment-marks');
     
     const { printableWidth, printableHeight, effectiveWidth, effectiveHeight, overlap } = gridStrategy;
+    const origin = options.origin || { x: 0, y: 0 };
+    const pagesX = options.pagesX || pageX + 1;
+    const pagesY = options.pagesY || pageY + 1;
     
     // Calculate viewBox offset
-    const offsetX = pageX * effectiveWidth - overlap;
-    const offsetY = pageY * effectiveHeight - overlap;
+    const offsetX = origin.x + pageX * effectiveWidth - overlap;
+    const offsetY = origin.y + pageY * effectiveHeight - overlap;
     
-    // Cross marks (four corners)
+    // Cross marks (four corners of the area this page contributes)
     const crossSize = 5;
     const positions = [
-        { x: offsetX, y: offsetY },
-        { x: offsetX + printableWidth, y: offsetY },
-        { x: offsetX, y: offsetY + printableHeight },
+        { x: offsetX + overlap, y: offsetY + overlap },
+        { x: offsetX + printableWidth, y: offsetY + overlap },
+        { x: offsetX + overlap, y: offsetY + printableHeight },
         { x: offsetX + printableWidth, y: offsetY + printableHeight }
     ];
     
@@ -462,29 +529,96 @@ export function addAlignmentMarks(svgElement, pageX, pageY, gridStrategy) {
         marks.appendChild(vLine);
     });
     
-    // Page number
+    // Cut guides: the left/top overlap strip is cut off when the page has a neighbour on that side
+    // (plain text, the standard PDF fonts have no scissors symbol)
+    if (pageX > 0) {
+        marks.appendChild(createGuideLine(
+            offsetX + overlap, offsetY, offsetX + overlap, offsetY + printableHeight, 'tile-cut-line'
+        ));
+        marks.appendChild(createGuideText(
+            offsetX + overlap + 2, offsetY + printableHeight / 2, `CUT ${getTileLabel(pageX - 1, pageY)}`, 'start'
+        ));
+    }
+    if (pageY > 0) {
+        marks.appendChild(createGuideLine(
+            offsetX, offsetY + overlap, offsetX + printableWidth, offsetY + overlap, 'tile-cut-line'
+        ));
+        marks.appendChild(createGuideText(
+            offsetX + printableWidth / 2, offsetY + overlap + 4, `CUT ${getTileLabel(pageX, pageY - 1)}`, 'middle'
+        ));
+    }
+    
+    // Glue guides: the right/bottom overlap strip is covered by the next page
+    if (pageX < pagesX - 1 && overlap > 0) {
+        marks.appendChild(createGlueArea(
+            offsetX + printableWidth - overlap, offsetY, overlap, printableHeight
+        ));
+        marks.appendChild(createGuideText(
+            offsetX + printableWidth - overlap / 2, offsetY + printableHeight / 2, getTileLabel(pageX + 1, pageY), 'middle'
+        ));
+    }
+    if (pageY < pagesY - 1 && overlap > 0) {
+        marks.appendChild(createGlueArea(
+            offsetX, offsetY + printableHeight - overlap, printableWidth, overlap
+        ));
+        marks.appendChild(createGuideText(
+            offsetX + printableWidth / 2, offsetY + printableHeight - overlap / 2, getTileLabel(pageX, pageY + 1), 'middle'
+        ));
+    }
+    
+    // Tile label (row letter + column number)
     const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-    text.setAttribute('x', offsetX + printableWidth / 2);
-    text.setAttribute('y', offsetY + printableHeight - 5);
-    text.setAttribute('text-anchor', 'middle');
+    text.setAttribute('class', 'tile-label');
+    text.setAttribute('x', offsetX + overlap + 3);
+    text.setAttribute('y', offsetY + overlap + 10);
     text.setAttribute('font-size', '8');
+    text.setAttribute('font-weight', 'bold');
     text.setAttribute('fill', 'black');
-    text.textContent = `Page ${pageX + 1}-${pageY + 1}`;
+    const label = getTileLabel(pageX, pageY);
+    text.textContent = options.title ? `${label} (${options.title})` : label;
     marks.appendChild(text);
     
-    // Overlap guide (dashed line)
-    if (overlap > 0) {
-        const guideRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        guideRect.setAttribute('x', offsetX + overlap);
-        guideRect.setAttribute('y', offsetY + overlap);
-        guideRect.setAttribute('width', effectiveWidth);
-        guideRect.setAttribute('height', effectiveHeight);
-        guideRect.setAttribute('fill', 'none');
-        guideRect.setAttribute('stroke', 'gray');
-        guideRect.setAttribute('stroke-width', '0.5');
-        guideRect.setAttribute('stroke-dasharray', '5,5');
-        marks.appendChild(guideRect);
-    }
-    
     svgElement.appendChild(marks);
-}
\ No newline at end of file
+}
+
+// Create a dashed guide line for tile assembly
+function createGuideLine(x1, y1, x2, y2, className) {
+    const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+    line.setAttribute('class', className);
+    line.setAttribute('x1', x1);
+    line.setAttribute('y1', y1);
+    line.setAttribute('x2', x2);
+    line.setAttribute('y2', y2);
+    line.setAttribute('stroke', 'gray');
+    line.setAttribute('stroke-width', '0.5');
+    line.setAttribute('stroke-dasharray', '5,5');
+    return line;
+}
+
+// Create a shaded strip marking where the neighbouring page is glued
+function createGlueArea(x, y, width, height) {
+    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    rect.setAttribute('class', 'tile-glue-area');
+    rect.setAttribute('x', x);
+    rect.setAttribute('y', y);
+    rect.setAttribute('width', width);
+    rect.setAttribute('height', height);
+    rect.setAttribute('fill', '#e2e8f0');
+    rect.setAttribute('fill-opacity', '0.5');
+    rect.setAttribute('stroke', 'none');
+    return rect;
+}
+
+// Create a small text for tile assembly guides
+function createGuideText(x, y, content, anchor) {
+    const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+    text.setAttribute('class', 'tile-guide-text');
+    text.setAttribute('x', x);
+    text.setAttribute('y', y);
+    text.setAttribute('text-anchor', anchor);
+    text.setAttribute('dominant-baseline', 'middle');
+    text.setAttribute('font-size', '4');
+    text.setAttribute('fill', 'gray');
+    text.textContent = content;
+    return text;
+}
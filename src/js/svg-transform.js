@@ -0,0 +1,228 @@
+/**
+ * SVG transform parsing and composition
+ * Transforms are handled as 2D affine matrices [a, b, c, d, e, f] in the order of the SVG
+ * matrix(a b c d e f) function, mapping (x, y) to (a*x + c*y + e, b*x + d*y + f).
+ */
+
+import { formatPathNumber } from './svg-path.js';
+
+export const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+// Allowed numbers of arguments of each transform function
+const ARGUMENT_COUNTS = {
+    matrix: [6],
+    translate: [1, 2],
+    scale: [1, 2],
+    rotate: [1, 3],
+    skewX: [1],
+    skewY: [1]
+};
+
+const FUNCTION_PATTERN = /\s*(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)\s*,?/y;
+const NUMBER_PATTERN = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g;
+
+/**
+ * Split a transform attribute into its transform functions
+ * Like browsers, an invalid transform list is ignored as a whole
+ * @param {string} transform - Value of a transform attribute
+ * @returns {Array} Functions {type, values} in the order of the attribute
+ */
+export function parseTransformList(transform) {
+    const functions = [];
+    if (!transform || !transform.trim()) return functions;
+    
+    FUNCTION_PATTERN.lastIndex = 0;
+    let match;
+    while (FUNCTION_PATTERN.lastIndex < transform.length && (match = FUNCTION_PATTERN.exec(transform))) {
+        const [, type, args] = match;
+        const values = (args.match(NUMBER_PATTERN) || []).map(Number);
+        if (!ARGUMENT_COUNTS[type].includes(values.length)) return [];
+        functions.push({ type, values });
+    }
+    
+    // Anything left over means the list could not be parsed completely
+    if (!match || transform.slice(FUNCTION_PATTERN.lastIndex).trim()) return [];
+    return functions;
+}
+
+/**
+ * Get the matrix of a single transform function
+ * @param {{type: string, values: Array}} transformFunction - Function from parseTransformList
+ * @returns {Array} Matrix [a, b, c, d, e, f]
+ */
+function getFunctionMatrix({ type, values }) {
+    switch (type) {
+        case 'matrix':
+            return values.slice();
+        case 'translate':
+            return [1, 0, 0, 1, values[0], values[1] || 0];
+        case 'scale':
+            return [values[0], 0, 0, values.length > 1 ? values[1] : values[0], 0, 0];
+        case 'rotate': {
+            const angle = values[0] * Math.PI / 180;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            const rotation = [cos, sin, -sin, cos, 0, 0];
+            if (values.length === 1) return rotation;
+            
+            // Rotation around (cx, cy)
+            const [, cx, cy] = values;
+            return multiplyMatrices(
+                multiplyMatrices([1, 0, 0, 1, cx, cy], rotation),
+                [1, 0, 0, 1, -cx, -cy]
+            );
+        }
+        case 'skewX':
+            return [1, 0, Math.tan(values[0] * Math.PI / 180), 1, 0, 0];
+        case 'skewY':
+            return [1, Math.tan(values[0] * Math.PI / 180), 0, 1, 0, 0];
+        default:
+            return IDENTITY_MATRIX.slice();
+    }
+}
+
+/**
+ * Multiply two matrices
+ * @param {Array} m1 - Outer matrix
+ * @param {Array} m2 - Inner matrix, applied first
+ * @returns {Array} Matrix of m1 × m2
+ */
+export function multiplyMatrices(m1, m2) {
+    const [a1, b1, c1, d1, e1, f1] = m1;
+    const [a2, b2, c2, d2, e2, f2] = m2;
+    return [
+        a1 * a2 + c1 * b2,
+        b1 * a2 + d1 * b2,
+        a1 * c2 + c1 * d2,
+        b1 * c2 + d1 * d2,
+        a1 * e2 + c1 * f2 + e1,
+        b1 * e2 + d1 * f2 + f1
+    ];
+}
+
+/**
+ * Invert a matrix
+ * @param {Array} m - Matrix
+ * @returns {Array} Inverse matrix
+ */
+export function invertMatrix(m) {
+    const [a, b, c, d, e, f] = m;
+    const determinant = a * d - b * c;
+    if (Math.abs(determinant) < 1e-12) {
+        throw new Error('Transform matrix is not invertible');
+    }
+    return [
+        d / determinant,
+        -b / determinant,
+        -c / determinant,
+        a / determinant,
+        (c * f - d * e) / determinant,
+        (b * e - a * f) / determinant
+    ];
+}
+
+/**
+ * Parse a transform attribute into a single matrix
+ * @param {string} transform - Value of a transform attribute
+ * @returns {Array} Matrix [a, b, c, d, e, f]; the identity for empty or invalid transforms
+ */
+export function parseTransform(transform) {
+    return parseTransformList(transform)
+        .reduce((matrix, transformFunction) => multiplyMatrices(matrix, getFunctionMatrix(transformFunction)),
+            IDENTITY_MATRIX.slice());
+}
+
+/**
+ * Apply a matrix to a point
+ * @param {Array} m - Matrix
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {{x: number, y: number}} Transformed point
+ */
+export function transformPoint(m, x, y) {
+    return {
+        x: m[0] * x + m[2] * y + m[4],
+        y: m[1] * x + m[3] * y + m[5]
+    };
+}
+
+/**
+ * Get the matrix of an element's own transform attribute
+ * @param {Element} element - SVG element
+ * @returns {Array} Matrix [a, b, c, d, e, f]
+ */
+export function getElementTransform(element) {
+    const transform = element && element.getAttribute ? element.getAttribute('transform') : null;
+    return parseTransform(transform);
+}
+
+/**
+ * Compose the transforms of an element and its ancestors
+ * @param {Element} element - SVG element
+ * @param {Element} ancestor - Ancestor whose coordinate system the result maps to; the
+ * ancestor's own transform is not included. Defaults to the nearest svg element
+ * @returns {Array} Matrix from the element's local coordinates to the ancestor's
+ */
+export function getCumulativeTransform(element, ancestor = null) {
+    let matrix = IDENTITY_MATRIX.slice();
+    let current = element;
+    while (current && current !== ancestor && current.tagName && current.tagName.toLowerCase() !== 'svg') {
+        matrix = multiplyMatrices(getElementTransform(current), matrix);
+        current = current.parentElement;
+    }
+    return matrix;
+}
+
+/**
+ * Get the axis-aligned bounding box of a transformed box
+ * @param {{x: number, y: number, width: number, height: number}} bbox - Box in local coordinates
+ * @param {Array} m - Matrix
+ * @returns {Object} {x, y, width, height, minX, minY, maxX, maxY} after the transform
+ */
+export function transformBoundingBox(bbox, m) {
+    const corners = [
+        transformPoint(m, bbox.x, bbox.y),
+        transformPoint(m, bbox.x + bbox.width, bbox.y),
+        transformPoint(m, bbox.x, bbox.y + bbox.height),
+        transformPoint(m, bbox.x + bbox.width, bbox.y + bbox.height)
+    ];
+    const xs = corners.map(p => p.x);
+    const ys = corners.map(p => p.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const maxX = Math.max(...xs);
+    const maxY = Math.max(...ys);
+    
+    return {
+        x: minX,
+        y: minY,
+        width: maxX - minX,
+        height: maxY - minY,
+        minX,
+        minY,
+        maxX,
+        maxY
+    };
+}
+
+/**
+ * Rewrite a transform attribute for coordinates scaled by a factor
+ * Only translations and rotation centers are lengths; angles, scale and skew factors
+ * stay as they are, so the attribute keeps its functions
+ * @param {string} transform - Value of a transform attribute
+ * @param {number} scaleFactor - Factor applied to all coordinates
+ * @returns {string} Scaled transform attribute
+ */
+export function scaleTransform(transform, scaleFactor) {
+    return parseTransformList(transform).map(({ type, values }) => {
+        let scaled = values;
+        if (type === 'translate') {
+            scaled = values.map(value => value * scaleFactor);
+        } else if (type === 'rotate') {
+            scaled = values.map((value, i) => i === 0 ? value : value * scaleFactor);
+        } else if (type === 'matrix') {
+            scaled = values.map((value, i) => i >= 4 ? value * scaleFactor : value);
+        }
+        return `${type}(${scaled.map(formatPathNumber).join(' ')})`;
+    }).join(' ');
+}
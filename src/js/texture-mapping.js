@@ -8,6 +8,7 @@ export class TextureMapper {
         this.selectedPiece = null;
         this.svgElement = null;
         this.syncCallback = null; // Callback to sync changes to master SVG
+        this.selectionCallback = null; // Callback when the selected piece changes
         
         // Drag state
         this.isDragging = false;
@@ -191,6 +192,10 @@ export class TextureMapper {
         }
         document.getElementById('selectedPieceName').textContent = pieceName;
         document.getElementById('textureSettings').style.display = 'block';
+        
+        if (this.selectionCallback) {
+            this.selectionCallback(piece);
+        }
 
         // Show existing texture controls if texture exists
         const textureData = this.textures.get(pieceName);
@@ -229,6 +234,10 @@ export class TextureMapper {
             
             this.selectedPiece.classList.remove('selected');
             this.selectedPiece = null;
+            
+            if (this.selectionCallback) {
+                this.selectionCallback(null);
+            }
         }
         document.getElementById('textureSettings').style.display = 'none';
         
@@ -1016,7 +1025,7 @@ export class TextureMapper {
         const pt = this.svgElement.createSVGPoint();
         pt.x = e.clientX;
         pt.y = e.clientY;
-        const matrix = this.svgElement.getScreenCTM();
+        const matrix = this.getPieceScreenCTM();
         if (matrix) {
             const svgPoint = pt.matrixTransform(matrix.inverse());
             const dx = svgPoint.x - this.rotateCenter.x;
@@ -1036,6 +1045,17 @@ export class TextureMapper {
         e.preventDefault();
     }
     
+    /**
+     * Get the screen transformation matrix of the selected piece
+     * Textures use the piece's own coordinates, which may be translated or rotated on the page
+     * @returns {DOMMatrix|null} - The screen CTM
+     */
+    getPieceScreenCTM() {
+        const pieceMatrix = this.selectedPiece && this.selectedPiece.getScreenCTM ?
+            this.selectedPiece.getScreenCTM() : null;
+        return pieceMatrix || this.svgElement.getScreenCTM();
+    }
+    
     /**
      * Handle mouse move for texture dragging
      */
@@ -1062,7 +1082,7 @@ export class TextureMapper {
         const pt = this.svgElement.createSVGPoint();
         
         // Get the CTM (Current Transformation Matrix) for the SVG
-        const matrix = this.svgElement.getScreenCTM();
+        const matrix = this.getPieceScreenCTM();
         if (!matrix) return;
         
         // Convert current mouse position
@@ -1156,7 +1176,7 @@ export class TextureMapper {
         pt.x = e.clientX;
         pt.y = e.clientY;
         
-        const matrix = this.svgElement.getScreenCTM();
+        const matrix = this.getPieceScreenCTM();
         if (!matrix) return;
         
         const svgPoint = pt.matrixTransform(matrix.inverse());
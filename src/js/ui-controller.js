@@ -1,4 +1,5 @@
 import { t } from './i18n.js';
+import { isPieceExcluded, createPieceThumbnail } from './piece-visibility.js';
 
 // UI update functions
 export const updateUI = {
@@ -72,7 +73,7 @@ export function showUnitWarning(elements, constraintCheck, t) {
     
     const pageSizeInfo = t('pageSizeFormat')
         .replace('{width}', pageConstraints.printableWidth.toFixed(0))
-        .replace('{height}', pageConstraints.printableHeight.toFixed(0));
+        .replace('{height}', Number.isFinite(pageConstraints.printableHeight) ? pageConstraints.printableHeight.toFixed(0) : '∞');
     
     elements.unitWarning.innerHTML = `
         <h4>${t('unitConstraintWarning')}</h4>
@@ -88,4 +89,174 @@ export function showUnitWarning(elements, constraintCheck, t) {
 // Hide unit constraint warning
 export function hideUnitWarning(elements) {
     elements.unitWarning.classList.remove('show');
-}
\ No newline at end of file
+}
+
+// Show pieces whose seam allowance split into several parts or lost a cut-out
+export function showSeamAllowanceWarning(elements, warnings, t) {
+    if (warnings.length === 0) {
+        elements.seamWarning.classList.remove('show');
+        return;
+    }
+    
+    const warningList = warnings.map(warning => {
+        const details = t('seamAllowanceContours')
+            .replace('{sourceOutlines}', warning.sourceOutlines)
+            .replace('{sourceHoles}', warning.sourceHoles)
+            .replace('{outlines}', warning.outlines)
+            .replace('{holes}', warning.holes);
+        
+        return `
+            <li>
+                ${warning.pieceId}
+                <div class="violation-details">${details}</div>
+            </li>
+        `;
+    }).join('');
+    
+    elements.seamWarning.innerHTML = `
+        <h4>${t('seamAllowanceWarning')}</h4>
+        <p>${t('seamAllowanceSplit')}</p>
+        <ul>${warningList}</ul>
+    `;
+    
+    elements.seamWarning.classList.add('show');
+}
+
+// Escape text from the loaded file for use in HTML
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+// Show the problems found in the loaded pattern
+export function showDiagnostics(elements, findings, t) {
+    if (findings.length === 0) {
+        elements.diagnosticsPanel.classList.remove('show');
+        elements.diagnosticsPanel.innerHTML = '';
+        return;
+    }
+    
+    const items = findings.map(finding => {
+        const message = Object.entries(finding.params).reduce(
+            (text, [key, value]) => text.replace(`{${key}}`, escapeHTML(value)),
+            t(`diagnosticsMessages.${finding.code}`)
+        );
+        const locateButton = finding.pieceId ?
+            `<button type="button" class="secondary-button locate-piece" data-piece-id="${escapeHTML(finding.pieceId)}">${t('diagnosticsLocate')}</button>` : '';
+        return `
+            <li class="diagnostic-${finding.severity}">
+                <span class="diagnostic-severity">${t(`diagnosticsSeverities.${finding.severity}`)}</span>
+                <span class="diagnostic-message">${message}</span>
+                ${locateButton}
+            </li>
+        `;
+    }).join('');
+    
+    elements.diagnosticsPanel.innerHTML = `
+        <h4>${t('diagnosticsTitle').replace('{count}', findings.length)}</h4>
+        <ul>${items}</ul>
+    `;
+    elements.diagnosticsPanel.classList.add('show');
+}
+
+// Show the units of the pattern with a checkbox to include or exclude each from the output
+export function showPieceList(elements, units, t) {
+    if (units.length === 0) {
+        elements.pieceListPanel.classList.remove('show');
+        elements.pieceListPanel.innerHTML = '';
+        return;
+    }
+    
+    const items = units.map(unit => {
+        const symbol = unit.element.getAttribute('data-pattern-symbol') || unit.id || '-';
+        return `
+            <li>
+                <input type="checkbox" data-piece-id="${escapeHTML(unit.id)}" ${isPieceExcluded(unit.element) ? '' : 'checked'} ${unit.id ? '' : 'disabled'}>
+                <span class="piece-list-thumbnail"></span>
+                <span class="piece-list-symbol">${escapeHTML(symbol)}</span>
+                <span class="piece-list-size">${unit.width.toFixed(1)}mm × ${unit.height.toFixed(1)}mm</span>
+            </li>
+        `;
+    }).join('');
+    
+    const includedCount = units.filter(unit => !isPieceExcluded(unit.element)).length;
+    elements.pieceListPanel.innerHTML = `
+        <h4>${t('pieceListTitle').replace('{included}', includedCount).replace('{count}', units.length)}</h4>
+        <div class="piece-list-actions">
+            <button type="button" class="secondary-button piece-list-all">${t('pieceListAll')}</button>
+            <button type="button" class="secondary-button piece-list-none">${t('pieceListNone')}</button>
+        </div>
+        <ul>${items}</ul>
+    `;
+    
+    // Thumbnails are copies of the pieces, added as elements
+    elements.pieceListPanel.querySelectorAll('.piece-list-thumbnail').forEach((cell, i) => {
+        cell.appendChild(createPieceThumbnail(units[i]));
+    });
+    
+    elements.pieceListPanel.classList.add('show');
+}
+
+// Show the suggested scale correction for the loaded SVG
+export function showScaleSuggestion(elements, suggestion, currentScale, t) {
+    if (!suggestion || Math.abs(suggestion.scale - currentScale) < 0.01) {
+        elements.scaleSuggestion.classList.remove('show');
+        elements.scaleSuggestion.innerHTML = '';
+        return;
+    }
+    
+    const { width, height } = suggestion.largestPiece;
+    elements.scaleSuggestion.classList.toggle('low-confidence', suggestion.confidence === 'low');
+    elements.scaleSuggestion.innerHTML = `
+        <p><strong>${t('scaleSuggestion').replace('{scale}', suggestion.scale)}</strong>
+            (${t('scaleConfidence')} ${t(`scaleConfidences.${suggestion.confidence}`)})</p>
+        <p>${t(`scaleSuggestionSources.${suggestion.source}`)}</p>
+        <p>${t('scaleSuggestionPiece').replace('{width}', Math.round(width)).replace('{height}', Math.round(height))}</p>
+        <button type="button" class="secondary-button apply-scale-suggestion">${t('applyScaleSuggestion')}</button>
+    `;
+    elements.scaleSuggestion.classList.add('show');
+}
+
+// Show the seam lengths of the sewing guide pairs
+export function showSeamLengthReport(elements, pairs, tolerance, t) {
+    if (pairs.length === 0) {
+        elements.seamLengthPanel.classList.remove('show');
+        elements.seamLengthPanel.innerHTML = '';
+        return;
+    }
+    
+    const rows = pairs.map(pair => `
+        <tr class="${pair.flagged ? 'flagged' : ''}">
+            <td>${pair.label}</td>
+            <td>${pair.first.symbol} ${pair.first.length.toFixed(1)}mm</td>
+            <td>${pair.second.symbol} ${pair.second.length.toFixed(1)}mm</td>
+            <td>${pair.difference >= 0 ? '+' : ''}${pair.difference.toFixed(1)}mm</td>
+            <td>${pair.ease.toFixed(1)}%</td>
+        </tr>
+    `).join('');
+    
+    const flaggedCount = pairs.filter(pair => pair.flagged).length;
+    const summary = (flaggedCount > 0 ? t('seamLengthFlagged') : t('seamLengthMatched'))
+        .replace('{count}', flaggedCount)
+        .replace('{tolerance}', tolerance);
+    
+    elements.seamLengthPanel.innerHTML = `
+        <h4>${t('seamLengthTitle')}</h4>
+        <p class="${flaggedCount > 0 ? 'seam-length-flagged' : ''}">${summary}</p>
+        <table>
+            <thead>
+                <tr>
+                    <th>${t('seamLengthPair')}</th>
+                    <th>${t('seamLengthEdge').replace('{number}', 1)}</th>
+                    <th>${t('seamLengthEdge').replace('{number}', 2)}</th>
+                    <th>${t('seamLengthDifference')}</th>
+                    <th>${t('seamLengthEase')}</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+    
+    elements.seamLengthPanel.classList.add('show');
+}
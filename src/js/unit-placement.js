@@ -1,7 +1,28 @@
 // Unit placement algorithm for multi-page PDF generation
 // This module ensures pattern pieces (units) are not cut across pages
 
-import { analyzeSVGUnits, getElementBoundingBox } from './svg-processor.js';
+import { analyzeSVGUnits, getElementBoundingBox, calculatePageLayout, createPagedSVG, addAlignmentMarks, getTileLabel } from './svg-processor.js';
+import { parseSVGContours, classifyContours } from './clipper-offset.js';
+import { nestPolygons } from './polygon-nesting.js';
+import { createBin, findPosition, placeRect } from './rect-packing.js';
+import { getPieceSeamAllowance } from './edge-allowance.js';
+import { addFoldMirror } from './fold-line.js';
+import { GRAIN_ROTATION_ATTRIBUTE } from './grainline.js';
+import { getCutCount, isMirroredCopy, renameCopyIds, MIRRORED_COPY_ATTRIBUTE } from './cut-copies.js';
+import { isPieceExcluded } from './piece-visibility.js';
+import { getElementTransform, getCumulativeTransform, multiplyMatrices, transformPoint, transformBoundingBox } from './svg-transform.js';
+
+// Gap kept between the cutting lines of neighbouring units (mm)
+const UNIT_GAP = 2;
+
+// The last nesting result, reused while the outlines and the page stay the same
+// (the preview, the page info and the PDF all place the same pattern)
+let nestingCache = null;
+
+// Get the transform from a path's coordinates to the coordinates the unit group is placed in
+function getPathToUnitTransform(path, group) {
+    return multiplyMatrices(getElementTransform(group), getCumulativeTransform(path, group));
+}
 
 // Get bounding box for pattern paths only (prioritizing seam-allowance over seam)
 function getPatternOnlyBoundingBox(group) {
@@ -31,11 +52,12 @@ function getPatternOnlyBoundingBox(group) {
         const clonedPath = path.cloneNode(true);
         tempSvg.appendChild(clonedPath);
         
-        const bbox = clonedPath.getBBox();
-        minX = Math.min(minX, bbox.x);
-        minY = Math.min(minY, bbox.y);
-        maxX = Math.max(maxX, bbox.x + bbox.width);
-        maxY = Math.max(maxY, bbox.y + bbox.height);
+        // Include the transforms of the path, its parent groups and the unit itself
+        const bbox = transformBoundingBox(clonedPath.getBBox(), getPathToUnitTransform(path, group));
+        minX = Math.min(minX, bbox.minX);
+        minY = Math.min(minY, bbox.minY);
+        maxX = Math.max(maxX, bbox.maxX);
+        maxY = Math.max(maxY, bbox.maxY);
         
         tempSvg.removeChild(clonedPath);
     });
@@ -61,8 +83,9 @@ function analyzeUnitsWithSeamAllowance(svgElement) {
     const units = [];
     
     groups.forEach((group, index) => {
-        // Skip groups that are children of other groups
+        // Skip groups that are children of other groups, and pieces left out of the output
         if (group.parentElement.tagName === 'g') return;
+        if (isPieceExcluded(group)) return;
         
         // Calculate bounding box based on pattern paths only
         const bbox = getPatternOnlyBoundingBox(group);
@@ -111,28 +134,40 @@ function analyzeUnitsWithSeamAllowance(svgElement) {
     return units;
 }
 
+// Sort orders tried by the rectangle packer (larger units first)
+const SORT_HEURISTICS = {
+    area: (a, b) => b.width * b.height - a.width * a.height,
+    height: (a, b) => b.height - a.height || b.width - a.width,
+    perimeter: (a, b) => (b.width + b.height) - (a.width + a.height)
+};
+
 // Calculate optimal unit placement across pages
 export function calculateUnitPlacement(svgElement, gridStrategy) {
     // Use the new function that considers seam allowance
-    const units = analyzeUnitsWithSeamAllowance(svgElement);
-    const pages = [];
+    let units = analyzeUnitsWithSeamAllowance(svgElement);
     
     if (units.length === 0) {
         return { pages: [], unplacedUnits: [] };
     }
     
+    const isMarker = gridStrategy.layoutMode === 'marker';
+    
+    // A fabric marker contains every piece as many times as it is cut
+    if (isMarker) {
+        units = expandCutCopies(units);
+    }
+    
+    // True-shape nesting uses the outlines instead of the bounding boxes
+    if (gridStrategy.placementMode === 'nesting') {
+        return calculateNestingPlacement(units, gridStrategy);
+    }
     
-    // Sort units by area (larger first) for better packing
-    const sortedUnits = [...units].sort((a, b) => {
-        const areaA = a.width * a.height;
-        const areaB = b.width * b.height;
-        return areaB - areaA;
-    });
     
     // Check if units overlap in their original positions and mark them
     const overlappingPairs = new Set();
     
-    for (let i = 0; i < units.length; i++) {
+    // A marker is a single page, so all units have to share it
+    for (let i = 0; i < units.length && !isMarker; i++) {
         for (let j = i + 1; j < units.length; j++) {
             const unit1 = units[i];
             const unit2 = units[j];
@@ -160,26 +195,51 @@ export function calculateUnitPlacement(svgElement, gridStrategy) {
         }
     }
     
+    // Each unit keeps its own gap; the page bins are widened by the largest one
+    const spacing = Math.max(...units.map(unit => getUnitMargin(unit, gridStrategy)));
+    
+    // Pack with each sort order and keep the packing with the fewest pages
+    let best = null;
+    for (const compare of Object.values(SORT_HEURISTICS)) {
+        // Array.prototype.sort is stable, so equal units keep their document order
+        const sortedUnits = [...units].sort(compare);
+        const result = packUnits(sortedUnits, gridStrategy, overlappingPairs, spacing);
+        if (!best || isBetterPacking(result, best)) {
+            best = result;
+        }
+    }
+    
+    return finishPlacement(units, best.pages, best.unplacedUnits, best.oversizedUnits, gridStrategy);
+}
+
+// Pack sorted units onto pages, first fit over the pages in order
+function packUnits(sortedUnits, gridStrategy, overlappingPairs, spacing) {
+    const pages = [];
     const unplacedUnits = [];
+    const oversizedUnits = [];
     
-    // Try to place each unit
     for (const unit of sortedUnits) {
         let placed = false;
         
         // Check if unit fits on any existing page
         for (const page of pages) {
-            if (tryPlaceUnitOnPage(unit, page, gridStrategy, overlappingPairs)) {
+            if (tryPlaceUnitOnPage(unit, page, overlappingPairs, spacing, gridStrategy)) {
                 placed = true;
                 break;
             }
         }
         
         // If not placed on existing pages, try to create a new page
+        // (units that do not fit next to the reserved areas get a page of their own without them)
         if (!placed) {
-            const newPage = createNewPage(pages.length, gridStrategy);
-            if (tryPlaceUnitOnPage(unit, newPage, gridStrategy, overlappingPairs)) {
+            const newPage = [true, false]
+                .map(reserve => createNewPage(pages.length, gridStrategy, reserve))
+                .find(page => tryPlaceUnitOnPage(unit, page, overlappingPairs, spacing, gridStrategy));
+            if (newPage) {
                 pages.push(newPage);
-                placed = true;
+            } else if (canTileUnit(unit, gridStrategy)) {
+                // Unit is too large for a page, split it across a grid of pages
+                oversizedUnits.push(unit);
             } else {
                 // Unit is too large for any page
                 unplacedUnits.push(unit);
@@ -187,28 +247,308 @@ export function calculateUnitPlacement(svgElement, gridStrategy) {
         }
     }
     
+    return { pages, unplacedUnits, oversizedUnits };
+}
+
+// Compare two packings: fewer pages first, then the shorter used length
+function isBetterPacking(candidate, best) {
+    if (candidate.pages.length !== best.pages.length) {
+        return candidate.pages.length < best.pages.length;
+    }
+    return getUsedLength(candidate.pages) < getUsedLength(best.pages);
+}
+
+// Get the lowest unit edge over all pages
+function getUsedLength(pages) {
+    return pages.reduce((length, page) => Math.max(length,
+        ...page.units.map(unit => unit.y + getPlacedSize(unit).height)), 0);
+}
+
+// Add tile pages for oversized units and build the placement result
+function finishPlacement(units, pages, unplacedUnits, oversizedUnits, gridStrategy) {
+    // Tiled units get their own pages after the regular ones
+    const tiledUnits = [];
+    for (const unit of oversizedUnits) {
+        const tilePages = createTilePages(unit, pages.length, gridStrategy);
+        pages.push(...tilePages);
+        tiledUnits.push(unit);
+    }
+    
+    // Pages of unbounded height (fabric markers) end below the lowest unit
+    if (!Number.isFinite(gridStrategy.printableHeight)) {
+        pages.forEach(page => {
+            page.height = page.units.reduce((length, unit) => Math.max(length, unit.y + getPlacedSize(unit).height), 0);
+        });
+    }
     
     return {
         pages,
         unplacedUnits,
+        tiledUnits,
         totalUnits: units.length,
         placedUnits: units.length - unplacedUnits.length
     };
 }
 
+// Repeat each unit as many times as its piece is cut (data-cut-count)
+// Copies of pieces cut in mirrored pairs alternate between normal and mirrored
+function expandCutCopies(units) {
+    const expanded = [];
+    units.forEach(unit => {
+        const cutCount = getCutCount(unit.element);
+        for (let copyIndex = 0; copyIndex < cutCount; copyIndex++) {
+            const copy = { ...unit, copyIndex, cutCount };
+            if (isMirroredCopy(unit.element, copyIndex)) {
+                copy.mirrored = true;
+            }
+            expanded.push(copy);
+        }
+    });
+    return expanded;
+}
+
+// Get the outline polygons of a unit in the coordinates of its bounding box
+// Cut-outs (holes) are left out, so nothing gets placed inside them
+export function getUnitPolygons(unit) {
+    let outlinePaths = unit.element.querySelectorAll('path.seam-allowance');
+    if (outlinePaths.length === 0) {
+        outlinePaths = unit.element.querySelectorAll('path.seam');
+    }
+    
+    // Bounding boxes include the transforms of the paths and the unit group
+    const polygons = [];
+    outlinePaths.forEach(path => {
+        const matrix = getPathToUnitTransform(path, unit.element);
+        const { outlines } = classifyContours(parseSVGContours(path.getAttribute('d') || ''));
+        outlines.forEach(points => {
+            polygons.push(points.map(p => {
+                const { x, y } = transformPoint(matrix, p.X, p.Y);
+                return { X: x, Y: y };
+            }));
+        });
+    });
+    
+    // Fall back to the bounding box when there is no usable outline
+    if (polygons.length === 0) {
+        const { x, y } = unit.boundingBox;
+        polygons.push([
+            { X: x, Y: y },
+            { X: x + unit.width, Y: y },
+            { X: x + unit.width, Y: y + unit.height },
+            { X: x, Y: y + unit.height }
+        ]);
+    }
+    
+    // Mirrored copies are flipped within their bounding box (reversed to keep the winding)
+    if (unit.mirrored) {
+        const axis = 2 * unit.boundingBox.x + unit.width;
+        return polygons.map(polygon => polygon.map(p => ({ X: axis - p.X, Y: p.Y })).reverse());
+    }
+    
+    return polygons;
+}
+
+// Place units by nesting their seam-allowance outlines
+function calculateNestingPlacement(units, gridStrategy) {
+    const items = units.map(unit => ({
+        unit,
+        polygons: getUnitPolygons(unit),
+        allowRotation: !isOrientationLocked(unit),
+        // Pieces aligned to their grainline must stay vertical
+        ...(isGrainAligned(unit) ? { rotations: [0, 180] } : {})
+    }));
+    
+    // Half turns keep the grain direction, quarter turns only when allowed
+    const result = nestUnitPolygons(items, gridStrategy.printableWidth, gridStrategy.printableHeight, {
+        spacing: UNIT_GAP,
+        rotations: gridStrategy.allowRotation ? [0, 90, 180, 270] : [0, 180],
+        reservedAreas: gridStrategy.reservedAreas || []
+    });
+    
+    const pages = result.pages.map((nestedPage, pageIndex) => {
+        const page = createNewPage(pageIndex, gridStrategy, nestedPage.reserved);
+        nestedPage.placements.forEach(placement => {
+            const unit = placement.item.unit;
+            const bbox = unit.boundingBox;
+            
+            const quarterTurn = placement.rotation % 180 !== 0;
+            const outlineWidth = quarterTurn ? placement.height : placement.width;
+            const outlineHeight = quarterTurn ? placement.width : placement.height;
+            
+            // Convert the outline position into the position of the unit's bounding box
+            const { left, top } = rotateInsets({
+                left: placement.offsetX - bbox.x,
+                top: placement.offsetY - bbox.y,
+                right: bbox.x + unit.width - (placement.offsetX + outlineWidth),
+                bottom: bbox.y + unit.height - (placement.offsetY + outlineHeight)
+            }, placement.rotation);
+            
+            page.units.push({
+                ...unit,
+                x: placement.x - left,
+                y: placement.y - top,
+                rotation: placement.rotation
+            });
+        });
+        return page;
+    });
+    
+    const unplacedUnits = [];
+    const oversizedUnits = [];
+    result.unplaced.forEach(item => {
+        if (canTileUnit(item.unit, gridStrategy)) {
+            oversizedUnits.push(item.unit);
+        } else {
+            unplacedUnits.push(item.unit);
+        }
+    });
+    
+    return finishPlacement(units, pages, unplacedUnits, oversizedUnits, gridStrategy);
+}
+
+// Nest unit outlines, or reuse the last result when nothing that affects it has changed
+// Cached placements refer to items by index, so they can be applied to the new units
+function nestUnitPolygons(items, width, height, options) {
+    const key = JSON.stringify([
+        width,
+        height,
+        options,
+        items.map(item => [item.polygons, item.allowRotation, item.rotations || null])
+    ]);
+    
+    if (!nestingCache || nestingCache.key !== key) {
+        const result = nestPolygons(items, width, height, options);
+        nestingCache = {
+            key,
+            pages: result.pages.map(page => ({
+                reserved: page.reserved,
+                placements: page.placements.map(placement => ({
+                    ...placement,
+                    item: items.indexOf(placement.item)
+                }))
+            })),
+            unplaced: result.unplaced.map(item => items.indexOf(item))
+        };
+    }
+    
+    return {
+        pages: nestingCache.pages.map(page => ({
+            reserved: page.reserved,
+            placements: page.placements.map(placement => ({ ...placement, item: items[placement.item] }))
+        })),
+        unplaced: nestingCache.unplaced.map(index => items[index])
+    };
+}
+
+// Get the left and top insets of a box after rotating it clockwise by a multiple of 90°
+function rotateInsets(insets, rotation) {
+    const { left, top, right, bottom } = insets;
+    switch (rotation) {
+        case 90:
+            return { left: bottom, top: left };
+        case 180:
+            return { left: right, top: bottom };
+        case 270:
+            return { left: top, top: right };
+        default:
+            return { left, top };
+    }
+}
+
+// Check if a piece must keep its orientation (data-lock-orientation)
+function isOrientationLocked(unit) {
+    return unit.element.getAttribute('data-lock-orientation') === 'true';
+}
+
+// Check if a piece was rotated to make its grainline vertical
+function isGrainAligned(unit) {
+    return unit.element.getAttribute(GRAIN_ROTATION_ATTRIBUTE) !== null;
+}
+
+// Get the size a unit takes on the page, taking its placement rotation into account
+function getPlacedSize(unit) {
+    const quarterTurn = (unit.rotation || 0) % 180 !== 0;
+    return {
+        width: quarterTurn ? unit.height : unit.width,
+        height: quarterTurn ? unit.width : unit.height
+    };
+}
+
+// Check if an oversized unit can be split across several pages
+function canTileUnit(unit, gridStrategy) {
+    if (!gridStrategy.tileOversized) {
+        return false;
+    }
+    
+    // The overlap must leave some area on each page for the unit itself
+    return gridStrategy.effectiveWidth > 0 && gridStrategy.effectiveHeight > 0;
+}
+
+// Create one page per tile for an oversized unit
+function createTilePages(unit, startIndex, gridStrategy) {
+    const layout = calculatePageLayout(null, gridStrategy, {
+        width: unit.width,
+        height: unit.height
+    });
+    
+    const tilePages = [];
+    for (let row = 0; row < layout.pagesY; row++) {
+        for (let col = 0; col < layout.pagesX; col++) {
+            // The tile covers the whole page, so nothing else is printed on it
+            const page = createNewPage(startIndex + tilePages.length, gridStrategy, false);
+            page.units.push({
+                ...unit,
+                x: 0,
+                y: 0
+            });
+            page.tile = {
+                unit,
+                col,
+                row,
+                pagesX: layout.pagesX,
+                pagesY: layout.pagesY,
+                label: getTileLabel(col, row),
+                origin: {
+                    x: unit.boundingBox.x,
+                    y: unit.boundingBox.y
+                }
+            };
+            tilePages.push(page);
+        }
+    }
+    
+    return tilePages;
+}
+
 // Create a new page structure
-function createNewPage(pageIndex, gridStrategy) {
+// Reserved areas (e.g. for the verification square) are kept free of units
+function createNewPage(pageIndex, gridStrategy, reserve = true) {
     return {
         index: pageIndex,
         units: [],
-        occupiedAreas: [],
         width: gridStrategy.printableWidth,
-        height: gridStrategy.printableHeight
+        height: gridStrategy.printableHeight,
+        reservedAreas: reserve ? gridStrategy.reservedAreas || [] : []
     };
 }
 
+// Get the gap kept around a unit on the page
+function getUnitMargin(unit, gridStrategy) {
+    // Calculate margin based on seam allowance
+    // Since each unit has its own seam allowance, we need to consider both units' seam allowance
+    // The total spacing needed between two units with seam allowance is at least:
+    // seamAllowance (from first unit) + seamAllowance (from second unit) + small gap
+    const hasSeamAllowance = unit.element.querySelector('path.seam-allowance') !== null;
+    // Pieces can replace the global seam allowance with their own
+    const pieceAllowance = getPieceSeamAllowance(unit.element);
+    const seamAllowance = pieceAllowance === null ? gridStrategy.seamAllowance || 0 : pieceAllowance;
+    // If units have seam allowance, we need double the seam allowance as margin
+    // Plus a small gap to ensure they don't touch
+    return hasSeamAllowance ? (seamAllowance * 2 + UNIT_GAP) : UNIT_GAP;
+}
+
 // Try to place a unit on a specific page
-function tryPlaceUnitOnPage(unit, page, gridStrategy, overlappingPairs) {
+function tryPlaceUnitOnPage(unit, page, overlappingPairs, spacing, gridStrategy) {
     // Check if this unit originally overlapped with any unit already on this page
     if (unit.originallyOverlapping && overlappingPairs) {
         for (const placedUnit of page.units) {
@@ -220,38 +560,55 @@ function tryPlaceUnitOnPage(unit, page, gridStrategy, overlappingPairs) {
         }
     }
     
-    // Calculate margin based on seam allowance
-    // Since each unit has its own seam allowance, we need to consider both units' seam allowance
-    // The total spacing needed between two units with seam allowance is at least:
-    // seamAllowance (from first unit) + seamAllowance (from second unit) + small gap
-    const hasSeamAllowance = unit.element.querySelector('path.seam-allowance') !== null;
-    const seamAllowance = gridStrategy.seamAllowance || 0;
-    // If units have seam allowance, we need double the seam allowance as margin
-    // Plus a small gap (2mm) to ensure they don't touch
-    const margin = hasSeamAllowance ? (seamAllowance * 2 + 2) : 2;
+    // The gap after the last unit of a row or column may extend past the page edge
+    // (the bin is widened by the largest gap, the unit itself must stay on the page)
+    const margin = getUnitMargin(unit, gridStrategy);
+    if (!page.bin) {
+        page.bin = createBin(page.width + spacing, page.height + spacing);
+        page.reservedAreas.forEach(area => placeRect(page.bin, area));
+    }
     
-    // Check if unit fits within page dimensions
-    if (unit.width > page.width || unit.height > page.height) {
-        return false;
+    // Keep the original orientation when possible, otherwise try the unit turned by 90°
+    const orientations = [{ rotation: 0, width: unit.width, height: unit.height }];
+    if (gridStrategy.allowRotation && !isOrientationLocked(unit) && !isGrainAligned(unit) && unit.width !== unit.height) {
+        orientations.push({ rotation: 90, width: unit.height, height: unit.width });
     }
     
-    // Find a suitable position using a simple packing algorithm
-    const position = findPositionForUnit(unit, page, margin);
+    let fit = null;
+    for (const orientation of orientations) {
+        // Check if unit fits within page dimensions
+        if (orientation.width > page.width || orientation.height > page.height) {
+            continue;
+        }
+        
+        const position = findPosition(page.bin, orientation.width + margin, orientation.height + margin,
+            page.width - orientation.width, page.height - orientation.height);
+        if (position) {
+            fit = { orientation, position };
+            break;
+        }
+    }
     
-    if (position) {
+    if (fit) {
+        const { orientation, position } = fit;
+        
         // Add unit to page with calculated position
-        page.units.push({
+        const placedUnit = {
             ...unit,
             x: position.x,
             y: position.y
-        });
+        };
+        if (orientation.rotation) {
+            placedUnit.rotation = orientation.rotation;
+        }
+        page.units.push(placedUnit);
         
         // Mark area as occupied
-        page.occupiedAreas.push({
+        placeRect(page.bin, {
             x: position.x,
             y: position.y,
-            width: unit.width + margin,
-            height: unit.height + margin
+            width: orientation.width + margin,
+            height: orientation.height + margin
         });
         
         return true;
@@ -260,49 +617,6 @@ function tryPlaceUnitOnPage(unit, page, gridStrategy, overlappingPairs) {
     return false;
 }
 
-// Find a suitable position for a unit on a page
-function findPositionForUnit(unit, page, margin) {
-    const unitWidth = unit.width + margin;
-    const unitHeight = unit.height + margin;
-    
-    // Try positions in a grid pattern
-    const stepX = 10; // Step size for position search
-    const stepY = 10;
-    
-    for (let y = 0; y <= page.height - unitHeight; y += stepY) {
-        for (let x = 0; x <= page.width - unitWidth; x += stepX) {
-            if (canPlaceAt(x, y, unitWidth, unitHeight, page.occupiedAreas)) {
-                return { x, y };
-            }
-        }
-    }
-    
-    // Try more precise positioning if grid search fails
-    for (let y = 0; y <= page.height - unitHeight; y += 1) {
-        for (let x = 0; x <= page.width - unitWidth; x += 1) {
-            if (canPlaceAt(x, y, unitWidth, unitHeight, page.occupiedAreas)) {
-                return { x, y };
-            }
-        }
-    }
-    
-    return null;
-}
-
-// Check if a rectangle can be placed at a specific position
-function canPlaceAt(x, y, width, height, occupiedAreas) {
-    const newRect = { x, y, width, height };
-    
-    // Check collision with all occupied areas
-    for (const occupied of occupiedAreas) {
-        if (rectanglesOverlap(newRect, occupied)) {
-            return false;
-        }
-    }
-    
-    return true;
-}
-
 // Check if two rectangles overlap
 function rectanglesOverlap(rect1, rect2) {
     return !(
@@ -315,15 +629,21 @@ function rectanglesOverlap(rect1, rect2) {
 
 // Create SVG for a specific page with placed units
 export function createPlacedUnitsSVG(originalSVG, page, gridStrategy) {
+    if (page.tile) {
+        return createTiledUnitSVG(originalSVG, page, gridStrategy);
+    }
+    
     // Clone the original SVG structure
     const pagedSVG = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
     
     // Copy attributes from original
     const viewBox = originalSVG.viewBox.baseVal;
     pagedSVG.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
-    pagedSVG.setAttribute('viewBox', `0 0 ${gridStrategy.printableWidth} ${gridStrategy.printableHeight}`);
+    // Marker pages have no fixed height and end below their lowest unit
+    const pageHeight = Number.isFinite(gridStrategy.printableHeight) ? gridStrategy.printableHeight : page.height;
+    pagedSVG.setAttribute('viewBox', `0 0 ${gridStrategy.printableWidth} ${pageHeight}`);
     pagedSVG.setAttribute('width', `${gridStrategy.printableWidth}mm`);
-    pagedSVG.setAttribute('height', `${gridStrategy.printableHeight}mm`);
+    pagedSVG.setAttribute('height', `${pageHeight}mm`);
     
     // Copy defs if exists
     const originalDefs = originalSVG.querySelector('defs');
@@ -336,12 +656,89 @@ export function createPlacedUnitsSVG(originalSVG, page, gridStrategy) {
         const unitGroup = placedUnit.element.cloneNode(true);
         
         // Apply translation to position the unit
-        const currentTransform = unitGroup.getAttribute('transform') || '';
-        const newTransform = `translate(${placedUnit.x - placedUnit.boundingBox.x}, ${placedUnit.y - placedUnit.boundingBox.y}) ${currentTransform}`;
+        let currentTransform = unitGroup.getAttribute('transform') || '';
+        if (placedUnit.mirrored) {
+            currentTransform = `${getMirrorTransform(placedUnit)} ${currentTransform}`;
+        }
+        let newTransform;
+        if (placedUnit.rotation) {
+            newTransform = `${getPlacementTransform(placedUnit)} ${currentTransform}`;
+        } else {
+            newTransform = `translate(${placedUnit.x - placedUnit.boundingBox.x}, ${placedUnit.y - placedUnit.boundingBox.y}) ${currentTransform}`;
+        }
         unitGroup.setAttribute('transform', newTransform.trim());
         
+        // Symbols and labels are drawn upright on rotated units
+        if (placedUnit.rotation) {
+            unitGroup.setAttribute('data-placement-rotation', placedUnit.rotation);
+        }
+        
+        // Mark additional copies of pieces that are cut more than once
+        if (placedUnit.copyIndex > 0) {
+            unitGroup.setAttribute('data-cut-copy', placedUnit.copyIndex + 1);
+            renameCopyIds(unitGroup, placedUnit.copyIndex);
+        }
+        if (placedUnit.mirrored) {
+            unitGroup.setAttribute(MIRRORED_COPY_ATTRIBUTE, 'true');
+        }
+        
+        // Pieces cut on the fold can be printed as full pieces
+        addFoldMirror(unitGroup);
+        
         pagedSVG.appendChild(unitGroup);
     }
     
+    return pagedSVG;
+}
+
+// Get the transform that flips a unit horizontally within its bounding box
+function getMirrorTransform(placedUnit) {
+    const axis = 2 * placedUnit.boundingBox.x + placedUnit.width;
+    return `translate(${axis}, 0) scale(-1, 1)`;
+}
+
+// Get the transform that rotates a unit around its center and moves it to its placed position
+function getPlacementTransform(placedUnit) {
+    const { x, y, width, height, rotation, boundingBox } = placedUnit;
+    const quarterTurn = rotation % 180 !== 0;
+    const placedWidth = quarterTurn ? height : width;
+    const placedHeight = quarterTurn ? width : height;
+    
+    const centerX = boundingBox.x + width / 2;
+    const centerY = boundingBox.y + height / 2;
+    
+    return `translate(${x + placedWidth / 2}, ${y + placedHeight / 2}) rotate(${rotation}) translate(${-centerX}, ${-centerY})`;
+}
+
+// Create SVG for one tile of an oversized unit
+function createTiledUnitSVG(originalSVG, page, gridStrategy) {
+    const { unit, col, row, pagesX, pagesY, origin } = page.tile;
+    
+    // Build an SVG containing only this unit at its original position
+    const unitSVG = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    unitSVG.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    
+    const originalDefs = originalSVG.querySelector('defs');
+    if (originalDefs) {
+        unitSVG.appendChild(originalDefs.cloneNode(true));
+    }
+    
+    // Wrap the unit so the page clipping is not affected by the unit's own transform
+    const wrapper = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    wrapper.setAttribute('class', 'tile-content');
+    const unitGroup = unit.element.cloneNode(true);
+    addFoldMirror(unitGroup);
+    wrapper.appendChild(unitGroup);
+    unitSVG.appendChild(wrapper);
+    
+    const pagedSVG = createPagedSVG(unitSVG, col, row, gridStrategy, origin);
+    
+    addAlignmentMarks(pagedSVG, col, row, gridStrategy, {
+        origin,
+        pagesX,
+        pagesY,
+        title: unit.id || unit.className || `${pagesX}×${pagesY}`
+    });
+    
     return pagedSVG;
 }
\ No newline at end of file
@@ -0,0 +1,73 @@
+import { describe, test, expect } from 'vitest';
+import {
+  calculateScaleCorrection,
+  getScaleCorrection,
+  createCalibrationSVG,
+  createVerificationSquare,
+  VERIFICATION_SQUARE_SIZE
+} from '../src/js/calibration.js';
+import { getGridStrategy } from '../src/js/pdf-generator.js';
+
+describe('Printer Calibration', () => {
+  describe('calculateScaleCorrection', () => {
+    test('should enlarge the output when the printer prints too small', () => {
+      expect(calculateScaleCorrection(100, 98.5)).toBeCloseTo(1.01523, 4);
+    });
+    
+    test('should ignore missing and implausible measurements', () => {
+      expect(calculateScaleCorrection(100, NaN)).toBe(1);
+      expect(calculateScaleCorrection(100, 0)).toBe(1);
+      expect(calculateScaleCorrection(100, 10)).toBe(1);
+    });
+  });
+  
+  describe('getScaleCorrection', () => {
+    test('should return independent factors for each axis', () => {
+      const correction = getScaleCorrection({ reference: 'metric', measuredX: 100, measuredY: 99 });
+      
+      expect(correction.x).toBe(1);
+      expect(correction.y).toBeCloseTo(100 / 99);
+    });
+    
+    test('should compare inch measurements with the 4in square', () => {
+      const correction = getScaleCorrection({ reference: 'imperial', measuredX: 3.96, measuredY: 4 });
+      
+      expect(correction.x).toBeCloseTo(4 / 3.96);
+      expect(correction.y).toBe(1);
+    });
+    
+    test('should not correct without calibration settings', () => {
+      expect(getScaleCorrection(undefined)).toEqual({ x: 1, y: 1 });
+    });
+  });
+  
+  describe('createCalibrationSVG', () => {
+    test('should contain a 10cm and a 4in square at true size', () => {
+      const gridStrategy = getGridStrategy({ paperSize: 'a4', orientation: 'portrait' });
+      const svg = createCalibrationSVG(gridStrategy);
+      
+      expect(svg.getAttribute('viewBox')).toBe('0 0 190 277');
+      const sizes = Array.from(svg.querySelectorAll('.calibration-square > rect'))
+        .map(rect => parseFloat(rect.getAttribute('width')));
+      expect(sizes).toEqual([100, 101.6]);
+      
+      // Both squares stay inside the printable area
+      svg.querySelectorAll('.calibration-square > rect').forEach(rect => {
+        expect(parseFloat(rect.getAttribute('x')) + parseFloat(rect.getAttribute('width'))).toBeLessThanOrEqual(190);
+        expect(parseFloat(rect.getAttribute('y')) + parseFloat(rect.getAttribute('height'))).toBeLessThanOrEqual(277);
+      });
+    });
+  });
+  
+  describe('createVerificationSquare', () => {
+    test('should create a labelled square of the verification size', () => {
+      const group = createVerificationSquare(8, 249);
+      const rect = group.querySelector('rect');
+      
+      expect(group.getAttribute('class')).toBe('verification-square');
+      expect(rect.getAttribute('width')).toBe(String(VERIFICATION_SQUARE_SIZE));
+      expect(rect.getAttribute('height')).toBe(String(VERIFICATION_SQUARE_SIZE));
+      expect(group.querySelector('text').textContent).toBe(`${VERIFICATION_SQUARE_SIZE}mm`);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, test, expect } from 'vitest';
+import { diagnosePattern, isSelfIntersecting } from '../src/js/diagnostics.js';
+import { createSVG } from './helpers.js';
+
+const SQUARE = 'M 0 0 L 100 0 L 100 100 L 0 100 Z';
+
+describe('Input Diagnostics', () => {
+  test('should not report anything for a clean pattern', () => {
+    const svg = createSVG(`
+      <g id="front" data-pattern-symbol="A">
+        <path class="seam" d="${SQUARE}"/>
+        <path class="sewinguide" stroke="#f00" d="M 100 20 L 100 80"/>
+      </g>
+      <g id="back" data-pattern-symbol="B">
+        <path class="seam" d="${SQUARE}"/>
+        <path class="sewinguide" stroke="#f00" d="M 0 20 L 0 80"/>
+      </g>
+    `);
+    
+    expect(diagnosePattern(svg)).toEqual([]);
+  });
+  
+  test('should detect crossing outlines', () => {
+    // Figure eight
+    expect(isSelfIntersecting([{ X: 0, Y: 0 }, { X: 10, Y: 10 }, { X: 10, Y: 0 }, { X: 0, Y: 10 }])).toBe(true);
+    expect(isSelfIntersecting([{ X: 0, Y: 0 }, { X: 10, Y: 0 }, { X: 10, Y: 10 }, { X: 10, Y: 10 }, { X: 0, Y: 10 }, { X: 0, Y: 0 }])).toBe(false);
+  });
+  
+  test('should report broken seams with the affected piece', () => {
+    const svg = createSVG(`
+      <g id="open" data-pattern-symbol="A"><path class="seam" d="M 0 0 L 100 0 L 100 100"/></g>
+      <g id="twisted" data-pattern-symbol="B"><path class="seam" d="M 0 0 L 100 100 L 100 0 L 0 100 Z"/></g>
+      <g id="flat" data-pattern-symbol="C"><path class="seam" d="M 0 0 L 100 0 L 50 0 Z"/></g>
+      <g id="texture"><rect width="10" height="10"/></g>
+    `);
+    
+    const findings = diagnosePattern(svg).map(({ severity, code, pieceId }) => `${severity} ${code} ${pieceId}`);
+    
+    expect(findings).toEqual([
+      'error self-intersecting-seam twisted',
+      'error zero-area-piece flat',
+      'warning missing-seam texture',
+      'warning open-seam open'
+    ]);
+  });
+  
+  test('should report sewing guide problems and duplicate IDs', () => {
+    const svg = createSVG(`
+      <g id="front" data-pattern-symbol="A">
+        <path class="seam" d="${SQUARE}"/>
+        <path class="sewinguide" stroke="#00f" d="M 0 0 L 0 10"/>
+        <line class="sewinguide" stroke="#00f" x1="0" y1="0" x2="10" y2="0"/>
+      </g>
+      <g id="front" data-pattern-symbol="B">
+        <path class="seam" d="${SQUARE}"/>
+        <path class="sewinguide" stroke="#00f" d="M 0 0 L 0 10"/>
+      </g>
+      <path class="sewinguide" stroke="#0f0" d="M 0 0 L 0 10"/>
+    `);
+    
+    const findings = diagnosePattern(svg);
+    
+    expect(findings.find(f => f.code === 'duplicate-id')).toMatchObject({
+      severity: 'error',
+      pieceId: 'front',
+      params: { id: 'front', count: 2 }
+    });
+    expect(findings.find(f => f.code === 'guide-not-path').params).toMatchObject({ piece: 'A', element: 'line' });
+    expect(findings.find(f => f.code === 'guide-outside-piece')).toMatchObject({ pieceId: null, params: { color: '#0f0' } });
+    expect(findings.find(f => f.code === 'guide-color-count').params).toMatchObject({ color: '#00f', count: 3 });
+  });
+  
+  test('should report files without pattern pieces', () => {
+    expect(diagnosePattern(createSVG('<rect width="10" height="10"/>')).map(f => f.code)).toEqual(['no-pieces']);
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, test, expect } from 'vitest';
+import {
+  parseEdgeAllowances,
+  formatEdgeAllowances,
+  getSeamEdges,
+  findEdgesAlongGuide,
+  drawEdgeHandles,
+  getPieceSeamAllowance,
+  EDGE_ALLOWANCES_ATTRIBUTE
+} from '../src/js/edge-allowance.js';
+import { offsetPathEdges } from '../src/js/clipper-offset.js';
+import { applySeamAllowance } from '../src/js/seam-allowance.js';
+import { createSVG, getBounds } from './helpers.js';
+
+// Square 0..100 drawn clockwise on screen: top (1), right (2), bottom (3) and the
+// closing left edge, which is addressed by the index of its moveto (0)
+const SQUARE = 'M 0 0 L 100 0 L 100 100 L 0 100 Z';
+
+describe('Per-edge Seam Allowance', () => {
+  describe('parseEdgeAllowances / formatEdgeAllowances', () => {
+    test('should parse segment indices and widths', () => {
+      const allowances = parseEdgeAllowances('3:30 1:0');
+      
+      expect(allowances.get(1)).toBe(0);
+      expect(allowances.get(3)).toBe(30);
+      expect(formatEdgeAllowances(allowances)).toBe('1:0 3:30');
+    });
+    
+    test('should ignore malformed entries', () => {
+      expect(parseEdgeAllowances('a:1 2:-5 4').size).toBe(0);
+      expect(parseEdgeAllowances(null).size).toBe(0);
+    });
+  });
+  
+  describe('getSeamEdges', () => {
+    test('should return one edge per segment including the closing edge', () => {
+      const edges = getSeamEdges(SQUARE);
+      
+      expect(edges.map(edge => edge.index)).toEqual([1, 2, 3, 0]);
+      expect(edges[3].points).toEqual([{ X: 0, Y: 100 }, { X: 0, Y: 0 }]);
+    });
+    
+    test('should keep all points of a curved edge together', () => {
+      const edges = getSeamEdges('M 0 0 L 100 0 C 100 50 50 100 0 100 Z');
+      
+      expect(edges).toHaveLength(3);
+      expect(edges[1].index).toBe(2);
+      expect(edges[1].points.length).toBeGreaterThan(2);
+    });
+  });
+  
+  describe('findEdgesAlongGuide', () => {
+    test('should find the edges covered by a sewing guide', () => {
+      const edges = getSeamEdges(SQUARE);
+      
+      expect(findEdgesAlongGuide(edges, 'M 100 0 L 100 100')).toEqual([2]);
+      expect(findEdgesAlongGuide(edges, 'M 100 0 L 100 100 L 0 100')).toEqual([2, 3]);
+      expect(findEdgesAlongGuide(edges, 'M 50 50 L 60 60')).toEqual([]);
+    });
+  });
+  
+  describe('offsetPathEdges', () => {
+    test('should offset each edge by its own width', () => {
+      const result = offsetPathEdges(SQUARE, 10, new Map([[3, 30], [0, 0]]));
+      const bounds = getBounds(result.pathData);
+      
+      expect(result.outlines).toBe(1);
+      expect(bounds.minX).toBeCloseTo(0, 1);
+      expect(bounds.maxX).toBeCloseTo(110, 1);
+      expect(bounds.minY).toBeCloseTo(-10, 1);
+      expect(bounds.maxY).toBeCloseTo(130, 1);
+    });
+  });
+  
+  describe('applySeamAllowance', () => {
+    test('should use per-edge widths even when the global allowance is 0', () => {
+      const svg = createSVG(`
+        <g id="piece"><path class="seam" d="${SQUARE}" ${EDGE_ALLOWANCES_ATTRIBUTE}="2:5"/></g>
+      `);
+      const result = applySeamAllowance(svg, 0, { unitsPerMm: 2 });
+      const allowance = result.svg.querySelector('path.seam-allowance');
+      
+      expect(result.errors).toHaveLength(0);
+      expect(allowance).not.toBeNull();
+      
+      const bounds = getBounds(allowance.getAttribute('d'));
+      expect(bounds.maxX).toBeCloseTo(110, 1);
+      expect(bounds.minX).toBeCloseTo(0, 1);
+      expect(bounds.minY).toBeCloseTo(0, 1);
+      expect(bounds.maxY).toBeCloseTo(100, 1);
+    });
+  });
+  
+  describe('per-piece seam allowance', () => {
+    test('should read the override of a piece', () => {
+      const piece = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      expect(getPieceSeamAllowance(piece)).toBeNull();
+      
+      piece.setAttribute('data-seam-allowance', '0');
+      expect(getPieceSeamAllowance(piece)).toBe(0);
+      
+      piece.setAttribute('data-seam-allowance', 'abc');
+      expect(getPieceSeamAllowance(piece)).toBeNull();
+    });
+    
+    test('should replace the global allowance for one piece', () => {
+      const svg = createSVG(`
+        <g id="bias" data-seam-allowance="5"><path class="seam" d="${SQUARE}"/></g>
+        <g id="body"><path class="seam" d="${SQUARE}"/></g>
+      `);
+      const result = applySeamAllowance(svg, 20, { unitsPerMm: 2 });
+      
+      const bias = getBounds(result.svg.querySelector('#bias path.seam-allowance').getAttribute('d'));
+      const body = getBounds(result.svg.querySelector('#body path.seam-allowance').getAttribute('d'));
+      expect(bias.maxX).toBeCloseTo(110, 1);
+      expect(body.maxX).toBeCloseTo(120, 1);
+    });
+  });
+  
+  describe('drawEdgeHandles', () => {
+    test('should mark selected and custom edges', () => {
+      createSVG(`
+        <g id="piece"><path class="seam" d="${SQUARE}" ${EDGE_ALLOWANCES_ATTRIBUTE}="3:30"/></g>
+      `);
+      const piece = document.getElementById('piece');
+      drawEdgeHandles(piece, new Set(['0:1']));
+      
+      const handles = piece.querySelectorAll('.edge-handle');
+      expect(handles).toHaveLength(4);
+      expect(handles[0].classList.contains('selected')).toBe(true);
+      expect(handles[2].classList.contains('custom')).toBe(true);
+      expect(piece.querySelector('.edge-allowance-label').textContent).toBe('30mm');
+      
+      // Redrawing replaces the previous handles
+      drawEdgeHandles(piece, new Set());
+      expect(piece.querySelectorAll('.edge-handle')).toHaveLength(4);
+    });
+  });
+});
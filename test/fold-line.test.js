@@ -0,0 +1,136 @@
+import { describe, test, expect } from 'vitest';
+import {
+  getFoldLine,
+  reflectPoints,
+  addFoldMarks,
+  addFoldMirror,
+  FOLD_EDGE_ATTRIBUTE,
+  FOLD_MIRROR_ATTRIBUTE
+} from '../src/js/fold-line.js';
+import { applySeamAllowance } from '../src/js/seam-allowance.js';
+import { createSVG, getBounds } from './helpers.js';
+
+// Half piece 0..100; the closing left edge (segment 0) lies on the fold
+const HALF = 'M 0 0 L 100 0 L 100 100 L 0 100 Z';
+
+// SVG with one piece whose seam is cut on the fold
+function createPiece(mirrored = false) {
+  return createSVG(`
+    <g id="piece" ${mirrored ? `${FOLD_MIRROR_ATTRIBUTE}="true"` : ''}>
+      <path class="seam" d="${HALF}" ${FOLD_EDGE_ATTRIBUTE}="0"/>
+    </g>
+  `);
+}
+
+describe('Cut-on-fold Edges', () => {
+  describe('getFoldLine', () => {
+    test('should return the end points of the fold edge', () => {
+      const svg = createPiece();
+      
+      const line = getFoldLine(svg.querySelector('path.seam'));
+      
+      expect(line).toEqual({ index: 0, start: { X: 0, Y: 100 }, end: { X: 0, Y: 0 } });
+    });
+    
+    test('should ignore seams without a valid fold edge', () => {
+      const svg = createPiece();
+      const seam = svg.querySelector('path.seam');
+      
+      seam.setAttribute(FOLD_EDGE_ATTRIBUTE, '9');
+      expect(getFoldLine(seam)).toBeNull();
+      
+      seam.removeAttribute(FOLD_EDGE_ATTRIBUTE);
+      expect(getFoldLine(seam)).toBeNull();
+    });
+  });
+  
+  describe('reflectPoints', () => {
+    test('should mirror points across a diagonal line', () => {
+      const line = { start: { X: 0, Y: 0 }, end: { X: 10, Y: 10 } };
+      
+      const [p] = reflectPoints([{ X: 5, Y: 0 }], line);
+      
+      expect(p.X).toBeCloseTo(0);
+      expect(p.Y).toBeCloseTo(5);
+    });
+  });
+  
+  describe('seam allowance', () => {
+    test('should leave the fold edge without allowance', () => {
+      const result = applySeamAllowance(createPiece(), 10);
+      const bounds = getBounds(result.svg.querySelector('path.seam-allowance').getAttribute('d'));
+      
+      expect(bounds.minX).toBeCloseTo(0, 1);
+      expect(bounds.maxX).toBeCloseTo(110, 1);
+      expect(bounds.minY).toBeCloseTo(-10, 1);
+      expect(bounds.maxY).toBeCloseTo(110, 1);
+    });
+    
+    test('should cover both halves of a mirrored piece', () => {
+      const result = applySeamAllowance(createPiece(true), 10);
+      const pathData = result.svg.querySelector('path.seam-allowance').getAttribute('d');
+      const bounds = getBounds(pathData);
+      
+      expect(result.warnings).toHaveLength(0);
+      expect(pathData.match(/M/g)).toHaveLength(1);
+      expect(bounds.minX).toBeCloseTo(-110, 1);
+      expect(bounds.maxX).toBeCloseTo(110, 1);
+      expect(bounds.maxY).toBeCloseTo(110, 1);
+    });
+  });
+  
+  describe('fold marks', () => {
+    test('should draw the fold line and a bracket inside the piece', () => {
+      const svg = createPiece();
+      const piece = svg.querySelector('#piece');
+      
+      addFoldMarks(piece);
+      addFoldMarks(piece);
+      
+      expect(piece.querySelectorAll('.fold-marks')).toHaveLength(1);
+      expect(piece.querySelector('.fold-line').getAttribute('stroke-dasharray')).toBeTruthy();
+      const bracket = piece.querySelector('.fold-bracket').getAttribute('points')
+        .split(' ').map(point => point.split(',').map(Number));
+      bracket.forEach(([x]) => expect(x).toBeGreaterThanOrEqual(0));
+      expect(Math.max(...bracket.map(([x]) => x))).toBeGreaterThan(0);
+      // The standard PDF fonts have no CJK glyphs, so the label stays ASCII in every language
+      expect(piece.querySelector('.fold-label').textContent).toBe('PLACE ON FOLD');
+    });
+    
+    test('should only draw the fold line on mirrored pieces', () => {
+      const svg = createPiece(true);
+      const piece = svg.querySelector('#piece');
+      
+      addFoldMarks(piece);
+      
+      expect(piece.querySelector('.fold-line')).not.toBeNull();
+      expect(piece.querySelector('.fold-bracket')).toBeNull();
+    });
+  });
+  
+  describe('addFoldMirror', () => {
+    test('should add the seam mirrored across the fold', () => {
+      const svg = createPiece(true);
+      const piece = svg.querySelector('#piece');
+      
+      addFoldMirror(piece);
+      addFoldMirror(piece);
+      
+      const mirrors = piece.querySelectorAll('.fold-mirror');
+      expect(mirrors).toHaveLength(1);
+      const matrix = mirrors[0].getAttribute('transform').match(/-?[\d.]+/g).map(Number);
+      expect(matrix).toEqual([-1, 0, 0, 1, 0, 0]);
+      expect(mirrors[0].querySelector('path.seam')).toBeNull();
+      expect(mirrors[0].querySelector('path.seam-mirror').getAttribute('d')).toBe(HALF);
+    });
+    
+    test('should not mirror pieces that are cut on the fold', () => {
+      const svg = createPiece();
+      const piece = svg.querySelector('#piece');
+      
+      addFoldMirror(piece);
+      
+      expect(piece.querySelector('.fold-mirror')).toBeNull();
+    });
+  });
+});
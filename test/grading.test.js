@@ -0,0 +1,107 @@
+import { describe, test, expect } from 'vitest';
+import {
+  parseSizes,
+  getBaseSizeIndex,
+  parseGradeRule,
+  formatGradeRule,
+  parseGradeDeltas,
+  formatGradeDeltas,
+  gradeSVG,
+  nestGradedSizes,
+  GRADE_SIZE_ATTRIBUTE
+} from '../src/js/grading.js';
+import { toAbsoluteSegments } from '../src/js/svg-path.js';
+import { createSVG } from './helpers.js';
+
+// Pattern with a 100 x 200 bodice graded by the given rule and an ungraded facing
+function createPattern(rule = 'uniform 10', deltas = '') {
+  return createSVG(`
+    <g id="bodice" data-grade-rule="${rule}">
+      <path class="seam" d="M 0 0 L 100 0 L 100 200 L 0 200 Z" ${deltas ? `data-grade-deltas="${deltas}"` : ''}/>
+      <path class="sewinguide" d="M 100 0 L 100 200"/>
+    </g>
+    <g id="facing">
+      <path class="seam" d="M 0 0 L 50 0 L 50 20 L 0 20 Z"/>
+    </g>
+  `);
+}
+
+// End points of the seam of a piece
+function getSeamPoints(svg, id) {
+  return toAbsoluteSegments(svg.querySelector(`#${id} .seam`).getAttribute('d'))
+    .filter(segment => segment.command !== 'Z')
+    .map(({ args }) => [args[0], args[1]]);
+}
+
+describe('Pattern Grading', () => {
+  test('should parse size ranges, grade rules and vertex deltas', () => {
+    expect(parseSizes('S, M,L  XL, M')).toEqual(['S', 'M', 'L', 'XL']);
+    expect(getBaseSizeIndex(['S', 'M', 'L', 'XL'], 'L')).toBe(2);
+    expect(getBaseSizeIndex(['S', 'M', 'L', 'XL'], '')).toBe(1);
+    
+    expect(parseGradeRule('uniform 4')).toEqual({ type: 'uniform', x: 4, y: 4 });
+    expect(parseGradeRule('axis 5 -2')).toEqual({ type: 'axis', x: 5, y: -2 });
+    expect(parseGradeRule('axis 5')).toBeNull();
+    expect(formatGradeRule({ type: 'axis', x: 5, y: 2 })).toBe('axis 5 2');
+    
+    const deltas = parseGradeDeltas('5:1,-2 2:0.5,0 x:1,1');
+    expect(deltas.get(2)).toEqual({ dx: 0.5, dy: 0 });
+    expect(formatGradeDeltas(deltas)).toBe('2:0.5,0 5:1,-2');
+  });
+  
+  test('should scale graded pieces around the center of their seams', () => {
+    const svg = createPattern('axis 10 5');
+    
+    const larger = gradeSVG(svg, 2);
+    expect(getSeamPoints(larger, 'bodice')).toEqual([[-10, -10], [110, -10], [110, 210], [-10, 210]]);
+    // Sewing guides follow the piece
+    expect(toAbsoluteSegments(larger.querySelector('#bodice .sewinguide').getAttribute('d'))[0].args).toEqual([110, -10]);
+    // Pieces without grade rules and the base pattern are unchanged
+    expect(getSeamPoints(larger, 'facing')).toEqual([[0, 0], [50, 0], [50, 20], [0, 20]]);
+    expect(getSeamPoints(svg, 'bodice')[0]).toEqual([0, 0]);
+    
+    expect(() => gradeSVG(svg, -20)).toThrow('leaves nothing of the piece');
+  });
+  
+  test('should move single vertices and the points on them', () => {
+    // Vertex 1 is the top right corner; deltas are in mm and the SVG has 10 units per mm
+    const svg = createPattern('', '1:2,-1');
+    
+    const smaller = gradeSVG(svg, -1, { unitsPerMm: 10 });
+    
+    expect(getSeamPoints(smaller, 'bodice')).toEqual([[0, 0], [80, 10], [100, 200], [0, 200]]);
+    expect(toAbsoluteSegments(smaller.querySelector('#bodice .sewinguide').getAttribute('d'))[0].args).toEqual([80, 10]);
+  });
+  
+  test('should keep curve tangents at moved vertices', () => {
+    const svg = createSVG(`
+      <g id="sleeve">
+        <path class="seam" d="M 0 0 C 10 -10 40 -10 50 0 c 10 10 40 10 50 0 Z" data-grade-deltas="1:0,5"/>
+      </g>
+    `);
+    
+    const graded = gradeSVG(svg, 1);
+    const [, first, second] = toAbsoluteSegments(graded.querySelector('.seam').getAttribute('d'));
+    
+    // The vertex and both control points next to it move together
+    expect(first.args).toEqual([10, -10, 40, -5, 50, 5]);
+    expect(second.args).toEqual([60, 15, 90, 10, 100, 0]);
+  });
+  
+  test('should nest the other sizes into the base pieces', () => {
+    const svg = createPattern();
+    const sizes = ['S', 'M', 'L'];
+    const sizeSVGs = sizes.map((size, i) => gradeSVG(svg, i - 1));
+    
+    const nested = nestGradedSizes(sizeSVGs, sizes, 1);
+    const bodice = nested.querySelector('#bodice');
+    const graded = bodice.querySelectorAll('.graded-size');
+    
+    expect(Array.from(graded).map(group => group.getAttribute(GRADE_SIZE_ATTRIBUTE))).toEqual(['S', 'L']);
+    expect(graded[0].querySelector('.seam').getAttribute('stroke')).not.toBe(graded[1].querySelector('.seam').getAttribute('stroke'));
+    expect(graded[0].querySelector('.grade-size-label').textContent).toBe('S');
+    // Only the base size keeps its sewing guides, and ungraded pieces are not repeated
+    expect(bodice.querySelectorAll('.sewinguide')).toHaveLength(1);
+    expect(nested.querySelector('#facing .graded-size')).toBeNull();
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, test, expect } from 'vitest';
+import {
+  getGrainline,
+  getGrainlineAngle,
+  setGrainline,
+  rotateGrainline,
+  addGrainlineArrow,
+  alignPiecesToGrain,
+  GRAIN_ROTATION_ATTRIBUTE
+} from '../src/js/grainline.js';
+import { getUprightTextTransform } from '../src/js/pattern-symbols.js';
+import { parseTransform, transformPoint } from '../src/js/svg-transform.js';
+import { createSVG } from './helpers.js';
+
+// SVG with one 100 x 200 piece and the given grainline markup
+function createPiece(grainline = '', transform = '') {
+  return createSVG(`
+    <g id="piece" ${transform ? `transform="${transform}"` : ''}>
+      <path class="seam" d="M 0 0 L 100 0 L 100 200 L 0 200 Z"/>
+      ${grainline}
+    </g>
+  `);
+}
+
+describe('Grainlines', () => {
+  test('should read grainlines from lines and transformed paths', () => {
+    createPiece('<line class="grainline" x1="50" y1="20" x2="50" y2="180"/>');
+    expect(getGrainline(document.getElementById('piece'))).toEqual({
+      start: { X: 50, Y: 20 },
+      end: { X: 50, Y: 180 }
+    });
+    
+    createPiece('<g transform="translate(10 5)"><path class="grainline" d="M 0 0 L 40 40"/></g>');
+    const line = getGrainline(document.getElementById('piece'));
+    expect(line.start).toEqual({ X: 10, Y: 5 });
+    expect(line.end).toEqual({ X: 50, Y: 45 });
+    
+    createPiece();
+    expect(getGrainline(document.getElementById('piece'))).toBeNull();
+  });
+  
+  test('should measure the angle from the vertical in either direction', () => {
+    const line = (dx, dy) => ({ start: { X: 0, Y: 0 }, end: { X: dx, Y: dy } });
+    expect(getGrainlineAngle(line(0, 10))).toBeCloseTo(0);
+    expect(getGrainlineAngle(line(0, -10))).toBeCloseTo(0);
+    expect(getGrainlineAngle(line(-10, 10))).toBeCloseTo(45);
+    expect(getGrainlineAngle(line(10, -10))).toBeCloseTo(45);
+    expect(getGrainlineAngle(line(10, 0))).toBeCloseTo(90);
+  });
+  
+  test('should draw and rotate grainlines around their center', () => {
+    createPiece();
+    const piece = document.getElementById('piece');
+    
+    // A new grainline runs through the middle of the piece
+    rotateGrainline(piece, 0);
+    let line = getGrainline(piece);
+    expect(line.start.X).toBeCloseTo(50);
+    expect(line.end.Y - line.start.Y).toBeCloseTo(120);
+    
+    rotateGrainline(piece, 90);
+    line = getGrainline(piece);
+    expect(getGrainlineAngle(line)).toBeCloseTo(90);
+    expect((line.start.X + line.end.X) / 2).toBeCloseTo(50);
+    expect((line.start.Y + line.end.Y) / 2).toBeCloseTo(100);
+    expect(Math.abs(line.end.X - line.start.X)).toBeCloseTo(120);
+    
+    setGrainline(piece, { X: 10, Y: 10 }, { X: 10, Y: 90 });
+    expect(piece.querySelectorAll('.grainline')).toHaveLength(1);
+  });
+  
+  test('should mark grainlines with a double-headed arrow', () => {
+    createPiece('<path class="grainline" d="M 50 20 L 50 180"/>');
+    const piece = document.getElementById('piece');
+    
+    addGrainlineArrow(piece);
+    addGrainlineArrow(piece);
+    
+    const marks = piece.querySelectorAll('.grainline-marks');
+    expect(marks).toHaveLength(1);
+    expect(marks[0].querySelector('line').getAttribute('y2')).toBe('180');
+    const tips = Array.from(marks[0].querySelectorAll('polygon')).map(polygon => polygon.getAttribute('points').split(' ')[0]);
+    expect(tips).toEqual(['50,20', '50,180']);
+    
+    // The arrow is not taken for the grainline itself
+    expect(getGrainline(piece).start).toEqual({ X: 50, Y: 20 });
+  });
+  
+  test('should rotate pieces so that the grainline is vertical', () => {
+    const svg = createPiece('<path class="grainline" d="M 20 100 L 80 100"/>', 'translate(10 0)');
+    const piece = document.getElementById('piece');
+    
+    expect(alignPiecesToGrain(svg)).toBe(1);
+    expect(piece.getAttribute(GRAIN_ROTATION_ATTRIBUTE)).toBe('-90');
+    
+    // The grainline is vertical and keeps its center
+    const matrix = parseTransform(piece.getAttribute('transform'));
+    const start = transformPoint(matrix, 20, 100);
+    const end = transformPoint(matrix, 80, 100);
+    expect(start.x).toBeCloseTo(end.x);
+    expect((start.x + end.x) / 2).toBeCloseTo(60);
+    expect((start.y + end.y) / 2).toBeCloseTo(100);
+    
+    // Text on the piece is turned back upright
+    expect(getUprightTextTransform(piece, 0, 0)).toBe('rotate(90 0 0)');
+  });
+  
+  test('should leave pieces without grainline unrotated', () => {
+    const svg = createPiece();
+    
+    expect(alignPiecesToGrain(svg)).toBe(0);
+    expect(document.getElementById('piece').hasAttribute(GRAIN_ROTATION_ATTRIBUTE)).toBe(false);
+  });
+});
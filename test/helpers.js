@@ -0,0 +1,20 @@
+// Shared helpers for the tests
+
+// Put an SVG with the given content into the document and return it
+export function createSVG(content, attributes = '') {
+  document.body.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg"${attributes ? ` ${attributes}` : ''}>${content}</svg>`;
+  return document.querySelector('svg');
+}
+
+// Bounding box of all points of path data made of absolute coordinates
+export function getBounds(pathData) {
+  const numbers = pathData.match(/-?\d+(\.\d+)?/g).map(Number);
+  const xs = numbers.filter((_, i) => i % 2 === 0);
+  const ys = numbers.filter((_, i) => i % 2 === 1);
+  return {
+    minX: Math.min(...xs),
+    maxX: Math.max(...xs),
+    minY: Math.min(...ys),
+    maxY: Math.max(...ys)
+  };
+}
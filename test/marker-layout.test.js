@@ -0,0 +1,223 @@
+import { describe, test, expect } from 'vitest';
+import { getGridStrategy, exportMarkerSVG } from '../src/js/pdf-generator.js';
+import { calculateUnitPlacement, getUnitPolygons } from '../src/js/unit-placement.js';
+import { calculateMarkerSummary, createMarkerSVG } from '../src/js/marker-layout.js';
+import { getSourcePieceId } from '../src/js/cut-copies.js';
+
+// Mock pattern group with a rectangular seam-allowance outline
+const createRectGroup = (id, width, height, cutCount = null, cutMirror = false) => {
+  const d = `M 0,0 L ${width},0 L ${width},${height} L 0,${height} Z`;
+  const bbox = { x: 0, y: 0, width, height };
+  const outline = {
+    getAttribute: (attr) => attr === 'd' ? d : null,
+    cloneNode: () => {
+      const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+      path.getBBox = () => bbox;
+      return path;
+    }
+  };
+  return {
+    parentElement: { tagName: 'svg' },
+    getAttribute: (attr) => {
+      if (attr === 'id') return id;
+      if (attr === 'data-cut-count') return cutCount;
+      if (attr === 'data-cut-mirror') return cutMirror ? 'true' : null;
+      return null;
+    },
+    querySelectorAll: (selector) => {
+      if (selector === '.seam-allowance' || selector === 'path.seam-allowance') return [outline];
+      return [];
+    },
+    querySelector: () => null,
+    cloneNode: () => document.createElementNS('http://www.w3.org/2000/svg', 'g')
+  };
+};
+
+const createMockSVG = (groups) => ({
+  querySelectorAll: (selector) => selector === 'g' ? groups : [],
+  querySelector: () => null
+});
+
+describe('Marker Layout', () => {
+  describe('getGridStrategy', () => {
+    test('should use the fabric width and an unbounded length in marker mode', () => {
+      const gridStrategy = getGridStrategy({ layoutMode: 'marker', fabricWidth: 1400 });
+      
+      expect(gridStrategy.layoutMode).toBe('marker');
+      expect(gridStrategy.fabricWidth).toBe(1400);
+      expect(gridStrategy.printableWidth).toBe(1380);
+      expect(gridStrategy.printableHeight).toBe(Infinity);
+      expect(gridStrategy.tileOversized).toBe(false);
+    });
+    
+    test('should default to a 110cm fabric', () => {
+      const gridStrategy = getGridStrategy({ layoutMode: 'marker' });
+      
+      expect(gridStrategy.fabricWidth).toBe(1100);
+    });
+  });
+  
+  describe('calculateUnitPlacement', () => {
+    test('should place all pieces on a single page', () => {
+      const gridStrategy = getGridStrategy({ layoutMode: 'marker', fabricWidth: 1100 });
+      const groups = [1, 2, 3, 4, 5].map(i => createRectGroup(`piece-${i}`, 500, 400));
+      
+      const placement = calculateUnitPlacement(createMockSVG(groups), gridStrategy);
+      
+      expect(placement.pages.length).toBe(1);
+      expect(placement.pages[0].units.length).toBe(5);
+      // Two pieces fit across the fabric, so three rows are needed
+      expect(placement.pages[0].height).toBeGreaterThanOrEqual(1200);
+      expect(placement.pages[0].height).toBeLessThan(1300);
+    });
+    
+    test('should keep the size legend area free of pieces', () => {
+      const sizeLegend = [{ name: 'S', color: '#cc0000', dash: '' }, { name: 'M', color: '#000000', dash: '' }];
+      const gridStrategy = getGridStrategy({ layoutMode: 'marker', fabricWidth: 1100, sizeLegend });
+      const [legend] = gridStrategy.reservedAreas;
+      // Two pieces would fit across the fabric, the second one into the legend corner
+      const groups = [1, 2, 3].map(i => createRectGroup(`piece-${i}`, 530, 400));
+      
+      const placement = calculateUnitPlacement(createMockSVG(groups), gridStrategy);
+      
+      expect(legend.x + legend.width).toBe(1080);
+      expect(placement.pages.length).toBe(1);
+      placement.pages[0].units.forEach(unit => {
+        expect(unit.x + unit.width <= legend.x || unit.y >= legend.y + legend.height).toBe(true);
+      });
+    });
+    
+    test('should repeat pieces according to their cut count', () => {
+      const gridStrategy = getGridStrategy({ layoutMode: 'marker', fabricWidth: 1100 });
+      const groups = [
+        createRectGroup('front', 300, 600, '2'),
+        createRectGroup('collar', 200, 100)
+      ];
+      
+      const placement = calculateUnitPlacement(createMockSVG(groups), gridStrategy);
+      const units = placement.pages[0].units;
+      
+      expect(units.filter(unit => unit.id === 'front').length).toBe(2);
+      expect(units.filter(unit => unit.id === 'collar').length).toBe(1);
+      expect(units.map(unit => unit.copyIndex).sort()).toEqual([0, 0, 1]);
+    });
+    
+    test('should mirror every second copy of pieces cut in mirrored pairs', () => {
+      const gridStrategy = getGridStrategy({ layoutMode: 'marker', fabricWidth: 1100 });
+      const groups = [createRectGroup('sleeve', 300, 500, '4', true)];
+      
+      const placement = calculateUnitPlacement(createMockSVG(groups), gridStrategy);
+      const units = placement.pages[0].units.slice().sort((a, b) => a.copyIndex - b.copyIndex);
+      
+      expect(units.map(unit => Boolean(unit.mirrored))).toEqual([false, true, false, true]);
+      
+      const originalSVG = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      const markerSVG = createMarkerSVG(originalSVG, placement, gridStrategy);
+      const mirrored = markerSVG.querySelectorAll('g[data-cut-mirrored="true"]');
+      expect(mirrored.length).toBe(2);
+      expect(mirrored[0].getAttribute('transform')).toContain('translate(300, 0) scale(-1, 1)');
+    });
+    
+    test('should give the copies of a piece IDs of their own', () => {
+      const gridStrategy = getGridStrategy({ layoutMode: 'marker', fabricWidth: 1100 });
+      const group = createRectGroup('sleeve', 300, 500, '3');
+      group.cloneNode = () => {
+        const piece = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        piece.setAttribute('id', 'sleeve');
+        const seam = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        seam.setAttribute('id', 'sleeve-seam');
+        piece.appendChild(seam);
+        return piece;
+      };
+      
+      const placement = calculateUnitPlacement(createMockSVG([group]), gridStrategy);
+      const markerSVG = createMarkerSVG(document.createElementNS('http://www.w3.org/2000/svg', 'svg'), placement, gridStrategy);
+      
+      const ids = Array.from(markerSVG.querySelectorAll('[id]')).map(element => element.getAttribute('id'));
+      expect(ids.sort()).toEqual(['sleeve', 'sleeve-copy2', 'sleeve-copy3', 'sleeve-seam', 'sleeve-seam-copy2', 'sleeve-seam-copy3']);
+      expect(getSourcePieceId(markerSVG.querySelector('#sleeve-copy3'))).toBe('sleeve');
+      expect(getSourcePieceId(markerSVG.querySelector('#sleeve'))).toBe('sleeve');
+    });
+    
+    test('should flip the outline of mirrored copies within their bounding box', () => {
+      const group = createRectGroup('sleeve', 100, 50);
+      const unit = { element: group, boundingBox: { x: 0, y: 0, width: 100, height: 50 }, width: 100, height: 50 };
+      
+      const polygon = getUnitPolygons(unit)[0];
+      const flipped = getUnitPolygons({ ...unit, mirrored: true })[0];
+      
+      expect(flipped.map(p => p.X).sort((a, b) => a - b)).toEqual(polygon.map(p => p.X).sort((a, b) => a - b));
+      expect(flipped).toContainEqual({ X: 100, Y: 0 });
+      expect(flipped[0]).toEqual({ X: 100 - polygon[polygon.length - 1].X, Y: polygon[polygon.length - 1].Y });
+    });
+    
+    test('should not repeat pieces on paper pages', () => {
+      const gridStrategy = getGridStrategy({ paperSize: 'a3' });
+      const groups = [createRectGroup('front', 100, 100, '2')];
+      
+      const placement = calculateUnitPlacement(createMockSVG(groups), gridStrategy);
+      
+      expect(placement.totalUnits).toBe(1);
+    });
+    
+    test('should report pieces wider than the fabric as unplaced', () => {
+      const gridStrategy = getGridStrategy({ layoutMode: 'marker', fabricWidth: 1100 });
+      const groups = [createRectGroup('wide', 1200, 100)];
+      
+      const placement = calculateUnitPlacement(createMockSVG(groups), gridStrategy);
+      
+      expect(placement.unplacedUnits.length).toBe(1);
+    });
+    
+    test('should not export a marker with pieces wider than the fabric', async () => {
+      const groups = [createRectGroup('wide', 1200, 100), createRectGroup('collar', 200, 100)];
+      
+      await expect(exportMarkerSVG(createMockSVG(groups), { fabricWidth: 1100 })).rejects.toThrow('wide');
+    });
+  });
+  
+  describe('calculateMarkerSummary', () => {
+    test('should report the fabric length and utilization', () => {
+      const gridStrategy = getGridStrategy({ layoutMode: 'marker', fabricWidth: 1100 });
+      const groups = [createRectGroup('back', 1000, 480)];
+      
+      const placement = calculateUnitPlacement(createMockSVG(groups), gridStrategy);
+      const summary = calculateMarkerSummary(placement, gridStrategy);
+      
+      // 480mm of pieces plus the margins at both ends
+      expect(summary.length).toBe(500);
+      expect(summary.fabricWidth).toBe(1100);
+      expect(summary.pieceCount).toBe(1);
+      expect(summary.utilization).toBeCloseTo(1000 * 480 / (1100 * 500) * 100, 5);
+    });
+    
+    test('should handle an empty marker', () => {
+      const gridStrategy = getGridStrategy({ layoutMode: 'marker' });
+      
+      const summary = calculateMarkerSummary({ pages: [] }, gridStrategy);
+      
+      expect(summary.length).toBe(20);
+      expect(summary.utilization).toBe(0);
+    });
+  });
+  
+  describe('createMarkerSVG', () => {
+    test('should size the SVG to the fabric width and length', () => {
+      const gridStrategy = getGridStrategy({ layoutMode: 'marker', fabricWidth: 1500 });
+      const groups = [createRectGroup('back', 600, 380)];
+      const placement = calculateUnitPlacement(createMockSVG(groups), gridStrategy);
+      
+      const originalSVG = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      const markerSVG = createMarkerSVG(originalSVG, placement, gridStrategy);
+      
+      expect(markerSVG.getAttribute('viewBox')).toBe('-10 -10 1500 400');
+      expect(markerSVG.getAttribute('width')).toBe('1500mm');
+      expect(markerSVG.getAttribute('height')).toBe('400mm');
+      expect(markerSVG.querySelector('.marker-marks')).not.toBeNull();
+      // Ticks at 10, 20 and 30cm
+      expect(markerSVG.querySelectorAll('.marker-marks line').length).toBe(3);
+      const texts = markerSVG.querySelectorAll('.marker-marks text');
+      expect(texts[texts.length - 1].textContent).toContain('150cm × 40.0cm');
+    });
+  });
+});
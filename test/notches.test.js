@@ -0,0 +1,109 @@
+import { describe, test, expect } from 'vitest';
+import { addNotches, getNotchCount, projectOntoOutline } from '../src/js/notches.js';
+import { applySeamAllowance } from '../src/js/seam-allowance.js';
+import { createSVG } from './helpers.js';
+
+// Two pieces joined along their right and left edges
+function createPattern() {
+  return createSVG(`
+    <g id="front">
+      <path class="seam" d="M 0 0 L 100 0 L 100 100 L 0 100 Z"/>
+      <path class="sewinguide" stroke="#f00" d="M 100 20 L 100 80" data-sewingguide-label="A:B:2"/>
+    </g>
+    <g id="back">
+      <path class="seam" d="M 200 0 L 300 0 L 300 100 L 200 100 Z"/>
+      <path class="sewinguide" stroke="#f00" d="M 200 20 L 200 80" data-sewingguide-label="A:B:2"/>
+    </g>
+  `);
+}
+
+// All coordinates of path data as [x, y] pairs
+function getPoints(pathData) {
+  const numbers = pathData.match(/-?\d+(\.\d+)?/g).map(Number);
+  const points = [];
+  for (let i = 0; i < numbers.length; i += 2) {
+    points.push([numbers[i], numbers[i + 1]]);
+  }
+  return points;
+}
+
+describe('Notches', () => {
+  test('should count notches by the pair number of the guide', () => {
+    const guide = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    expect(getNotchCount(guide)).toBe(1);
+    
+    guide.setAttribute('data-sewingguide-label', 'A:B:2');
+    expect(getNotchCount(guide)).toBe(2);
+    expect(getNotchCount(guide, '3')).toBe(3);
+    
+    guide.setAttribute('data-sewingguide-label', 'A:B:4');
+    expect(getNotchCount(guide)).toBe(1);
+  });
+  
+  test('should project points onto the closest outline edge', () => {
+    const square = [{ X: 0, Y: 0 }, { X: 10, Y: 0 }, { X: 10, Y: 10 }, { X: 0, Y: 10 }];
+    
+    const projection = projectOntoOutline({ X: 3, Y: 8 }, [square]);
+    
+    expect(projection.point).toEqual({ X: 3, Y: 10 });
+    expect(projection.distance).toBeCloseTo(2);
+  });
+  
+  test('should notch the cut line at both ends of each guide', () => {
+    const { svg } = applySeamAllowance(createPattern(), 10);
+    
+    expect(addNotches(svg, { shape: 'v' })).toBe(2);
+    
+    const notches = svg.querySelectorAll('path.notch');
+    expect(notches).toHaveLength(2);
+    notches.forEach(notch => expect(notch.getAttribute('data-notch-count')).toBe('2'));
+    
+    // Two V-notches at each end, opening on the cut line at x = 110 and pointing at the seam
+    const points = getPoints(svg.querySelector('#front path.notch').getAttribute('d'));
+    expect(points).toHaveLength(12);
+    points.forEach(([x]) => {
+      expect(x).toBeGreaterThanOrEqual(107 - 1e-6);
+      expect(x).toBeLessThanOrEqual(110 + 1e-6);
+    });
+    expect(points.filter(([x]) => Math.abs(x - 107) < 1e-6)).toHaveLength(4);
+    expect(points.some(([, y]) => Math.abs(y - 20) < 3)).toBe(true);
+    expect(points.some(([, y]) => Math.abs(y - 80) < 3)).toBe(true);
+    
+    // The matching piece is notched the other way
+    const back = getPoints(svg.querySelector('#back path.notch').getAttribute('d'));
+    back.forEach(([x]) => expect(x).toBeGreaterThanOrEqual(190 - 1e-6));
+    back.forEach(([x]) => expect(x).toBeLessThanOrEqual(193 + 1e-6));
+  });
+  
+  test('should draw T-notches and replace previous notches', () => {
+    const { svg } = applySeamAllowance(createPattern(), 10);
+    addNotches(svg, { shape: 'v' });
+    
+    addNotches(svg, { shape: 't', count: '1', unitsPerMm: 0.5 });
+    
+    const notches = svg.querySelectorAll('path.notch');
+    expect(notches).toHaveLength(2);
+    // Slit and crossbar at each end; 3mm deep at 0.5 units per mm
+    const pathData = notches[0].getAttribute('d');
+    expect(pathData.match(/M/g)).toHaveLength(4);
+    expect(getPoints(pathData).map(([x]) => x)).toContain(108.5);
+  });
+  
+  test('should not notch deeper than the allowance', () => {
+    const { svg } = applySeamAllowance(createPattern(), 2);
+    
+    addNotches(svg);
+    
+    getPoints(svg.querySelector('#front path.notch').getAttribute('d')).forEach(([x]) => {
+      expect(x).toBeGreaterThan(100);
+    });
+  });
+  
+  test('should remove all notches for the shape none', () => {
+    const { svg } = applySeamAllowance(createPattern(), 10);
+    addNotches(svg);
+    
+    expect(addNotches(svg, { shape: 'none' })).toBe(0);
+    expect(svg.querySelector('path.notch')).toBeNull();
+  });
+});
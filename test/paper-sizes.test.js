@@ -0,0 +1,106 @@
+import { describe, test, expect } from 'vitest';
+import { getGridStrategy, addSizeLegend, PAPER_SIZES } from '../src/js/pdf-generator.js';
+
+describe('Paper Sizes', () => {
+  describe('getGridStrategy', () => {
+    test('should keep the default A4 layout with 10mm margins', () => {
+      const gridStrategy = getGridStrategy({ paperSize: 'a4', orientation: 'portrait' });
+      
+      expect(gridStrategy.pageWidth).toBe(210);
+      expect(gridStrategy.pageHeight).toBe(297);
+      expect(gridStrategy.margins).toEqual({ top: 10, right: 10, bottom: 10, left: 10 });
+      expect(gridStrategy.printableWidth).toBe(190);
+      expect(gridStrategy.printableHeight).toBe(277);
+    });
+    
+    test('should reserve the areas of the verification square and the size legend', () => {
+      const sizeLegend = [{ name: 'S', color: '#cc0000', dash: '' }, { name: 'XL', color: '#000000', dash: '' }];
+      const gridStrategy = getGridStrategy({ paperSize: 'a4', addMarks: true, sizeLegend });
+      
+      expect(gridStrategy.reservedAreas).toHaveLength(2);
+      const legend = gridStrategy.reservedAreas[1];
+      // Top-right corner of the printable area, with room for every size
+      expect(legend.x + legend.width).toBe(190);
+      expect(legend.y).toBe(0);
+      expect(legend.height).toBeGreaterThan(10 + 6);
+      expect(getGridStrategy({ paperSize: 'a4' }).reservedAreas).toEqual([]);
+    });
+    
+    test('should only draw the size legend on pages that keep its area free', () => {
+      const sizeLegend = [{ name: 'S', color: '#cc0000', dash: '' }, { name: 'M', color: '#000000', dash: '4 2' }];
+      const gridStrategy = getGridStrategy({ paperSize: 'a4', addMarks: true, sizeLegend });
+      const createPage = () => document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      
+      const reservedPage = createPage();
+      addSizeLegend(reservedPage, sizeLegend, gridStrategy.printableWidth, gridStrategy.reservedAreas);
+      expect(reservedPage.querySelectorAll('.size-legend line')).toHaveLength(2);
+      
+      // Pages of units that need the whole page are created without reserved areas
+      const fullPage = createPage();
+      addSizeLegend(fullPage, sizeLegend, gridStrategy.printableWidth, []);
+      expect(fullPage.querySelector('.size-legend')).toBeNull();
+    });
+    
+    test('should support ISO A, JIS B, ISO B and US sizes', () => {
+      expect(getGridStrategy({ paperSize: 'a1' }).pageWidth).toBe(594);
+      expect(getGridStrategy({ paperSize: 'b4' }).pageWidth).toBe(257);
+      expect(getGridStrategy({ paperSize: 'iso-b4' }).pageWidth).toBe(250);
+      
+      const letter = getGridStrategy({ paperSize: 'letter' });
+      expect(letter.pageWidth).toBeCloseTo(215.9);
+      expect(letter.pageHeight).toBeCloseTo(279.4);
+    });
+    
+    test('should swap width and height in landscape orientation', () => {
+      const gridStrategy = getGridStrategy({ paperSize: 'tabloid', orientation: 'landscape' });
+      
+      expect(gridStrategy.pageWidth).toBeCloseTo(431.8);
+      expect(gridStrategy.pageHeight).toBeCloseTo(279.4);
+    });
+    
+    test('should use a custom paper size', () => {
+      const gridStrategy = getGridStrategy({ paperSize: 'custom', customWidth: 600, customHeight: 900 });
+      
+      expect(gridStrategy.pageWidth).toBe(600);
+      expect(gridStrategy.pageHeight).toBe(900);
+      expect(gridStrategy.printableWidth).toBe(580);
+    });
+    
+    test('should fall back to A4 for an invalid custom size', () => {
+      const gridStrategy = getGridStrategy({ paperSize: 'custom', customWidth: 0, customHeight: NaN });
+      
+      expect(gridStrategy.pageWidth).toBe(PAPER_SIZES.a4.width);
+      expect(gridStrategy.pageHeight).toBe(PAPER_SIZES.a4.height);
+    });
+    
+    test('should use the roll width and the requested sheet length', () => {
+      const gridStrategy = getGridStrategy({ paperSize: 'roll36', rollLength: 2000 });
+      
+      expect(gridStrategy.pageWidth).toBeCloseTo(914.4);
+      expect(gridStrategy.pageHeight).toBe(2000);
+    });
+    
+    test('should subtract the margin of each side from the printable area', () => {
+      const gridStrategy = getGridStrategy({
+        paperSize: 'a4',
+        overlap: 5,
+        margins: { top: 5, right: 3, bottom: 12, left: 7 }
+      });
+      
+      expect(gridStrategy.margins).toEqual({ top: 5, right: 3, bottom: 12, left: 7 });
+      expect(gridStrategy.printableWidth).toBe(200);
+      expect(gridStrategy.printableHeight).toBe(280);
+      expect(gridStrategy.effectiveWidth).toBe(195);
+      expect(gridStrategy.effectiveHeight).toBe(275);
+    });
+    
+    test('should allow borderless printing and ignore invalid margins', () => {
+      const gridStrategy = getGridStrategy({
+        paperSize: 'a4',
+        margins: { top: 0, right: -5, bottom: NaN, left: 0 }
+      });
+      
+      expect(gridStrategy.margins).toEqual({ top: 0, right: 10, bottom: 10, left: 0 });
+    });
+  });
+});
@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
-import { indexToSymbol, assignPatternPieceSymbols, addSymbolToPattern, updateAllSymbols } from '../src/js/pattern-symbols.js';
+import { indexToSymbol, assignPatternPieceSymbols, addSymbolToPattern, updateAllSymbols, getUprightTextTransform } from '../src/js/pattern-symbols.js';
+import { parseTransform, multiplyMatrices } from '../src/js/svg-transform.js';
 
 describe('Pattern Symbols', () => {
     describe('indexToSymbol', () => {
@@ -87,6 +88,45 @@ describe('Pattern Symbols', () => {
             expect(text.textContent).toBe('A');
             expect(text.getAttribute('x')).toBe('50');
             expect(text.getAttribute('y')).toBe('50');
+            expect(text.getAttribute('transform')).toBeNull();
+        });
+        
+        it('should keep the symbol upright on a rotated piece', () => {
+            const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            g.setAttribute('data-pattern-symbol', 'A');
+            g.setAttribute('data-placement-rotation', '90');
+            g.getBBox = () => ({ x: 0, y: 0, width: 100, height: 60 });
+            
+            addSymbolToPattern(g);
+            
+            const text = g.querySelector('.pattern-symbol');
+            expect(text.getAttribute('transform')).toBe('rotate(-90 50 30)');
+        });
+        
+        it('should add the cut instruction below the symbol', () => {
+            const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            g.setAttribute('data-pattern-symbol', 'A');
+            g.setAttribute('data-cut-count', '2');
+            g.setAttribute('data-cut-mirror', 'true');
+            g.getBBox = () => ({ x: 0, y: 0, width: 100, height: 100 });
+            
+            addSymbolToPattern(g);
+            addSymbolToPattern(g);
+            
+            const labels = g.querySelectorAll('.pattern-cut-label');
+            expect(labels.length).toBe(1);
+            expect(labels[0].textContent).toBe('Cut 2 (mirror)');
+            expect(parseFloat(labels[0].getAttribute('y'))).toBeGreaterThan(50);
+        });
+        
+        it('should not label pieces cut once', () => {
+            const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            g.setAttribute('data-pattern-symbol', 'A');
+            g.getBBox = () => ({ x: 0, y: 0, width: 100, height: 100 });
+            
+            addSymbolToPattern(g);
+            
+            expect(g.querySelector('.pattern-cut-label')).toBeNull();
         });
         
         it('should throw error for pattern piece without symbol', () => {
@@ -105,6 +145,35 @@ describe('Pattern Symbols', () => {
         });
     });
     
+    describe('getUprightTextTransform', () => {
+        it('should return null for pieces that are not rotated', () => {
+            const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            
+            expect(getUprightTextTransform(g, 10, 20)).toBeNull();
+        });
+        
+        it('should counter-rotate around the text anchor', () => {
+            const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            g.setAttribute('data-placement-rotation', '180');
+            
+            expect(getUprightTextTransform(g, 10, 20)).toBe('rotate(-180 10 20)');
+        });
+        
+        it('should undo the mirror and rotations of mirrored copies', () => {
+            const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            g.setAttribute('data-placement-rotation', '90');
+            g.setAttribute('data-grain-rotation', '-30');
+            g.setAttribute('data-cut-mirrored', 'true');
+            
+            // Placement, then mirror, then grain rotation as in the placed unit's transform
+            const piece = parseTransform('rotate(90) scale(-1 1) rotate(-30)');
+            const text = parseTransform(getUprightTextTransform(g, 10, 20));
+            const result = multiplyMatrices(piece, text);
+            
+            [1, 0, 0, 1].forEach((value, i) => expect(result[i]).toBeCloseTo(value));
+        });
+    });
+    
     describe('updateAllSymbols', () => {
         it('should update all pattern pieces with symbols', () => {
             const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
@@ -0,0 +1,74 @@
+import { describe, test, expect } from 'vitest';
+import {
+  isPieceExcluded,
+  setPieceExcluded,
+  removeExcludedPieces,
+  createPieceThumbnail,
+  EXCLUDED_ATTRIBUTE
+} from '../src/js/piece-visibility.js';
+import { analyzeSVGUnits, checkUnitsPageConstraints } from '../src/js/svg-processor.js';
+import { createSVG } from './helpers.js';
+
+// Piece sizes by ID; getBBox is not implemented by the test DOM, and copies keep their IDs
+const PIECE_SIZES = { bodice: [150, 250], sleeve: [150, 900], collar: [150, 30] };
+SVGGraphicsElement.prototype.getBBox = function () {
+  const [width, height] = PIECE_SIZES[this.getAttribute('id')] || [0, 0];
+  return { x: 0, y: 0, width, height };
+};
+
+// Pattern with a bodice, a sleeve and a collar
+function createPattern() {
+  return createSVG(`
+    <g id="bodice" data-pattern-symbol="A"><path class="seam" d="M 0 0 L 150 0 L 150 250 L 0 250 Z"/></g>
+    <g id="sleeve" data-pattern-symbol="B"><path class="seam" id="sleeve-seam" d="M 0 0 L 150 0 L 150 900 L 0 900 Z"/></g>
+    <g id="collar" data-pattern-symbol="C"><path class="seam" d="M 0 0 L 150 0 L 150 30 L 0 30 Z"/></g>
+  `);
+}
+
+describe('Piece Visibility', () => {
+  test('should mark pieces as excluded and remove them from a copy', () => {
+    const svg = createPattern();
+    const sleeve = svg.querySelector('#sleeve');
+    
+    setPieceExcluded(sleeve, true);
+    expect(isPieceExcluded(sleeve)).toBe(true);
+    setPieceExcluded(sleeve, false);
+    expect(sleeve.hasAttribute(EXCLUDED_ATTRIBUTE)).toBe(false);
+    
+    setPieceExcluded(svg.querySelector('#collar'), true);
+    expect(removeExcludedPieces(svg)).toBe(1);
+    expect(svg.querySelector('#collar')).toBeNull();
+  });
+  
+  test('should leave excluded pieces out of the units unless asked for them', () => {
+    const svg = createPattern();
+    setPieceExcluded(svg.querySelector('#bodice'), true);
+    
+    expect(analyzeSVGUnits(svg).map(unit => unit.id)).toEqual(['sleeve', 'collar']);
+    expect(analyzeSVGUnits(svg, { includeExcluded: true })).toHaveLength(3);
+  });
+  
+  test('should not check the page size of excluded pieces', () => {
+    const svg = createPattern();
+    const settings = { paperSize: 'a4', orientation: 'portrait', tileOversized: false };
+    
+    // The sleeve is longer than an A4 page
+    expect(checkUnitsPageConstraints(svg, settings).isValid).toBe(false);
+    
+    setPieceExcluded(svg.querySelector('#sleeve'), true);
+    const check = checkUnitsPageConstraints(svg, settings);
+    expect(check.isValid).toBe(true);
+    expect(check.totalUnits).toBe(2);
+  });
+  
+  test('should draw thumbnails without the IDs of the piece', () => {
+    const svg = createPattern();
+    const unit = analyzeSVGUnits(svg).find(candidate => candidate.id === 'sleeve');
+    
+    const thumbnail = createPieceThumbnail(unit);
+    
+    expect(thumbnail.getAttribute('viewBox')).toBe('-45 -45 240 990');
+    expect(thumbnail.querySelector('[id]')).toBeNull();
+    expect(thumbnail.querySelector('path.seam')).not.toBeNull();
+  });
+});
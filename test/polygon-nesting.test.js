@@ -0,0 +1,226 @@
+import { describe, test, expect } from 'vitest';
+import { nestPolygons } from '../src/js/polygon-nesting.js';
+import { calculateUnitPlacement, createPlacedUnitsSVG } from '../src/js/unit-placement.js';
+
+// Right triangle filling the lower-left half of its bounding box
+const triangle = (width, height) => [[
+  { X: 0, Y: 0 },
+  { X: width, Y: 0 },
+  { X: 0, Y: height }
+]];
+
+const square = (size) => [[
+  { X: 0, Y: 0 },
+  { X: size, Y: 0 },
+  { X: size, Y: size },
+  { X: 0, Y: size }
+]];
+
+// Check that two axis-aligned squares placed on a page do not overlap
+const squaresOverlap = (a, b, size) => !(
+  a.x + size <= b.x + 1e-6 ||
+  b.x + size <= a.x + 1e-6 ||
+  a.y + size <= b.y + 1e-6 ||
+  b.y + size <= a.y + 1e-6
+);
+
+describe('nestPolygons', () => {
+  test('should interlock shapes whose bounding boxes would not fit together', () => {
+    const items = [
+      { id: 'front', polygons: triangle(100, 50) },
+      { id: 'back', polygons: triangle(100, 50) }
+    ];
+    
+    const result = nestPolygons(items, 100, 55, { spacing: 0 });
+    
+    expect(result.unplaced.length).toBe(0);
+    expect(result.pages.length).toBe(1);
+    
+    const rotations = result.pages[0].placements.map(p => p.rotation).sort();
+    expect(rotations).toEqual([0, 180]);
+  });
+  
+  test('should not rotate shapes that do not allow it', () => {
+    const items = [
+      { id: 'front', polygons: triangle(100, 50), allowRotation: false },
+      { id: 'back', polygons: triangle(100, 50), allowRotation: false }
+    ];
+    
+    const result = nestPolygons(items, 100, 55, { spacing: 0 });
+    
+    expect(result.pages.length).toBe(2);
+    result.pages.forEach(page => {
+      expect(page.placements[0].rotation).toBe(0);
+    });
+  });
+  
+  test('should place shapes without overlapping them', () => {
+    const items = [1, 2, 3, 4].map(id => ({ id, polygons: square(40) }));
+    
+    const result = nestPolygons(items, 100, 100, { spacing: 2 });
+    
+    expect(result.pages.length).toBe(1);
+    const placements = result.pages[0].placements;
+    expect(placements.length).toBe(4);
+    
+    for (let i = 0; i < placements.length; i++) {
+      const p = placements[i];
+      expect(p.x).toBeGreaterThanOrEqual(0);
+      expect(p.y).toBeGreaterThanOrEqual(0);
+      expect(p.x + 40).toBeLessThanOrEqual(100 + 1e-6);
+      expect(p.y + 40).toBeLessThanOrEqual(100 + 1e-6);
+      for (let j = i + 1; j < placements.length; j++) {
+        expect(squaresOverlap(p, placements[j], 40)).toBe(false);
+      }
+    }
+  });
+  
+  test('should turn shapes by 90° when quarter turns are allowed', () => {
+    const items = [{ id: 'band', polygons: [[
+      { X: 0, Y: 0 },
+      { X: 80, Y: 0 },
+      { X: 80, Y: 30 },
+      { X: 0, Y: 30 }
+    ]] }];
+    
+    const upright = nestPolygons(items, 40, 100);
+    const turned = nestPolygons(items, 40, 100, { rotations: [0, 90, 180, 270] });
+    
+    expect(upright.unplaced.length).toBe(1);
+    expect(turned.unplaced.length).toBe(0);
+    
+    const placement = turned.pages[0].placements[0];
+    expect(placement.rotation % 180).toBe(90);
+    expect(placement.width).toBe(30);
+    expect(placement.height).toBe(80);
+  });
+  
+  test('should keep reserved areas free unless a shape needs the whole page', () => {
+    const reservedAreas = [{ x: 0, y: 60, width: 40, height: 40 }];
+    const items = [1, 2, 3].map(id => ({ id, polygons: square(40) }));
+    
+    const result = nestPolygons(items, 100, 100, { reservedAreas });
+    
+    expect(result.pages.length).toBe(1);
+    result.pages[0].placements.forEach(p => {
+      expect(squaresOverlap(p, reservedAreas[0], 40)).toBe(false);
+    });
+    expect(result.pages[0].reserved).toBe(true);
+    
+    const full = nestPolygons([{ id: 'full', polygons: square(100) }], 100, 100, { reservedAreas });
+    expect(full.unplaced.length).toBe(0);
+    expect(full.pages.length).toBe(1);
+    expect(full.pages[0].reserved).toBe(false);
+  });
+  
+  test('should report shapes larger than the page as unplaced', () => {
+    const items = [
+      { id: 'small', polygons: square(20) },
+      { id: 'huge', polygons: square(200) }
+    ];
+    
+    const result = nestPolygons(items, 100, 100);
+    
+    expect(result.pages.length).toBe(1);
+    expect(result.unplaced.map(item => item.id)).toEqual(['huge']);
+  });
+  
+  test('should report items without a shape as unplaced', () => {
+    const items = [
+      { id: 'small', polygons: square(20) },
+      { id: 'line', polygons: [[{ X: 0, Y: 0 }, { X: 50, Y: 0 }]] },
+      { id: 'empty', polygons: [] }
+    ];
+    
+    const result = nestPolygons(items, 100, 100);
+    
+    expect(result.pages[0].placements.map(placement => placement.item.id)).toEqual(['small']);
+    expect(result.unplaced.map(item => item.id)).toEqual(['line', 'empty']);
+  });
+});
+
+describe('Nesting placement mode', () => {
+  const gridStrategy = {
+    printableWidth: 100,
+    printableHeight: 55,
+    effectiveWidth: 100,
+    effectiveHeight: 55,
+    overlap: 0,
+    margin: 10,
+    placementMode: 'nesting'
+  };
+  
+  // Mock pattern group with a triangular seam-allowance outline
+  const createTriangleGroup = (id) => {
+    const d = 'M 0,0 L 98,0 L 0,49 Z';
+    const bbox = { x: 0, y: 0, width: 98, height: 49 };
+    const outline = {
+      getAttribute: (attr) => attr === 'd' ? d : null,
+      cloneNode: () => {
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.getBBox = () => bbox;
+        return path;
+      }
+    };
+    return {
+      parentElement: { tagName: 'svg' },
+      getAttribute: (attr) => attr === 'id' ? id : null,
+      querySelectorAll: (selector) => {
+        if (selector === '.seam-allowance' || selector === 'path.seam-allowance') return [outline];
+        return [];
+      },
+      querySelector: () => null
+    };
+  };
+  
+  test('should place interlocking pieces on a single page', () => {
+    const svg = {
+      querySelectorAll: (selector) => selector === 'g'
+        ? [createTriangleGroup('front'), createTriangleGroup('back')]
+        : []
+    };
+    
+    const placement = calculateUnitPlacement(svg, gridStrategy);
+    
+    expect(placement.pages.length).toBe(1);
+    expect(placement.pages[0].units.length).toBe(2);
+    expect(placement.unplacedUnits.length).toBe(0);
+  });
+  
+  test('should place the units of a new preview like the same pattern before', () => {
+    const createSVG = () => ({
+      querySelectorAll: (selector) => selector === 'g'
+        ? [createTriangleGroup('front'), createTriangleGroup('back')]
+        : []
+    });
+    
+    const first = calculateUnitPlacement(createSVG(), gridStrategy);
+    const second = calculateUnitPlacement(createSVG(), gridStrategy);
+    
+    const positions = placement => placement.pages[0].units.map(unit => [unit.id, unit.x, unit.y, unit.rotation]);
+    expect(positions(second)).toEqual(positions(first));
+    expect(second.pages[0].units[0].element).not.toBe(first.pages[0].units[0].element);
+  });
+  
+  test('should emit a rotate transform for rotated units', () => {
+    const originalSVG = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    
+    const page = {
+      units: [{
+        element: group,
+        x: 10,
+        y: 20,
+        width: 40,
+        height: 30,
+        rotation: 180,
+        boundingBox: { x: 100, y: 200, width: 40, height: 30 }
+      }]
+    };
+    
+    const pagedSVG = createPlacedUnitsSVG(originalSVG, page, gridStrategy);
+    const transform = pagedSVG.querySelector('g').getAttribute('transform');
+    
+    expect(transform).toBe('translate(30, 35) rotate(180) translate(-120, -215)');
+  });
+});
@@ -0,0 +1,209 @@
+import { describe, test, expect } from 'vitest';
+import { createBin, findPosition, placeRect } from '../src/js/rect-packing.js';
+import { calculateUnitPlacement } from '../src/js/unit-placement.js';
+
+// Pack rectangles into a bin and return their positions (null when they do not fit)
+const pack = (bin, sizes) => sizes.map(([width, height]) => {
+  const position = findPosition(bin, width, height);
+  if (position) {
+    placeRect(bin, { ...position, width, height });
+  }
+  return position;
+});
+
+const overlaps = (a, b) => !(
+  a.x + a.width <= b.x ||
+  b.x + b.width <= a.x ||
+  a.y + a.height <= b.y ||
+  b.y + b.height <= a.y
+);
+
+describe('Rectangle Packing', () => {
+  test('should place the first rectangle in the top left corner', () => {
+    const bin = createBin(100, 100);
+    
+    expect(findPosition(bin, 40, 30)).toEqual({ x: 0, y: 0 });
+  });
+  
+  test('should fill a row before starting the next one', () => {
+    const bin = createBin(100, 100);
+    
+    const positions = pack(bin, [[50, 50], [50, 50], [50, 50]]);
+    
+    expect(positions).toEqual([
+      { x: 0, y: 0 },
+      { x: 50, y: 0 },
+      { x: 0, y: 50 }
+    ]);
+  });
+  
+  test('should use the gap next to a taller rectangle', () => {
+    const bin = createBin(100, 100);
+    
+    const positions = pack(bin, [[60, 100], [40, 30], [40, 30], [40, 40]]);
+    
+    expect(positions).toEqual([
+      { x: 0, y: 0 },
+      { x: 60, y: 0 },
+      { x: 60, y: 30 },
+      { x: 60, y: 60 }
+    ]);
+  });
+  
+  test('should return null when the rectangle does not fit', () => {
+    const bin = createBin(100, 100);
+    pack(bin, [[100, 80]]);
+    
+    expect(findPosition(bin, 30, 30)).toBeNull();
+    expect(findPosition(bin, 100, 20)).toEqual({ x: 0, y: 80 });
+  });
+  
+  test('should never overlap rectangles', () => {
+    const bin = createBin(200, 300);
+    const sizes = [];
+    for (let i = 0; i < 30; i++) {
+      sizes.push([10 + (i * 37) % 60, 10 + (i * 53) % 70]);
+    }
+    
+    const placed = pack(bin, sizes)
+      .map((position, i) => position && { ...position, width: sizes[i][0], height: sizes[i][1] })
+      .filter(Boolean);
+    
+    for (let i = 0; i < placed.length; i++) {
+      expect(placed[i].x + placed[i].width).toBeLessThanOrEqual(200);
+      expect(placed[i].y + placed[i].height).toBeLessThanOrEqual(300);
+      for (let j = i + 1; j < placed.length; j++) {
+        expect(overlaps(placed[i], placed[j])).toBe(false);
+      }
+    }
+  });
+  
+  test('should keep positions within the given limits', () => {
+    const bin = createBin(100, 100);
+    pack(bin, [[50, 100]]);
+    
+    expect(findPosition(bin, 40, 40)).toEqual({ x: 50, y: 0 });
+    expect(findPosition(bin, 40, 40, 40)).toBeNull();
+  });
+  
+  test('should support bins of unbounded height', () => {
+    const bin = createBin(100, Infinity);
+    
+    const positions = pack(bin, [[60, 50], [60, 50], [60, 50]]);
+    
+    expect(positions).toEqual([
+      { x: 0, y: 0 },
+      { x: 0, y: 50 },
+      { x: 0, y: 100 }
+    ]);
+  });
+});
+
+describe('Unit Placement with Rectangle Packing', () => {
+  const gridStrategy = {
+    printableWidth: 277,
+    printableHeight: 400,
+    margin: 10
+  };
+  
+  // Mock pattern group whose seam-allowance outline has the given size
+  // (pieces are spread out so that none of them overlap in the source SVG)
+  const createMockGroup = (id, width, height, index) => {
+    const bbox = { x: index * 1000, y: 0, width, height };
+    return {
+      parentElement: { tagName: 'svg' },
+      getAttribute: (attr) => attr === 'id' ? id : null,
+      querySelectorAll: (selector) => {
+        if (selector === '.seam-allowance') {
+          return [{
+            cloneNode: () => {
+              const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+              path.getBBox = () => bbox;
+              return path;
+            }
+          }];
+        }
+        return [];
+      },
+      querySelector: () => null
+    };
+  };
+  
+  const createMockSVG = (sizes) => {
+    const groups = sizes.map(([width, height], i) => createMockGroup(`piece-${i}`, width, height, i));
+    return { querySelectorAll: (selector) => selector === 'g' ? groups : [] };
+  };
+  
+  // 40 pieces of mixed sizes
+  const sizes = [];
+  for (let i = 0; i < 40; i++) {
+    sizes.push([20 + (i * 47) % 120, 20 + (i * 71) % 150]);
+  }
+  
+  test('should place many units without overlaps', () => {
+    const placement = calculateUnitPlacement(createMockSVG(sizes), gridStrategy);
+    
+    expect(placement.unplacedUnits.length).toBe(0);
+    expect(placement.placedUnits).toBe(40);
+    
+    placement.pages.forEach(page => {
+      page.units.forEach((unit, i) => {
+        expect(unit.x + unit.width).toBeLessThanOrEqual(gridStrategy.printableWidth);
+        expect(unit.y + unit.height).toBeLessThanOrEqual(gridStrategy.printableHeight);
+        page.units.slice(i + 1).forEach(other => {
+          expect(overlaps(unit, other)).toBe(false);
+        });
+      });
+    });
+  });
+  
+  test('should give the same result on every run', () => {
+    const first = calculateUnitPlacement(createMockSVG(sizes), gridStrategy);
+    const second = calculateUnitPlacement(createMockSVG(sizes), gridStrategy);
+    
+    const layoutOf = (placement) => placement.pages.map(page =>
+      page.units.map(unit => `${unit.id}@${unit.x},${unit.y}`).join(' ')
+    );
+    
+    expect(layoutOf(second)).toEqual(layoutOf(first));
+  });
+  
+  test('should use units up to the full page size', () => {
+    const placement = calculateUnitPlacement(createMockSVG([[277, 400], [277, 400]]), gridStrategy);
+    
+    expect(placement.pages.length).toBe(2);
+    expect(placement.unplacedUnits.length).toBe(0);
+  });
+  
+  test('should keep the gap of each piece\'s own seam allowance', () => {
+    // Two 100mm pieces with seam allowance; the first one overrides the global 10mm with 0mm
+    const createAllowanceGroup = (id, index, attributes) => {
+      const group = createMockGroup(id, 100, 50, index);
+      group.getAttribute = (attr) => attr === 'id' ? id : attributes[attr] ?? null;
+      group.querySelector = (selector) => selector === 'path.seam-allowance' ? {} : null;
+      return group;
+    };
+    const layout = (attributes) => {
+      const groups = [createAllowanceGroup('piece-0', 0, attributes), createAllowanceGroup('piece-1', 1, {})];
+      const svg = { querySelectorAll: (selector) => selector === 'g' ? groups : [] };
+      return calculateUnitPlacement(svg, { ...gridStrategy, seamAllowance: 10 }).pages[0].units;
+    };
+    
+    // Margin after a unit: seam allowance on both sides plus 2mm
+    expect(layout({}).map(unit => unit.x)).toEqual([0, 122]);
+    expect(layout({ 'data-seam-allowance': '0' }).map(unit => unit.x)).toEqual([0, 102]);
+  });
+  
+  test('should keep the sort order that needs the fewest pages', () => {
+    // Sorting by area or height needs two pages for these units,
+    // sorting by perimeter fits them all on one page
+    const placement = calculateUnitPlacement(createMockSVG([
+      [20, 240],
+      [70, 130],
+      [190, 50],
+      [210, 220]
+    ]), gridStrategy);
+    
+    expect(placement.pages.length).toBe(1);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, test, expect } from 'vitest';
+import {
+  getDocumentUnitSize,
+  isBlenderExport,
+  getLargestPieceSize,
+  detectScale
+} from '../src/js/scale-detection.js';
+import { createSVG } from './helpers.js';
+
+// SVG with one rectangular seam of the given size in user units
+function createPattern(attributes, width, height, extra = '') {
+  return createSVG(`
+    ${extra}
+    <g id="small"><path class="seam" d="M 0 0 H 10 V 10 H 0 Z"/></g>
+    <g id="large" transform="translate(100 100)"><path class="seam" d="M 0 0 H ${width} V ${height} H 0 Z"/></g>
+  `, attributes);
+}
+
+describe('Scale Detection', () => {
+  test('should read the size of a user unit from the document size', () => {
+    expect(getDocumentUnitSize(createPattern('viewBox="0 0 200 100" width="20cm" height="10cm"', 1, 1))).toBeCloseTo(1);
+    expect(getDocumentUnitSize(createPattern('viewBox="0 0 96 96" width="1in" height="1in"', 1, 1))).toBeCloseTo(25.4 / 96);
+    expect(getDocumentUnitSize(createPattern('viewBox="0 0 100 100" width="100%"', 1, 1))).toBeNull();
+    expect(getDocumentUnitSize(createPattern('width="100mm"', 1, 1))).toBeNull();
+  });
+  
+  test('should recognise Blender exports', () => {
+    expect(isBlenderExport(createPattern('', 1, 1))).toBe(false);
+    expect(isBlenderExport(createPattern('', 1, 1, '<!-- Exported from Blender -->'))).toBe(true);
+    expect(isBlenderExport(createPattern('', 1, 1, '<metadata>Blender 4.1</metadata>'))).toBe(true);
+    
+    const svg = createPattern('', 1, 1);
+    const guide = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    guide.setAttribute('class', 'sewinguide');
+    svg.querySelector('g').appendChild(guide);
+    expect(isBlenderExport(svg)).toBe(true);
+  });
+  
+  test('should measure the largest piece', () => {
+    expect(getLargestPieceSize(createPattern('', 300, 600))).toEqual({ width: 300, height: 600, id: 'large' });
+  });
+  
+  test('should trust document units that give plausible piece sizes', () => {
+    const suggestion = detectScale(createPattern('viewBox="0 0 2000 2000" width="529.17mm" height="529.17mm"', 1500, 2500));
+    
+    expect(suggestion.scale).toBeCloseTo(26.46, 2);
+    expect(suggestion.confidence).toBe('high');
+    expect(suggestion.source).toBe('units');
+    expect(suggestion.largestPiece.height).toBeCloseTo(661.5, 1);
+  });
+  
+  test('should suggest a decimal scale for metre-based Blender exports', () => {
+    const size = 14433.48;
+    const suggestion = detectScale(createPattern(
+      `viewBox="0 0 ${size} ${size}" width="${size}mm" height="${size}mm"`, 5160, 9325, '<!-- Blender -->'));
+    
+    expect(suggestion).toEqual({
+      scale: 10,
+      confidence: 'high',
+      source: 'blender',
+      largestPiece: { width: 516, height: 932.5 }
+    });
+  });
+  
+  test('should lower the confidence without supporting evidence', () => {
+    expect(detectScale(createPattern('', 4000, 6000))).toMatchObject({ scale: 10, confidence: 'medium', source: 'size' });
+    expect(detectScale(createPattern('', 20, 30))).toMatchObject({ scale: 100, confidence: 'low' });
+    
+    expect(detectScale(createSVG('<rect width="10" height="10"/>'))).toBeNull();
+  });
+});
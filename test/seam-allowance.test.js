@@ -68,6 +68,27 @@ describe('Seam Allowance', () => {
             expect(hasTopPoint).toBe(true);
             expect(bottomPoints.length).toBeGreaterThanOrEqual(2);
         });
+        
+        it('should follow curved seams instead of their chords', () => {
+            // Circle of radius 40 around (50,50) drawn with two arcs
+            const pathData = 'M 10,50 A 40,40 0 0 1 90,50 A 40,40 0 0 1 10,50 Z';
+            const offset = 5;
+            
+            const expanded = expandPath(pathData, offset, { curveTolerance: 0.05 });
+            
+            const coords = expanded.match(/[\d.]+/g).map(Number);
+            const distances = [];
+            for (let i = 0; i < coords.length; i += 2) {
+                distances.push(Math.hypot(coords[i] - 50, coords[i + 1] - 50));
+            }
+            
+            // Every point of the allowance lies about radius + offset from the center
+            expect(distances.length).toBeGreaterThan(20);
+            distances.forEach(distance => {
+                expect(distance).toBeGreaterThan(44.5);
+                expect(distance).toBeLessThan(45.5);
+            });
+        });
     });
     
     describe('applySeamAllowance', () => {
@@ -263,4 +284,260 @@ describe('Seam Allowance', () => {
             expect(allowance2.getAttribute('d')).toMatch(/^M\s+[\d.]+,[\d.]+/);
         });
     });
-});
\ No newline at end of file
+    
+    describe('multi-contour seams', () => {
+        // Split path data into subpaths of {x, y} points
+        const getSubpaths = (pathData) => pathData.split('M').filter(part => part.trim()).map(part => {
+            const coords = part.match(/-?[\d.]+/g).map(Number);
+            const points = [];
+            for (let i = 0; i < coords.length; i += 2) {
+                points.push({ x: coords[i], y: coords[i + 1] });
+            }
+            return points;
+        });
+        
+        const createPiece = (pathData) => {
+            const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            group.setAttribute('id', 'pattern-piece-1');
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.setAttribute('d', pathData);
+            path.setAttribute('class', 'seam');
+            group.appendChild(path);
+            svg.appendChild(group);
+            return svg;
+        };
+        
+        it('should expand the outline and shrink the hole', () => {
+            // Both contours drawn in the same direction
+            const pathData = 'M 0,0 L 100,0 L 100,100 L 0,100 Z M 30,30 L 70,30 L 70,70 L 30,70 Z';
+            
+            const subpaths = getSubpaths(expandPath(pathData, 5));
+            
+            expect(subpaths.length).toBe(2);
+            const [outline, hole] = subpaths.sort((a, b) =>
+                Math.min(...a.map(p => p.x)) - Math.min(...b.map(p => p.x)));
+            expect(Math.min(...outline.map(p => p.x))).toBeCloseTo(-5, 2);
+            expect(Math.max(...outline.map(p => p.y))).toBeCloseTo(105, 2);
+            expect(Math.min(...hole.map(p => p.x))).toBeCloseTo(35, 2);
+            expect(Math.max(...hole.map(p => p.y))).toBeCloseTo(65, 2);
+        });
+        
+        it('should emit all contours with the even-odd fill rule and no warning', () => {
+            const svg = createPiece('M 0,0 L 100,0 L 100,100 L 0,100 Z M 30,30 L 30,70 L 70,70 L 70,30 Z');
+            
+            const result = applySeamAllowance(svg, 5);
+            const allowance = result.svg.querySelector('path.seam-allowance');
+            
+            expect(getSubpaths(allowance.getAttribute('d')).length).toBe(2);
+            expect(allowance.getAttribute('fill-rule')).toBe('evenodd');
+            expect(result.warnings).toEqual([]);
+        });
+        
+        it('should warn when a cut-out closes up', () => {
+            const svg = createPiece('M 0,0 L 100,0 L 100,100 L 0,100 Z M 45,45 L 53,45 L 53,53 L 45,53 Z');
+            
+            const result = applySeamAllowance(svg, 5);
+            
+            expect(result.warnings).toEqual([{
+                pieceId: 'pattern-piece-1',
+                outlines: 1,
+                holes: 0,
+                sourceOutlines: 1,
+                sourceHoles: 1
+            }]);
+        });
+        
+        it('should warn when a cut-out splits into several parts', () => {
+            // Two 30mm windows joined by a 4mm wide slot
+            const pathData = 'M 0,0 L 200,0 L 200,100 L 0,100 Z ' +
+                'M 20,20 L 50,20 L 50,48 L 150,48 L 150,20 L 180,20 L 180,80 L 150,80 L 150,52 L 50,52 L 50,80 L 20,80 Z';
+            const svg = createPiece(pathData);
+            
+            const result = applySeamAllowance(svg, 5);
+            
+            expect(result.warnings.length).toBe(1);
+            expect(result.warnings[0].holes).toBe(2);
+        });
+    });
+    
+    describe('corner styles', () => {
+        const square = 'M 0,0 L 100,0 L 100,100 L 0,100 Z';
+        
+        // Parse path data into {x, y} points
+        const getPoints = (pathData) => {
+            const coords = pathData.match(/-?[\d.]+/g).map(Number);
+            const points = [];
+            for (let i = 0; i < coords.length; i += 2) {
+                points.push({ x: coords[i], y: coords[i + 1] });
+            }
+            return points;
+        };
+        const hasPoint = (points, x, y) => points.some(p => Math.abs(p.x - x) < 0.01 && Math.abs(p.y - y) < 0.01);
+        
+        const createSeam = (svg, pathData, attributes = {}) => {
+            const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            Object.entries(attributes.group || {}).forEach(([name, value]) => group.setAttribute(name, value));
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.setAttribute('d', pathData);
+            path.setAttribute('class', 'seam');
+            Object.entries(attributes.path || {}).forEach(([name, value]) => path.setAttribute(name, value));
+            group.appendChild(path);
+            svg.appendChild(group);
+        };
+        
+        it('should keep pointed corners within the miter limit', () => {
+            const points = getPoints(expandPath(square, 10, { cornerStyle: 'miter', miterLimit: 2 }));
+            
+            expect(hasPoint(points, -10, -10)).toBe(true);
+            expect(hasPoint(points, 110, 110)).toBe(true);
+        });
+        
+        it('should cut off corners beyond the miter limit', () => {
+            // A right-angle miter reaches 1.41 times the allowance from the corner
+            const points = getPoints(expandPath(square, 10, { cornerStyle: 'miter', miterLimit: 1.2 }));
+            
+            expect(hasPoint(points, -10, -10)).toBe(false);
+            expect(hasPoint(points, -10, -4.142)).toBe(true);
+            expect(hasPoint(points, -4.142, -10)).toBe(true);
+        });
+        
+        it('should round corners at the allowance distance', () => {
+            const points = getPoints(expandPath(square, 10, { cornerStyle: 'round', curveTolerance: 0.05 }));
+            
+            expect(points.length).toBeGreaterThan(12);
+            points.forEach(p => {
+                // Distance from the seam square
+                const dx = Math.max(0 - p.x, 0, p.x - 100);
+                const dy = Math.max(0 - p.y, 0, p.y - 100);
+                expect(Math.hypot(dx, dy)).toBeGreaterThan(9.9);
+                expect(Math.hypot(dx, dy)).toBeLessThan(10.1);
+            });
+        });
+        
+        it('should cut corners off square to the bisector', () => {
+            const points = getPoints(expandPath(square, 10, { cornerStyle: 'square' }));
+            
+            expect(points.length).toBe(8);
+            expect(hasPoint(points, -10, -10)).toBe(false);
+            expect(hasPoint(points, 110, 104.142)).toBe(true);
+            expect(hasPoint(points, 104.142, 110)).toBe(true);
+        });
+        
+        it('should mirror the side seam allowance at a folded hem', () => {
+            // Leg narrowing towards the hem; the hem (bottom edge, segment 3) gets 30mm
+            const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            createSeam(svg, 'M 0,0 L 100,0 L 90,100 L 10,100 Z', {
+                group: { 'data-corner-style': 'mirrored' },
+                path: { 'data-edge-allowances': '3:30' }
+            });
+            
+            const result = applySeamAllowance(svg, 10);
+            const points = getPoints(result.svg.querySelector('path.seam-allowance').getAttribute('d'));
+            
+            // The side seam cut lines reach the hem line at x = 100.05 and x = -0.05 and are
+            // mirrored there, so the hem ends widen again towards the folded-up edge
+            expect(hasPoint(points, 100.05, 100)).toBe(true);
+            expect(hasPoint(points, 103.05, 130)).toBe(true);
+            expect(hasPoint(points, -0.05, 100)).toBe(true);
+            expect(hasPoint(points, -3.05, 130)).toBe(true);
+        });
+        
+        it('should give a plain right-angle corner when mirroring a square', () => {
+            const points = getPoints(expandPath(square, 10, { cornerStyle: 'mirrored' }));
+            
+            expect(points.length).toBe(4);
+            expect(hasPoint(points, -10, -10)).toBe(true);
+            expect(hasPoint(points, 110, 110)).toBe(true);
+        });
+        
+        it('should let a piece override the corner style', () => {
+            const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            createSeam(svg, square, { group: { 'data-corner-style': 'round' } });
+            createSeam(svg, square);
+            
+            const result = applySeamAllowance(svg, 10, { cornerStyle: 'miter' });
+            const [rounded, pointed] = Array.from(result.svg.querySelectorAll('path.seam-allowance'))
+                .map(path => getPoints(path.getAttribute('d')));
+            
+            expect(hasPoint(rounded, -10, -10)).toBe(false);
+            expect(hasPoint(pointed, -10, -10)).toBe(true);
+        });
+    });
+    
+    describe('curved stretches', () => {
+        // Bodice with an armhole-like concave curve of radius 50 cut into the top edge
+        const bodice = 'M 0 0 L 50 0 A 50 50 0 0 0 150 0 L 200 0 L 200 200 L 0 200 Z';
+        
+        const getPoints = (pathData) => {
+            const coords = pathData.match(/-?[\d.]+/g).map(Number);
+            const points = [];
+            for (let i = 0; i < coords.length; i += 2) {
+                points.push({ x: coords[i], y: coords[i + 1] });
+            }
+            return points;
+        };
+        
+        const createBodice = () => {
+            const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.setAttribute('d', bodice);
+            path.setAttribute('class', 'seam');
+            group.appendChild(path);
+            svg.appendChild(group);
+            return svg;
+        };
+        
+        it('should narrow the allowance on curves and keep it on straight edges', () => {
+            const result = applySeamAllowance(createBodice(), 15, { curvedAllowance: 6 });
+            const points = getPoints(result.svg.querySelector('path.seam-allowance').getAttribute('d'));
+            
+            // Bottom of the curve (y = 50) and the straight sides
+            const bottom = points.filter(p => Math.abs(p.x - 100) < 3);
+            expect(bottom.length).toBeGreaterThan(0);
+            bottom.forEach(p => expect(p.y).toBeCloseTo(44, 0));
+            expect(Math.max(...points.map(p => p.x))).toBeCloseTo(215, 1);
+            expect(Math.max(...points.map(p => p.y))).toBeCloseTo(215, 1);
+        });
+        
+        it('should change the width gradually next to the curve', () => {
+            const result = applySeamAllowance(createBodice(), 15, { curvedAllowance: 6 });
+            const points = getPoints(result.svg.querySelector('path.seam-allowance').getAttribute('d'));
+            
+            // The top edge left of the curve: full width far away, narrower close to the curve
+            const top = points.filter(p => p.y < 0 && p.x < 50);
+            expect(Math.min(...top.map(p => p.y))).toBeCloseTo(-15, 1);
+            expect(top.some(p => p.y > -14 && p.y < -6)).toBe(true);
+        });
+        
+        it('should add clip marks on concave curves only', () => {
+            const result = applySeamAllowance(createBodice(), 15, { curvedAllowance: 6 });
+            const clips = result.svg.querySelector('path.clip-marks');
+            
+            expect(clips).not.toBeNull();
+            const marks = clips.getAttribute('d').split('M').slice(1).map(getPoints);
+            // About one mark per 10mm of the 157mm curve
+            expect(marks.length).toBeGreaterThanOrEqual(12);
+            expect(marks.length).toBeLessThanOrEqual(16);
+            marks.forEach(([from, to]) => {
+                // From the cut line (6mm from the seam) to 2mm from the seam
+                expect(Math.hypot(from.x - 100, from.y)).toBeCloseTo(44, 0);
+                expect(Math.hypot(to.x - 100, to.y)).toBeCloseTo(48, 0);
+            });
+            
+            // A convex curve (circle) gets no clip marks
+            const svg = createBodice();
+            svg.querySelector('path.seam').setAttribute('d', 'M 0 50 A 50 50 0 1 1 100 50 A 50 50 0 1 1 0 50 Z');
+            expect(applySeamAllowance(svg, 15, { curvedAllowance: 6 }).svg.querySelector('path.clip-marks')).toBeNull();
+        });
+        
+        it('should leave the allowance unchanged without the option', () => {
+            const result = applySeamAllowance(createBodice(), 15);
+            const points = getPoints(result.svg.querySelector('path.seam-allowance').getAttribute('d'));
+            
+            points.filter(p => Math.abs(p.x - 100) < 3).forEach(p => expect(p.y).toBeCloseTo(35, 0));
+            expect(result.svg.querySelector('path.clip-marks')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,70 @@
+import { describe, test, expect } from 'vitest';
+import {
+  getPathLength,
+  measureSewingguidePairs,
+  createSeamLengthReportPages
+} from '../src/js/seam-length.js';
+import { createSVG } from './helpers.js';
+
+// Sleeve cap eased into a shorter armhole, and a side seam that matches
+function createPattern() {
+  return createSVG(`
+    <g data-pattern-symbol="B">
+      <path class="sewinguide" d="M 0 0 L 0 105" data-sewingguide-label="A:B:1" data-original-symbols="B:A"/>
+      <path class="sewinguide" d="M 0 0 L 300 0" data-sewingguide-label="B:C:1" data-original-symbols="B:C"/>
+    </g>
+    <g data-pattern-symbol="A">
+      <path class="sewinguide" d="M 0 0 L 100 0" data-sewingguide-label="A:B:1" data-original-symbols="A:B"/>
+    </g>
+    <g data-pattern-symbol="C">
+      <path class="sewinguide" d="M 0 0 L 0 300.5" data-sewingguide-label="B:C:1" data-original-symbols="C:B"/>
+    </g>
+  `);
+}
+
+describe('Seam Length Report', () => {
+  test('should measure lines, closed outlines and curves', () => {
+    expect(getPathLength('M 0 0 L 30 40')).toBeCloseTo(50);
+    expect(getPathLength('M 0 0 L 100 0 L 100 100 L 0 100 Z')).toBeCloseTo(400);
+    // Half circle of radius 50
+    expect(getPathLength('M 0 0 A 50 50 0 0 1 100 0')).toBeCloseTo(Math.PI * 50, 1);
+  });
+  
+  test('should compare the edges of each pair in label order', () => {
+    const pairs = measureSewingguidePairs(createPattern(), 2);
+    
+    expect(pairs.map(pair => pair.label)).toEqual(['A:B:1', 'B:C:1']);
+    
+    const [sleeve, side] = pairs;
+    expect(sleeve.first).toEqual({ symbol: 'A', length: 100 });
+    expect(sleeve.second).toEqual({ symbol: 'B', length: 105 });
+    expect(sleeve.difference).toBeCloseTo(5);
+    expect(sleeve.ease).toBeCloseTo(5);
+    expect(sleeve.flagged).toBe(true);
+    
+    expect(side.difference).toBeCloseTo(0.5);
+    expect(side.flagged).toBe(false);
+  });
+  
+  test('should ignore guides without a partner', () => {
+    const svg = createPattern();
+    svg.querySelector('[data-original-symbols="C:B"]').remove();
+    
+    expect(measureSewingguidePairs(svg).map(pair => pair.label)).toEqual(['A:B:1']);
+  });
+  
+  test('should split the report over several pages', () => {
+    const pair = measureSewingguidePairs(createPattern())[0];
+    const pairs = Array.from({ length: 40 }, (_, i) => ({ ...pair, label: `A:B:${i + 1}` }));
+    
+    const pages = createSeamLengthReportPages(pairs, { printableWidth: 190, printableHeight: 150 });
+    
+    // (150 - 28 - 5) / 6 = 19 rows per page
+    expect(pages).toHaveLength(3);
+    expect(pages[0].getAttribute('viewBox')).toBe('0 0 190 150');
+    expect(pages[2].querySelector('text').textContent).toBe('Seam length report (3/3)');
+    const labels = Array.from(pages[0].querySelectorAll('text')).map(text => text.textContent);
+    expect(labels).toContain('! A:B:1');
+    expect(labels).toContain('+5.0');
+  });
+});
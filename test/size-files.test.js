@@ -0,0 +1,140 @@
+import { describe, test, expect } from 'vitest';
+import {
+  getSizeNameFromFileName,
+  compareSizeNames,
+  getPieceShape,
+  getShapeDistance,
+  matchSizePieces,
+  linkSizePattern,
+  copyPieceSettings,
+  findUnmatchedSeams
+} from '../src/js/size-files.js';
+import { getGrainline, setGrainline } from '../src/js/grainline.js';
+import { FOLD_EDGE_ATTRIBUTE, EDGE_ALLOWANCES_ATTRIBUTE } from '../src/js/edge-allowance.js';
+import { nestGradedSizes, getSizeStyles } from '../src/js/grading.js';
+
+// SVG of one size: a rectangle and a triangle with the given sizes, symbols and positions
+function createSize({ rect = 100, triangle = 60, swap = false, offset = 0 } = {}) {
+  const pieces = [
+    `<g id="rect" data-pattern-symbol="A" transform="translate(${offset} 0)">
+      <path class="seam" d="M 0 0 L ${rect} 0 L ${rect} ${rect * 2} L 0 ${rect * 2} Z"/>
+    </g>`,
+    `<g id="triangle" data-pattern-symbol="B">
+      <path class="seam" d="M 300 0 L ${300 + triangle} 0 L 300 ${triangle} Z"/>
+    </g>`
+  ];
+  if (swap) pieces.reverse();
+  
+  const container = document.createElement('div');
+  container.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg">${pieces.join('')}</svg>`;
+  return container.querySelector('svg');
+}
+
+describe('Size Files', () => {
+  test('should read and sort size names from file names', () => {
+    expect(getSizeNameFromFileName('dress_M.svg')).toBe('M');
+    expect(getSizeNameFromFileName('dress-size-38.SVG')).toBe('38');
+    expect(getSizeNameFromFileName('dress.svg')).toBe('dress');
+    
+    expect(['XL', 'S', '2XL', 'M'].sort(compareSizeNames)).toEqual(['S', 'M', 'XL', '2XL']);
+    expect(['40', '36', '38'].sort(compareSizeNames)).toEqual(['36', '38', '40']);
+  });
+  
+  test('should compare piece shapes independent of position', () => {
+    const svg = createSize({ offset: 50 });
+    const shape = getPieceShape(svg.querySelector('#rect'));
+    expect(shape.area).toBeCloseTo(20000);
+    expect(shape.center).toEqual({ X: 100, Y: 100 });
+    
+    const larger = getPieceShape(createSize({ rect: 110 }).querySelector('#rect'));
+    const triangle = getPieceShape(svg.querySelector('#triangle'));
+    expect(getShapeDistance(shape, larger)).toBeLessThan(getShapeDistance(shape, triangle));
+  });
+  
+  test('should match pieces by symbol and fall back to the shape', () => {
+    const base = createSize();
+    
+    // Same symbols in another order
+    let { matches, unmatched } = matchSizePieces(base, createSize({ rect: 110, swap: true }));
+    expect(matches.get(base.querySelector('#rect')).querySelector('path').getAttribute('d')).toContain('110');
+    expect(unmatched).toHaveLength(0);
+    
+    // Symbols assigned in file order point to the wrong pieces; the shapes decide
+    const size = createSize({ rect: 110, swap: true });
+    size.children[0].setAttribute('data-pattern-symbol', 'A');
+    size.children[1].setAttribute('data-pattern-symbol', 'B');
+    ({ matches, unmatched } = matchSizePieces(base, size));
+    expect(matches.get(base.querySelector('#rect'))).toBe(size.children[1]);
+    expect(matches.get(base.querySelector('#triangle'))).toBe(size.children[0]);
+  });
+  
+  test('should give matched pieces the base ID and center them on the base piece', () => {
+    const base = createSize();
+    const size = createSize({ rect: 120, offset: 30 });
+    size.querySelector('#rect').setAttribute('id', 'front');
+    
+    expect(linkSizePattern(base, size)).toHaveLength(0);
+    
+    const piece = size.querySelector('#rect');
+    expect(piece).not.toBeNull();
+    expect(getPieceShape(piece).center.X).toBeCloseTo(50);
+    expect(getPieceShape(piece).center.Y).toBeCloseTo(100);
+  });
+  
+  test('should copy the piece settings of the base size', () => {
+    const base = createSize();
+    const size = createSize({ rect: 110 });
+    base.querySelector('#rect').setAttribute('data-cut-count', '2');
+    size.querySelector('#rect').setAttribute('data-lock-orientation', 'true');
+    
+    copyPieceSettings(base, size);
+    
+    expect(size.querySelector('#rect').getAttribute('data-cut-count')).toBe('2');
+    expect(size.querySelector('#rect').hasAttribute('data-lock-orientation')).toBe(false);
+  });
+  
+  test('should copy folds, edge allowances and grainlines to the matching seams of a size', () => {
+    const base = createSize();
+    const size = createSize({ rect: 110, offset: 20 });
+    const baseSeam = base.querySelector('#rect path.seam');
+    baseSeam.setAttribute(FOLD_EDGE_ATTRIBUTE, '3');
+    baseSeam.setAttribute(EDGE_ALLOWANCES_ATTRIBUTE, '1:25');
+    setGrainline(base.querySelector('#rect'), { X: 50, Y: 20 }, { X: 50, Y: 180 });
+    
+    copyPieceSettings(base, size);
+    
+    const sizeSeam = size.querySelector('#rect path.seam');
+    expect(sizeSeam.getAttribute(FOLD_EDGE_ATTRIBUTE)).toBe('3');
+    expect(sizeSeam.getAttribute(EDGE_ALLOWANCES_ATTRIBUTE)).toBe('1:25');
+    // The grainline stays at the same place on the page although the size piece is moved
+    expect(getGrainline(size.querySelector('#rect'))).toEqual({ start: { X: 30, Y: 20 }, end: { X: 30, Y: 180 } });
+    expect(findUnmatchedSeams(base, size)).toHaveLength(0);
+  });
+  
+  test('should report seam settings of pieces whose seams differ in a size', () => {
+    const base = createSize();
+    const size = createSize();
+    base.querySelector('#rect path.seam').setAttribute(FOLD_EDGE_ATTRIBUTE, '3');
+    // The size has an extra corner, so the edge indices do not point to the same edges
+    size.querySelector('#rect path.seam').setAttribute('d', 'M 0 0 L 100 0 L 100 100 L 100 200 L 0 200 Z');
+    
+    copyPieceSettings(base, size);
+    
+    expect(size.querySelector('#rect path.seam').hasAttribute(FOLD_EDGE_ATTRIBUTE)).toBe(false);
+    expect(findUnmatchedSeams(base, size)).toEqual([base.querySelector('#rect')]);
+  });
+  
+  test('should nest every piece of sizes loaded from files', () => {
+    const sizes = [createSize({ rect: 90 }), createSize(), createSize({ rect: 110 })];
+    
+    const nested = nestGradedSizes(sizes, ['S', 'M', 'L'], 1, { gradedOnly: false });
+    
+    expect(nested.querySelectorAll('#rect .graded-size')).toHaveLength(2);
+    expect(nested.querySelectorAll('#triangle .graded-size')).toHaveLength(2);
+    
+    // The base size is solid black, the others take the size styles in order
+    const styles = getSizeStyles(3, 1);
+    expect(styles[1]).toEqual({ color: '#000000', dash: '' });
+    expect(nested.querySelector('#rect .graded-size .seam').getAttribute('stroke')).toBe(styles[0].color);
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, test, expect } from 'vitest';
+import { tokenizePath, flattenPath, scalePath, toAbsoluteSegments, formatSegments } from '../src/js/svg-path.js';
+import { parseSVGPath } from '../src/js/clipper-offset.js';
+
+// Largest distance of the polyline points from a circle
+const maxCircleError = (points, cx, cy, r) =>
+  Math.max(...points.map(p => Math.abs(Math.hypot(p.X - cx, p.Y - cy) - r)));
+
+describe('SVG Path', () => {
+  describe('tokenizePath', () => {
+    test('should split repeated arguments and turn extra moveto pairs into linetos', () => {
+      const segments = tokenizePath('m 10 20 5 5 L1,2 3,4');
+      
+      expect(segments).toEqual([
+        { command: 'm', args: [10, 20] },
+        { command: 'l', args: [5, 5] },
+        { command: 'L', args: [1, 2] },
+        { command: 'L', args: [3, 4] }
+      ]);
+    });
+    
+    test('should read compact arc flags and exponent numbers', () => {
+      const segments = tokenizePath('M0,0a5 5 0 0110,0L1e1-2.5e-1');
+      
+      expect(segments[1]).toEqual({ command: 'a', args: [5, 5, 0, 0, 1, 10, 0] });
+      expect(segments[2]).toEqual({ command: 'L', args: [10, -0.25] });
+    });
+    
+    test('should stop at invalid path data and keep the valid segments', () => {
+      const segments = tokenizePath('M 0 0 L 10 0 L 10 x 20');
+      
+      expect(segments).toHaveLength(2);
+    });
+  });
+  
+  describe('scalePath', () => {
+    test('should keep arc rotations and flags', () => {
+      expect(scalePath('M0,0a50 25 30 0110,0', 0.1)).toBe('M 0 0 a 5 2.5 30 0 1 1 0');
+    });
+    
+    test('should scale exponent numbers and avoid floating point noise', () => {
+      expect(scalePath('M 1e3 -2.5e-1 L .3 .6 Z', 0.1)).toBe('M 100 -0.025 L 0.03 0.06 Z');
+    });
+  });
+  
+  describe('toAbsoluteSegments', () => {
+    test('should make every segment absolute with explicit control points', () => {
+      const segments = toAbsoluteSegments('m 10 10 h 10 v 10 c 0 5 -5 5 -10 5 s -5 -5 -5 -10 q 5 -5 10 0 t 10 0 a 5 5 0 0 1 5 5 z');
+      
+      expect(formatSegments(segments)).toBe(
+        'M 10 10 L 20 10 L 20 20 C 20 25 15 25 10 25 C 5 25 5 20 5 15 Q 10 10 15 15 Q 20 20 25 15 A 5 5 0 0 1 30 20 Z'
+      );
+    });
+  });
+  
+  describe('flattenPath', () => {
+    test('should keep polygons unchanged', () => {
+      const [subpath] = flattenPath('M 0,0 H 10 V 10 h -10 Z');
+      
+      expect(subpath.closed).toBe(true);
+      expect(subpath.points).toEqual([
+        { X: 0, Y: 0 }, { X: 10, Y: 0 }, { X: 10, Y: 10 }, { X: 0, Y: 10 }
+      ]);
+    });
+    
+    test('should treat lowercase commands as relative', () => {
+      const [subpath] = flattenPath('M 10,10 l 5,0 v 5 c 0,0 0,0 -5,0');
+      
+      expect(subpath.points[subpath.points.length - 1]).toEqual({ X: 10, Y: 15 });
+      expect(subpath.points[2]).toEqual({ X: 15, Y: 15 });
+    });
+    
+    test('should flatten cubic Béziers within the tolerance', () => {
+      // Quarter circle of radius 100 approximated by a cubic Bézier
+      const k = 100 * 0.5522847498;
+      const [subpath] = flattenPath(`M 100,0 C 100,${k} ${k},100 0,100`, 0.05);
+      
+      expect(subpath.points.length).toBeGreaterThan(5);
+      expect(maxCircleError(subpath.points, 0, 0, 100)).toBeLessThan(0.1);
+      expect(subpath.points[subpath.points.length - 1]).toEqual({ X: 0, Y: 100 });
+    });
+    
+    test('should use fewer points for a coarser tolerance', () => {
+      const d = 'M 0,0 Q 50,100 100,0';
+      const fine = flattenPath(d, 0.01)[0].points.length;
+      const coarse = flattenPath(d, 1)[0].points.length;
+      
+      expect(fine).toBeGreaterThan(coarse);
+    });
+    
+    test('should reflect the previous control point for S and T', () => {
+      // The smooth curve mirrors the first one, so the shape is symmetric around x = 100
+      const [cubic] = flattenPath('M 0,0 C 0,50 50,50 100,50 S 200,50 200,0', 0.01);
+      const [quadratic] = flattenPath('M 0,0 Q 50,50 100,50 T 200,0', 0.01);
+      
+      [cubic, quadratic].forEach(subpath => {
+        subpath.points.forEach(p => {
+          const mirrored = subpath.points.some(q =>
+            Math.abs(q.X - (200 - p.X)) < 1 && Math.abs(q.Y - p.Y) < 1);
+          expect(mirrored).toBe(true);
+        });
+      });
+      expect(Math.max(...cubic.points.map(p => p.Y))).toBeCloseTo(50, 1);
+    });
+    
+    test('should flatten elliptical arcs with the correct sweep', () => {
+      const [upper] = flattenPath('M 0,50 A 50,50 0 0 1 100,50', 0.05);
+      const [lower] = flattenPath('M 0,50 A 50,50 0 0 0 100,50', 0.05);
+      
+      expect(maxCircleError(upper.points, 50, 50, 50)).toBeLessThan(0.1);
+      expect(Math.min(...upper.points.map(p => p.Y))).toBeCloseTo(0, 1);
+      expect(Math.max(...lower.points.map(p => p.Y))).toBeCloseTo(100, 1);
+    });
+    
+    test('should scale up arc radii that are too small', () => {
+      const [subpath] = flattenPath('M 0,0 A 1,1 0 0 1 100,0', 0.05);
+      
+      // Becomes a half circle of radius 50 around (50, 0)
+      expect(maxCircleError(subpath.points, 50, 0, 50)).toBeLessThan(0.1);
+    });
+    
+    test('should split subpaths', () => {
+      const subpaths = flattenPath('M 0,0 L 10,0 L 10,10 Z M 20,20 l 5,0 l 0,5 z');
+      
+      expect(subpaths).toHaveLength(2);
+      expect(subpaths[1].points[0]).toEqual({ X: 20, Y: 20 });
+      expect(subpaths[1].points[2]).toEqual({ X: 25, Y: 25 });
+    });
+  });
+  
+  describe('parseSVGPath', () => {
+    test('should return the flattened points of a curved seam', () => {
+      const points = parseSVGPath('M 0,0 C 0,50 100,50 100,0 Z');
+      
+      expect(points.length).toBeGreaterThan(3);
+      expect(Math.max(...points.map(p => p.Y))).toBeCloseTo(37.5, 1);
+    });
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, test, expect } from 'vitest';
-import { scaleSVG, createPagedSVG, calculatePageLayout } from '../src/js/svg-processor.js';
+import { scaleSVG, createPagedSVG, calculatePageLayout, getTileLabel } from '../src/js/svg-processor.js';
 
 // Test helper function
 function createTestSVG(width = 100, height = 100) {
@@ -94,6 +94,43 @@ describe('Scale Correction Functions', () => {
     // The current implementation scales stroke-width attributes, not CSS styles
     expect(path.getAttribute('stroke-width')).toBe('1');
   });
+  
+  test('stroke widths in style blocks and inline styles should be adjusted', () => {
+    const svg = createTestSVG();
+    const style = document.createElementNS('http://www.w3.org/2000/svg', 'style');
+    style.textContent = '.seam { stroke-width: 10px; } .cut { stroke-width:5 !important; } .guide { stroke-width: 50%; }';
+    svg.insertBefore(style, svg.firstChild);
+    const path = svg.querySelector('path');
+    path.setAttribute('style', 'fill: none; stroke-width: 2.5mm');
+    
+    scaleSVG(svg, 0.1);
+    
+    expect(style.textContent).toBe('.seam { stroke-width: 1px; } .cut { stroke-width:0.5 !important; } .guide { stroke-width: 50%; }');
+    expect(path.getAttribute('style')).toBe('fill: none; stroke-width: 0.25mm');
+  });
+  
+  test('polygon points with exponents should be scaled as whole numbers', () => {
+    const svg = createTestSVG();
+    const polygon = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+    polygon.setAttribute('points', '0,0 1e3,0 1e3-2e2');
+    svg.appendChild(polygon);
+    
+    scaleSVG(svg, 0.1);
+    
+    expect(polygon.getAttribute('points')).toBe('0,0 100,0 100-20');
+  });
+  
+  test('transforms should keep elements in place', () => {
+    const svg = createTestSVG();
+    const g = svg.querySelector('g');
+    g.setAttribute('transform', 'translate(100, 50) rotate(90 10 20) scale(2)');
+    svg.querySelector('path').setAttribute('transform', 'matrix(1 0 0 1 30 40)');
+    
+    scaleSVG(svg, 0.1);
+    
+    expect(g.getAttribute('transform')).toBe('translate(10 5) rotate(90 1 2) scale(2)');
+    expect(svg.querySelector('path').getAttribute('transform')).toBe('matrix(1 0 0 1 3 4)');
+  });
 });
 
 describe('Page Split Functions', () => {
@@ -168,6 +205,48 @@ describe('Page Split Functions', () => {
   });
 });
 
+describe('Tile Functions', () => {
+  test('tile labels should combine row letter and column number', () => {
+    expect(getTileLabel(0, 0)).toBe('A1');
+    expect(getTileLabel(1, 0)).toBe('A2');
+    expect(getTileLabel(0, 1)).toBe('B1');
+    expect(getTileLabel(2, 27)).toBe('AB3');
+  });
+  
+  test('page layout should use the given bounds instead of the SVG size', () => {
+    const svg = createTestSVG(1000, 1000);
+    const gridStrategy = {
+      effectiveWidth: 180,
+      effectiveHeight: 267
+    };
+    
+    const layout = calculatePageLayout(svg, gridStrategy, { width: 400, height: 267 });
+    
+    expect(layout.pagesX).toBe(3);
+    expect(layout.pagesY).toBe(1);
+    expect(layout.totalPages).toBe(3);
+  });
+  
+  test('paged SVG viewBox should be shifted by the grid origin', () => {
+    const svg = createTestSVG(1000, 1000);
+    const gridStrategy = {
+      printableWidth: 190,
+      printableHeight: 277,
+      effectiveWidth: 180,
+      effectiveHeight: 267,
+      overlap: 10
+    };
+    
+    const pagedSVG = createPagedSVG(svg, 1, 0, gridStrategy, { x: 100, y: 50 });
+    const rect = pagedSVG.querySelector('clipPath rect');
+    
+    // x = 100 + 1 * 180 - 10, y = 50 + 0 * 267 - 10
+    expect(pagedSVG.getAttribute('viewBox')).toBe('270 40 190 277');
+    expect(rect.getAttribute('x')).toBe('270');
+    expect(rect.getAttribute('y')).toBe('40');
+  });
+});
+
 describe('Error Handling', () => {
   test('should not throw error for invalid SVG elements', () => {
     const svg = createTestSVG();
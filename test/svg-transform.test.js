@@ -0,0 +1,104 @@
+import { describe, test, expect } from 'vitest';
+import {
+  parseTransform,
+  parseTransformList,
+  multiplyMatrices,
+  invertMatrix,
+  transformPoint,
+  getCumulativeTransform,
+  transformBoundingBox,
+  scaleTransform,
+  IDENTITY_MATRIX
+} from '../src/js/svg-transform.js';
+import { getElementBoundingBox } from '../src/js/svg-processor.js';
+
+function expectMatrix(actual, expected) {
+  actual.forEach((value, i) => expect(value).toBeCloseTo(expected[i]));
+}
+
+describe('SVG Transforms', () => {
+  describe('parseTransform', () => {
+    test('should parse every transform function', () => {
+      expectMatrix(parseTransform('matrix(1,2,3,4,5,6)'), [1, 2, 3, 4, 5, 6]);
+      expectMatrix(parseTransform('translate(10)'), [1, 0, 0, 1, 10, 0]);
+      expectMatrix(parseTransform('scale(2 3)'), [2, 0, 0, 3, 0, 0]);
+      expectMatrix(parseTransform('scale(2)'), [2, 0, 0, 2, 0, 0]);
+      expectMatrix(parseTransform('rotate(90)'), [0, 1, -1, 0, 0, 0]);
+      expectMatrix(parseTransform('skewX(45)'), [1, 0, 1, 1, 0, 0]);
+      expectMatrix(parseTransform('skewY(45)'), [1, 1, 0, 1, 0, 0]);
+    });
+    
+    test('should rotate around the given center', () => {
+      const point = transformPoint(parseTransform('rotate(90 10 10)'), 20, 10);
+      
+      expect(point.x).toBeCloseTo(10);
+      expect(point.y).toBeCloseTo(20);
+    });
+    
+    test('should apply a list from right to left', () => {
+      // Scaled first, then moved
+      const point = transformPoint(parseTransform('translate(100,0),scale(2)'), 5, 5);
+      
+      expect(point).toEqual({ x: 110, y: 10 });
+    });
+    
+    test('should ignore invalid transform lists', () => {
+      expect(parseTransformList('translate(1 2) foo(3)')).toEqual([]);
+      expect(parseTransformList('rotate(1 2)')).toEqual([]);
+      expect(parseTransform('')).toEqual(IDENTITY_MATRIX);
+      expect(parseTransform(null)).toEqual(IDENTITY_MATRIX);
+    });
+  });
+  
+  test('should invert matrices', () => {
+    const matrix = parseTransform('translate(5 7) rotate(30) scale(2 3) skewX(10)');
+    
+    expectMatrix(multiplyMatrices(matrix, invertMatrix(matrix)), IDENTITY_MATRIX);
+    expect(() => invertMatrix([0, 0, 0, 0, 1, 1])).toThrow();
+  });
+  
+  test('should compose the transforms of nested groups', () => {
+    document.body.innerHTML = `
+      <svg xmlns="http://www.w3.org/2000/svg">
+        <g id="outer" transform="translate(100 0)">
+          <g transform="scale(2)">
+            <path transform="translate(5 5)" d="M 0 0 L 10 0"/>
+          </g>
+        </g>
+      </svg>
+    `;
+    const path = document.querySelector('path');
+    
+    expectMatrix(getCumulativeTransform(path), [2, 0, 0, 2, 110, 10]);
+    expectMatrix(getCumulativeTransform(path, document.querySelector('#outer')), [2, 0, 0, 2, 10, 10]);
+  });
+  
+  test('should bound transformed boxes', () => {
+    const bbox = transformBoundingBox({ x: 0, y: 0, width: 20, height: 10 }, parseTransform('rotate(90)'));
+    
+    expect(bbox.x).toBeCloseTo(-10);
+    expect(bbox.y).toBeCloseTo(0);
+    expect(bbox.width).toBeCloseTo(10);
+    expect(bbox.height).toBeCloseTo(20);
+  });
+  
+  test('should include the full transform in element bounding boxes', () => {
+    document.body.innerHTML = `
+      <svg xmlns="http://www.w3.org/2000/svg">
+        <g transform="translate(50 0) scale(2)"><path d="M 0 0 L 10 10"/></g>
+      </svg>
+    `;
+    const group = document.querySelector('g');
+    group.getBBox = () => ({ x: 0, y: 0, width: 10, height: 10 });
+    
+    const bbox = getElementBoundingBox(group);
+    
+    expect(bbox).toMatchObject({ x: 50, y: 0, width: 20, height: 20, maxX: 70 });
+  });
+  
+  test('should scale only the lengths of a transform', () => {
+    expect(scaleTransform('translate(10,20) rotate(45 100 200) scale(3) skewX(5)', 0.5))
+      .toBe('translate(5 10) rotate(45 50 100) scale(3) skewX(5)');
+    expect(scaleTransform('matrix(0 1 -1 0 10 20)', 2)).toBe('matrix(0 1 -1 0 20 40)');
+  });
+});
@@ -265,6 +265,37 @@ describe('Unit Placement Algorithm', () => {
       expect(overlap).toBe(false);
     }
   });
+  
+  test('should keep reserved areas of the page free', () => {
+    const reservedAreas = [{ x: 0, y: 241, width: 36, height: 36 }];
+    const createMockGroup = (id, x, width, height) => {
+      const bbox = { x, y: 0, width, height };
+      return {
+        parentElement: { tagName: 'svg' },
+        getAttribute: (attr) => attr === 'id' ? id : null,
+        querySelectorAll: (selector) => selector === '.seam-allowance'
+          ? [{ cloneNode: () => ({ getBBox: () => bbox, nodeType: 1 }), getBBox: () => bbox }]
+          : [],
+        querySelector: () => null
+      };
+    };
+    const svg = {
+      querySelectorAll: (selector) => selector === 'g'
+        ? [createMockGroup('large', 0, 170, 200), createMockGroup('small', 200, 30, 60), createMockGroup('full', 300, 190, 277)]
+        : []
+    };
+    
+    const placement = calculateUnitPlacement(svg, { ...gridStrategy, reservedAreas });
+    
+    // The full-page unit gets a page of its own, the others stay clear of the area
+    expect(placement.pages.length).toBe(2);
+    expect(placement.unplacedUnits.length).toBe(0);
+    const small = placement.pages.flatMap(page => page.units).find(unit => unit.id === 'small');
+    expect(small.x >= 36 || small.y + 60 <= 241).toBe(true);
+    // The page of the full-page unit does not keep the area free
+    const full = placement.pages.find(page => page.units.some(unit => unit.id === 'full'));
+    expect(full.reservedAreas).toEqual([]);
+  });
 });
 
 describe('SVG Generation', () => {
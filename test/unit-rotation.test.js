@@ -0,0 +1,117 @@
+import { describe, test, expect } from 'vitest';
+import { calculateUnitPlacement, createPlacedUnitsSVG } from '../src/js/unit-placement.js';
+
+// Mock pattern group with a rectangular seam-allowance outline
+const createMockGroup = (id, width, height, locked = false, grainRotation = null) => {
+  const d = `M 0,0 L ${width},0 L ${width},${height} L 0,${height} Z`;
+  const bbox = { x: 0, y: 0, width, height };
+  const outline = {
+    getAttribute: (attr) => attr === 'd' ? d : null,
+    cloneNode: () => {
+      const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+      path.getBBox = () => bbox;
+      return path;
+    }
+  };
+  return {
+    parentElement: { tagName: 'svg' },
+    getAttribute: (attr) => {
+      if (attr === 'id') return id;
+      if (attr === 'data-lock-orientation') return locked ? 'true' : null;
+      if (attr === 'data-grain-rotation') return grainRotation;
+      return null;
+    },
+    querySelectorAll: (selector) => {
+      if (selector === '.seam-allowance' || selector === 'path.seam-allowance') return [outline];
+      return [];
+    },
+    querySelector: () => null
+  };
+};
+
+const createMockSVG = (groups) => ({
+  querySelectorAll: (selector) => selector === 'g' ? groups : []
+});
+
+describe('Unit Rotation', () => {
+  const gridStrategy = {
+    printableWidth: 190,
+    printableHeight: 277,
+    margin: 10,
+    allowRotation: true
+  };
+  
+  test('should turn a unit that only fits sideways', () => {
+    const placement = calculateUnitPlacement(createMockSVG([createMockGroup('sleeve', 250, 150)]), gridStrategy);
+    
+    expect(placement.unplacedUnits.length).toBe(0);
+    expect(placement.pages[0].units[0].rotation).toBe(90);
+  });
+  
+  test('should keep the original orientation when the unit fits', () => {
+    const placement = calculateUnitPlacement(createMockSVG([createMockGroup('front', 150, 250)]), gridStrategy);
+    
+    expect(placement.pages[0].units[0].rotation).toBeUndefined();
+  });
+  
+  test('should not turn units when rotation is disabled', () => {
+    const placement = calculateUnitPlacement(
+      createMockSVG([createMockGroup('sleeve', 250, 150)]),
+      { ...gridStrategy, allowRotation: false }
+    );
+    
+    expect(placement.unplacedUnits.length).toBe(1);
+  });
+  
+  test('should not turn units with a locked orientation', () => {
+    const placement = calculateUnitPlacement(createMockSVG([createMockGroup('sleeve', 250, 150, true)]), gridStrategy);
+    
+    expect(placement.unplacedUnits.length).toBe(1);
+  });
+  
+  test('should not turn units aligned to their grainline by 90°', () => {
+    const group = createMockGroup('sleeve', 250, 150, false, '-30');
+    
+    expect(calculateUnitPlacement(createMockSVG([group]), gridStrategy).unplacedUnits.length).toBe(1);
+    
+    const nested = calculateUnitPlacement(createMockSVG([group]), { ...gridStrategy, placementMode: 'nesting' });
+    expect(nested.unplacedUnits.length).toBe(1);
+  });
+  
+  test('should turn units during nesting', () => {
+    const placement = calculateUnitPlacement(
+      createMockSVG([createMockGroup('sleeve', 250, 150)]),
+      { ...gridStrategy, placementMode: 'nesting' }
+    );
+    
+    expect(placement.unplacedUnits.length).toBe(0);
+    const unit = placement.pages[0].units[0];
+    expect(unit.rotation % 180).toBe(90);
+    expect(unit.x).toBeCloseTo(0, 5);
+    expect(unit.y).toBeCloseTo(0, 5);
+  });
+  
+  test('should emit a rotate transform and mark the rotated unit', () => {
+    const originalSVG = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    
+    const page = {
+      units: [{
+        element: group,
+        x: 5,
+        y: 10,
+        width: 250,
+        height: 150,
+        rotation: 90,
+        boundingBox: { x: 100, y: 200, width: 250, height: 150 }
+      }]
+    };
+    
+    const pagedSVG = createPlacedUnitsSVG(originalSVG, page, gridStrategy);
+    const placedGroup = pagedSVG.querySelector('g');
+    
+    // The turned unit is 150 wide and 250 high, centered at (80, 135)
+    expect(placedGroup.getAttribute('transform')).toBe('translate(80, 135) rotate(90) translate(-225, -275)');
+    expect(placedGroup.getAttribute('data-placement-rotation')).toBe('90');
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, test, expect } from 'vitest';
+import { calculateUnitPlacement, createPlacedUnitsSVG } from '../src/js/unit-placement.js';
+import { addPageMarks, getGridStrategy } from '../src/js/pdf-generator.js';
+
+// Create a mock pattern group whose seam-allowance bounding box is fixed
+const createMockGroup = (id, bbox) => ({
+  parentElement: { tagName: 'svg' },
+  getAttribute: (attr) => attr === 'id' ? id : '',
+  querySelectorAll: (selector) => {
+    if (selector === '.seam-allowance') {
+      return [{
+        cloneNode: () => {
+          const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+          path.getBBox = () => bbox;
+          return path;
+        },
+        getBBox: () => bbox
+      }];
+    }
+    return [];
+  },
+  querySelector: () => null
+});
+
+const createMockSVG = (groups) => ({
+  querySelectorAll: (selector) => selector === 'g' ? groups : []
+});
+
+describe('Tiling of oversized units', () => {
+  const gridStrategy = {
+    printableWidth: 190,
+    printableHeight: 277,
+    effectiveWidth: 180,
+    effectiveHeight: 267,
+    overlap: 10,
+    margin: 10,
+    tileOversized: true
+  };
+  
+  test('should split an oversized unit into a labelled grid of pages', () => {
+    const svg = createMockSVG([
+      createMockGroup('skirt', { x: 0, y: 0, width: 400, height: 300 })
+    ]);
+    
+    const placement = calculateUnitPlacement(svg, gridStrategy);
+    
+    // ceil(400 / 180) = 3 columns, ceil(300 / 267) = 2 rows
+    expect(placement.pages.length).toBe(6);
+    expect(placement.unplacedUnits.length).toBe(0);
+    expect(placement.tiledUnits.length).toBe(1);
+    expect(placement.pages.map(page => page.tile.label)).toEqual(['A1', 'A2', 'A3', 'B1', 'B2', 'B3']);
+    expect(placement.pages[4].tile).toMatchObject({ col: 1, row: 1, pagesX: 3, pagesY: 2 });
+    // The tiles cover the whole page, so no areas are kept free for the page marks
+    expect(placement.pages[4].reservedAreas).toEqual([]);
+  });
+  
+  test('should keep oversized units unplaced when tiling is disabled', () => {
+    const svg = createMockSVG([
+      createMockGroup('skirt', { x: 0, y: 0, width: 400, height: 300 })
+    ]);
+    
+    const placement = calculateUnitPlacement(svg, { ...gridStrategy, tileOversized: false });
+    
+    expect(placement.pages.length).toBe(0);
+    expect(placement.unplacedUnits.length).toBe(1);
+    expect(placement.tiledUnits.length).toBe(0);
+  });
+  
+  test('should still pack units that fit before the tiled pages', () => {
+    const svg = createMockSVG([
+      createMockGroup('pocket', { x: 0, y: 0, width: 50, height: 50 }),
+      createMockGroup('coat', { x: 0, y: 0, width: 300, height: 200 })
+    ]);
+    
+    const placement = calculateUnitPlacement(svg, gridStrategy);
+    
+    expect(placement.pages.length).toBe(3);
+    expect(placement.pages[0].tile).toBeUndefined();
+    expect(placement.pages[0].units[0].id).toBe('pocket');
+    expect(placement.pages[1].tile.label).toBe('A1');
+    expect(placement.pages[2].tile.label).toBe('A2');
+  });
+});
+
+describe('Tiled page SVG', () => {
+  const gridStrategy = {
+    printableWidth: 190,
+    printableHeight: 277,
+    effectiveWidth: 180,
+    effectiveHeight: 267,
+    overlap: 10,
+    margin: 10
+  };
+  
+  test('should show the tile window of the unit with assembly marks', () => {
+    const originalSVG = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    group.setAttribute('id', 'skirt');
+    originalSVG.appendChild(group);
+    
+    const unit = {
+      element: group,
+      id: 'skirt',
+      width: 400,
+      height: 300,
+      boundingBox: { x: 50, y: 20, width: 400, height: 300 }
+    };
+    const page = {
+      units: [{ ...unit, x: 0, y: 0 }],
+      tile: { unit, col: 1, row: 0, pagesX: 3, pagesY: 2, label: 'A2', origin: { x: 50, y: 20 } }
+    };
+    
+    const pagedSVG = createPlacedUnitsSVG(originalSVG, page, gridStrategy);
+    
+    // 50 + 1 * 180 - 10 = 220, 20 + 0 * 267 - 10 = 10
+    expect(pagedSVG.getAttribute('viewBox')).toBe('220 10 190 277');
+    expect(pagedSVG.querySelector('#skirt')).toBeTruthy();
+    expect(pagedSVG.querySelector('.tile-content').getAttribute('clip-path')).toBe('url(#page-1-0)');
+    expect(pagedSVG.querySelector('.tile-label').textContent).toBe('A2 (skirt)');
+    
+    // Left neighbour exists (cut line), right and bottom neighbours exist (glue areas)
+    expect(pagedSVG.querySelectorAll('.tile-cut-line').length).toBe(1);
+    const guideTexts = Array.from(pagedSVG.querySelectorAll('.tile-guide-text')).map(text => text.textContent);
+    expect(guideTexts).toContain('CUT A1');
+    expect(pagedSVG.querySelectorAll('.tile-glue-area').length).toBe(2);
+  });
+  
+  test('should draw the page marks on the tile of a unit away from the origin', () => {
+    const originalSVG = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    const svg = createMockSVG([
+      createMockGroup('skirt', { x: 300, y: 300, width: 400, height: 300 })
+    ]);
+    const placement = calculateUnitPlacement(svg, { ...gridStrategy, tileOversized: true });
+    const page = placement.pages[0];
+    page.tile.unit.element = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    
+    const pagedSVG = createPlacedUnitsSVG(originalSVG, page, gridStrategy);
+    addPageMarks(pagedSVG, 0, placement.pages.length, gridStrategy);
+    
+    // 300 - 10 = 290; the marks are drawn from the top-left corner of the tile
+    expect(pagedSVG.getAttribute('viewBox')).toBe('290 290 190 277');
+    const marks = pagedSVG.querySelector('.page-marks');
+    expect(marks.getAttribute('transform')).toBe('translate(290 290)');
+    expect(marks.querySelector('text').getAttribute('x')).toBe('95');
+  });
+  
+  test('should only draw the verification square on pages that keep its area free', () => {
+    const paperStrategy = getGridStrategy({ paperSize: 'a4', addMarks: true });
+    const createPage = () => document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    
+    const reservedPage = createPage();
+    addPageMarks(reservedPage, 0, 2, paperStrategy, paperStrategy.reservedAreas);
+    expect(reservedPage.querySelector('.verification-square')).not.toBeNull();
+    
+    // Tile pages and pages of units that need the whole page have no reserved areas
+    const fullPage = createPage();
+    addPageMarks(fullPage, 1, 2, paperStrategy, []);
+    expect(fullPage.querySelector('.verification-square')).toBeNull();
+    expect(fullPage.querySelector('.page-marks text').textContent).toBe('Page 2 / 2');
+  });
+});